@@ -0,0 +1,70 @@
+// plugins/serviceWorker.js
+// Vite plugin that builds src/sw.js into dist/sw.js with the list of files to
+// precache (every emitted chunk and asset plus the public/ folder) and the API
+// base URLs whose GET responses it may cache. Nothing happens in dev: the app
+// only registers the worker in production builds (lib/serviceWorker).
+
+import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+const MAX_PRECACHE_BYTES = 4 * 1024 * 1024; // bigger files are fetched on demand
+
+function listFiles(dir) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.flatMap((entry) => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  });
+}
+
+/**
+ * serviceWorker({ src, apiEnvKeys })
+ * - src: the worker source, relative to the project root
+ * - apiEnvKeys: env vars holding API base URLs (unset ones are skipped)
+ */
+export default function serviceWorker({ src = 'src/sw.js', apiEnvKeys = [] } = {}) {
+  let config;
+
+  return {
+    name: 'mindecho:service-worker',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    generateBundle(_options, bundle) {
+      const sizeOf = (file) => (file.type === 'chunk' ? Buffer.byteLength(file.code) : Buffer.byteLength(file.source));
+      const built = Object.values(bundle)
+        .filter((file) => !file.fileName.endsWith('.map') && sizeOf(file) <= MAX_PRECACHE_BYTES)
+        .map((file) => file.fileName);
+      const publicFiles = config.publicDir
+        ? listFiles(config.publicDir)
+            .filter((path) => statSync(path).size <= MAX_PRECACHE_BYTES)
+            .map((path) => relative(config.publicDir, path).split(sep).join('/'))
+        : [];
+
+      const precache = [...new Set([...built, ...publicFiles])].sort().map((name) => `${config.base}${name}`);
+      const hash = createHash('sha256');
+      for (const name of precache) hash.update(name);
+      const html = bundle['index.html'];
+      if (html) hash.update(html.source);
+
+      const build = {
+        version: hash.digest('hex').slice(0, 12),
+        precache,
+        api: apiEnvKeys.map((key) => config.env[key]).filter(Boolean),
+      };
+      const source = readFileSync(join(config.root, src), 'utf8').replace('const BUILD = self.__BUILD__;', `const BUILD = ${JSON.stringify(build)};`);
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+}
@@ -1,17 +1,28 @@
 // src/App.jsx
-import React, { Suspense } from 'react';
-import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import React, { Suspense, useEffect, useState } from 'react';
+import { Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
 
 // Contexts & Components
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import LoadingSpinner from './components/LoadingSpinner';
+import ProtectedRoute from './components/ProtectedRoute';
+import { safeRedirect, readNext } from './utils/redirect';
 import { ToastProvider } from './contexts/ToastContext';
+import { IdleLockProvider } from './contexts/IdleLockContext';
+import VaultUnlock from './components/VaultUnlock';
+import UpdatePrompt from './components/UpdatePrompt';
+import { useVault } from './hooks/useVault';
+import { subscribeOpen } from './lib/reminders';
 import VideoCallPro from './pages/VideoCallPro';
 
 // Pages
 import Landing from './pages/Landing';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import OAuthCallback from './pages/OAuthCallback';
 import Dashboard from './pages/Dashboard';
 import History from './pages/History';
 import Settings from './pages/Settings';
@@ -21,6 +32,12 @@ import Journal from './pages/Journal';
 import Community from './pages/Community';
 import Meditation from './pages/Meditation';
 import InferPage from './pages/InferPage'; // inference page
+import Admin from './pages/Admin';
+import { PERMISSIONS } from './lib/roles';
+import { MOCK_AUTHORIZE_PATH } from './lib/oauth';
+
+// the mock backend's OAuth consent page; compiled out of builds without VITE_MOCK_API
+const MockAuthorizePage = import.meta.env.VITE_MOCK_API === 'true' ? React.lazy(() => import('./api/mock/AuthorizePage')) : null;
 
 /**
  * ErrorBoundary — catches runtime errors gracefully.
@@ -63,11 +80,13 @@ class ErrorBoundary extends React.Component {
 }
 
 /**
- * ProtectedRoute — ensures user is authenticated
- * Waits while auth is loading to avoid premature redirects.
+ * HomeEntry — route for `/`
+ * If logged in, redirect to a pending `?next=` target or the dashboard;
+ * otherwise show Landing.
  */
-function ProtectedRoute({ children }) {
+function HomeEntry() {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -77,36 +96,35 @@ function ProtectedRoute({ children }) {
     );
   }
 
-  if (!user) {
-    // preserve attempted path so login can redirect back if you implement that
-    return <Navigate to="/login" replace />;
+  if (user) {
+    // Already signed in — send to the requested page (validated) or dashboard
+    return <Navigate to={safeRedirect(readNext(location.search))} state={{ from: location }} replace />;
   }
 
-  return children;
+  return <Landing />;
 }
 
 /**
- * HomeEntry — route for `/`
- * If logged in, redirect to dashboard; otherwise show Landing.
+ * VaultPrompt — asks for the journal encryption passphrase once per app
+ * start while it's locked (see lib/vault).
  */
-function HomeEntry() {
-  const { user, loading } = useAuth();
-  const location = useLocation();
+function VaultPrompt() {
+  const { user } = useAuth();
+  const { state } = useVault();
+  const [dismissed, setDismissed] = useState(false);
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50">
-        <LoadingSpinner />
-      </div>
-    );
-  }
-
-  if (user) {
-    // Already signed in — send to dashboard
-    return <Navigate to="/dashboard" state={{ from: location }} replace />;
-  }
+  if (!user || state !== 'locked' || dismissed) return null;
+  return <VaultUnlock onClose={() => setDismissed(true)} />;
+}
 
-  return <Landing />;
+/**
+ * ReminderLinks — opens the page of a clicked reminder notification inside
+ * the running app (see lib/reminders).
+ */
+function ReminderLinks() {
+  const navigate = useNavigate();
+  useEffect(() => subscribeOpen((url) => navigate(url)), [navigate]);
+  return null;
 }
 
 function AppRoutes() {
@@ -116,6 +134,12 @@ function AppRoutes() {
       <Route path="/" element={<HomeEntry />} />
       <Route path="/login" element={<Login />} />
       <Route path="/signup" element={<Signup />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password/:token" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
+      <Route path="/verify-email/:token" element={<VerifyEmail />} />
+      <Route path="/auth/callback" element={<OAuthCallback />} />
+      {MockAuthorizePage && <Route path={`${MOCK_AUTHORIZE_PATH}/:provider/authorize`} element={<MockAuthorizePage />} />}
 
       {/* Public profile (make community profiles viewable without login) */}
       <Route path="/profile/:id" element={<Profile />} />
@@ -190,6 +214,16 @@ function AppRoutes() {
         }
       />
 
+      {/* Admin / clinician area (403 page for members) */}
+      <Route
+        path="/admin"
+        element={
+          <ProtectedRoute permissions={[PERMISSIONS.ADMIN_ACCESS]}>
+            <Admin />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Fallback */}
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
@@ -206,17 +240,22 @@ export default function App() {
   return (
     <AuthProvider>
       <ToastProvider>
-        <ErrorBoundary>
-          <Suspense
-            fallback={
-              <div className="min-h-screen flex items-center justify-center bg-gray-50">
-                <LoadingSpinner />
-              </div>
-            }
-          >
-            <AppRoutes />
-          </Suspense>
-        </ErrorBoundary>
+        <IdleLockProvider>
+          <ErrorBoundary>
+            <Suspense
+              fallback={
+                <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                  <LoadingSpinner />
+                </div>
+              }
+            >
+              <AppRoutes />
+              <VaultPrompt />
+              <ReminderLinks />
+              <UpdatePrompt />
+            </Suspense>
+          </ErrorBoundary>
+        </IdleLockProvider>
       </ToastProvider>
     </AuthProvider>
   );
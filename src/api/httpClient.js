@@ -1,7 +1,51 @@
 // src/api/httpClient.js
-const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000/api';
+// Single HTTP client for every backend the app talks to. Each named service
+// resolves its base URL from one env var, shares the auth token, the
+// interceptor chain and the ApiError shape.
+
+import { validate, SchemaError } from '../lib/schema';
+
+/**
+ * Named service backends.
+ * - envKey: Vite env var holding the base URL
+ * - fallback: used when the env var is not set (local dev)
+ * - session: a 401/403 from this service ends the user session
+ * - credentials: fetch credentials mode (cookies are only sent to the core API)
+ * - timeoutMs / retries: optional overrides of RETRY_POLICY
+ */
+export const SERVICES = {
+  core: { envKey: 'VITE_API_BASE_URL', fallback: 'http://localhost:4000/api', session: true, credentials: 'include' },
+  inference: { envKey: 'VITE_FASTAPI_URL', fallback: 'http://127.0.0.1:8000', session: false, credentials: 'same-origin', timeoutMs: 120000 },
+  voice: { envKey: 'VITE_BACKEND_URL', fallback: 'http://localhost:4000', session: false, credentials: 'same-origin', timeoutMs: 60000 },
+  emotion: { envKey: 'VITE_BACKEND_URL', fallback: 'http://localhost:4000', session: false, credentials: 'same-origin', retries: 0 },
+  rtc: { envKey: 'VITE_API_URL', fallback: 'http://localhost:4000', session: false, credentials: 'include' },
+};
+
+/**
+ * ApiError — the only error type thrown by the client.
+ * - status: HTTP status (0 when the request never got a response)
+ * - code: 'http' | 'network' | 'timeout' | 'aborted' | 'bad_response' | 'config'
+ * - service / url: where the request went
+ * - body: parsed response body (or raw text) when there was one
+ * - retryAfterMs: the server's Retry-After, when it sent one
+ * - issues: schema violations when a response failed opts.schema
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'http', service = null, url = null, body = null, retryAfterMs = null, issues = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.service = service;
+    this.url = url;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+    this.issues = issues;
+  }
+}
 
 let token = localStorage.getItem('token') || null;
+let refreshToken = localStorage.getItem('refresh_token') || null;
 
 export function setToken(t) {
   token = t;
@@ -16,98 +60,622 @@ export function getToken() {
   return token;
 }
 
+export function setRefreshToken(t) {
+  refreshToken = t;
+  if (t) {
+    localStorage.setItem('refresh_token', t);
+  } else {
+    localStorage.removeItem('refresh_token');
+  }
+}
+
+export function getRefreshToken() {
+  return refreshToken;
+}
+
 /**
- * Normal JSON request
+ * setSession({ token, refreshToken }) — store what an auth endpoint returned.
+ * A missing refreshToken keeps the current one (servers may not rotate it).
  */
-async function request(method, path, body = null, opts = {}) {
-  const url = `${API_BASE}${path.startsWith('/') ? path : `/${path}`}`;
+export function setSession({ token: access = null, refreshToken: refresh } = {}) {
+  const before = token;
+  setToken(access);
+  if (refresh !== undefined) setRefreshToken(refresh);
+  // only real changes are announced, so a tab applying a remote logout doesn't echo it back
+  if (before !== access) broadcastSession(sessionChange(before, access));
+}
 
-  const headers = { ...(opts.headers || {}) };
-  if (!(opts.noJson === true)) {
-    headers['Content-Type'] = 'application/json';
+/** clearSession() — forget both tokens and tell the app the user is signed out */
+export function clearSession() {
+  setSession({ token: null, refreshToken: null });
+  window.dispatchEvent(new Event('auth-logout'));
+}
+
+/* ---------- cross-tab session sync ---------- */
+
+// 'login' | 'logout' | 'token' (a refreshed access token for the same session)
+function sessionChange(before, after) {
+  if (!after) return 'logout';
+  return before ? 'token' : 'login';
+}
+
+const SESSION_CHANNEL = 'mindecho-auth';
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SESSION_CHANNEL) : null;
+
+function broadcastSession(type) {
+  try {
+    channel?.postMessage({ type });
+  } catch {
+    /* channel closed — storage events still cover other tabs */
   }
+}
 
-  if (token && opts.auth !== false) {
-    headers['Authorization'] = `Bearer ${token}`;
+/**
+ * applyRemoteSession — another tab changed the session. Tokens live in the
+ * shared localStorage, so re-read them and re-emit the change locally as
+ * `auth-login`, `auth-token` or `auth-logout` on window.
+ */
+function applyRemoteSession(type) {
+  token = localStorage.getItem('token') || null;
+  refreshToken = localStorage.getItem('refresh_token') || null;
+  window.dispatchEvent(new Event(`auth-${type}`));
+}
+
+if (channel) {
+  channel.onmessage = (e) => {
+    if (['login', 'logout', 'token'].includes(e.data?.type)) applyRemoteSession(e.data.type);
+  };
+} else {
+  // fallback: localStorage writes fire `storage` in every other tab
+  window.addEventListener('storage', (e) => {
+    if (e.key !== 'token' && e.key !== null) return;
+    const next = localStorage.getItem('token') || null;
+    if (next === token) return;
+    applyRemoteSession(sessionChange(token, next));
+  });
+}
+
+/**
+ * tokenExpiresAt(t) — expiry (ms since epoch) from a JWT `exp` claim, or null
+ * when the token is opaque.
+ */
+export function tokenExpiresAt(t = token) {
+  try {
+    const payload = JSON.parse(atob(t.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
   }
+}
 
-  const res = await fetch(url, {
-    method,
-    headers,
-    body: body && opts.noJson !== true ? JSON.stringify(body) : body,
-    credentials: 'include',
+/* ---------- base URLs ---------- */
+
+const baseUrlCache = {};
+
+/**
+ * resolveBaseUrl(service)
+ * Validates the configured URL once per service so a typo in .env fails
+ * loudly with the variable name instead of as a confusing fetch error.
+ */
+export function resolveBaseUrl(service) {
+  if (baseUrlCache[service]) return baseUrlCache[service];
+
+  const def = SERVICES[service];
+  if (!def) {
+    throw new ApiError(`Unknown API service "${service}"`, { code: 'config', service });
+  }
+
+  const raw = (import.meta.env[def.envKey] || def.fallback).trim();
+  try {
+    // relative bases ("/api") are resolved against the current origin
+    new URL(raw, window.location.origin);
+  } catch {
+    throw new ApiError(`${def.envKey} is not a valid URL: "${raw}"`, { code: 'config', service });
+  }
+
+  baseUrlCache[service] = raw.replace(/\/+$/, '');
+  return baseUrlCache[service];
+}
+
+function buildUrl(service, path) {
+  if (/^https?:\/\//i.test(path)) return path;
+  return `${resolveBaseUrl(service)}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+/* ---------- interceptors ---------- */
+
+function createInterceptorChain() {
+  let handlers = [];
+  return {
+    /** use(fn) — register a handler; returns a function that removes it */
+    use(fn) {
+      handlers.push(fn);
+      return () => {
+        handlers = handlers.filter((h) => h !== fn);
+      };
+    },
+    async run(value) {
+      let out = value;
+      for (const fn of handlers) {
+        const next = await fn(out);
+        if (next !== undefined) out = next;
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * interceptors.request handlers receive the request config
+ *   { service, method, url, headers, body, opts }
+ * and may return a modified config.
+ * interceptors.response handlers receive
+ *   { service, request, response, data, error }
+ * after the body is parsed; `error` is set when the request failed.
+ */
+export const interceptors = {
+  request: createInterceptorChain(),
+  response: createInterceptorChain(),
+};
+
+/* ---------- retry / timeout policy ---------- */
+
+/**
+ * Defaults for every request; SERVICES entries and per-call opts override them.
+ * - timeoutMs: abort an attempt after this long (0 disables)
+ * - retries: extra attempts after the first one
+ * - retryBaseMs / retryMaxMs: jittered exponential backoff window
+ */
+export const RETRY_POLICY = {
+  timeoutMs: 15000,
+  retries: 2,
+  retryBaseMs: 400,
+  retryMaxMs: 8000,
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+function resolvePolicy(service, opts) {
+  const def = SERVICES[service] || {};
+  return {
+    timeoutMs: opts.timeout ?? def.timeoutMs ?? RETRY_POLICY.timeoutMs,
+    retries: opts.retries ?? def.retries ?? RETRY_POLICY.retries,
+    retryBaseMs: RETRY_POLICY.retryBaseMs,
+    retryMaxMs: RETRY_POLICY.retryMaxMs,
+  };
+}
+
+/**
+ * shouldRetry — network errors, timeouts and 408/5xx are retried for
+ * idempotent methods only (or when the caller passes `retry: true`, e.g. with
+ * an idempotency key). 429 means the server did not process the request, so
+ * it is retried for any method.
+ */
+function shouldRetry(method, error, opts) {
+  if (!error || opts.retry === false) return false;
+  if (error.status === 429) return true;
+  const safe = opts.retry === true || IDEMPOTENT_METHODS.includes(method);
+  if (!safe) return false;
+  if (error.code === 'network' || error.code === 'timeout') return true;
+  return error.code === 'http' && RETRYABLE_STATUS.includes(error.status);
+}
+
+/** Retry-After is either delta-seconds or an HTTP date */
+function parseRetryAfter(res) {
+  const value = res?.headers?.get('Retry-After');
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffDelay(attempt, policy, res) {
+  const retryAfter = parseRetryAfter(res);
+  if (retryAfter != null) return Math.min(retryAfter, policy.retryMaxMs * 4);
+  // "full jitter": random point inside the exponential window
+  const ceiling = Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/** sleep that resolves early when `signal` aborts */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
   });
+}
 
-  if (res.status === 401 || res.status === 403) {
-    setToken(null);
-    window.dispatchEvent(new Event('auth-logout'));
+/* ---------- core request ---------- */
+
+/**
+ * parseBody — JSON when the server says so (or the text looks like JSON),
+ * otherwise the raw text, so plain-text and HTML bodies never crash callers.
+ */
+function parseBody(text, res, ctx) {
+  if (!text) return null;
+  const type = res.headers?.get('Content-Type') || '';
+  const declaredJson = /[/+]json\b/i.test(type);
+  if (!declaredJson && !/^\s*[[{]/.test(text)) return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    if (!declaredJson) return text;
+    throw new ApiError('Server returned an invalid JSON response', {
+      status: res.status,
+      code: 'bad_response',
+      service: ctx.service,
+      url: ctx.url,
+      body: text,
+      cause: err,
+    });
   }
+}
 
-  const text = await res.text();
-  const data = text ? JSON.parse(text) : null;
+/**
+ * xhrTransport(url, init, onProgress) — fetch's contract over XMLHttpRequest,
+ * which (unlike fetch) reports upload progress: onProgress({ loaded, total }).
+ * Resolves to a minimal Response (ok, status, statusText, headers, text()).
+ */
+function xhrTransport(url, init, onProgress) {
+  return new Promise((resolve, reject) => {
+    const { signal } = init;
+    if (signal?.aborted) return reject(new DOMException('The operation was aborted.', 'AbortError'));
+    const xhr = new XMLHttpRequest();
+    xhr.open(init.method, url);
+    xhr.withCredentials = init.credentials === 'include';
+    for (const [name, value] of Object.entries(init.headers || {})) xhr.setRequestHeader(name, value);
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress({ loaded: e.loaded, total: e.total });
+    };
+    const cancel = () => xhr.abort();
+    const settle = () => signal?.removeEventListener('abort', cancel);
+    xhr.onload = () => {
+      settle();
+      const headers = new Headers();
+      for (const line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/)) {
+        const at = line.indexOf(':');
+        if (at > 0) headers.append(line.slice(0, at).trim(), line.slice(at + 1).trim());
+      }
+      const text = xhr.responseText;
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers,
+        text: async () => text,
+      });
+    };
+    xhr.onerror = () => {
+      settle();
+      reject(new TypeError('Network request failed'));
+    };
+    xhr.onabort = () => {
+      settle();
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+    xhr.send(init.body ?? null);
+  });
+}
 
-  if (!res.ok) {
-    const errMsg = (data && (data.error || data.message)) || res.statusText || 'Request failed';
-    const err = new Error(errMsg);
-    err.status = res.status;
-    err.body = data;
-    throw err;
+let uploadTransport = xhrTransport;
+
+/**
+ * setUploadTransport(fn) — replace how progress-reporting uploads are sent
+ * (the mock backend answers them in the page). `fn(url, init, onProgress, next)`
+ * may hand requests it does not serve to `next`, the XHR transport; a falsy
+ * `fn` restores the default.
+ */
+export function setUploadTransport(fn) {
+  uploadTransport = fn ? (url, init, onProgress) => fn(url, init, onProgress, xhrTransport) : xhrTransport;
+}
+
+/**
+ * attempt — one fetch with its own timeout; resolves to { res, data, error }
+ * and never throws. `signal` is the caller's cancellation signal.
+ */
+async function attempt(config, policy, signal) {
+  const { service, url, opts } = config;
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+  let timedOut = false;
+  const timer = policy.timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, policy.timeoutMs)
+    : null;
+
+  let res;
+  try {
+    const init = {
+      method: config.method,
+      headers: config.headers,
+      body: config.body ?? undefined,
+      credentials: opts.credentials || SERVICES[service].credentials,
+      signal: controller.signal,
+    };
+    // fetch cannot report upload progress; uploads that ask for it go through XHR
+    res = opts.onUploadProgress ? await uploadTransport(url, init, opts.onUploadProgress) : await fetch(url, init);
+
+    let data = null;
+    const text = await res.text();
+    try {
+      data = parseBody(text, res, { service, url });
+    } catch (err) {
+      // an unparseable error page is still reported as the HTTP error below
+      if (res.ok) return { res, data: null, error: err };
+      data = text;
+    }
+
+    if (!res.ok) {
+      const msg = (data && typeof data === 'object' && (data.error || data.message || data.detail)) || res.statusText || 'Request failed';
+      const error = new ApiError(typeof msg === 'string' ? msg : JSON.stringify(msg), {
+        status: res.status,
+        service,
+        url,
+        body: data,
+        retryAfterMs: parseRetryAfter(res),
+      });
+      return { res, data, error };
+    }
+    return { res, data, error: null };
+  } catch (err) {
+    let error;
+    if (signal?.aborted) error = abortError(service, url);
+    else if (timedOut) error = new ApiError(`Request timed out after ${Math.ceil(policy.timeoutMs / 1000)}s`, { code: 'timeout', service, url, cause: err });
+    else error = new ApiError('Network error — could not reach the server', { code: 'network', service, url, cause: err });
+    return { res: res || null, data: null, error };
+  } finally {
+    if (timer) clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
   }
+}
 
-  return data;
+async function withRetries(config, policy, signal) {
+  let outcome;
+  for (let i = 0; ; i++) {
+    outcome = await attempt(config, policy, signal);
+    if (signal?.aborted || i >= policy.retries || !shouldRetry(config.method, outcome.error, config.opts)) break;
+    await sleep(backoffDelay(i, policy, outcome.res), signal);
+    if (signal?.aborted) {
+      return { res: null, data: null, error: abortError(config.service, config.url) };
+    }
+  }
+  return outcome;
 }
 
+/* ---------- silent token refresh ---------- */
+
+let refreshing = null;
+
 /**
- * NEW: File upload request (multipart/form-data)
- * Works for:
- * - Eden AI
- * - /api/infer
- * - any file upload route
+ * refreshSession() — exchange the refresh token for a new access token.
+ * Single-flight: every request that hits a 401 while a refresh is running
+ * waits for the same promise and is replayed with the new token.
+ * Resolves to the new access token, or null. The session is cleared only when
+ * the server rejects the refresh; a network failure leaves it intact so a
+ * flaky connection never signs the user out.
  */
-async function upload(path, formData, opts = {}) {
-  const url = `${API_BASE}${path.startsWith('/') ? path : `/${path}`}`;
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const usedRefreshToken = refreshToken;
+      try {
+        // refreshToken may be absent when the server keeps it in an httpOnly cookie
+        const data = await send('core', 'POST', '/auth/refresh', usedRefreshToken ? { refreshToken: usedRefreshToken } : {}, { auth: false });
+        if (!data?.token) throw new ApiError('Refresh response has no token', { code: 'bad_response', service: 'core' });
+        setSession(data);
+        return data.token;
+      } catch (err) {
+        // another tab may have rotated the refresh token first; adopt its session
+        const shared = localStorage.getItem('refresh_token');
+        if (usedRefreshToken && shared && shared !== usedRefreshToken) {
+          applyRemoteSession('token');
+          return token;
+        }
+        if (err.code === 'http' || err.code === 'bad_response') clearSession();
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * execute — retries, token refresh and response interceptors for one logical request.
+ */
+async function execute(config, policy, signal) {
+  const { service, opts } = config;
+  let outcome = await withRetries(config, policy, signal);
+
+  // expired access token on a session service: refresh once, then replay
+  const sentToken = opts.auth !== false && config.headers.Authorization;
+  if (outcome.error?.status === 401 && SERVICES[service]?.session && sentToken && !signal?.aborted) {
+    const fresh = await refreshSession();
+    if (fresh) {
+      config = { ...config, headers: { ...config.headers, Authorization: `Bearer ${fresh}` } };
+      outcome = await withRetries(config, policy, signal);
+      // a brand-new token that is still rejected means the account itself is gone
+      if (outcome.error?.status === 401) clearSession();
+    }
+  }
+
+  const ctx = await interceptors.response.run({
+    service,
+    request: config,
+    response: outcome.res,
+    data: outcome.data,
+    error: outcome.error,
+  });
+  if (ctx.error) throw ctx.error;
+  return ctx.data;
+}
+
+/* ---------- cancellation & in-flight GET deduplication ---------- */
+
+function abortError(service, url) {
+  return new ApiError('Request was cancelled', { code: 'aborted', service, url });
+}
+
+/** isAbortError(err) — true for cancelled requests, which callers usually ignore */
+export function isAbortError(err) {
+  return err?.code === 'aborted' || err?.name === 'AbortError';
+}
+
+// key -> { key, promise, controller, waiting, pinned }
+const inflight = new Map();
 
+/**
+ * subscribe — hand one caller the shared promise of an in-flight GET.
+ * A caller's signal only detaches that caller; the network request itself is
+ * aborted once every subscriber has cancelled (and none came without a signal),
+ * and is then no longer offered to new callers.
+ */
+function subscribe(entry, signal, service, url) {
+  if (!signal) {
+    entry.pinned = true;
+    return entry.promise;
+  }
+  entry.waiting++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(abortError(service, url));
+      entry.waiting--;
+      if (entry.waiting === 0 && !entry.pinned) {
+        if (inflight.get(entry.key) === entry) inflight.delete(entry.key);
+        entry.controller.abort();
+      }
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+async function send(service, method, path, body, opts = {}) {
+  const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
   const headers = { ...(opts.headers || {}) };
 
-  // IMPORTANT: DO NOT SET "Content-Type" → browser sets correct multipart boundary
+  // IMPORTANT: never set Content-Type for FormData → browser adds the multipart boundary
+  if (!isForm && opts.noJson !== true && body != null) {
+    headers['Content-Type'] = 'application/json';
+  }
   if (token && opts.auth !== false) {
     headers['Authorization'] = `Bearer ${token}`;
   }
 
-  const res = await fetch(url, {
-    method: 'POST',
+  const config = await interceptors.request.run({
+    service,
+    method,
+    url: buildUrl(service, path),
     headers,
-    body: formData,
-    credentials: 'include',
+    body: body != null && !isForm && opts.noJson !== true ? JSON.stringify(body) : body,
+    opts,
   });
 
-  if (res.status === 401 || res.status === 403) {
-    setToken(null);
-    window.dispatchEvent(new Event('auth-logout'));
+  const policy = resolvePolicy(service, opts);
+  const { signal } = opts;
+  if (signal?.aborted) throw abortError(service, config.url);
+
+  // identical concurrent GETs (same service, URL and credentials) share one fetch
+  if (config.method === 'GET' && opts.dedupe !== false) {
+    const key = `${service} ${config.url} ${config.headers.Authorization || ''}`;
+    let entry = inflight.get(key);
+    // an aborted request is never joined: the identical GET starts afresh
+    if (!entry || entry.controller.signal.aborted) {
+      const controller = new AbortController();
+      entry = { key, controller, waiting: 0, pinned: false, promise: null };
+      entry.promise = execute(config, policy, controller.signal).finally(() => {
+        if (inflight.get(key) === entry) inflight.delete(key);
+      });
+      // callers attach their own handlers; keep the shared promise from reporting unhandled rejections
+      entry.promise.catch(() => {});
+      inflight.set(key, entry);
+    }
+    return subscribe(entry, signal, service, config.url);
   }
 
-  const text = await res.text();
-  const data = text ? JSON.parse(text) : null;
+  return execute(config, policy, signal);
+}
 
-  if (!res.ok) {
-    const errMsg = (data && (data.error || data.message)) || res.statusText || 'Request failed';
-    const err = new Error(errMsg);
-    err.status = res.status;
-    err.body = data;
-    throw err;
+/**
+ * checkSchema — validate a response against opts.schema (see api/schemas).
+ * Per-caller, after deduplication, so callers sharing a GET may use different schemas.
+ */
+function checkSchema(data, service, method, path, opts) {
+  if (!opts.schema) return data;
+  const source = `${service} ${method} ${path}`;
+  try {
+    return validate(opts.schema, data, { source });
+  } catch (err) {
+    if (!(err instanceof SchemaError)) throw err;
+    throw new ApiError('Server returned an unexpected response', {
+      code: 'bad_response',
+      service,
+      url: path,
+      body: data,
+      issues: err.issues,
+      cause: err,
+    });
   }
+}
+
+/**
+ * Normal JSON request
+ * opts: { headers, auth, noJson, credentials, timeout, retries, retry, signal, dedupe, schema }
+ * - retry: true allows retrying a non-idempotent call, false disables retries
+ * - signal: AbortSignal; aborting rejects with an ApiError whose code is 'aborted'
+ * - dedupe: false opts a GET out of sharing an identical in-flight request
+ * - schema: validate (and repair) the response; a mismatch rejects with code 'bad_response'
+ */
+async function request(method, path, body = null, opts = {}) {
+  const service = opts.service || 'core';
+  const data = await send(service, method, path, body, opts);
+  return checkSchema(data, service, method, path, opts);
+}
+
+/**
+ * File upload request (multipart/form-data)
+ * Works for /infer, /feedback, /api/voice and any other file upload route.
+ * opts.onUploadProgress({ loaded, total }) is called as the body is sent.
+ */
+async function upload(path, formData, opts = {}) {
+  const service = opts.service || 'core';
+  const data = await send(service, 'POST', path, formData, opts);
+  return checkSchema(data, service, 'POST', path, opts);
+}
 
-  return data;
+/**
+ * createClient(service) — a client bound to one named backend.
+ */
+export function createClient(service) {
+  const withService = (opts) => ({ ...(opts || {}), service });
+  return {
+    get: (p, opts) => request('GET', p, null, withService(opts)),
+    post: (p, b, opts) => request('POST', p, b, withService(opts)),
+    put: (p, b, opts) => request('PUT', p, b, withService(opts)),
+    patch: (p, b, opts) => request('PATCH', p, b, withService(opts)),
+    delete: (p, b, opts) => request('DELETE', p, b, withService(opts)),
+    upload: (p, fd, opts) => upload(p, fd, withService(opts)),
+  };
 }
 
-export const httpClient = {
-  get: (p, opts) => request('GET', p, null, opts),
-  post: (p, b, opts) => request('POST', p, b, opts),
-  put: (p, b, opts) => request('PUT', p, b, opts),
-  delete: (p, b, opts) => request('DELETE', p, b, opts),
+/**
+ * api.core / api.inference / api.voice / api.emotion / api.rtc
+ */
+export const api = Object.fromEntries(Object.keys(SERVICES).map((name) => [name, createClient(name)]));
 
-  // 🔥 NEW
-  upload,
-};
+// httpClient stays the core-API client for existing callers
+export const httpClient = api.core;
 
 export default httpClient;
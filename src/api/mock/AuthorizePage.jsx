@@ -0,0 +1,123 @@
+// src/api/mock/AuthorizePage.jsx
+import React, { useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { ShieldCheck, AlertTriangle } from 'lucide-react';
+import { httpClient } from '../httpClient';
+import { OAUTH_PROVIDERS } from '../../lib/oauth';
+
+// only send the browser back into this app
+function sameOrigin(url) {
+  try {
+    return new URL(url, window.location.origin).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * AuthorizePage — `/mock-oauth/:provider/authorize`, the mock backend's
+ * stand-in for a provider's consent screen (VITE_MOCK_API=true, see
+ * lib/oauth). Asks which email to sign in as, has the mock backend issue a
+ * code bound to the request's PKCE challenge, and redirects to redirect_uri
+ * with the code and state — or with error=access_denied when cancelled.
+ */
+export default function AuthorizePage() {
+  const { provider } = useParams();
+  const [params] = useSearchParams();
+  const label = OAUTH_PROVIDERS[provider]?.label;
+  const redirectUri = params.get('redirect_uri') || '';
+  const state = params.get('state') || '';
+
+  // what a provider would refuse outright, before asking anything
+  let problem = '';
+  if (!label) problem = `Unknown provider "${provider}".`;
+  else if (!sameOrigin(redirectUri)) problem = 'redirect_uri must point back to this app.';
+  else if (params.get('response_type') !== 'code') problem = 'Only response_type=code is supported.';
+  else if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) problem = 'The request has no S256 code_challenge (PKCE).';
+
+  const [email, setEmail] = useState(`${provider}.user@example.com`);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const back = (result) => {
+    const target = new URL(redirectUri, window.location.origin);
+    target.search = new URLSearchParams({ ...result, state }).toString();
+    window.location.assign(target.href);
+  };
+
+  const allow = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const { code } = await httpClient.post(
+        `/auth/oauth/${encodeURIComponent(provider)}/authorize`,
+        { email, redirectUri, codeChallenge: params.get('code_challenge'), codeChallengeMethod: params.get('code_challenge_method') },
+        { auth: false, retry: false }
+      );
+      back({ code });
+    } catch (err) {
+      setError(err?.message || 'Authorization failed');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 p-6">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl p-8">
+        <div className="flex items-center gap-3 mb-4">
+          <ShieldCheck className="w-8 h-8 text-blue-500" />
+          <div>
+            <h2 className="text-xl font-semibold">Sign in with {label || provider}</h2>
+            <p className="text-xs text-gray-500">Mock provider — nothing leaves this browser</p>
+          </div>
+        </div>
+
+        {!problem ? (
+          <form onSubmit={allow}>
+            <p className="text-sm text-gray-600 mb-4">
+              MindEcho (<span className="font-mono">{params.get('client_id')}</span>) wants your email address and basic profile.
+            </p>
+            <label htmlFor="mock-email" className="block text-sm font-medium text-gray-700 mb-1">
+              Sign in as
+            </label>
+            <input
+              id="mock-email"
+              type="email"
+              value={email}
+              onChange={(ev) => setEmail(ev.target.value)}
+              autoFocus
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {error && (
+              <p role="alert" className="text-xs text-red-500 mt-1">
+                {error}
+              </p>
+            )}
+            <div className="mt-6 flex gap-3">
+              <button
+                type="button"
+                onClick={() => back({ error: 'access_denied' })}
+                className="flex-1 py-3 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busy || !email.trim()}
+                className="flex-1 py-3 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-60"
+              >
+                {busy ? 'Authorizing…' : 'Allow'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="text-center">
+            <AlertTriangle className="w-10 h-10 text-yellow-500 mx-auto my-4" />
+            <p role="alert" className="text-sm text-gray-600">{problem}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+// src/api/mock/db.js
+// Persistence for the mock backend: one IndexedDB database whose object
+// stores play the role of the server's tables. Falls back to memory when
+// IndexedDB is unavailable (e.g. some private windows), so the mock still runs.
+
+import { idbAvailable, openDatabase, promisify, transact, deleteDatabase } from '../../lib/idb';
+import { seedFixtures } from './fixtures';
+
+const DB_NAME = 'mindecho-mock-backend';
+const DB_VERSION = 3;
+
+// object stores added by each schema version
+const STORES = {
+  1: ['users', 'profiles', 'history', 'authSessions', 'feedback', 'tokens', 'meta'],
+  2: ['syncRecords'],
+  3: ['reminderSettings', 'pushSubscriptions'],
+};
+
+export const TABLES = Object.values(STORES).flat();
+
+let dbPromise = null;
+let memory = null;
+
+function upgrade(db, oldVersion) {
+  for (const [version, names] of Object.entries(STORES)) {
+    if (oldVersion < Number(version)) for (const name of names) db.createObjectStore(name, { keyPath: 'id' });
+  }
+}
+
+async function open() {
+  if (!idbAvailable()) {
+    if (!memory) memory = Object.fromEntries(TABLES.map((t) => [t, new Map()]));
+    return null;
+  }
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, upgrade)
+      .then((db) => {
+        // another tab is upgrading the schema: let it, and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        return db;
+      })
+      .catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+  }
+  return dbPromise;
+}
+
+export async function all(table) {
+  const db = await open();
+  if (!db) return [...memory[table].values()];
+  return transact(db, table, 'readonly', (tx) => promisify(tx.objectStore(table).getAll()));
+}
+
+export async function get(table, id) {
+  const db = await open();
+  if (!db) return memory[table].get(id) || null;
+  const row = await transact(db, table, 'readonly', (tx) => promisify(tx.objectStore(table).get(id)));
+  return row || null;
+}
+
+export async function put(table, row) {
+  const db = await open();
+  if (!db) {
+    memory[table].set(row.id, row);
+    return row;
+  }
+  await transact(db, table, 'readwrite', (tx) => promisify(tx.objectStore(table).put(row)));
+  return row;
+}
+
+export async function remove(table, id) {
+  const db = await open();
+  if (!db) {
+    memory[table].delete(id);
+    return;
+  }
+  await transact(db, table, 'readwrite', (tx) => promisify(tx.objectStore(table).delete(id)));
+}
+
+/** find(table, predicate) — rows matching predicate (tables are small; a scan is fine) */
+export async function find(table, predicate) {
+  return (await all(table)).filter(predicate);
+}
+
+export async function findOne(table, predicate) {
+  return (await all(table)).find(predicate) || null;
+}
+
+/** ready() — open the database and load the seed fixtures on first use */
+export async function ready() {
+  await open();
+  if (await get('meta', 'seeded')) return;
+  await seedFixtures(put);
+  await put('meta', { id: 'seeded', at: new Date().toISOString() });
+}
+
+/** resetMockDb() — drop everything; the fixtures are re-seeded on the next request */
+export async function resetMockDb() {
+  if (dbPromise) {
+    (await dbPromise).close();
+    dbPromise = null;
+  }
+  memory = null;
+  if (idbAvailable()) await deleteDatabase(DB_NAME);
+}
@@ -0,0 +1,96 @@
+// src/api/mock/fixtures.js
+// Seed data loaded into the mock backend the first time it starts (and after
+// a reset). Every account signs in with the password "password".
+
+import { hashPassword } from './util';
+
+const DAY = 86400000;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+const avatar = (initials, color = 'A78BFA') => `https://placehold.co/100x100/${color}/FFFFFF?text=${initials}`;
+
+export const DEMO_PASSWORD = 'password';
+
+const USERS = [
+  { id: 'u1', email: 'sarah@example.com', name: 'Sarah Connor', role: 'admin', joinedDaysAgo: 120 },
+  { id: 'u2', email: 'maya@example.com', name: 'Maya Patel', role: 'clinician', joinedDaysAgo: 90 },
+  { id: 'u3', email: 'leo@example.com', name: 'Leo Martins', role: 'member', joinedDaysAgo: 30 },
+  { id: 'u4', email: 'sam@example.com', name: 'Sam Okafor', role: 'member', joinedDaysAgo: 3, emailVerified: false },
+];
+
+const PROFILES = {
+  u1: { bio: 'Just trying to be more mindful.', location: 'San Francisco, CA', tags: ['Mindfulness', 'Music'], baselineMetrics: { calm: 0.6, anxiety: 0.3, focus: 0.7 } },
+  u2: { bio: 'Clinician. Breathwork, sleep and gentle routines.', location: 'London, UK', tags: ['Breathing', 'Sleep'], baselineMetrics: { calm: 0.7, anxiety: 0.2, focus: 0.6 } },
+  u3: { bio: 'Learning to slow down between deadlines.', location: 'Lisbon, PT', tags: ['Focus', 'Running'], baselineMetrics: { calm: 0.5, anxiety: 0.4, focus: 0.5 }, reports: 1 },
+  u4: { bio: '', location: '', tags: [], baselineMetrics: { calm: 0.5, anxiety: 0.5, focus: 0.5 } },
+};
+
+const HISTORY = [
+  { userId: 'u1', daysAgo: 1, type: 'Breathing Exercise', duration: 300, startEmotion: 'anxious', endEmotion: 'calm', summary: 'Felt better after breathing.' },
+  { userId: 'u1', daysAgo: 2, type: 'Meditation', duration: 600, startEmotion: 'restless', endEmotion: 'calm', summary: 'Body scan before bed.' },
+  { userId: 'u1', daysAgo: 4, type: 'Journaling', duration: 420, startEmotion: 'sad', endEmotion: 'neutral', summary: 'Wrote about the week.' },
+  { userId: 'u1', daysAgo: 7, type: 'Chat', duration: 900, startEmotion: 'anxious', endEmotion: 'focused', summary: 'Talked through a deadline.' },
+  { userId: 'u2', daysAgo: 1, type: 'Meditation', duration: 900, startEmotion: 'neutral', endEmotion: 'calm', summary: 'Morning sit.' },
+  { userId: 'u3', daysAgo: 3, type: 'Breathing Exercise', duration: 240, startEmotion: 'stressed', endEmotion: 'calm', summary: 'Box breathing at lunch.' },
+];
+
+const FEEDBACK = [
+  { user_id: 'u3', exercise_id: 'box-breathing', rating: 2, comment: 'The pacing felt too fast for me.', daysAgo: 2 },
+  { user_id: 'u1', exercise_id: 'body-scan', rating: 5, comment: 'Lovely before sleep.', daysAgo: 5, reviewed: true },
+  { user_id: 'u2', exercise_id: 'grounding-54321', rating: 4, comment: '', daysAgo: 6 },
+];
+
+/** seedFixtures(put) — writes every fixture through the db's put(table, row) */
+export async function seedFixtures(put) {
+  const passwordHash = await hashPassword(DEMO_PASSWORD);
+
+  for (const u of USERS) {
+    const joinedAt = ago(u.joinedDaysAgo * DAY);
+    const initials = u.name.split(' ').map((w) => w[0]).join('');
+    await put('users', {
+      id: u.id,
+      email: u.email,
+      name: u.name,
+      role: u.role,
+      passwordHash,
+      emailVerified: u.emailVerified ?? true,
+      consent: { neurofeedback: true, camera: true, audio: true },
+      mfa: null,
+      providers: [],
+      createdAt: joinedAt,
+    });
+    await put('profiles', {
+      id: `p${u.id.slice(1)}`,
+      userId: u.id,
+      displayName: u.name.split(' ')[0],
+      avatarUrl: avatar(initials),
+      joinedAt,
+      verified: u.emailVerified ?? true,
+      source: 'db',
+      hidden: false,
+      reports: 0,
+      ...PROFILES[u.id],
+    });
+  }
+
+  for (const [i, s] of HISTORY.entries()) {
+    const { daysAgo, ...rest } = s;
+    await put('history', { id: `s${i + 1}`, timestamp: ago(daysAgo * DAY), ...rest });
+  }
+
+  for (const [i, f] of FEEDBACK.entries()) {
+    const { daysAgo, ...rest } = f;
+    await put('feedback', { id: `f${i + 1}`, reviewed: false, created_at: ago(daysAgo * DAY), ...rest });
+  }
+
+  // a second device for the demo account, so the sessions panel has something to revoke
+  await put('authSessions', {
+    id: 'as_seed_phone',
+    userId: 'u1',
+    refreshToken: null,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+    location: 'Oakland, US',
+    ip: '203.0.113.24',
+    createdAt: ago(10 * DAY),
+    lastSeenAt: ago(DAY / 3),
+  });
+}
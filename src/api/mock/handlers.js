@@ -0,0 +1,758 @@
+// src/api/mock/handlers.js
+// Route table of the mock backend — one handler per endpoint the app calls,
+// grouped by the httpClient service that calls it. Handlers return the JSON
+// body (or reply(status, body)); fail() produces the error responses the real
+// backends send, so the app's error handling is exercised too.
+
+import { OAUTH_PROVIDERS } from '../../lib/oauth';
+import * as db from './db';
+import { accessToken, base32Secret, hashPassword, pkceChallenge, randomId, randomToken, recoveryCodes, verifyTotp } from './util';
+
+const ACCESS_TTL_MS = 15 * 60 * 1000;
+const RESET_TTL_MS = 60 * 60 * 1000;
+const VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const OAUTH_CODE_TTL_MS = 10 * 60 * 1000;
+
+/* ---------- router ---------- */
+
+const routes = [];
+
+function route(service, method, pattern, handler) {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  routes.push({ service, method, re: new RegExp(`^${source}$`), keys, handler });
+}
+
+/** matchRoute(service, method, path) -> { handler, params } | null */
+export function matchRoute(service, method, path) {
+  for (const r of routes) {
+    if (r.service !== service || r.method !== method) continue;
+    const m = r.re.exec(path);
+    if (m) return { handler: r.handler, params: Object.fromEntries(r.keys.map((k, i) => [k, decodeURIComponent(m[i + 1])])) };
+  }
+  return null;
+}
+
+export class MockHttpError extends Error {
+  constructor(status, message, body = {}) {
+    super(message);
+    this.status = status;
+    this.body = { error: message, ...body };
+  }
+}
+
+function fail(status, message, body) {
+  throw new MockHttpError(status, message, body);
+}
+
+/** reply(status, body) — a non-200 success (or an error body that is not thrown) */
+export function reply(status, body) {
+  return { __mockReply: true, status, body };
+}
+
+/* ---------- auth helpers ---------- */
+
+function decodeToken(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+  } catch {
+    return null;
+  }
+}
+
+/** sessionOf(req) — the auth session behind the Bearer token, or null */
+async function sessionOf(req) {
+  const header = req.headers.authorization || req.headers.Authorization || '';
+  const claims = decodeToken(header.replace(/^Bearer\s+/i, ''));
+  if (!claims?.sid || claims.exp * 1000 < Date.now()) return null;
+  const session = await db.get('authSessions', claims.sid);
+  if (!session) return null;
+  // lastSeenAt is only worth a write once a minute
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > 60000) {
+    await db.put('authSessions', { ...session, lastSeenAt: new Date().toISOString() });
+  }
+  return session;
+}
+
+async function requireUser(req) {
+  const session = await sessionOf(req);
+  if (!session) fail(401, 'Not authenticated');
+  const user = await db.get('users', session.userId);
+  if (!user) fail(401, 'Account no longer exists');
+  return { user, session };
+}
+
+async function requireRole(req, roles) {
+  const ctx = await requireUser(req);
+  if (!roles.includes(ctx.user.role)) fail(403, 'You do not have access to this resource');
+  return ctx;
+}
+
+async function profileOf(userId) {
+  return db.findOne('profiles', (p) => p.userId === userId);
+}
+
+/** what /me and the auth endpoints return — never the password hash or MFA secret */
+async function publicUser(user) {
+  const { passwordHash, mfa, ...rest } = user;
+  return { ...rest, hasPassword: !!passwordHash, mfaEnabled: !!mfa?.enabled, profile: await profileOf(user.id) };
+}
+
+async function startSession(user) {
+  const now = new Date().toISOString();
+  const session = {
+    id: randomId('as'),
+    userId: user.id,
+    refreshToken: randomToken(),
+    userAgent: navigator.userAgent,
+    location: 'Local (mock backend)',
+    ip: '127.0.0.1',
+    createdAt: now,
+    lastSeenAt: now,
+  };
+  await db.put('authSessions', session);
+  return {
+    token: accessToken(session.id, user.id, ACCESS_TTL_MS),
+    refreshToken: session.refreshToken,
+    user: await publicUser(user),
+  };
+}
+
+/** signIn(user) — a session, or the MFA challenge when two-factor is on */
+async function signIn(user) {
+  if (!user.mfa?.enabled) return startSession(user);
+  const mfaToken = await issueToken('mfa', user.id, CHALLENGE_TTL_MS);
+  return { mfaRequired: true, mfaToken, methods: ['totp', 'recovery'] };
+}
+
+async function revokeSessions(userId, keepId = null) {
+  for (const s of await db.find('authSessions', (x) => x.userId === userId && x.id !== keepId)) {
+    await db.remove('authSessions', s.id);
+  }
+}
+
+/* ---------- one-time tokens (reset, verify, MFA challenge, account link) ---------- */
+
+async function issueToken(kind, userId, ttlMs, data = {}) {
+  const id = randomToken();
+  await db.put('tokens', { id, kind, userId, expiresAt: Date.now() + ttlMs, ...data });
+  return id;
+}
+
+/** takeToken(kind, id, { consume }) — 400 unknown, 410 expired / used */
+async function takeToken(kind, id, { consume = true } = {}) {
+  const row = id ? await db.get('tokens', id) : null;
+  if (!row || row.kind !== kind) fail(400, 'Invalid token');
+  if (row.usedAt || row.expiresAt < Date.now()) fail(410, 'Token expired');
+  if (consume) await db.put('tokens', { ...row, usedAt: Date.now() });
+  return row;
+}
+
+// there is no mail server: links are printed to the console instead
+function mail(subject, path) {
+  console.info(`[mock backend] ${subject}: ${window.location.origin}${path}`);
+}
+
+async function sendVerification(user) {
+  const token = await issueToken('verify', user.id, VERIFY_TTL_MS);
+  mail(`Verify ${user.email}`, `/verify-email/${token}`);
+}
+
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode || (code && /-/.test(code))) {
+    const wanted = String(recoveryCode || code).trim().toLowerCase();
+    const left = user.mfa.recoveryCodes.filter((c) => c !== wanted);
+    if (left.length === user.mfa.recoveryCodes.length) fail(400, 'Invalid recovery code');
+    await db.put('users', { ...user, mfa: { ...user.mfa, recoveryCodes: left } });
+    return;
+  }
+  if (!code || !(await verifyTotp(user.mfa.secret, code))) fail(400, 'Invalid authentication code');
+}
+
+/* ---------- auth ---------- */
+
+route('core', 'POST', '/auth/login', async ({ body }) => {
+  const user = await db.findOne('users', (u) => u.email === String(body?.email || '').trim().toLowerCase());
+  if (!user || !user.passwordHash || user.passwordHash !== (await hashPassword(body?.password || ''))) {
+    fail(401, 'Invalid email or password. (Hint: use "password")');
+  }
+  return signIn(user);
+});
+
+route('core', 'POST', '/auth/register', async ({ body }) => {
+  const email = String(body?.email || '').trim().toLowerCase();
+  if (!email || !body?.password) fail(400, 'Email and password are required');
+  if (body.password.length < 8) fail(422, 'Password must be at least 8 characters', { field: 'password' });
+  if (await db.findOne('users', (u) => u.email === email)) fail(409, 'Email already in use.');
+
+  const name = String(body.name || email.split('@')[0]).trim();
+  const now = new Date().toISOString();
+  const user = {
+    id: randomId('u'),
+    email,
+    name,
+    role: 'member',
+    passwordHash: await hashPassword(body.password),
+    emailVerified: false,
+    consent: body.consent || { neurofeedback: true, camera: true, audio: true },
+    mfa: null,
+    providers: [],
+    createdAt: now,
+  };
+  await db.put('users', user);
+  await db.put('profiles', {
+    id: randomId('p'),
+    userId: user.id,
+    displayName: name.split(' ')[0],
+    bio: body.bio || '',
+    location: body.location || '',
+    avatarUrl: `https://placehold.co/100x100/A78BFA/FFFFFF?text=${name.charAt(0).toUpperCase()}`,
+    tags: Array.isArray(body.tags) ? body.tags : [],
+    baselineMetrics: { calm: 0.5, anxiety: 0.5, focus: 0.5 },
+    joinedAt: now,
+    verified: false,
+    source: 'db',
+    hidden: false,
+    reports: 0,
+  });
+  await sendVerification(user);
+  return reply(201, await startSession(user));
+});
+
+route('core', 'POST', '/auth/logout', async (req) => {
+  const session = await sessionOf(req);
+  if (session) await db.remove('authSessions', session.id);
+  return { success: true };
+});
+
+route('core', 'POST', '/auth/refresh', async ({ body }) => {
+  const session = body?.refreshToken ? await db.findOne('authSessions', (s) => s.refreshToken === body.refreshToken) : null;
+  if (!session) fail(401, 'Refresh token is invalid or was revoked');
+  const next = { ...session, refreshToken: randomToken(), lastSeenAt: new Date().toISOString() };
+  await db.put('authSessions', next);
+  return { token: accessToken(session.id, session.userId, ACCESS_TTL_MS), refreshToken: next.refreshToken };
+});
+
+// re-verify the password of the signed-in user (lock screen) — no new session
+route('core', 'POST', '/auth/password/verify', async (req) => {
+  const { user } = await requireUser(req);
+  if (!user.passwordHash) fail(409, 'This account has no password');
+  if (user.passwordHash !== (await hashPassword(req.body?.password || ''))) fail(400, 'Incorrect password');
+  return { verified: true };
+});
+
+route('core', 'GET', '/me', async (req) => publicUser((await requireUser(req)).user));
+
+route('core', 'PATCH', '/me/consent', async (req) => {
+  const { user } = await requireUser(req);
+  const next = { ...user, consent: { ...user.consent, ...(req.body || {}) } };
+  await db.put('users', next);
+  return publicUser(next);
+});
+
+route('core', 'GET', '/me/export', async (req) => {
+  const { user } = await requireUser(req);
+  return {
+    exportedAt: new Date().toISOString(),
+    user: await publicUser(user),
+    sessions: await db.find('history', (s) => s.userId === user.id),
+    feedback: await db.find('feedback', (f) => f.user_id === user.id),
+    synced: (await db.find('syncRecords', (r) => r.userId === user.id && !r.deleted)).map(syncedRecord),
+    reminders: (await db.get('reminderSettings', user.id))?.settings ?? null,
+  };
+});
+
+route('core', 'DELETE', '/me', async (req) => {
+  const { user } = await requireUser(req);
+  const profile = await profileOf(user.id);
+  if (profile) await db.remove('profiles', profile.id);
+  for (const s of await db.find('history', (x) => x.userId === user.id)) await db.remove('history', s.id);
+  for (const f of await db.find('feedback', (x) => x.user_id === user.id)) await db.remove('feedback', f.id);
+  for (const r of await db.find('syncRecords', (x) => x.userId === user.id)) await db.remove('syncRecords', r.id);
+  for (const p of await db.find('pushSubscriptions', (x) => x.userId === user.id)) await db.remove('pushSubscriptions', p.id);
+  await db.remove('reminderSettings', user.id);
+  await revokeSessions(user.id);
+  await db.remove('users', user.id);
+  return { message: 'User data deleted.' };
+});
+
+/* ---------- two-factor ---------- */
+
+route('core', 'GET', '/auth/mfa', async (req) => {
+  const { user } = await requireUser(req);
+  return { enabled: !!user.mfa?.enabled, recoveryCodesRemaining: user.mfa?.enabled ? user.mfa.recoveryCodes.length : null };
+});
+
+route('core', 'POST', '/auth/mfa/setup', async (req) => {
+  const { user } = await requireUser(req);
+  if (user.mfa?.enabled) fail(409, 'Two-factor authentication is already on');
+  const secret = base32Secret();
+  await db.put('users', { ...user, mfa: { enabled: false, secret, recoveryCodes: [] } });
+  const label = encodeURIComponent(`MindEcho:${user.email}`);
+  return { secret, otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=MindEcho`, qrCode: null };
+});
+
+route('core', 'POST', '/auth/mfa/enable', async (req) => {
+  const { user } = await requireUser(req);
+  if (!user.mfa?.secret || user.mfa.enabled) fail(409, 'Start the setup first');
+  if (!(await verifyTotp(user.mfa.secret, req.body?.code || ''))) fail(400, 'Invalid authentication code');
+  const codes = recoveryCodes();
+  await db.put('users', { ...user, mfa: { ...user.mfa, enabled: true, recoveryCodes: codes } });
+  return { enabled: true, recoveryCodes: codes };
+});
+
+route('core', 'POST', '/auth/mfa/disable', async (req) => {
+  const { user } = await requireUser(req);
+  if (!user.mfa?.enabled) fail(409, 'Two-factor authentication is off');
+  if (user.passwordHash && user.passwordHash !== (await hashPassword(req.body?.password || ''))) fail(400, 'Incorrect password');
+  await checkSecondFactor(user, { code: req.body?.code });
+  await db.put('users', { ...(await db.get('users', user.id)), mfa: null });
+  return { enabled: false };
+});
+
+route('core', 'POST', '/auth/mfa/recovery-codes', async (req) => {
+  const { user } = await requireUser(req);
+  if (!user.mfa?.enabled) fail(409, 'Two-factor authentication is off');
+  if (!(await verifyTotp(user.mfa.secret, req.body?.code || ''))) fail(400, 'Invalid authentication code');
+  const codes = recoveryCodes();
+  await db.put('users', { ...user, mfa: { ...user.mfa, recoveryCodes: codes } });
+  return { recoveryCodes: codes };
+});
+
+route('core', 'POST', '/auth/mfa/verify', async ({ body }) => {
+  const challenge = await takeToken('mfa', body?.mfaToken, { consume: false });
+  const user = await db.get('users', challenge.userId);
+  if (!user?.mfa?.enabled) fail(400, 'Invalid token');
+  await checkSecondFactor(user, body);
+  await takeToken('mfa', body.mfaToken);
+  return startSession(await db.get('users', user.id));
+});
+
+/* ---------- password reset & email verification ---------- */
+
+route('core', 'POST', '/auth/password/forgot', async ({ body }) => {
+  const user = await db.findOne('users', (u) => u.email === String(body?.email || '').trim().toLowerCase());
+  // same answer either way, so the endpoint can't be used to probe for accounts
+  if (user) {
+    const token = await issueToken('reset', user.id, RESET_TTL_MS);
+    mail(`Password reset for ${user.email}`, `/reset-password/${token}`);
+  }
+  return { success: true };
+});
+
+route('core', 'GET', '/auth/password/reset/:token', async ({ params }) => {
+  const row = await takeToken('reset', params.token, { consume: false });
+  const user = await db.get('users', row.userId);
+  return { valid: true, email: user?.email || null };
+});
+
+route('core', 'POST', '/auth/password/reset', async ({ body }) => {
+  if (!body?.password || body.password.length < 8) fail(422, 'Password must be at least 8 characters', { field: 'password' });
+  const row = await takeToken('reset', body?.token);
+  const user = await db.get('users', row.userId);
+  if (!user) fail(400, 'Invalid token');
+  await db.put('users', { ...user, passwordHash: await hashPassword(body.password) });
+  // a new password signs every device out
+  await revokeSessions(user.id);
+  return { success: true };
+});
+
+route('core', 'POST', '/auth/email/verify', async ({ body }) => {
+  const row = await takeToken('verify', body?.token);
+  const user = await db.get('users', row.userId);
+  if (!user) fail(400, 'Invalid token');
+  await db.put('users', { ...user, emailVerified: true });
+  const profile = await profileOf(user.id);
+  if (profile) await db.put('profiles', { ...profile, verified: true });
+  return { success: true };
+});
+
+route('core', 'POST', '/auth/email/resend', async (req) => {
+  const session = await sessionOf(req);
+  const user = session
+    ? await db.get('users', session.userId)
+    : await db.findOne('users', (u) => u.email === String(req.body?.email || '').trim().toLowerCase());
+  if (user && !user.emailVerified) await sendVerification(user);
+  return { success: true };
+});
+
+/* ---------- social sign-in ---------- */
+
+// There is no real provider behind the mock: its authorize page
+// (./AuthorizePage.jsx) asks for an email address and has a code issued for
+// it here, bound to the PKCE challenge; the exchange checks the verifier.
+
+function providerIdentity(provider, email) {
+  const address = String(email || '').trim().toLowerCase() || `${provider}.user@example.com`;
+  return { provider, subject: address, email: address };
+}
+
+/** redeemCode(provider, body) — the identity behind a single-use code, once the verifier matches */
+async function redeemCode(provider, body) {
+  if (!body?.code || !body?.codeVerifier) fail(400, 'Missing authorization code');
+  const row = await takeToken('oauth-code', body.code);
+  if (row.identity.provider !== provider) fail(400, 'Invalid token');
+  if (body.redirectUri && body.redirectUri !== row.redirectUri) fail(400, 'redirect_uri does not match the authorization request');
+  if ((await pkceChallenge(body.codeVerifier)) !== row.codeChallenge) fail(400, 'The code verifier does not match the code challenge');
+  return row.identity;
+}
+
+// the "provider" side: issue a code for the consent given on the authorize page
+route('core', 'POST', '/auth/oauth/:provider/authorize', async ({ params, body }) => {
+  if (!OAUTH_PROVIDERS[params.provider]) fail(404, 'Unknown provider');
+  if (body?.codeChallengeMethod !== 'S256' || !body?.codeChallenge) fail(400, 'PKCE with S256 is required');
+  if (!body?.redirectUri) fail(400, 'Missing redirect_uri');
+  const code = await issueToken('oauth-code', null, OAUTH_CODE_TTL_MS, {
+    identity: providerIdentity(params.provider, body.email),
+    redirectUri: body.redirectUri,
+    codeChallenge: body.codeChallenge,
+  });
+  return { code };
+});
+
+function hasProvider(user, provider, subject) {
+  return (user.providers || []).some((p) => p.provider === provider && (!subject || p.subject === subject));
+}
+
+route('core', 'POST', '/auth/oauth/:provider/callback', async ({ params, body }) => {
+  const identity = await redeemCode(params.provider, body);
+
+  const linked = await db.findOne('users', (u) => hasProvider(u, identity.provider, identity.subject));
+  if (linked) return signIn(linked);
+
+  const existing = await db.findOne('users', (u) => u.email === identity.email);
+  if (existing) {
+    const linkToken = await issueToken('link', existing.id, CHALLENGE_TTL_MS, { identity });
+    return reply(409, { linkRequired: true, email: existing.email, linkToken });
+  }
+
+  const now = new Date().toISOString();
+  const name = identity.email.split('@')[0];
+  const user = {
+    id: randomId('u'),
+    email: identity.email,
+    name,
+    role: 'member',
+    passwordHash: null,
+    emailVerified: true,
+    consent: { neurofeedback: true, camera: true, audio: true },
+    mfa: null,
+    providers: [{ ...identity, linkedAt: now }],
+    createdAt: now,
+  };
+  await db.put('users', user);
+  await db.put('profiles', {
+    id: randomId('p'),
+    userId: user.id,
+    displayName: name,
+    bio: '',
+    location: '',
+    avatarUrl: `https://placehold.co/100x100/60A5FA/FFFFFF?text=${name.charAt(0).toUpperCase()}`,
+    tags: [],
+    baselineMetrics: { calm: 0.5, anxiety: 0.5, focus: 0.5 },
+    joinedAt: now,
+    verified: true,
+    source: 'db',
+    hidden: false,
+    reports: 0,
+  });
+  return startSession(user);
+});
+
+route('core', 'POST', '/auth/oauth/link/confirm', async ({ body }) => {
+  const row = await takeToken('link', body?.linkToken, { consume: false });
+  const user = await db.get('users', row.userId);
+  if (!user?.passwordHash || user.passwordHash !== (await hashPassword(body?.password || ''))) fail(401, 'Incorrect password');
+  await takeToken('link', body.linkToken);
+  const next = { ...user, providers: [...(user.providers || []), { ...row.identity, linkedAt: new Date().toISOString() }] };
+  await db.put('users', next);
+  return signIn(next);
+});
+
+route('core', 'POST', '/auth/oauth/:provider/link', async (req) => {
+  const { user } = await requireUser(req);
+  const identity = await redeemCode(req.params.provider, req.body);
+  const owner = await db.findOne('users', (u) => hasProvider(u, identity.provider, identity.subject));
+  if (owner && owner.id !== user.id) fail(409, 'That account is already linked to another user');
+  if (!owner) {
+    await db.put('users', { ...user, providers: [...(user.providers || []), { ...identity, linkedAt: new Date().toISOString() }] });
+  }
+  return { success: true };
+});
+
+route('core', 'GET', '/auth/oauth/providers', async (req) => {
+  const { user } = await requireUser(req);
+  return { providers: (user.providers || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })) };
+});
+
+route('core', 'DELETE', '/auth/oauth/providers/:provider', async (req) => {
+  const { user } = await requireUser(req);
+  const rest = (user.providers || []).filter((p) => p.provider !== req.params.provider);
+  if (!user.passwordHash && rest.length === 0) fail(409, 'This is the only way to sign in to the account');
+  await db.put('users', { ...user, providers: rest });
+  return { success: true };
+});
+
+/* ---------- devices & sessions ---------- */
+
+route('core', 'GET', '/auth/sessions', async (req) => {
+  const { user, session } = await requireUser(req);
+  const rows = await db.find('authSessions', (s) => s.userId === user.id);
+  // the refresh token never leaves the server
+  return { sessions: rows.map((s) => ({ ...s, refreshToken: undefined, current: s.id === session.id })) };
+});
+
+route('core', 'DELETE', '/auth/sessions', async (req) => {
+  const { user, session } = await requireUser(req);
+  await revokeSessions(user.id, req.query.get('scope') === 'others' ? session.id : null);
+  return { success: true };
+});
+
+route('core', 'DELETE', '/auth/sessions/:id', async (req) => {
+  const { user } = await requireUser(req);
+  const target = await db.get('authSessions', req.params.id);
+  if (!target || target.userId !== user.id) fail(404, 'Session not found');
+  await db.remove('authSessions', target.id);
+  return { success: true };
+});
+
+/* ---------- profiles, history, admin ---------- */
+
+async function withAccountFlags(profile) {
+  const user = await db.get('users', profile.userId);
+  return { ...profile, emailVerified: user ? user.emailVerified : false };
+}
+
+route('core', 'GET', '/profiles', async (req) => {
+  await requireUser(req);
+  const visible = await db.find('profiles', (p) => !p.hidden);
+  return Promise.all(visible.map(withAccountFlags));
+});
+
+route('core', 'GET', '/profile/:id', async (req) => {
+  await requireUser(req);
+  const profile = await db.findOne('profiles', (p) => p.id === req.params.id || p.userId === req.params.id);
+  if (!profile || profile.hidden) fail(404, 'Profile not found.');
+  return { profile: await withAccountFlags(profile) };
+});
+
+route('core', 'GET', '/sessions/user/:id', async (req) => {
+  await requireUser(req);
+  const sessions = await db.find('history', (s) => s.userId === req.params.id);
+  return { sessions: sessions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)) };
+});
+
+route('core', 'GET', '/admin/profiles', async (req) => {
+  await requireRole(req, ['admin']);
+  return { profiles: await Promise.all((await db.all('profiles')).map(withAccountFlags)) };
+});
+
+route('core', 'PATCH', '/admin/profiles/:id', async (req) => {
+  await requireRole(req, ['admin']);
+  const profile = await db.get('profiles', req.params.id);
+  if (!profile) fail(404, 'Profile not found.');
+  const allowed = ['hidden', 'verified', 'reports'];
+  const patch = Object.fromEntries(Object.entries(req.body || {}).filter(([k]) => allowed.includes(k)));
+  const next = { ...profile, ...patch };
+  await db.put('profiles', next);
+  return next;
+});
+
+/* ---------- offline sync (journal, mood, meditation) ---------- */
+
+const SYNC_COLLECTIONS = ['journal', 'mood', 'meditation'];
+
+// a global, ever-increasing sequence number is the pull cursor
+async function nextSyncSeq() {
+  const row = (await db.get('meta', 'syncSeq')) || { id: 'syncSeq', value: 0 };
+  await db.put('meta', { ...row, value: row.value + 1 });
+  return row.value + 1;
+}
+
+function syncCollection(name) {
+  if (!SYNC_COLLECTIONS.includes(name)) fail(404, `Unknown collection "${name}"`);
+  return name;
+}
+
+function syncedRecord(row) {
+  return { ...row.data, id: row.recordId, version: row.version, updatedAt: row.updatedAt, deleted: row.deleted };
+}
+
+route('core', 'GET', '/sync/:collection', async (req) => {
+  const { user } = await requireUser(req);
+  const collection = syncCollection(req.params.collection);
+  const since = Number(req.query.get('since')) || 0;
+  const rows = await db.find('syncRecords', (r) => r.userId === user.id && r.collection === collection && r.seq > since);
+  const cursor = rows.reduce((max, r) => Math.max(max, r.seq), since);
+  return { records: rows.map(syncedRecord), cursor };
+});
+
+route('core', 'POST', '/sync/:collection', async (req) => {
+  const { user } = await requireUser(req);
+  const collection = syncCollection(req.params.collection);
+  const changes = Array.isArray(req.body?.changes) ? req.body.changes : fail(400, 'changes must be an array');
+  const results = [];
+  for (const change of changes) {
+    const key = `${user.id}:${collection}:${change.id}`;
+    const current = await db.get('syncRecords', key);
+    if (current && current.version !== change.baseVersion) {
+      results.push({ id: change.id, status: 'conflict', current: syncedRecord(current) });
+      continue;
+    }
+    const version = (current?.version || 0) + 1;
+    const deleted = change.op === 'delete';
+    await db.put('syncRecords', {
+      id: key,
+      userId: user.id,
+      collection,
+      recordId: change.id,
+      version,
+      seq: await nextSyncSeq(),
+      updatedAt: change.updatedAt || new Date().toISOString(),
+      deleted,
+      data: deleted ? null : change.record,
+    });
+    results.push({ id: change.id, status: 'ok', version });
+  }
+  return { results };
+});
+
+/* ---------- reminders & push ---------- */
+
+route('core', 'GET', '/me/reminders', async (req) => {
+  const { user } = await requireUser(req);
+  return (await db.get('reminderSettings', user.id))?.settings ?? null;
+});
+
+route('core', 'PUT', '/me/reminders', async (req) => {
+  const { user } = await requireUser(req);
+  const { schedules, quietHours, timezone } = req.body || {};
+  if (!schedules || typeof schedules !== 'object') fail(400, 'schedules is required');
+  const settings = { schedules, quietHours, timezone };
+  await db.put('reminderSettings', { id: user.id, settings, updatedAt: new Date().toISOString() });
+  return settings;
+});
+
+// no VAPID keys here: the app falls back to notifying while it's open
+route('core', 'GET', '/push/config', async () => ({ publicKey: null }));
+
+route('core', 'POST', '/push/subscriptions', async (req) => {
+  const { user } = await requireUser(req);
+  const { subscription, timezone } = req.body || {};
+  if (!subscription?.endpoint) fail(400, 'subscription.endpoint is required');
+  await db.put('pushSubscriptions', {
+    id: subscription.endpoint,
+    userId: user.id,
+    keys: subscription.keys || {},
+    timezone: timezone || null,
+    createdAt: new Date().toISOString(),
+  });
+  return { message: 'Subscribed.' };
+});
+
+route('core', 'DELETE', '/push/subscriptions', async (req) => {
+  const { user } = await requireUser(req);
+  const row = await db.get('pushSubscriptions', req.query.get('endpoint') || '');
+  if (row?.userId === user.id) await db.remove('pushSubscriptions', row.id);
+  return { message: 'Unsubscribed.' };
+});
+
+/* ---------- inference service ---------- */
+
+function randomDistribution(n) {
+  const raw = Array.from({ length: n }, () => Math.random() ** 2);
+  const sum = raw.reduce((a, b) => a + b, 0);
+  return raw.map((v) => Number((v / sum).toFixed(4)));
+}
+
+route('inference', 'POST', '/infer', async ({ body }) => {
+  // Anger, Disgust, Fear, Sad, Neutral, Happy, Surprise
+  const dist = randomDistribution(7);
+  const calm = dist[4] + dist[5];
+  return {
+    user_id: body?.get?.('user_id') || 'guest',
+    modalities: ['image', 'audio', 'eeg'].filter((m) => body?.has?.(m)),
+    emotion_dist: dist,
+    valence: Number(Math.min(1, calm + dist[6] / 2).toFixed(3)),
+    arousal: Number(Math.min(1, dist[0] + dist[2] + dist[6]).toFixed(3)),
+    calm: Number(calm.toFixed(3)),
+    anxiety: Number((dist[2] + dist[0]).toFixed(3)),
+    focus: Number((0.4 + Math.random() * 0.5).toFixed(3)),
+    model: 'mock',
+  };
+});
+
+route('inference', 'POST', '/feedback', async ({ body }) => {
+  const row = {
+    id: randomId('f'),
+    user_id: body?.get?.('user_id') || 'guest',
+    exercise_id: body?.get?.('exercise_id') || 'unknown',
+    rating: Number(body?.get?.('rating') || 0),
+    comment: body?.get?.('comment') || '',
+    reviewed: false,
+    created_at: new Date().toISOString(),
+  };
+  await db.put('feedback', row);
+  return { success: true, id: row.id };
+});
+
+route('inference', 'GET', '/feedback', async () => {
+  const rows = await db.all('feedback');
+  return rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+});
+
+route('inference', 'PATCH', '/feedback/:id', async ({ params, body }) => {
+  const row = await db.get('feedback', params.id);
+  if (!row) fail(404, 'Feedback not found');
+  const next = { ...row, reviewed: !!body?.reviewed };
+  await db.put('feedback', next);
+  return next;
+});
+
+/* ---------- emotion, voice, rtc ---------- */
+
+route('emotion', 'POST', '/emotion', async ({ body }) => {
+  if (!body?.imageBase64) fail(400, 'imageBase64 is required');
+  const [happiness, neutral, sadness, anger, fear] = randomDistribution(5);
+  return { success: true, emotions: { happiness, neutral, sadness, anger, fear }, model: 'mock' };
+});
+
+const REPLIES = {
+  calm: [
+    "Let's slow things down together. Breathe in for four, hold for four, and out for six.",
+    'That sounds like a lot to carry. What is one small thing that would feel kind right now?',
+  ],
+  motivate: [
+    "You've already taken the first step by showing up. What's the smallest next action?",
+    'Progress counts even when it is quiet. Pick one task and give it ten focused minutes.',
+  ],
+  grounding: [
+    'Name five things you can see, four you can touch, three you can hear, two you can smell and one you can taste.',
+    'Press your feet into the floor and notice the support underneath you.',
+  ],
+};
+
+route('voice', 'POST', '/api/voice', async ({ body }) => {
+  if (body instanceof FormData) {
+    if (!body.get('file')) return { success: false, error: 'No audio received' };
+    return { success: true, transcript: "I've been feeling a bit overwhelmed today." };
+  }
+  const text = String(body?.text || '').trim();
+  if (!text) return { success: false, error: 'Say or type something first' };
+  const options = REPLIES[body.selectedMode] || REPLIES.calm;
+  return { success: true, replyText: options[Math.floor(Math.random() * options.length)], audioBase64: null };
+});
+
+async function rtcToken({ query }) {
+  const channel = query.get('channel');
+  if (!channel) fail(400, 'channel is required');
+  // a placeholder: joining a real channel still needs Agora's network
+  return { token: `mock-rtc-${randomToken(8)}`, appId: 'mindecho-mock', channel, uid: Number(query.get('uid')) || 0 };
+}
+
+route('rtc', 'GET', '/api/agora/token', rtcToken);
+route('rtc', 'GET', '/token', rtcToken);
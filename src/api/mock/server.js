@@ -0,0 +1,147 @@
+// src/api/mock/server.js
+// Offline mock backend. With VITE_MOCK_API=true, main.jsx installs a fetch
+// interceptor before the app renders: every request aimed at one of the
+// httpClient SERVICES base URLs is answered by the handlers in ./handlers
+// from an IndexedDB database (./db) seeded with ./fixtures. Anything else
+// (CDNs, third-party APIs) still goes to the network.
+//
+// Optional env: VITE_MOCK_LATENCY_MS — average simulated latency (default 250).
+// In the console, `mindechoMock.reset()` wipes the data back to the fixtures.
+
+import { SERVICES, resolveBaseUrl, setUploadTransport } from '../httpClient';
+import { ready, resetMockDb } from './db';
+import { matchRoute, MockHttpError } from './handlers';
+
+const DEFAULT_LATENCY_MS = 250;
+
+function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+/** delay that rejects like fetch does when the signal aborts */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+function json(status, body) {
+  return new Response(body == null ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string') return body ?? null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+// longest base first, so "…/api" is tried before the bare origin it lives under
+function serviceBases() {
+  return Object.keys(SERVICES)
+    .map((service) => ({ service, base: new URL(resolveBaseUrl(service), window.location.origin).href.replace(/\/+$/, '') }))
+    .sort((a, b) => b.base.length - a.base.length);
+}
+
+/**
+ * resolve(url, method) — the first service whose base URL prefixes `url` and
+ * that has a route for the remaining path. `known` is true when the URL is
+ * ours at all, so unmatched calls become a 404 instead of a real request.
+ */
+function resolve(bases, url, method) {
+  let known = false;
+  for (const { service, base } of bases) {
+    if (url.href !== base && !url.href.startsWith(`${base}/`)) continue;
+    known = true;
+    const path = url.pathname.slice(new URL(base).pathname.replace(/\/+$/, '').length) || '/';
+    const match = matchRoute(service, method, path);
+    if (match) return { known, service, path, ...match };
+  }
+  return { known };
+}
+
+async function handle(match, { method, url, headers, body }) {
+  const req = {
+    method,
+    service: match.service,
+    path: match.path,
+    params: match.params,
+    query: url.searchParams,
+    headers,
+    body: parseBody(body),
+  };
+  try {
+    const out = await match.handler(req);
+    if (out?.__mockReply) return json(out.status, out.body);
+    return json(200, out ?? { success: true });
+  } catch (err) {
+    if (err instanceof MockHttpError) return json(err.status, err.body);
+    console.error(`[mock backend] ${method} ${match.service}${match.path} crashed`, err);
+    return json(500, { error: err?.message || 'Mock handler failed' });
+  }
+}
+
+let installed = false;
+
+/** installMockBackend() — idempotent; resolves once the database is seeded */
+export async function installMockBackend() {
+  if (installed) return;
+  installed = true;
+
+  await ready();
+  const bases = serviceBases();
+  const realFetch = window.fetch.bind(window);
+  const avg = Number(import.meta.env.VITE_MOCK_LATENCY_MS ?? DEFAULT_LATENCY_MS) || 0;
+
+  window.fetch = async (input, init = {}) => {
+    const request = typeof input === 'string' || input instanceof URL ? null : input;
+    const url = new URL(request ? request.url : String(input), window.location.origin);
+    const method = (init.method || request?.method || 'GET').toUpperCase();
+    const match = resolve(bases, url, method);
+    if (!match.known) return realFetch(input, init);
+
+    const signal = init.signal || request?.signal;
+    await delay(avg * (0.5 + Math.random()), signal);
+
+    if (!match.handler) {
+      console.warn(`[mock backend] no handler for ${method} ${url.pathname}`);
+      return json(404, { error: `Mock backend has no route for ${method} ${url.pathname}` });
+    }
+    const headers = Object.fromEntries(new Headers(init.headers || request?.headers || {}).entries());
+    const response = await handle(match, { method, url, headers, body: init.body });
+    if (signal?.aborted) throw abortError();
+    return response;
+  };
+
+  // uploads that report progress bypass fetch (see httpClient); answer ours here too
+  setUploadTransport(async (url, init, onProgress, next) => {
+    if (!resolve(bases, new URL(url, window.location.origin), init.method.toUpperCase()).known) return next(url, init, onProgress);
+    // the in-page backend receives the whole body at once
+    onProgress({ loaded: 1, total: 1 });
+    return window.fetch(url, init);
+  });
+
+  window.mindechoMock = {
+    async reset() {
+      await resetMockDb();
+      window.location.reload();
+    },
+  };
+  console.info('[mock backend] enabled — API calls are answered in the browser. Demo login: sarah@example.com / password');
+}
+
+export default installMockBackend;
@@ -0,0 +1,84 @@
+// src/api/mock/util.js
+// Crypto-ish helpers for the mock backend. Good enough to exercise the app's
+// flows end to end — not a reference for a real server.
+
+const enc = new TextEncoder();
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64Url(str) {
+  return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function randomToken(bytes = 24) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+export function randomId(prefix) {
+  return `${prefix}_${randomToken(6)}`;
+}
+
+export async function hashPassword(password) {
+  return toHex(await crypto.subtle.digest('SHA-256', enc.encode(`mindecho-mock:${password}`)));
+}
+
+/** pkceChallenge(verifier) — the RFC 7636 S256 code_challenge for a code_verifier */
+export async function pkceChallenge(verifier) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', enc.encode(String(verifier))));
+  return base64Url(String.fromCharCode(...digest));
+}
+
+/**
+ * accessToken(sessionId, userId, ttlMs) — an unsigned JWT-shaped token, so
+ * the client's tokenExpiresAt() can schedule renewal exactly as in production.
+ */
+export function accessToken(sessionId, userId, ttlMs) {
+  const header = base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({ sid: sessionId, sub: userId, exp: Math.floor((Date.now() + ttlMs) / 1000), jti: randomToken(4) }));
+  return `${header}.${payload}.mock`;
+}
+
+/* ---------- TOTP (RFC 6238, SHA-1, 6 digits, 30 s) ---------- */
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Secret(bytes = 20) {
+  let bits = '';
+  for (const b of crypto.getRandomValues(new Uint8Array(bytes))) bits += b.toString(2).padStart(8, '0');
+  return bits.match(/.{1,5}/g).map((chunk) => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function base32Decode(secret) {
+  const bits = secret
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map((c) => BASE32.indexOf(c).toString(2).padStart(5, '0'))
+    .join('');
+  return new Uint8Array(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+}
+
+async function hotp(key, counter) {
+  const msg = new ArrayBuffer(8);
+  new DataView(msg).setUint32(4, counter);
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, msg));
+  const offset = mac[mac.length - 1] & 0xf;
+  const code = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(code % 1e6).padStart(6, '0');
+}
+
+/** verifyTotp(secret, code) — accepts the previous, current and next 30 s step */
+export async function verifyTotp(secret, code) {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const step = Math.floor(Date.now() / 30000);
+  for (const drift of [-1, 0, 1]) {
+    if ((await hotp(key, step + drift)) === String(code).replace(/\s/g, '')) return true;
+  }
+  return false;
+}
+
+export function recoveryCodes(count = 8) {
+  return Array.from({ length: count }, () => randomToken(5).replace(/(.{5})/, '$1-'));
+}
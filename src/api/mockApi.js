@@ -1,42 +1,8 @@
 // src/api/mockApi.js
-// A friendly mock API for frontend development. Includes an event emitter
-// and `pushLiveSignal` for simulating live sensor events.
-
-const MOCK_DB = {
-  users: [
-    {
-      id: 'u1',
-      email: 'sarah@example.com',
-      passwordHash: 'hashed_password',
-      name: 'Sarah Connor',
-      consent: { neurofeedback: true, camera: true, audio: true },
-    },
-  ],
-  profiles: [
-    {
-      id: 'p1',
-      userId: 'u1',
-      displayName: 'Sarah',
-      bio: 'Just trying to be more mindful.',
-      location: 'San Francisco, CA',
-      avatarUrl: `https://placehold.co/100x100/A78BFA/FFFFFF?text=SC`,
-      tags: ['Mindfulness', 'Music'],
-      baselineMetrics: { calm: 0.6, anxiety: 0.3, focus: 0.7 },
-    },
-  ],
-  sessions: [
-    {
-      id: 's1',
-      userId: 'u1',
-      timestamp: new Date(Date.now() - 86400000).toISOString(),
-      type: 'Breathing Exercise',
-      duration: 300,
-      startEmotion: 'anxious',
-      endEmotion: 'calm',
-      summary: 'Felt better after breathing.',
-    },
-  ],
-};
+// Live sensor signal simulator for frontend development: an event emitter,
+// `pushLiveSignal` and a rolling buffer behind `getLiveSignals`.
+// REST data comes from the backend (or the offline mock backend in
+// src/api/mock, enabled with VITE_MOCK_API=true).
 
 // Simple event emitter for frontend dev (used for live signals)
 function createEmitter() {
@@ -64,128 +30,11 @@ function createEmitter() {
 
 const emitter = createEmitter();
 
-const mockApi = {
-  // --- auth ---
-  login(email, password) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const user = MOCK_DB.users.find((u) => u.email === email);
-        if (user && password === 'password') {
-          const profile = MOCK_DB.profiles.find((p) => p.userId === user.id);
-          resolve({ ...user, profile });
-        } else {
-          reject(new Error('Invalid email or password. (Hint: use "password")'));
-        }
-      }, 350);
-    });
-  },
-
-  register(name, email, password, consent = { neurofeedback: true, camera: true, audio: true }) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        if (MOCK_DB.users.find((u) => u.email === email)) {
-          return reject(new Error('Email already in use.'));
-        }
-        const newId = `u${MOCK_DB.users.length + 1}`;
-        const user = { id: newId, email, passwordHash: 'hashed_password', name, consent };
-        MOCK_DB.users.push(user);
-        const profile = {
-          id: `p${MOCK_DB.profiles.length + 1}`,
-          userId: newId,
-          displayName: name.split(' ')[0],
-          bio: '',
-          location: '',
-          avatarUrl: `https://placehold.co/100x100/A78BFA/FFFFFF?text=${name.charAt(0)}`,
-          tags: [],
-          baselineMetrics: { calm: 0.5, anxiety: 0.5, focus: 0.5 },
-        };
-        MOCK_DB.profiles.push(profile);
-        resolve({ ...user, profile });
-      }, 450);
-    });
-  },
-
-  logout() {
-    return new Promise((resolve) => setTimeout(resolve, 200));
-  },
-
-  getMe(userId) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const u = MOCK_DB.users.find((x) => x.id === userId);
-        if (!u) return reject(new Error('User not found.'));
-        const profile = MOCK_DB.profiles.find((p) => p.userId === u.id);
-        resolve({ ...u, profile });
-      }, 200);
-    });
-  },
-
-  getProfiles() {
-    return new Promise((resolve) => setTimeout(() => resolve(MOCK_DB.profiles.slice()), 250));
-  },
-
-  getProfile(id) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const p = MOCK_DB.profiles.find((x) => x.id === id);
-        if (!p) return reject(new Error('Profile not found.'));
-        resolve(p);
-      }, 250);
-    });
-  },
-
-  updateProfile(id, data) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const idx = MOCK_DB.profiles.findIndex((p) => p.id === id);
-        if (idx === -1) return reject(new Error('Profile not found.'));
-        MOCK_DB.profiles[idx] = { ...MOCK_DB.profiles[idx], ...data };
-        resolve(MOCK_DB.profiles[idx]);
-      }, 300);
-    });
-  },
-
-  updateConsent(userId, consent) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const u = MOCK_DB.users.find((x) => x.id === userId);
-        if (!u) return reject(new Error('User not found.'));
-        u.consent = { ...u.consent, ...consent };
-        resolve(u);
-      }, 300);
-    });
-  },
-
-  getHistory(userId) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve(MOCK_DB.sessions.filter((s) => s.userId === userId));
-      }, 300);
-    });
-  },
-
-  exportData(userId) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const user = MOCK_DB.users.find((u) => u.id === userId);
-        const profile = MOCK_DB.profiles.find((p) => p.userId === userId);
-        const sessions = MOCK_DB.sessions.filter((s) => s.userId === userId);
-        resolve({ user, profile, sessions });
-      }, 400);
-    });
-  },
-
-  deleteData(userId) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        MOCK_DB.users = MOCK_DB.users.filter((u) => u.id !== userId);
-        MOCK_DB.profiles = MOCK_DB.profiles.filter((p) => p.userId !== userId);
-        MOCK_DB.sessions = MOCK_DB.sessions.filter((s) => s.userId !== userId);
-        resolve({ message: 'User data deleted.' });
-      }, 500);
-    });
-  },
+// most recent envelopes, newest last
+const LIVE_BUFFER_SIZE = 120;
+const liveBuffer = [];
 
+const mockApi = {
   // --- Event emitter API ---
   on(event, cb) {
     return emitter.on(event, cb);
@@ -206,10 +55,22 @@ const mockApi = {
   pushLiveSignal(payload) {
     const ts = new Date().toISOString();
     const envelope = { timestamp: ts, ...payload };
+    liveBuffer.push(envelope);
+    if (liveBuffer.length > LIVE_BUFFER_SIZE) liveBuffer.shift();
     emitter.emit('signals', envelope);
     return envelope;
   },
 
+  /**
+   * getLiveSignals(userId?, { limit })
+   * - Resolves with the most recent envelopes (oldest first); when `userId`
+   *   is given only envelopes pushed for that user are returned.
+   */
+  getLiveSignals(userId, { limit = 30 } = {}) {
+    const mine = userId ? liveBuffer.filter((e) => !e.userId || e.userId === userId) : liveBuffer;
+    return Promise.resolve(mine.slice(-limit));
+  },
+
   // small helper to generate semi-random signals for testing
   startAutoSignals(intervalMs = 1500) {
     if (this._autoInterval) return;
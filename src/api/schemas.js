@@ -0,0 +1,209 @@
+// src/api/schemas.js
+// Contracts for every backend payload the app renders. Pass one as
+// `opts.schema` to the httpClient (or call validate() from lib/schema) so
+// data is checked once, at the API boundary, instead of in each component.
+
+import { s } from '../lib/schema';
+
+// MongoDB-style backends send `_id`
+const withId = (v) => (v && typeof v === 'object' && v.id == null && v._id != null ? { ...v, id: v._id } : v);
+
+// a list endpoint may answer with a bare array or `{ [key]: [...] }`
+const listOf = (key, item) =>
+  s.preprocess((v) => (Array.isArray(v) ? v : v?.[key]), s.array(item, { dropInvalid: true }).default([]));
+
+const score = () => s.number({ coerce: true, min: 0, max: 1 });
+
+/* ---------- accounts ---------- */
+
+export const profileSchema = s.preprocess(
+  withId,
+  s.object({
+    id: s.id(),
+    userId: s.id().optional().catch(undefined),
+    displayName: s.string({ min: 2 }).transform((v) => v.trim()),
+    bio: s.string().default('').catch(''),
+    location: s.string().default('').catch(''),
+    avatarUrl: s.string().optional().catch(undefined),
+    tags: s.array(s.string(), { dropInvalid: true }).default([]).catch([]),
+    baselineMetrics: s
+      .object({ calm: score().catch(0.5), anxiety: score().catch(0.5), focus: score().catch(0.5) })
+      .optional()
+      .catch(undefined),
+    joinedAt: s.isoDate().optional().catch(undefined),
+    verified: s.boolean().optional().catch(undefined),
+    emailVerified: s.boolean().optional().catch(undefined),
+  })
+).named('profile');
+
+// GET /profile/:id answers `{ profile }` or the bare profile
+export const profileResponseSchema = s.preprocess((v) => v?.profile ?? v, profileSchema).named('profile');
+
+export const profileListSchema = listOf('profiles', profileSchema).named('profile list');
+
+// consent the server did not state is treated as not given
+const NO_CONSENT = { neurofeedback: false, camera: false, audio: false };
+const consentFlag = () => s.boolean().default(false).catch(false);
+
+export const userSchema = s.preprocess(
+  withId,
+  s.object({
+    id: s.id(),
+    email: s.string({ min: 3 }),
+    name: s.string().optional().catch(undefined),
+    role: s.string().optional().catch(undefined),
+    roles: s.array(s.string(), { dropInvalid: true }).optional().catch(undefined),
+    permissions: s.array(s.string(), { dropInvalid: true }).optional().catch(undefined),
+    emailVerified: s.boolean().optional().catch(undefined),
+    // false for accounts that only sign in through a provider (no password to re-enter)
+    hasPassword: s.boolean().optional().catch(undefined),
+    consent: s
+      .object({ neurofeedback: consentFlag(), camera: consentFlag(), audio: consentFlag() })
+      .default(NO_CONSENT)
+      .catch(NO_CONSENT),
+    // a broken profile must not sign the user out
+    profile: profileSchema.nullable().optional().catch(null),
+  })
+).named('user');
+
+/* ---------- mood / activity history ---------- */
+
+export const historySessionSchema = s.preprocess(
+  withId,
+  s.object({
+    id: s.id(),
+    userId: s.id().optional().catch(undefined),
+    timestamp: s.isoDate().optional().catch(undefined),
+    createdAt: s.isoDate().optional().catch(undefined),
+    type: s.string().default('Session').catch('Session'),
+    duration: s.number({ coerce: true, min: 0 }).optional().catch(undefined),
+    startEmotion: s.string().optional().catch(undefined),
+    endEmotion: s.string().optional().catch(undefined),
+    summary: s.string().optional().catch(undefined),
+  })
+).named('session');
+
+export const historyListSchema = listOf('sessions', historySessionSchema).named('session list');
+
+/* ---------- inference, emotion, voice, rtc ---------- */
+
+// index order of inferResult.emotion_dist
+export const EMOTION_LABELS = ['Anger', 'Disgust', 'Fear', 'Sad', 'Neutral', 'Happy', 'Surprise'];
+
+export const inferResultSchema = s.object({
+  emotion_dist: s.array(score()).refine((d) => d.length > 0, 'must not be empty'),
+  valence: score().nullable().default(null).catch(null),
+  arousal: score().nullable().default(null).catch(null),
+  recommendation: s
+    .object({ title: s.string().optional().catch(undefined), desc: s.string().optional().catch(undefined), description: s.string().optional().catch(undefined) })
+    .optional()
+    .catch(undefined),
+}).named('inference result');
+
+/** one frame from POST /emotion; a frame the server could not read is rejected */
+export const emotionFrameSchema = s
+  .object({
+    success: s.boolean().default(true),
+    emotions: s.object({
+      happiness: score().default(0),
+      neutral: score().default(0),
+      sadness: score().default(0),
+      anger: score().default(0),
+      fear: score().default(0),
+    }),
+  })
+  .refine((f) => f.success !== false, 'server reported success: false')
+  .named('emotion frame');
+
+/** POST /api/voice — both the transcription and the reply shape */
+export const voiceReplySchema = s.object({
+  success: s.boolean().default(false).catch(false),
+  transcript: s.string().optional().catch(undefined),
+  replyText: s.string().optional().catch(undefined),
+  replyTextUserLanguage: s.string().optional().catch(undefined),
+  audioBase64: s.string().nullable().optional().catch(null),
+  error: s.string().optional().catch(undefined),
+}).named('voice reply');
+
+export const rtcTokenSchema = s
+  .object({
+    appId: s.string().optional().catch(undefined),
+    token: s.string().nullable().optional().catch(null),
+    uid: s.union(s.number(), s.string()).optional().catch(undefined),
+  })
+  .refine((t) => !!(t.token || t.appId), 'needs a token or an appId')
+  .named('RTC token');
+
+/* ---------- offline sync (journal, mood, meditation) ---------- */
+
+// record fields other than the stamps are the collection's own and pass through
+const syncRecordSchema = s
+  .object({
+    id: s.id(),
+    version: s.number({ coerce: true, min: 0 }),
+    updatedAt: s.isoDate(),
+    deleted: s.boolean().default(false).catch(false),
+  })
+  .named('sync record');
+
+/** GET /sync/:collection?since= */
+export const syncPullSchema = s
+  .object({
+    records: s.array(syncRecordSchema, { dropInvalid: true }).default([]),
+    cursor: s.union(s.number(), s.string()).nullable().default(null),
+  })
+  .named('sync pull');
+
+/** POST /sync/:collection — one result per pushed change */
+export const syncPushSchema = s
+  .object({
+    results: s
+      .array(
+        s.object({
+          id: s.id(),
+          status: s.enum(['ok', 'conflict']),
+          version: s.number({ coerce: true, min: 0 }).optional(),
+          current: syncRecordSchema.optional(),
+        }),
+        { dropInvalid: true }
+      )
+      .default([]),
+  })
+  .named('sync push');
+
+/* ---------- reminders & push ---------- */
+
+const clockTime = () => s.string().refine((v) => /^([01]\d|2[0-3]):[0-5]\d$/.test(v), 'must be HH:MM');
+
+const reminderScheduleSchema = s.object({
+  enabled: s.boolean().default(false).catch(false),
+  time: clockTime(),
+  days: s.array(s.number({ min: 0, max: 6 }), { dropInvalid: true }).default([0, 1, 2, 3, 4, 5, 6]),
+});
+
+/** GET/PUT /me/reminders — null until the user first saves them */
+export const reminderSettingsSchema = s
+  .object({
+    schedules: s.object({
+      mood: reminderScheduleSchema.optional().catch(undefined),
+      journal: reminderScheduleSchema.optional().catch(undefined),
+      meditation: reminderScheduleSchema.optional().catch(undefined),
+    }),
+    quietHours: s
+      .object({
+        enabled: s.boolean().default(false).catch(false),
+        start: clockTime(),
+        end: clockTime(),
+      })
+      .default({ enabled: false, start: '22:00', end: '07:00' }),
+    timezone: s.string().optional().catch(undefined),
+  })
+  .nullable()
+  .named('reminder settings');
+
+/** GET /push/config — publicKey is null when the server has no VAPID keys */
+export const pushConfigSchema = s
+  .object({
+    publicKey: s.string({ min: 1 }).nullable().default(null).catch(null),
+  })
+  .named('push config');
@@ -1,5 +1,8 @@
 // src/components/ChatBot.jsx
 import React, { useState, useRef, useEffect } from "react";
+import { api } from "../api/httpClient";
+import { voiceReplySchema } from "../api/schemas";
+import { useIdleLock } from "../contexts/IdleLockContext";
 
 /**
  * ChatBot with Tone Switcher + Conversation → Action Triggers
@@ -8,13 +11,9 @@ import React, { useState, useRef, useEffect } from "react";
  * - Sends transcript as text-mode to /api/voice with { text, selectedMode }
  * - Tone selector (calm | motivate | grounding)
  * - detectTriggers shows breathing/journal/grounding UI automatically
+ * - locking the app (inactivity) discards an in-progress recording and stops playback
  */
 
-const BACKEND_BASE =
-  (typeof import.meta !== "undefined" && import.meta.env && import.meta.env.VITE_BACKEND_URL) ||
-  "http://localhost:4000";
-const VOICE_URL = `${BACKEND_BASE.replace(/\/$/, "")}/api/voice`;
-
 export default function ChatBot() {
   const [open, setOpen] = useState(false);
   const [messages, setMessages] = useState([{ role: "assistant", text: "Hi — hold the mic and speak. I'll transcribe and reply." }]);
@@ -29,6 +28,8 @@ export default function ChatBot() {
   const chunksRef = useRef([]);
   const audioRef = useRef(new Audio());
   const listRef = useRef(null);
+  const discardRef = useRef(false);
+  const { locked } = useIdleLock();
 
   useEffect(() => {
     if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
@@ -44,19 +45,6 @@ export default function ChatBot() {
     return null;
   }
 
-  // small helper: safe fetch JSON (reads text then parse)
-  async function safeFetchJson(url, options) {
-    const resp = await fetch(url, options);
-    const text = await resp.text();
-    if (!resp.ok) {
-      let parsed = null;
-      try { parsed = text ? JSON.parse(text) : null; } catch (e) {}
-      throw new Error(parsed?.error ?? parsed ?? `Voice API error ${resp.status}`);
-    }
-    if (!text) return null;
-    try { return JSON.parse(text); } catch (e) { throw new Error("Invalid JSON from backend"); }
-  }
-
   // convert base64 -> Blob
   const base64ToBlob = (b64, mime = "audio/ogg") => {
     const bytes = atob(b64);
@@ -77,8 +65,12 @@ export default function ChatBot() {
       recorder.onstop = async () => {
         const blob = new Blob(chunksRef.current, { type: "audio/webm" });
         chunksRef.current = [];
-        await handleAudioFlow(blob);
         try { stream.getTracks().forEach((t) => t.stop()); } catch (e) {}
+        if (discardRef.current) {
+          discardRef.current = false;
+          return;
+        }
+        await handleAudioFlow(blob);
       };
       recorder.start();
       setRecording(true);
@@ -91,6 +83,17 @@ export default function ChatBot() {
     setRecording(false);
   };
 
+  // the screen locked: nothing captured while away is sent, nothing keeps playing
+  useEffect(() => {
+    if (!locked) return;
+    const r = mediaRecorderRef.current;
+    if (r && r.state !== "inactive") {
+      discardRef.current = true;
+      stopRecording();
+    }
+    audioRef.current.pause();
+  }, [locked]);
+
   // Full flow: audio->transcript -> send transcript + mode -> reply
   async function handleAudioFlow(blob) {
     setLoading(true);
@@ -99,10 +102,10 @@ export default function ChatBot() {
       const form = new FormData();
       form.append("file", blob, "voice.webm");
       form.append("history", JSON.stringify(messages.slice(-10)));
-      const transResp = await safeFetchJson(VOICE_URL, { method: "POST", body: form });
+      const transResp = await api.voice.upload("/api/voice", form, { schema: voiceReplySchema });
 
-      if (!transResp?.success) {
-        setMessages((m) => [...m, { role: "assistant", text: transResp?.error || "Could not transcribe audio." }]);
+      if (!transResp.success) {
+        setMessages((m) => [...m, { role: "assistant", text: transResp.error || "Could not transcribe audio." }]);
         setLoading(false);
         return;
       }
@@ -115,13 +118,9 @@ export default function ChatBot() {
       if (tool) setActiveTool(tool);
 
       // 2) send text-mode with selectedMode
-      const jsonResp = await safeFetchJson(VOICE_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text: transcript, history: messages.slice(-10), selectedMode }),
-      });
+      const jsonResp = await api.voice.post("/api/voice", { text: transcript, history: messages.slice(-10), selectedMode }, { schema: voiceReplySchema });
 
-      if (jsonResp?.success) {
+      if (jsonResp.success) {
         const reply = jsonResp.replyTextUserLanguage || jsonResp.replyText || "(no reply)";
         setMessages((m) => [...m, { role: "assistant", text: reply }]);
 
@@ -140,7 +139,7 @@ export default function ChatBot() {
           } catch (e) {}
         }
       } else {
-        setMessages((m) => [...m, { role: "assistant", text: jsonResp?.error || "Assistant failed to reply." }]);
+        setMessages((m) => [...m, { role: "assistant", text: jsonResp.error || "Assistant failed to reply." }]);
       }
     } catch (err) {
       console.error("handleAudioFlow error:", err);
@@ -162,13 +161,9 @@ export default function ChatBot() {
 
     setLoading(true);
     try {
-      const jsonResp = await safeFetchJson(VOICE_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text, history: messages.slice(-10), selectedMode }),
-      });
+      const jsonResp = await api.voice.post("/api/voice", { text, history: messages.slice(-10), selectedMode }, { schema: voiceReplySchema });
 
-      if (jsonResp?.success) {
+      if (jsonResp.success) {
         const reply = jsonResp.replyTextUserLanguage || jsonResp.replyText || "(no reply)";
         setMessages((m) => [...m, { role: "assistant", text: reply }]);
 
@@ -182,7 +177,7 @@ export default function ChatBot() {
           } catch (e) {}
         }
       } else {
-        setMessages((m) => [...m, { role: "assistant", text: jsonResp?.error || "Assistant error." }]);
+        setMessages((m) => [...m, { role: "assistant", text: jsonResp.error || "Assistant error." }]);
       }
     } catch (e) {
       console.error("sendText error:", e);
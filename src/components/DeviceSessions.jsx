@@ -0,0 +1,175 @@
+// src/components/DeviceSessions.jsx
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Monitor, Smartphone, Tablet, MonitorSmartphone, LogOut } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useQuery, useMutation } from '../hooks/useQuery';
+import { listSessions, revokeSession, revokeOtherSessions } from '../services/sessionService';
+
+// best-effort labels for sessions the server did not describe
+function describeAgent(ua = '') {
+  const browser = /Edg\//.test(ua)
+    ? 'Edge'
+    : /OPR\//.test(ua)
+    ? 'Opera'
+    : /Firefox\//.test(ua)
+    ? 'Firefox'
+    : /Chrome\//.test(ua)
+    ? 'Chrome'
+    : /Safari\//.test(ua)
+    ? 'Safari'
+    : null;
+  const os = /iPad/.test(ua)
+    ? 'iPadOS'
+    : /iPhone/.test(ua)
+    ? 'iOS'
+    : /Android/.test(ua)
+    ? 'Android'
+    : /Windows/.test(ua)
+    ? 'Windows'
+    : /Mac OS X/.test(ua)
+    ? 'macOS'
+    : /Linux/.test(ua)
+    ? 'Linux'
+    : null;
+  const kind = /iPad|Tablet/.test(ua) ? 'tablet' : /Mobi|iPhone|Android/.test(ua) ? 'mobile' : 'desktop';
+  return { browser, os, kind };
+}
+
+const DEVICE_ICONS = { desktop: Monitor, mobile: Smartphone, tablet: Tablet };
+
+function lastSeen(iso) {
+  if (!iso) return 'Unknown';
+  const mins = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (mins < 2) return 'Active now';
+  if (mins < 60) return `${mins} min ago`;
+  if (mins < 60 * 24) return `${Math.round(mins / 60)} h ago`;
+  return new Date(iso).toLocaleDateString();
+}
+
+/**
+ * DeviceSessions — Settings card listing where the account is signed in,
+ * with per-device revoke and sign-out everywhere.
+ *
+ * Props:
+ *  - darkMode: match the Settings theme
+ *  - onStatus(text): report to the Settings status pill
+ */
+export default function DeviceSessions({ darkMode, onStatus = () => {} }) {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const [pendingId, setPendingId] = useState(null);
+
+  const sessionsQuery = useQuery(['auth-sessions'], ({ signal }) => listSessions({ signal }));
+  const revoke = useMutation(revokeSession, { invalidates: [['auth-sessions']] });
+  const revokeOthers = useMutation(revokeOtherSessions, { invalidates: [['auth-sessions']] });
+
+  const sessions = [...(sessionsQuery.data || [])].sort(
+    (a, b) => (b.current ? 1 : 0) - (a.current ? 1 : 0) || new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0)
+  );
+  const others = sessions.filter((s) => !s.current);
+  const busy = !!pendingId || revokeOthers.isLoading;
+
+  const signOutHere = async (opts) => {
+    await logout(opts);
+    navigate('/login', { replace: true });
+  };
+
+  const remove = async (session) => {
+    setError('');
+    setPendingId(session.id);
+    try {
+      await revoke.mutate(session.id);
+      // this browser's own session is gone: drop the local tokens too
+      if (session.current) return signOutHere({ server: false });
+      onStatus('Device signed out successfully');
+    } catch (err) {
+      setError(err?.message || 'Could not sign out that device');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const removeOthers = async () => {
+    setError('');
+    try {
+      await revokeOthers.mutate();
+      onStatus('Other devices signed out successfully');
+    } catch (err) {
+      setError(err?.message || 'Could not sign out other devices');
+    }
+  };
+
+  const removeAll = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    setPendingId('*');
+    await signOutHere({ everywhere: true });
+  };
+
+  return (
+    <section className={`rounded-2xl p-6 ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow-lg`}>
+      <div className="flex items-center gap-3">
+        <MonitorSmartphone className="w-6 h-6 text-indigo-400" />
+        <div>
+          <h2 className="text-lg font-semibold">Devices &amp; sessions</h2>
+          <p className="text-sm text-gray-400 mt-1">Everywhere your account is signed in. Sign out anything you don't recognise.</p>
+        </div>
+      </div>
+
+      <div className="mt-5 space-y-3 text-sm">
+        {sessionsQuery.isLoading && <div className="text-gray-400">Loading…</div>}
+        {sessionsQuery.error && !sessionsQuery.data && <div className="text-red-400">Could not load sessions.</div>}
+
+        {sessions.map((s) => {
+          const agent = describeAgent(s.userAgent);
+          const Icon = DEVICE_ICONS[s.deviceType || agent.kind] || Monitor;
+          const browser = s.browser || agent.browser || 'Unknown browser';
+          const os = s.os || agent.os;
+          return (
+            <div key={s.id} className="flex items-center justify-between gap-3 p-3 rounded-xl border dark:border-gray-800 bg-white/6">
+              <div className="flex items-center gap-3 min-w-0">
+                <Icon className="w-5 h-5 shrink-0 text-gray-400" />
+                <div className="min-w-0">
+                  <div className="font-medium truncate">
+                    {s.device || (os ? `${browser} on ${os}` : browser)}
+                    {s.current && <span className="ml-2 text-[10px] px-2 py-0.5 rounded-full bg-green-600/20 text-green-400 align-middle">This device</span>}
+                  </div>
+                  <div className="text-xs text-gray-400 truncate">
+                    {[s.location || s.ip || 'Unknown location', s.current ? 'Active now' : lastSeen(s.lastSeenAt)].join(' · ')}
+                  </div>
+                </div>
+              </div>
+              <button
+                onClick={() => remove(s)}
+                disabled={busy}
+                className="shrink-0 px-3 py-1.5 rounded-lg bg-red-600/10 hover:bg-red-600/20 text-red-400 text-xs disabled:opacity-50"
+              >
+                {pendingId === s.id ? 'Signing out…' : s.current ? 'Sign out' : 'Revoke'}
+              </button>
+            </div>
+          );
+        })}
+
+        {sessions.length > 0 && (
+          <div className="flex flex-wrap gap-2 pt-1">
+            {others.length > 0 && (
+              <button onClick={removeOthers} disabled={busy} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10 disabled:opacity-50">
+                {revokeOthers.isLoading ? 'Signing out…' : 'Sign out other devices'}
+              </button>
+            )}
+            <button
+              onClick={removeAll}
+              disabled={busy}
+              className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-red-600/20 text-red-400 hover:bg-red-600/30 disabled:opacity-50"
+            >
+              <LogOut className="w-4 h-4" /> Sign out everywhere
+            </button>
+          </div>
+        )}
+
+        {error && <div role="alert" className="text-red-400">{error}</div>}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,34 @@
+// src/components/EmailVerificationBanner.jsx
+import React from "react";
+import { MailWarning } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { needsEmailVerification } from "../services/accountService";
+import { useResendVerification } from "../hooks/useResendVerification";
+
+/**
+ * EmailVerificationBanner — app-shell notice for accounts whose email is not
+ * confirmed yet (renders nothing otherwise). Community stays hidden until then.
+ */
+export default function EmailVerificationBanner() {
+  const { user } = useAuth();
+  const resend = useResendVerification(user?.email);
+
+  if (!needsEmailVerification(user)) return null;
+
+  return (
+    <div role="status" className="mb-6 flex flex-col md:flex-row md:items-center gap-3 rounded-xl border border-yellow-500/30 bg-yellow-500/10 px-4 py-3 text-sm text-yellow-100">
+      <MailWarning className="w-5 h-5 text-yellow-400 shrink-0" />
+      <div className="flex-1">
+        Confirm your email address to unlock Community. We sent a link to <span className="font-medium">{user.email}</span>.
+        {resend.message && <span className="block text-xs text-yellow-200/80 mt-1">{resend.message}</span>}
+      </div>
+      <button
+        onClick={resend.send}
+        disabled={!resend.canSend}
+        className="px-3 py-1.5 rounded-lg bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-100 text-xs font-medium disabled:opacity-50"
+      >
+        {resend.label}
+      </button>
+    </div>
+  );
+}
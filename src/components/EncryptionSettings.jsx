@@ -0,0 +1,193 @@
+// src/components/EncryptionSettings.jsx
+import React, { useState } from 'react';
+import { ShieldCheck, AlertTriangle } from 'lucide-react';
+import { useVault } from '../hooks/useVault';
+import { MIN_PASSPHRASE_LENGTH } from '../lib/vault';
+
+/**
+ * EncryptionSettings — end-to-end encryption card for the Settings page.
+ * Off: choose a passphrase (after acknowledging it can't be recovered).
+ * On: lock / unlock, change the passphrase (re-encrypts everything) or turn it off.
+ *
+ * Props:
+ *  - darkMode: match the Settings theme
+ *  - onStatus(text): report to the Settings status pill
+ */
+export default function EncryptionSettings({ darkMode, onStatus = () => {} }) {
+  const { state, enabled, unlock, lock, enableEncryption, changePassphrase, disableEncryption } = useVault();
+
+  // step: idle | enable | change | disable | unlock
+  const [step, setStep] = useState('idle');
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setStep('idle');
+    setCurrent('');
+    setNext('');
+    setConfirm('');
+    setAcknowledged(false);
+    setError('');
+  };
+
+  const run = async (e, action, done) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      reset();
+      onStatus(done);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const mismatch = confirm && next !== confirm;
+  const nextValid = next.length >= MIN_PASSPHRASE_LENGTH && next === confirm;
+
+  const inputCls = `w-full rounded-lg px-3 py-2 text-sm border ${darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'}`;
+  const passwordInput = (value, onChange, placeholder, autoComplete = 'off') => (
+    <input
+      type="password"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      autoComplete={autoComplete}
+      placeholder={placeholder}
+      aria-label={placeholder}
+      className={inputCls}
+    />
+  );
+  const newPassphraseFields = (
+    <>
+      {passwordInput(next, setNext, 'New passphrase', 'new-password')}
+      {passwordInput(confirm, setConfirm, 'Repeat passphrase', 'new-password')}
+      <p className="text-xs text-gray-400">
+        At least {MIN_PASSPHRASE_LENGTH} characters. A few unrelated words are easier to remember than symbols.
+        {mismatch && <span className="text-red-400"> The passphrases don't match.</span>}
+      </p>
+    </>
+  );
+  const cancel = (
+    <button type="button" onClick={reset} className="px-3 py-2 rounded-lg border">
+      Cancel
+    </button>
+  );
+
+  return (
+    <section className={`rounded-2xl p-6 ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow-lg`}>
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <ShieldCheck className="w-6 h-6 text-indigo-400" />
+          <div>
+            <h2 className="text-lg font-semibold">Journal encryption</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Encrypt journal entries and mood notes with a passphrase only you know, before they're saved or synced.
+            </p>
+          </div>
+        </div>
+        <span className={`text-xs font-medium px-2 py-1 rounded-full ${enabled ? 'bg-green-500/15 text-green-400' : 'bg-gray-500/15 text-gray-400'}`}>
+          {!enabled ? 'Off' : state === 'unlocked' ? 'On · unlocked' : 'On · locked'}
+        </span>
+      </div>
+
+      <div className="mt-5 text-sm">
+        {step === 'idle' && state === 'off' && (
+          <button onClick={() => setStep('enable')} className="px-4 py-2 rounded-lg bg-indigo-600 text-white">
+            Turn on encryption
+          </button>
+        )}
+
+        {step === 'idle' && state === 'locked' && (
+          <button onClick={() => setStep('unlock')} className="px-4 py-2 rounded-lg bg-indigo-600 text-white">
+            Unlock
+          </button>
+        )}
+
+        {step === 'idle' && state === 'unlocked' && (
+          <div className="flex flex-wrap items-center gap-3">
+            <button onClick={lock} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+              Lock now
+            </button>
+            <button onClick={() => setStep('change')} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+              Change passphrase
+            </button>
+            <button onClick={() => setStep('disable')} className="px-3 py-2 rounded-lg bg-red-600/10 hover:bg-red-600/20 text-red-400">
+              Turn off
+            </button>
+          </div>
+        )}
+
+        {step === 'enable' && (
+          <form onSubmit={(e) => run(e, () => enableEncryption(next), 'Encryption turned on')} className="space-y-3 max-w-md">
+            <div className="flex gap-2 p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-amber-200">
+              <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+              <p className="text-xs">
+                Your passphrase never leaves this device and we can't reset it. If you forget it, your encrypted journal entries
+                and mood notes are lost for good — on every device, and in any encrypted export.
+              </p>
+            </div>
+            {newPassphraseFields}
+            <label className="flex items-start gap-2 text-xs">
+              <input type="checkbox" checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} className="mt-0.5" />
+              <span>I understand that losing my passphrase means losing my encrypted data.</span>
+            </label>
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !nextValid || !acknowledged} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+                {busy ? 'Encrypting…' : 'Encrypt my entries'}
+              </button>
+              {cancel}
+            </div>
+          </form>
+        )}
+
+        {step === 'unlock' && (
+          <form onSubmit={(e) => run(e, () => unlock(current), 'Unlocked')} className="space-y-3 max-w-sm">
+            {passwordInput(current, setCurrent, 'Passphrase', 'current-password')}
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !current} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+                {busy ? 'Checking…' : 'Unlock'}
+              </button>
+              {cancel}
+            </div>
+          </form>
+        )}
+
+        {step === 'change' && (
+          <form onSubmit={(e) => run(e, () => changePassphrase(current, next), 'Passphrase changed')} className="space-y-3 max-w-md">
+            <p className="text-gray-400">Everything is re-encrypted with a new key. Your other devices will ask for the new passphrase.</p>
+            {passwordInput(current, setCurrent, 'Current passphrase', 'current-password')}
+            {newPassphraseFields}
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !current || !nextValid} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+                {busy ? 'Re-encrypting…' : 'Change passphrase'}
+              </button>
+              {cancel}
+            </div>
+          </form>
+        )}
+
+        {step === 'disable' && (
+          <form onSubmit={(e) => run(e, () => disableEncryption(current), 'Encryption turned off')} className="space-y-3 max-w-sm">
+            <p className="text-gray-400">Your entries will be decrypted and stored and synced as plain text again.</p>
+            {passwordInput(current, setCurrent, 'Passphrase', 'current-password')}
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !current} className="px-4 py-2 rounded-lg bg-red-600 text-white disabled:opacity-50">
+                {busy ? 'Decrypting…' : 'Turn off'}
+              </button>
+              {cancel}
+            </div>
+          </form>
+        )}
+
+        {error && <div className="mt-3 text-red-400">{error}</div>}
+      </div>
+    </section>
+  );
+}
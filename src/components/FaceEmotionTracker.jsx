@@ -1,5 +1,8 @@
 // src/components/FaceEmotionTracker.jsx
 import React, { useEffect, useRef, useState } from "react";
+import { CameraAdapter, affectOf, INFERENCE_PREF_KEY } from "../lib/sensors/camera";
+import { useStoredValue } from "../hooks/useStoredValue";
+import { useIdleLock } from "../contexts/IdleLockContext";
 
 /**
  * FaceEmotionTracker
@@ -12,40 +15,17 @@ import React, { useEffect, useRef, useState } from "react";
  *  - hideVideo (default false)  => don't show video element to the user (video is kept hidden for capture)
  *  - compact (default false)    => even more compact layout (useful for small panels)
  *
+ * The camera is paused while the app is locked for inactivity and resumes on unlock.
+ * "On-device only" (shared with Settings) reads frames with face-api in the browser;
+ * otherwise they go to the emotion service.
+ *
  * Notes:
- *  - Uses your backend /emotion endpoint (Vite: VITE_BACKEND_URL or fallback http://localhost:4000)
+ *  - Capture and reading frames (POST /emotion, or on-device) live in lib/sensors/camera;
+ *    a frame without a readable face is skipped
  *  - The component decouples the "emotion breakdown bars" (happiness, neutral, sadness, anger, fear)
  *    from the calm/anxious/focus mapping which is emitted via onSignal for your app logic.
  */
 
-const BACKEND_BASE =
-  (typeof import.meta !== "undefined" && import.meta.env && import.meta.env.VITE_BACKEND_URL) ||
-  "http://localhost:4000";
-
-const EMOTION_URL = `${BACKEND_BASE.replace(/\/$/, "")}/emotion`;
-
-/* Safe call helper: reads text then parse */
-async function callEmotionApi(base64) {
-  const resp = await fetch(EMOTION_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ imageBase64: base64 }),
-  });
-
-  const text = await resp.text();
-
-  if (!resp.ok) {
-    // throw useful message containing backend body
-    throw new Error(`Emotion API error ${resp.status}: ${text || resp.statusText}`);
-  }
-  if (!text) throw new Error("Emotion API returned empty response");
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    throw new Error("Emotion API returned invalid JSON");
-  }
-}
-
 /* Small stat bar used in UI */
 function StatBar({ label, value, compact }) {
   const pct = Math.round((value ?? 0) * 100);
@@ -69,13 +49,16 @@ export default function FaceEmotionTracker({
   compact = false,
 }) {
   const videoRef = useRef(null); // hidden or visible
-  const canvasRef = useRef(null);
-  const inFlightRef = useRef(false);
-  const intervalRef = useRef(null);
+  const adapterRef = useRef(null);
+  const onSignalRef = useRef(onSignal);
+  onSignalRef.current = onSignal;
+  const pausedByLockRef = useRef(false);
+  const { locked } = useIdleLock();
+  const [inference, setInference] = useStoredValue(INFERENCE_PREF_KEY, "server");
 
   const [running, setRunning] = useState(false);
+  const [starting, setStarting] = useState(false); // camera permission / face model loading
   const [error, setError] = useState("");
-  const [raw, setRaw] = useState(null);
   const [smoothed, setSmoothed] = useState({
     happiness: 0,
     neutral: 0,
@@ -97,119 +80,59 @@ export default function FaceEmotionTracker({
     return out;
   };
 
-  // map raw emotions to calm/anxious/focus so onSignal keeps working for your app
-  const mapToSignalsAndEmit = (emotions) => {
-    // emotions: { happiness, neutral, sadness, anger, fear } (0..1)
-    const happy = emotions.happiness ?? 0;
-    const neutral = emotions.neutral ?? 0;
-    const sad = emotions.sadness ?? 0;
-    const angry = emotions.anger ?? 0;
-    const fear = emotions.fear ?? 0;
-
-    const calmRaw = Math.min(1, happy * 0.7 + neutral * 0.6 - fear * 0.3);
-    const anxiousRaw = Math.min(1, fear * 0.7 + (emotions.surprised ?? 0) * 0.5 + angry * 0.4);
-    const focusRaw = Math.min(1, neutral * 0.6 + (1 - (emotions.surprised ?? 0)) * 0.3 + happy * 0.1);
-
-    const calm = Math.max(0, Math.min(1, calmRaw));
-    const anxious = Math.max(0, Math.min(1, anxiousRaw));
-    const focus = Math.max(0, Math.min(1, focusRaw));
-
-    onSignal({ timestamp: Date.now(), calm, anxious, focus, rawExpressions: emotions });
-  };
-
-  // start the camera (video can be hidden)
+  // start the camera (video can be hidden); the user pressing Start is the consent
   const startCamera = async () => {
     setError("");
+    adapterRef.current?.stop();
+    const adapter = new CameraAdapter({ intervalMs: sampleIntervalMs, video: videoRef.current, inference });
+    adapterRef.current = adapter;
+    adapter.on("status", ({ status, error: err }) => {
+      setRunning(status === "running");
+      setStarting(status === "starting");
+      if (err) setError(err.message || String(err));
+    });
+    adapter.on("error", (err) => {
+      console.error("Emotion processing error:", err);
+      setError(err.message || String(err));
+    });
+    adapter.on("expressions", ({ timestamp, emotions }) => {
+      setSmoothed((prev) => ema(prev, emotions, smoothing));
+      setLastUpdated(timestamp);
+      // also emit mapped calm/anxious/focus
+      onSignalRef.current({ timestamp, ...affectOf(emotions), rawExpressions: emotions });
+    });
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "user", width: 640, height: 480 }, audio: false });
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        await videoRef.current.play();
-      }
-      setRunning(true);
-
-      // begin sampling loop (interval-based to avoid overlapping)
-      intervalRef.current = setInterval(sampleAndSend, sampleIntervalMs);
+      await adapter.start({ camera: true });
     } catch (err) {
       console.error("Camera start error:", err);
-      setError("Unable to access camera. Allow camera permission and use HTTPS or localhost.");
     }
   };
 
   const stopCamera = () => {
+    adapterRef.current?.stop();
+    adapterRef.current = null;
     setRunning(false);
-    clearInterval(intervalRef.current);
-    intervalRef.current = null;
-    const s = videoRef.current?.srcObject;
-    if (s && s.getTracks) s.getTracks().forEach((t) => t.stop());
-    if (videoRef.current) {
-      try {
-        videoRef.current.pause();
-        videoRef.current.srcObject = null;
-      } catch {}
-    }
+    setStarting(false);
   };
 
-  // sampling + sending frame to backend
-  async function sampleAndSend() {
-    if (inFlightRef.current) return;
-    const video = videoRef.current;
-    if (!video) return;
-
-    try {
-      const w = video.videoWidth || 320;
-      const h = video.videoHeight || 240;
-      const canvas = canvasRef.current || document.createElement("canvas");
-      canvas.width = w;
-      canvas.height = h;
-      const ctx = canvas.getContext("2d");
-      ctx.drawImage(video, 0, 0, w, h);
-
-      const base64 = canvas.toDataURL("image/jpeg", 0.7).split(",")[1];
-
-      inFlightRef.current = true;
-      const data = await callEmotionApi(base64);
-      inFlightRef.current = false;
-
-      if (!data) return;
-      setRaw(data.raw ?? data);
-
-      if (data.success && data.emotions) {
-        const next = {
-          happiness: Number(data.emotions.happiness ?? 0),
-          neutral: Number(data.emotions.neutral ?? 0),
-          sadness: Number(data.emotions.sadness ?? 0),
-          anger: Number(data.emotions.anger ?? 0),
-          fear: Number(data.emotions.fear ?? 0),
-        };
-        setSmoothed((prev) => {
-          const mixed = ema(prev, next, smoothing);
-          setLastUpdated(Date.now());
-          // also emit mapped calm/anxious/focus
-          mapToSignalsAndEmit(next);
-          return mixed;
-        });
-      } else {
-        // server returned false or different shape
-        console.warn("Emotion API returned unexpected payload", data);
-      }
-    } catch (err) {
-      inFlightRef.current = false;
-      console.error("Emotion processing error:", err);
-      setError(err.message || String(err));
-    }
-  }
-
   useEffect(() => {
     if (autoStart) startCamera();
-    return () => {
-      clearInterval(intervalRef.current);
-      const s = videoRef.current?.srcObject;
-      if (s && s.getTracks) s.getTracks().forEach((t) => t.stop());
-    };
+    return () => adapterRef.current?.stop();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // no frames leave the device while the screen is locked
+  useEffect(() => {
+    if (locked && running) {
+      pausedByLockRef.current = true;
+      stopCamera();
+    } else if (!locked && pausedByLockRef.current) {
+      pausedByLockRef.current = false;
+      startCamera();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [locked]);
+
   // UI layout
   return (
     <div style={{ width: compact ? 320 : 360, padding: compact ? 8 : 12, borderRadius: 12, background: "rgba(17,24,39,0.6)", color: "#fff" }}>
@@ -226,8 +149,8 @@ export default function FaceEmotionTracker({
       {/* buttons and compact UI */}
       <div style={{ display: "flex", gap: 8, marginBottom: 10 }}>
         {!running ? (
-          <button onClick={startCamera} style={{ flex: 1, padding: "8px 10px", borderRadius: 8, border: "none", background: "#10b981", color: "#fff", cursor: "pointer" }}>
-            Start
+          <button onClick={startCamera} disabled={starting} style={{ flex: 1, padding: "8px 10px", borderRadius: 8, border: "none", background: "#10b981", color: "#fff", cursor: "pointer", opacity: starting ? 0.6 : 1 }}>
+            {starting ? "Starting…" : "Start"}
           </button>
         ) : (
           <button onClick={stopCamera} style={{ flex: 1, padding: "8px 10px", borderRadius: 8, border: "none", background: "#ef4444", color: "#fff", cursor: "pointer" }}>
@@ -238,6 +161,17 @@ export default function FaceEmotionTracker({
         <div style={{ alignSelf: "center", fontSize: 12, color: "#cbd5e1" }}>Interval {Math.round(sampleIntervalMs)}ms</div>
       </div>
 
+      {/* where frames are read; switch while stopped */}
+      <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "#cbd5e1", marginBottom: 10 }}>
+        <input
+          type="checkbox"
+          checked={inference === "device"}
+          disabled={running || starting}
+          onChange={(e) => setInference(e.target.checked ? "device" : "server")}
+        />
+        On-device only — frames never leave this device
+      </label>
+
       {/* small bars */}
       <div style={{ display: "grid", gap: 8 }}>
         <StatBar label="Happiness" value={smoothed.happiness} compact={compact} />
@@ -248,9 +182,6 @@ export default function FaceEmotionTracker({
       </div>
 
       {error && <div style={{ marginTop: 8, color: "#fecaca", fontSize: 12 }}>{error}</div>}
-
-      {/* hidden canvas used for capture */}
-      <canvas ref={canvasRef} style={{ display: "none" }} />
     </div>
   );
 }
@@ -1,7 +1,6 @@
 // src/components/Header.jsx
 import React, { useCallback, useEffect, useRef, useState } from "react";
 import {
-  Bell,
   LogOut,
   Menu as MenuIcon,
   Search as SearchIcon,
@@ -14,6 +13,11 @@ import {
 import { motion, AnimatePresence } from "framer-motion";
 import { useAuth } from "../contexts/AuthContext";
 import { useToasts } from "../contexts/ToastContext";
+import EmailVerificationBanner from "./EmailVerificationBanner";
+import SyncStatus from "./SyncStatus";
+import ReminderBell from "./ReminderBell";
+import { onQuotaExceeded } from "../lib/storage";
+import syncEngine from "../lib/syncEngine";
 
 /** Utility: capitalize first letter of each word */
 function capitalizeName(name = "") {
@@ -61,13 +65,27 @@ export default function Header() {
 
   const handleLogout = async () => {
     try {
-      await logout();
+      // what can't be synced now would be lost with the device's local copy
+      const unsent = await syncEngine.flush().catch(() => null);
+      const plural = unsent === 1 ? "" : "s";
+      if (unsent && !window.confirm(`${unsent} change${plural} couldn't be synced yet and will be removed from this device when you sign out. Sign out anyway?`)) return;
+      // if the count is unknown, the changes stay parked for the next sign-in
+      await logout({ discardUnsent: unsent !== null });
       addToast({ title: "Signed out", description: "You have been logged out.", tone: "success" });
     } catch (err) {
       addToast({ title: "Logout failed", description: err?.message || "Try again", tone: "error" });
     }
   };
 
+  // local storage ran out of space: the last change is only kept until reload
+  useEffect(
+    () =>
+      onQuotaExceeded((err) =>
+        addToast({ title: "Couldn't save on this device", description: err.message, tone: "error", duration: 8000 })
+      ),
+    [addToast]
+  );
+
   const [menuOpen, setMenuOpen] = useState(false);
   const menuRef = useRef(null);
 
@@ -172,7 +190,6 @@ export default function Header() {
     return () => document.removeEventListener("pointerdown", onPointer);
   }, []);
 
-  const [unread, setUnread] = useState(2);
   const displayName = capitalizeName(user?.profile?.displayName || user?.name || "Guest");
   const avatarUrl = user?.profile?.avatarUrl || "/default-avatar.png";
 
@@ -196,197 +213,192 @@ export default function Header() {
   };
 
   return (
-    <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 md:p-6 mb-6   text-gray-200">
-      {/* LEFT */}
-      <div className="flex items-center gap-4 min-w-0">
-        <button
-          onClick={openMobileMenu}
-          className="p-2 rounded-md hover:bg-gray-800 md:hidden focus:outline-none focus:ring-2 focus:ring-purple-600"
-        >
-          <MenuIcon className="w-5 h-5 text-gray-200" />
-        </button>
-
-        <div className="min-w-0">
-          <h1 className="text-lg md:text-2xl font-semibold text-white truncate">
-            Hello, <span className="text-purple-400">{displayName}</span> 👋
-          </h1>
-          <p className="text-xs md:text-sm text-gray-400">
-            Your mind’s reflection — private & actionable.
-          </p>
-        </div>
-      </div>
-
-      {/* SEARCH */}
-      <div className="flex-1 max-w-2xl w-full relative">
-        <div className="hidden md:flex items-center bg-gray-800 border border-gray-700 rounded-full px-3 py-2">
-          <SearchIcon className="w-4 h-4 text-gray-400 mr-2" />
-          <input
-            ref={searchRef}
-            value={query}
-            onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search exercises, sessions, tips... (/ to focus)"
-            className="flex-1 bg-transparent text-sm outline-none text-gray-200"
-            onFocus={() => results.length && setShowResults(true)}
-          />
+    <>
+      <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 md:p-6 mb-6   text-gray-200">
+        {/* LEFT */}
+        <div className="flex items-center gap-4 min-w-0">
           <button
-            onClick={() => {
-              if (!query) return triggerToast({ description: "Type something to search" });
-              const r = runSearch(query);
-              setResults(r);
-              setShowResults(true);
-              setHighlight(r.length ? 0 : -1);
-            }}
-            className="ml-3 px-3 py-1 rounded-full bg-purple-600 hover:bg-purple-500 text-white text-sm"
+            onClick={openMobileMenu}
+            className="p-2 rounded-md hover:bg-gray-800 md:hidden focus:outline-none focus:ring-2 focus:ring-purple-600"
           >
-            Search
+            <MenuIcon className="w-5 h-5 text-gray-200" />
           </button>
+
+          <div className="min-w-0">
+            <h1 className="text-lg md:text-2xl font-semibold text-white truncate">
+              Hello, <span className="text-purple-400">{displayName}</span> 👋
+            </h1>
+            <p className="text-xs md:text-sm text-gray-400">
+              Your mind’s reflection — private & actionable.
+            </p>
+          </div>
         </div>
 
-        {/* SEARCH RESULTS */}
-        <AnimatePresence>
-          {showResults && (
-            <motion.ul
-              ref={resultsRef}
-              initial={{ opacity: 0, y: -6 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -6 }}
-              className="absolute left-0 right-0 mt-2 z-50 max-h-72 overflow-auto bg-gray-900 border border-gray-800 rounded-xl shadow-xl"
+        {/* SEARCH */}
+        <div className="flex-1 max-w-2xl w-full relative">
+          <div className="hidden md:flex items-center bg-gray-800 border border-gray-700 rounded-full px-3 py-2">
+            <SearchIcon className="w-4 h-4 text-gray-400 mr-2" />
+            <input
+              ref={searchRef}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search exercises, sessions, tips... (/ to focus)"
+              className="flex-1 bg-transparent text-sm outline-none text-gray-200"
+              onFocus={() => results.length && setShowResults(true)}
+            />
+            <button
+              onClick={() => {
+                if (!query) return triggerToast({ description: "Type something to search" });
+                const r = runSearch(query);
+                setResults(r);
+                setShowResults(true);
+                setHighlight(r.length ? 0 : -1);
+              }}
+              className="ml-3 px-3 py-1 rounded-full bg-purple-600 hover:bg-purple-500 text-white text-sm"
             >
-              {results.length === 0 ? (
-                <li className="px-4 py-3 text-xs text-gray-400">No results.</li>
-              ) : (
-                results.map((r, i) => (
-                  <li
-                    key={r.id}
-                    onClick={() => selectResult(i)}
-                    onMouseEnter={() => setHighlight(i)}
-                    className={`flex items-start gap-3 px-4 py-3 cursor-pointer hover:bg-gray-800 ${
-                      highlight === i ? "bg-gray-800" : ""
-                    }`}
-                  >
-                    <div className="w-9 h-9 bg-gray-700 rounded-md flex items-center justify-center text-xs font-semibold">
-                      {r.type[0]}
-                    </div>
-                    <div className="min-w-0">
-                      <div className="text-sm text-gray-100">{r.title}</div>
-                      <div className="text-xs text-gray-400">{r.subtitle}</div>
-                    </div>
-                  </li>
-                ))
-              )}
-            </motion.ul>
-          )}
-        </AnimatePresence>
-      </div>
-
-      {/* RIGHT ACTIONS */}
-      <div className="flex items-center gap-3">
-
-        {/* TALK TO AI BUTTON */}
-        <motion.button
-          whileHover={{ y: -2 }}
-          whileTap={{ scale: 0.96 }}
-          onClick={() => {
-            window.location.href = "http://127.0.0.1:5500/public/index.html";
-          }}
-          className="px-4 py-2 rounded-full bg-gradient-to-r from-purple-600 to-indigo-600 
-                     hover:from-purple-500 hover:to-indigo-500 text-white text-sm font-medium
-                     shadow-md hover:shadow-lg focus:outline-none focus:ring-2 
-                     focus:ring-purple-600 flex items-center gap-2"
-        >
-          <MessageSquare className="w-4 h-4" />
-          Talk to AI
-        </motion.button>
-
-        {/* Notifications */}
-        <motion.button
-          whileTap={{ scale: 0.96 }}
-          onClick={() => setUnread(0)}
-          className="p-2 rounded-full hover:bg-gray-800 relative"
-        >
-          <Bell className="w-5 h-5 text-gray-200" />
-          {unread > 0 && (
-            <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white text-xs px-1.5 rounded-full">
-              {unread}
-            </span>
-          )}
-        </motion.button>
-
-        {/* Settings */}
-        <motion.button
-          whileHover={{ y: -2 }}
-          onClick={() => triggerToast({ description: "Open settings from profile menu." })}
-          className="p-2 rounded-full hover:bg-gray-800"
-        >
-          <Settings className="w-5 h-5 text-gray-200" />
-        </motion.button>
-
-        {/* Theme */}
-        <motion.button
-          whileTap={{ scale: 0.98 }}
-          onClick={() => triggerToast({ title: "Theme", description: "Toggle theme (demo)." })}
-          className="p-2 rounded-full hover:bg-gray-800"
-        >
-          <SunMoon className="w-5 h-5 text-gray-200" />
-        </motion.button>
-
-        {/* Profile Menu */}
-        <div className="relative" ref={menuRef}>
-          <motion.button
-            onClick={() => setMenuOpen((s) => !s)}
-            whileTap={{ scale: 0.98 }}
-            className="flex items-center gap-3 px-3 py-1 rounded-full bg-gradient-to-r from-gray-800 to-gray-900 border border-gray-700 shadow-sm"
-          >
-            <div className="relative">
-              <img src={avatarUrl} className="w-10 h-10 rounded-full border-2 border-gray-700" />
-              <span className="absolute -bottom-0.5 -right-0.5 w-3 h-3 bg-emerald-400 rounded-full ring-2 ring-gray-900" />
-            </div>
-
-            <div className="hidden md:flex flex-col">
-              <span className="text-sm text-gray-100 font-medium">{displayName.split(" ")[0]}</span>
-              <span className="text-xs text-gray-400">Profile</span>
-            </div>
-
-            <ChevronDown className="w-4 h-4 text-gray-400" />
-          </motion.button>
+              Search
+            </button>
+          </div>
 
+          {/* SEARCH RESULTS */}
           <AnimatePresence>
-            {menuOpen && (
+            {showResults && (
               <motion.ul
-                initial={{ opacity: 0, y: -8 }}
+                ref={resultsRef}
+                initial={{ opacity: 0, y: -6 }}
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -6 }}
-                className="absolute right-0 mt-2 w-48 bg-gray-900 border border-gray-800 rounded-lg shadow-lg py-2"
+                className="absolute left-0 right-0 mt-2 z-50 max-h-72 overflow-auto bg-gray-900 border border-gray-800 rounded-xl shadow-xl"
               >
-                <li>
-                  <button
-                    onClick={() => (window.location.href = `/profile/${user?.profile?.id || ""}`)}
-                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-800 flex gap-2"
-                  >
-                    <User className="w-4 h-4 text-gray-400" /> Profile
-                  </button>
-                </li>
-                <li>
-                  <button
-                    onClick={() => (window.location.href = "/settings")}
-                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-800 flex gap-2"
-                  >
-                    <Settings className="w-4 h-4 text-gray-400" /> Settings
-                  </button>
-                </li>
-                <li>
-                  <button
-                    onClick={handleLogout}
-                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-800 flex gap-2 text-red-400"
-                  >
-                    <LogOut className="w-4 h-4 text-red-500" /> Sign out
-                  </button>
-                </li>
+                {results.length === 0 ? (
+                  <li className="px-4 py-3 text-xs text-gray-400">No results.</li>
+                ) : (
+                  results.map((r, i) => (
+                    <li
+                      key={r.id}
+                      onClick={() => selectResult(i)}
+                      onMouseEnter={() => setHighlight(i)}
+                      className={`flex items-start gap-3 px-4 py-3 cursor-pointer hover:bg-gray-800 ${
+                        highlight === i ? "bg-gray-800" : ""
+                      }`}
+                    >
+                      <div className="w-9 h-9 bg-gray-700 rounded-md flex items-center justify-center text-xs font-semibold">
+                        {r.type[0]}
+                      </div>
+                      <div className="min-w-0">
+                        <div className="text-sm text-gray-100">{r.title}</div>
+                        <div className="text-xs text-gray-400">{r.subtitle}</div>
+                      </div>
+                    </li>
+                  ))
+                )}
               </motion.ul>
             )}
           </AnimatePresence>
         </div>
-      </div>
-    </header>
+
+        {/* RIGHT ACTIONS */}
+        <div className="flex items-center gap-3">
+
+          {/* TALK TO AI BUTTON */}
+          <motion.button
+            whileHover={{ y: -2 }}
+            whileTap={{ scale: 0.96 }}
+            onClick={() => {
+              window.location.href = "http://127.0.0.1:5500/public/index.html";
+            }}
+            className="px-4 py-2 rounded-full bg-gradient-to-r from-purple-600 to-indigo-600 
+                       hover:from-purple-500 hover:to-indigo-500 text-white text-sm font-medium
+                       shadow-md hover:shadow-lg focus:outline-none focus:ring-2 
+                       focus:ring-purple-600 flex items-center gap-2"
+          >
+            <MessageSquare className="w-4 h-4" />
+            Talk to AI
+          </motion.button>
+
+          {/* Journal / mood / meditation sync */}
+          <SyncStatus />
+
+          {/* Notifications: today's due reminders */}
+          <ReminderBell />
+
+          {/* Settings */}
+          <motion.button
+            whileHover={{ y: -2 }}
+            onClick={() => triggerToast({ description: "Open settings from profile menu." })}
+            className="p-2 rounded-full hover:bg-gray-800"
+          >
+            <Settings className="w-5 h-5 text-gray-200" />
+          </motion.button>
+
+          {/* Theme */}
+          <motion.button
+            whileTap={{ scale: 0.98 }}
+            onClick={() => triggerToast({ title: "Theme", description: "Toggle theme (demo)." })}
+            className="p-2 rounded-full hover:bg-gray-800"
+          >
+            <SunMoon className="w-5 h-5 text-gray-200" />
+          </motion.button>
+
+          {/* Profile Menu */}
+          <div className="relative" ref={menuRef}>
+            <motion.button
+              onClick={() => setMenuOpen((s) => !s)}
+              whileTap={{ scale: 0.98 }}
+              className="flex items-center gap-3 px-3 py-1 rounded-full bg-gradient-to-r from-gray-800 to-gray-900 border border-gray-700 shadow-sm"
+            >
+              <div className="relative">
+                <img src={avatarUrl} className="w-10 h-10 rounded-full border-2 border-gray-700" />
+                <span className="absolute -bottom-0.5 -right-0.5 w-3 h-3 bg-emerald-400 rounded-full ring-2 ring-gray-900" />
+              </div>
+
+              <div className="hidden md:flex flex-col">
+                <span className="text-sm text-gray-100 font-medium">{displayName.split(" ")[0]}</span>
+                <span className="text-xs text-gray-400">Profile</span>
+              </div>
+
+              <ChevronDown className="w-4 h-4 text-gray-400" />
+            </motion.button>
+
+            <AnimatePresence>
+              {menuOpen && (
+                <motion.ul
+                  initial={{ opacity: 0, y: -8 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -6 }}
+                  className="absolute right-0 mt-2 w-48 bg-gray-900 border border-gray-800 rounded-lg shadow-lg py-2"
+                >
+                  <li>
+                    <button
+                      onClick={() => (window.location.href = `/profile/${user?.profile?.id || ""}`)}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-gray-800 flex gap-2"
+                    >
+                      <User className="w-4 h-4 text-gray-400" /> Profile
+                    </button>
+                  </li>
+                  <li>
+                    <button
+                      onClick={() => (window.location.href = "/settings")}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-gray-800 flex gap-2"
+                    >
+                      <Settings className="w-4 h-4 text-gray-400" /> Settings
+                    </button>
+                  </li>
+                  <li>
+                    <button
+                      onClick={handleLogout}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-gray-800 flex gap-2 text-red-400"
+                    >
+                      <LogOut className="w-4 h-4 text-red-500" /> Sign out
+                    </button>
+                  </li>
+                </motion.ul>
+              )}
+            </AnimatePresence>
+          </div>
+        </div>
+      </header>
+      <EmailVerificationBanner />
+    </>
   );
 }
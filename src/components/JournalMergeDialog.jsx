@@ -0,0 +1,95 @@
+// src/components/JournalMergeDialog.jsx
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { GitMerge, X } from "lucide-react";
+
+function Version({ label, entry, kept, onUse }) {
+  return (
+    <div className="flex flex-col min-w-0 bg-gray-800 border border-gray-700 rounded-lg p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs font-semibold text-gray-200">
+          {label}
+          {kept && <span className="ml-2 px-1.5 py-0.5 rounded bg-purple-600/30 text-purple-200 font-normal">kept</span>}
+        </div>
+        <button type="button" onClick={onUse} className="text-xs text-purple-300 hover:underline">
+          Use this
+        </button>
+      </div>
+      <div className="text-[11px] text-gray-500 mt-1">Edited {new Date(entry.updatedAt).toLocaleString()}</div>
+      <div className="mt-2 text-xs text-gray-300 whitespace-pre-wrap max-h-48 overflow-auto">{entry.body}</div>
+    </div>
+  );
+}
+
+/**
+ * JournalMergeDialog — one entry edited on two devices before they synced.
+ * Sync already kept the newer edit; this lets the user combine both bodies.
+ * Props: conflict ({ mine, theirs, kept }), onSave(body), onDismiss() — keep
+ * what sync picked, onClose() — decide later
+ */
+export default function JournalMergeDialog({ conflict, onSave, onDismiss, onClose }) {
+  const { mine, theirs, kept } = conflict;
+  const [body, setBody] = useState(() => (kept === "mine" ? mine.body : theirs.body));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+    >
+      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} />
+
+      <div className="relative z-10 max-w-4xl w-full bg-gray-900 border border-gray-700 rounded-2xl p-6 shadow-2xl text-gray-100">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h3 className="text-lg font-semibold flex items-center gap-2">
+              <GitMerge className="w-5 h-5 text-purple-300" /> Merge "{mine.title || theirs.title}"
+            </h3>
+            <p className="text-xs text-gray-400 mt-1">
+              This entry was changed on another device too. The newer edit was kept — combine them below if you want both.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 rounded hover:bg-gray-800" aria-label="Close">
+            <X className="w-4 h-4 text-gray-300" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-4">
+          <Version label="This device" entry={mine} kept={kept === "mine"} onUse={() => setBody(mine.body)} />
+          <Version label="Other device" entry={theirs} kept={kept === "theirs"} onUse={() => setBody(theirs.body)} />
+        </div>
+
+        <div className="flex items-center justify-between mt-4">
+          <label htmlFor="journal-merge" className="text-sm font-medium">Merged entry</label>
+          <button
+            type="button"
+            onClick={() => setBody(`${mine.body}\n\n---\n\n${theirs.body}`)}
+            className="text-xs text-purple-300 hover:underline"
+          >
+            Combine both
+          </button>
+        </div>
+        <textarea
+          id="journal-merge"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={8}
+          className="w-full mt-2 bg-gray-900 border border-gray-700 rounded-lg px-4 py-3 text-sm text-gray-100 resize-none"
+        />
+
+        <div className="mt-4 flex items-center justify-end gap-2">
+          <button onClick={onDismiss} className="px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm hover:bg-gray-700">
+            Keep as is
+          </button>
+          <button
+            onClick={() => onSave(body)}
+            className="px-4 py-2 rounded-lg bg-gradient-to-r from-purple-600 to-indigo-600 text-sm text-white"
+          >
+            Save merged entry
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,128 @@
+// src/components/LinkedAccounts.jsx
+import React, { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Github, Link2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useQuery, useMutation } from '../hooks/useQuery';
+import { OAUTH_PROVIDERS, enabledProviders } from '../lib/oauth';
+import { listLinkedProviders, unlinkProvider } from '../services/oauthService';
+
+/**
+ * LinkedAccounts — Settings card listing social sign-in providers attached
+ * to the account, with connect / unlink.
+ *
+ * Props:
+ *  - darkMode: match the Settings theme
+ *  - onStatus(text): report to the Settings status pill
+ */
+export default function LinkedAccounts({ darkMode, onStatus = () => {} }) {
+  const { loginWithProvider } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const [connecting, setConnecting] = useState(null);
+
+  const linkedQuery = useQuery(['oauth-providers'], ({ signal }) => listLinkedProviders({ signal }));
+  const unlink = useMutation(unlinkProvider, { invalidates: [['oauth-providers']] });
+
+  const linked = linkedQuery.data || [];
+  const linkedIds = new Set(linked.map((l) => l.provider));
+  const available = enabledProviders().filter((p) => !linkedIds.has(p.id));
+
+  // back from /auth/callback after linking
+  useEffect(() => {
+    const id = location.state?.linkedProvider;
+    if (!id) return;
+    onStatus(`${OAUTH_PROVIDERS[id]?.label || id} linked successfully`);
+    // don't report it again on refresh
+    navigate(location.pathname, { replace: true, state: null });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const connect = async (id) => {
+    setError('');
+    setConnecting(id);
+    try {
+      await loginWithProvider(id, { mode: 'link' });
+    } catch (err) {
+      setError(err?.message || 'Could not start linking');
+      setConnecting(null);
+    }
+  };
+
+  const remove = async (id) => {
+    setError('');
+    try {
+      await unlink.mutate(id);
+      onStatus(`${OAUTH_PROVIDERS[id]?.label || id} unlinked successfully`);
+    } catch (err) {
+      setError(
+        err?.status === 409
+          ? 'Set a password or link another provider first — this is your only way to sign in.'
+          : err?.message || 'Unlink failed'
+      );
+    }
+  };
+
+  const iconFor = (id) => (id === 'github' ? <Github className="w-5 h-5" /> : <span className="w-5 h-5 inline-flex items-center justify-center rounded-full border border-gray-500 text-xs font-bold">G</span>);
+
+  return (
+    <section className={`rounded-2xl p-6 ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow-lg`}>
+      <div className="flex items-center gap-3">
+        <Link2 className="w-6 h-6 text-indigo-400" />
+        <div>
+          <h2 className="text-lg font-semibold">Linked accounts</h2>
+          <p className="text-sm text-gray-400 mt-1">Sign in with Google or GitHub as well as your password.</p>
+        </div>
+      </div>
+
+      <div className="mt-5 space-y-3 text-sm">
+        {linkedQuery.isLoading && <div className="text-gray-400">Loading…</div>}
+        {linkedQuery.error && !linkedQuery.data && <div className="text-red-400">Could not load linked accounts.</div>}
+
+        {linked.map((l) => (
+          <div key={l.provider} className="flex items-center justify-between p-3 rounded-xl border dark:border-gray-800 bg-white/6">
+            <div className="flex items-center gap-3">
+              {iconFor(l.provider)}
+              <div>
+                <div className="font-medium">{OAUTH_PROVIDERS[l.provider]?.label || l.provider}</div>
+                <div className="text-xs text-gray-400">
+                  {l.email || 'Connected'}
+                  {l.linkedAt ? ` · since ${new Date(l.linkedAt).toLocaleDateString()}` : ''}
+                </div>
+              </div>
+            </div>
+            <button
+              onClick={() => remove(l.provider)}
+              disabled={unlink.isLoading}
+              className="px-3 py-1.5 rounded-lg bg-red-600/10 hover:bg-red-600/20 text-red-400 text-xs disabled:opacity-50"
+            >
+              Unlink
+            </button>
+          </div>
+        ))}
+
+        {!linkedQuery.isLoading && available.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {available.map((p) => (
+              <button
+                key={p.id}
+                onClick={() => connect(p.id)}
+                disabled={!!connecting}
+                className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10 disabled:opacity-50"
+              >
+                {iconFor(p.id)} {connecting === p.id ? 'Redirecting…' : `Connect ${p.label}`}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {!linkedQuery.isLoading && linked.length === 0 && available.length === 0 && (
+          <div className="text-gray-400">No social sign-in providers are configured.</div>
+        )}
+
+        {error && <div role="alert" className="text-red-400">{error}</div>}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,118 @@
+// src/components/LockScreen.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { Lock, LogOut } from 'lucide-react';
+import { useIdleLock } from '../contexts/IdleLockContext';
+
+/**
+ * LockScreen — shown over the blurred app after a period of inactivity.
+ * Unlocks with the account password, or the device PIN when one is set.
+ * Accounts without a password (provider sign-in) only have the PIN; once it
+ * is locked out, signing out and in again is the way back.
+ */
+export default function LockScreen({ user, onSignOut }) {
+  const { unlockWithPassword, unlockWithPin, pinAvailable, passwordless, prefs } = useIdleLock();
+  const [mode, setMode] = useState(pinAvailable || passwordless ? 'pin' : 'password');
+  const stuck = passwordless && !pinAvailable;
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+
+  // fall back to the password once the PIN is locked out
+  useEffect(() => {
+    if (!pinAvailable && !passwordless && mode === 'pin') setMode('password');
+  }, [pinAvailable, passwordless, mode]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [mode]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!secret || busy) return;
+    setBusy(true);
+    setError('');
+    try {
+      if (mode === 'pin') await unlockWithPin(secret);
+      else await unlockWithPassword(secret);
+    } catch (err) {
+      setError(err?.message || 'Unlock failed');
+      setSecret('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode((m) => (m === 'pin' ? 'password' : 'pin'));
+    setSecret('');
+    setError('');
+  };
+
+  const name = user?.profile?.displayName || user?.name || user?.email;
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="lock-title"
+      className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 p-6"
+    >
+      <div className="w-full max-w-sm bg-gray-900 border border-gray-800 rounded-2xl shadow-2xl p-8 text-center text-gray-100">
+        <div className="inline-flex items-center justify-center w-12 h-12 rounded-full bg-purple-600/20 mb-4">
+          <Lock className="w-6 h-6 text-purple-300" />
+        </div>
+        <h2 id="lock-title" className="text-xl font-bold">MindEcho is locked</h2>
+        <p className="text-sm text-gray-400 mt-1">
+          {name ? `Signed in as ${name}. ` : ''}
+          {stuck ? 'Too many wrong PINs.' : `Enter your ${mode === 'pin' ? 'PIN' : 'password'} to continue.`}
+        </p>
+
+        {stuck ? (
+          <p role="alert" className="mt-6 text-sm text-gray-300">
+            Your account has no password, so sign out and sign in again to continue. Changes that haven't synced yet stay on this device until you do.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-6 space-y-3">
+            <input
+              ref={inputRef}
+              type="password"
+              inputMode={mode === 'pin' ? 'numeric' : undefined}
+              autoComplete={mode === 'pin' ? 'off' : 'current-password'}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder={mode === 'pin' ? 'PIN' : 'Password'}
+              aria-label={mode === 'pin' ? 'PIN' : 'Password'}
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-center tracking-widest focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            {error && <div className="text-sm text-red-300">{error}</div>}
+            <button
+              type="submit"
+              disabled={busy || !secret}
+              className="w-full bg-purple-600 text-white font-semibold py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {busy ? 'Checking…' : 'Unlock'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-4 flex items-center justify-between text-xs">
+          {pinAvailable && !passwordless ? (
+            <button type="button" onClick={switchMode} className="text-purple-300 hover:underline">
+              Use {mode === 'pin' ? 'password' : 'PIN'} instead
+            </button>
+          ) : (
+            <span />
+          )}
+          <button type="button" onClick={() => onSignOut()} className="inline-flex items-center gap-1 text-gray-400 hover:text-gray-200">
+            <LogOut className="w-3 h-3" /> Sign out
+          </button>
+        </div>
+
+        <p className="text-[11px] text-gray-500 mt-6">
+          You'll be signed out automatically after {prefs.logoutAfterMin} minutes on this screen.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+// src/components/MfaSettings.jsx
+import React, { useState } from 'react';
+import { KeyRound, Copy, Download } from 'lucide-react';
+import { useQuery, useMutation } from '../hooks/useQuery';
+import QrCode from './QrCode';
+import {
+  getMfaStatus,
+  startMfaSetup,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+} from '../services/mfaService';
+
+/**
+ * MfaSettings — TOTP two-factor enrolment card for the Settings page.
+ * Steps: status -> setup (QR + secret, confirm with a code) -> recovery codes.
+ * When enabled: regenerate recovery codes or turn 2FA off (password + code).
+ *
+ * Props:
+ *  - darkMode: match the Settings theme
+ *  - onStatus(text): report to the Settings status pill
+ */
+export default function MfaSettings({ darkMode, onStatus = () => {} }) {
+  const statusQuery = useQuery(['mfa'], ({ signal }) => getMfaStatus({ signal }));
+  const status = statusQuery.data;
+
+  // step: idle | setup | codes | disable | regenerate
+  const [step, setStep] = useState('idle');
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [error, setError] = useState('');
+
+  const setupMutation = useMutation(startMfaSetup);
+  const enableMutation = useMutation(enableMfa, { invalidates: [['mfa']] });
+  const disableMutation = useMutation(disableMfa, { invalidates: [['mfa']] });
+  const regenerateMutation = useMutation(regenerateRecoveryCodes, { invalidates: [['mfa']] });
+  const busy = setupMutation.isLoading || enableMutation.isLoading || disableMutation.isLoading || regenerateMutation.isLoading;
+
+  const reset = () => {
+    setStep('idle');
+    setSetup(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const describe = (err) => (err?.status === 400 || err?.status === 401 ? 'That code or password is not valid.' : err?.message || 'Request failed');
+
+  const beginSetup = async () => {
+    setError('');
+    try {
+      setSetup(await setupMutation.mutate());
+      setStep('setup');
+    } catch (err) {
+      setError(describe(err));
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const data = await enableMutation.mutate(code.trim());
+      setRecoveryCodes(data?.recoveryCodes || []);
+      setCode('');
+      setSetup(null);
+      setStep('codes');
+      onStatus('Two-factor authentication saved');
+    } catch (err) {
+      setError(describe(err));
+    }
+  };
+
+  const confirmRegenerate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const data = await regenerateMutation.mutate(code.trim());
+      setRecoveryCodes(data?.recoveryCodes || []);
+      setCode('');
+      setStep('codes');
+      onStatus('Recovery codes saved');
+    } catch (err) {
+      setError(describe(err));
+    }
+  };
+
+  const confirmDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await disableMutation.mutate({ password, code: code.trim() });
+      reset();
+      onStatus('Two-factor authentication turned off');
+    } catch (err) {
+      setError(describe(err));
+    }
+  };
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      onStatus('Recovery codes copied');
+    } catch {
+      onStatus('Error: clipboard unavailable');
+    }
+  };
+
+  const downloadCodes = () => {
+    const blob = new Blob([`MindEcho recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'mindecho_recovery_codes.txt';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const inputCls = `w-full rounded-lg px-3 py-2 text-sm border ${darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'}`;
+  const codeInput = (
+    <input
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      aria-label="Authenticator code"
+      className={`${inputCls} tracking-widest`}
+    />
+  );
+
+  return (
+    <section className={`rounded-2xl p-6 ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow-lg`}>
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <KeyRound className="w-6 h-6 text-indigo-400" />
+          <div>
+            <h2 className="text-lg font-semibold">Two-factor authentication</h2>
+            <p className="text-sm text-gray-400 mt-1">Require a code from an authenticator app when signing in.</p>
+          </div>
+        </div>
+        {status && (
+          <span className={`text-xs font-medium px-2 py-1 rounded-full ${status.enabled ? 'bg-green-500/15 text-green-400' : 'bg-gray-500/15 text-gray-400'}`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+
+      <div className="mt-5 text-sm">
+        {statusQuery.isLoading && <div className="text-gray-400">Loading…</div>}
+        {statusQuery.error && !status && <div className="text-red-400">Could not load two-factor status.</div>}
+
+        {status && step === 'idle' && !status.enabled && (
+          <button onClick={beginSetup} disabled={busy} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+            Set up two-factor authentication
+          </button>
+        )}
+
+        {status && step === 'idle' && status.enabled && (
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-gray-400">
+              {status.recoveryCodesRemaining ?? '—'} recovery codes left
+            </span>
+            <button onClick={() => setStep('regenerate')} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+              New recovery codes
+            </button>
+            <button onClick={() => setStep('disable')} className="px-3 py-2 rounded-lg bg-red-600/10 hover:bg-red-600/20 text-red-400">
+              Turn off
+            </button>
+          </div>
+        )}
+
+        {step === 'setup' && setup && (
+          <form onSubmit={confirmSetup} className="grid grid-cols-1 md:grid-cols-[auto,1fr] gap-5 items-start">
+            {setup.otpauthUrl ? (
+              <QrCode value={setup.otpauthUrl} label="QR code for your authenticator app" className="w-40 h-40 rounded-lg" />
+            ) : setup.qrCode ? (
+              <img src={setup.qrCode} alt="QR code for your authenticator app" className="w-40 h-40 rounded-lg bg-white p-2" />
+            ) : (
+              <div className="w-40 h-40 rounded-lg border border-dashed border-gray-600 flex items-center justify-center text-xs text-gray-400 text-center p-2">
+                QR unavailable — enter the key manually
+              </div>
+            )}
+            <div className="space-y-3">
+              <p className="text-gray-400">Scan the QR code with your authenticator app, or enter this key:</p>
+              <code className="block font-mono text-xs break-all px-3 py-2 rounded-lg bg-black/20">{setup.secret}</code>
+              {codeInput}
+              <div className="flex gap-2">
+                <button type="submit" disabled={busy || !code.trim()} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+                  Verify and turn on
+                </button>
+                <button type="button" onClick={reset} className="px-3 py-2 rounded-lg border">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+
+        {step === 'codes' && (
+          <div className="space-y-3">
+            <p className="text-gray-400">
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-xs">
+              {recoveryCodes.map((c) => (
+                <li key={c} className="px-3 py-2 rounded-lg bg-black/20">{c}</li>
+              ))}
+            </ul>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={copyCodes} className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+                <Copy className="w-4 h-4" /> Copy
+              </button>
+              <button onClick={downloadCodes} className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+                <Download className="w-4 h-4" /> Download
+              </button>
+              <button onClick={reset} className="px-4 py-2 rounded-lg bg-indigo-600 text-white">
+                I've saved them
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'regenerate' && (
+          <form onSubmit={confirmRegenerate} className="space-y-3 max-w-sm">
+            <p className="text-gray-400">Your current recovery codes will stop working.</p>
+            {codeInput}
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !code.trim()} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+                Generate
+              </button>
+              <button type="button" onClick={reset} className="px-3 py-2 rounded-lg border">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {step === 'disable' && (
+          <form onSubmit={confirmDisable} className="space-y-3 max-w-sm">
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              placeholder="Password"
+              aria-label="Password"
+              className={inputCls}
+            />
+            {codeInput}
+            <p className="text-xs text-gray-400">A recovery code also works here.</p>
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !password || !code.trim()} className="px-4 py-2 rounded-lg bg-red-600 text-white disabled:opacity-50">
+                Turn off
+              </button>
+              <button type="button" onClick={reset} className="px-3 py-2 rounded-lg border">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {error && <div role="alert" className="mt-3 text-red-400">{error}</div>}
+      </div>
+    </section>
+  );
+}
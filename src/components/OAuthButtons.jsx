@@ -0,0 +1,74 @@
+// src/components/OAuthButtons.jsx
+import React, { useState } from 'react';
+import { Github } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { enabledProviders } from '../lib/oauth';
+
+// lucide has no Google mark; a plain "G" keeps the bundle free of brand assets
+function GoogleMark() {
+  return <span className="w-5 h-5 inline-flex items-center justify-center rounded-full border border-gray-300 text-xs font-bold text-blue-600">G</span>;
+}
+
+const ICONS = { google: GoogleMark, github: Github };
+
+/**
+ * OAuthButtons — "Continue with Google / GitHub" on Login and Signup.
+ * Renders nothing when no provider is configured (see lib/oauth).
+ *
+ * Props:
+ *  - next: post-login destination carried through the redirect
+ */
+export default function OAuthButtons({ next = null }) {
+  const { loginWithProvider } = useAuth();
+  const providers = enabledProviders();
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+
+  if (providers.length === 0) return null;
+
+  const start = async (id) => {
+    setError('');
+    setPending(id);
+    try {
+      await loginWithProvider(id, { next });
+      // the page unloads from here on
+    } catch (err) {
+      setError(err?.message || 'Could not start sign-in');
+      setPending(null);
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="flex-1 h-px bg-gray-200" />
+        <span className="text-xs text-gray-500">or continue with</span>
+        <div className="flex-1 h-px bg-gray-200" />
+      </div>
+
+      <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${providers.length}, minmax(0, 1fr))` }}>
+        {providers.map((p) => {
+          const Icon = ICONS[p.id];
+          return (
+            <button
+              key={p.id}
+              type="button"
+              onClick={() => start(p.id)}
+              disabled={!!pending}
+              className="flex items-center justify-center gap-2 py-2 px-4 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {Icon && <Icon className="w-5 h-5" />}
+              {pending === p.id ? 'Redirecting…' : p.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {error && (
+        <p role="alert" className="text-xs text-red-500 mt-2 text-center">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
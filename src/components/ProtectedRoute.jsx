@@ -1,23 +1,43 @@
 // src/components/ProtectedRoute.jsx
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+import { withNext } from '../utils/redirect';
+import { hasRole, hasPermission } from '../lib/roles';
+import Forbidden from '../pages/Forbidden';
 
-export default function ProtectedRoute({ children }) {
+/**
+ * ProtectedRoute — ensures user is authenticated (and authorised)
+ * Waits while auth is loading to avoid premature redirects; unauthenticated
+ * visitors go to /login?next=<attempted path, query and hash> so they land
+ * back where they were headed after signing in.
+ *
+ * Props:
+ *  - roles: any of these roles is enough (e.g. ['admin', 'clinician'])
+ *  - permissions: all of these are required (see lib/roles PERMISSIONS)
+ * A signed-in user who fails either check gets the 403 page, not a redirect.
+ */
+export default function ProtectedRoute({ children, roles, permissions }) {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   // While auth state is being determined, show a spinner
   if (loading) {
     return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="w-12 h-12 border-4 border-purple-500 border-t-transparent rounded-full animate-spin" />
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <LoadingSpinner />
       </div>
     );
   }
 
   // Once loading finished, redirect only if not authenticated
   if (!user) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to={withNext('/login', location)} replace />;
+  }
+
+  if ((roles && !hasRole(user, roles)) || (permissions && !hasPermission(user, permissions))) {
+    return <Forbidden />;
   }
 
   return children;
@@ -0,0 +1,46 @@
+// src/components/QrCode.jsx
+import React, { useMemo } from 'react';
+import QRCode from 'qrcode';
+
+const QUIET_ZONE = 4; // modules of white border scanners need around the code
+
+/**
+ * QrCode — renders `value` as an SVG QR code in the browser, so secrets such
+ * as an otpauth:// URL never leave the page. Renders nothing if the value
+ * cannot be encoded.
+ *
+ * Props:
+ *  - value: text to encode
+ *  - label: accessible description
+ *  - className: sizing / styling for the <svg>
+ */
+export default function QrCode({ value, label, className }) {
+  const code = useMemo(() => {
+    try {
+      const { modules } = QRCode.create(value, { errorCorrectionLevel: 'M' });
+      let path = '';
+      for (let y = 0; y < modules.size; y++) {
+        for (let x = 0; x < modules.size; x++) {
+          if (modules.get(y, x)) path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+        }
+      }
+      return { size: modules.size + QUIET_ZONE * 2, path };
+    } catch {
+      return null;
+    }
+  }, [value]);
+
+  if (!code) return null;
+  return (
+    <svg
+      viewBox={`0 0 ${code.size} ${code.size}`}
+      role="img"
+      aria-label={label}
+      shapeRendering="crispEdges"
+      className={className}
+    >
+      <rect width={code.size} height={code.size} fill="#fff" />
+      <path d={code.path} fill="#000" />
+    </svg>
+  );
+}
@@ -0,0 +1,94 @@
+// src/components/ReminderBell.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Bell, BellOff, X } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { useReminders } from "../hooks/useReminders";
+
+/**
+ * ReminderBell — Header notifications: today's reminders (mood check-in,
+ * journal, meditation) whose time has come and that aren't done yet.
+ * Each opens its page; dismissing hides it until tomorrow.
+ */
+export default function ReminderBell() {
+  const { due, permission, dismiss } = useReminders();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // click outside closes the list
+  useEffect(() => {
+    if (!open) return;
+    const onPointer = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onPointer);
+    return () => document.removeEventListener("pointerdown", onPointer);
+  }, [open]);
+
+  const go = (url) => {
+    setOpen(false);
+    navigate(url);
+  };
+
+  return (
+    <div className="relative" ref={ref}>
+      <motion.button
+        whileTap={{ scale: 0.96 }}
+        onClick={() => setOpen((o) => !o)}
+        className="p-2 rounded-full hover:bg-gray-800 relative"
+        aria-label={due.length ? `${due.length} reminder${due.length === 1 ? "" : "s"}` : "Reminders"}
+        aria-expanded={open}
+      >
+        <Bell className="w-5 h-5 text-gray-200" />
+        {due.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white text-xs px-1.5 rounded-full">
+            {due.length}
+          </span>
+        )}
+      </motion.button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -6 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -6 }}
+            className="absolute right-0 mt-2 z-50 w-80 bg-gray-900 border border-gray-800 rounded-xl shadow-xl overflow-hidden"
+          >
+            <div className="px-4 py-3 border-b border-gray-800 text-sm font-semibold text-gray-100">Reminders</div>
+
+            {due.length === 0 ? (
+              <div className="px-4 py-6 text-xs text-gray-400 text-center">You're all caught up for today.</div>
+            ) : (
+              <ul className="max-h-72 overflow-auto">
+                {due.map((r) => (
+                  <li key={r.kind} className="flex items-start gap-2 px-4 py-3 hover:bg-gray-800">
+                    <button onClick={() => go(r.url)} className="flex-1 min-w-0 text-left">
+                      <div className="text-sm text-gray-100">{r.title}</div>
+                      <div className="text-xs text-gray-400 mt-0.5">{r.body}</div>
+                      <div className="text-[11px] text-gray-500 mt-1">
+                        {new Date(r.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                      </div>
+                    </button>
+                    <button onClick={() => dismiss(r.kind)} className="p-1 rounded hover:bg-gray-700" aria-label="Dismiss until tomorrow">
+                      <X className="w-3.5 h-3.5 text-gray-400" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <button
+              onClick={() => go("/settings")}
+              className="w-full flex items-center gap-2 px-4 py-2 border-t border-gray-800 text-xs text-purple-300 hover:bg-gray-800"
+            >
+              {permission !== "granted" && <BellOff className="w-3.5 h-3.5" />}
+              {permission === "granted" ? "Reminder settings" : "Turn on reminder notifications"}
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
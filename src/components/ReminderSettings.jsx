@@ -0,0 +1,193 @@
+// src/components/ReminderSettings.jsx
+import React, { useState } from 'react';
+import { BellRing } from 'lucide-react';
+import { useReminders } from '../hooks/useReminders';
+import { REMINDER_KINDS, silencedByQuietHours } from '../lib/reminders';
+
+const DAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const PUSH_NOTES = {
+  unsupported: "This browser can't receive push notifications — reminders show while MindEcho is open.",
+  'no-worker': 'Push needs the installed app. Reminders show while MindEcho is open.',
+  unavailable: "Push isn't available on this server yet — reminders show while MindEcho is open.",
+  denied: 'Notifications are blocked for MindEcho. Allow them in your browser settings to get reminders.',
+};
+
+/**
+ * ReminderSettings — reminder schedules, quiet hours and delivery (Web Push,
+ * or notifications while the app is open) for the Settings page.
+ *
+ * Props:
+ *  - darkMode: match the Settings theme
+ *  - onStatus(text): report to the Settings status pill
+ */
+export default function ReminderSettings({ darkMode, onStatus = () => {} }) {
+  const { loaded, settings, permission, push, saveSettings, requestPermission, sendTestNotification, enablePush, disablePush } =
+    useReminders();
+  // local edits until saved; null = showing what's saved
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const value = draft || settings;
+
+  const setSchedule = (kind, patch) =>
+    setDraft({ ...value, schedules: { ...value.schedules, [kind]: { ...value.schedules[kind], ...patch } } });
+  const setQuiet = (patch) => setDraft({ ...value, quietHours: { ...value.quietHours, ...patch } });
+  const toggleDay = (kind, day) => {
+    const days = value.schedules[kind].days;
+    setSchedule(kind, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort() });
+  };
+
+  const attempt = async (action, done) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      if (done) onStatus(done);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () =>
+    attempt(async () => {
+      await saveSettings(value);
+      setDraft(null);
+      // reminders are useless without permission: ask right away
+      if (permission === 'default' && push !== 'on') await requestPermission();
+    }, 'Reminders saved');
+
+  const inputCls = `rounded-lg px-2 py-1 text-sm border ${darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'}`;
+
+  return (
+    <section className={`rounded-2xl p-6 ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow-lg`}>
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <BellRing className="w-6 h-6 text-indigo-400" />
+          <div>
+            <h2 className="text-lg font-semibold">Reminders</h2>
+            <p className="text-sm text-gray-400 mt-1">Gentle nudges for your daily check-in, journal and meditation. Skipped once you've done it.</p>
+          </div>
+        </div>
+        <span className={`text-xs font-medium px-2 py-1 rounded-full ${push === 'on' ? 'bg-green-500/15 text-green-400' : 'bg-gray-500/15 text-gray-400'}`}>
+          {push === 'on' ? 'Push on' : permission === 'granted' ? 'While open' : 'Notifications off'}
+        </span>
+      </div>
+
+      {!loaded ? (
+        <div className="mt-5 text-sm text-gray-400">Loading…</div>
+      ) : (
+        <div className="mt-5 space-y-4 text-sm">
+          {Object.entries(REMINDER_KINDS).map(([kind, def]) => {
+            const schedule = value.schedules[kind];
+            const silenced = schedule.enabled && silencedByQuietHours(schedule, value.quietHours);
+            return (
+              <div key={kind} className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center gap-2 w-48">
+                  <input type="checkbox" checked={schedule.enabled} onChange={(e) => setSchedule(kind, { enabled: e.target.checked })} />
+                  <span>{def.label}</span>
+                </label>
+                <input
+                  type="time"
+                  value={schedule.time}
+                  onChange={(e) => e.target.value && setSchedule(kind, { time: e.target.value })}
+                  disabled={!schedule.enabled}
+                  aria-label={`${def.label} time`}
+                  className={`${inputCls} disabled:opacity-50`}
+                />
+                <div className="flex gap-1" role="group" aria-label={`${def.label} days`}>
+                  {DAYS.map((label, day) => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleDay(kind, day)}
+                      disabled={!schedule.enabled}
+                      aria-pressed={schedule.days.includes(day)}
+                      className={`w-7 h-7 rounded-full text-xs disabled:opacity-50 ${
+                        schedule.days.includes(day) ? 'bg-indigo-600 text-white' : 'bg-white/6 text-gray-400'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {silenced && (
+                  <p role="alert" className="basis-full text-xs text-yellow-400">
+                    {value.quietHours.start}–{value.quietHours.end} quiet hours cover {schedule.time}, so this reminder will never fire. Pick an earlier time or shorten quiet hours.
+                  </p>
+                )}
+              </div>
+            );
+          })}
+
+          <div className="flex flex-wrap items-center gap-3 pt-2 border-t border-white/5">
+            <label className="flex items-center gap-2 w-48">
+              <input type="checkbox" checked={value.quietHours.enabled} onChange={(e) => setQuiet({ enabled: e.target.checked })} />
+              <span>Quiet hours</span>
+            </label>
+            <input
+              type="time"
+              value={value.quietHours.start}
+              onChange={(e) => e.target.value && setQuiet({ start: e.target.value })}
+              disabled={!value.quietHours.enabled}
+              aria-label="Quiet hours start"
+              className={`${inputCls} disabled:opacity-50`}
+            />
+            <span className="text-gray-400">to</span>
+            <input
+              type="time"
+              value={value.quietHours.end}
+              onChange={(e) => e.target.value && setQuiet({ end: e.target.value })}
+              disabled={!value.quietHours.enabled}
+              aria-label="Quiet hours end"
+              className={`${inputCls} disabled:opacity-50`}
+            />
+            <span className="text-xs text-gray-400">Reminders wait until quiet hours end, unless that is the next day.</span>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button onClick={save} disabled={busy || !draft} className="px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+              Save reminders
+            </button>
+            {draft && (
+              <button onClick={() => setDraft(null)} className="px-3 py-2 rounded-lg border">
+                Discard changes
+              </button>
+            )}
+          </div>
+
+          <div className="pt-4 border-t border-white/5 space-y-3">
+            <div className="font-medium">Delivery</div>
+            {PUSH_NOTES[push] && <p className="text-gray-400">{PUSH_NOTES[push]}</p>}
+            <div className="flex flex-wrap gap-2">
+              {push === 'off' && (
+                <button onClick={() => attempt(enablePush, 'Push notifications on')} disabled={busy} className="px-3 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50">
+                  Get reminders when the app is closed
+                </button>
+              )}
+              {push === 'on' && (
+                <button onClick={() => attempt(disablePush, 'Push notifications off')} disabled={busy} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+                  Turn off push on this device
+                </button>
+              )}
+              {push !== 'on' && permission === 'default' && (
+                <button onClick={() => attempt(requestPermission)} disabled={busy} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+                  Allow notifications
+                </button>
+              )}
+              {permission === 'granted' && (
+                <button onClick={() => attempt(sendTestNotification, 'Test notification sent')} disabled={busy} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10">
+                  Send a test
+                </button>
+              )}
+            </div>
+          </div>
+
+          {error && <div className="text-red-400">{error}</div>}
+        </div>
+      )}
+    </section>
+  );
+}
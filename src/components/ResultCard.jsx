@@ -2,12 +2,16 @@
 import React from "react";
 import { Check, AlertTriangle } from "lucide-react";
 
+// valence / arousal are null when the model did not report them
+const pct = (v) => (v == null ? "—" : `${(v * 100).toFixed(0)}%`);
+const fixed = (v) => (v == null ? "—" : v.toFixed(2));
+
 /**
- * result: { emotion_dist: [...], valence, arousal, recommendation, primary }
+ * result: inferResultSchema (api/schemas) plus the derived `primary` label
  */
 export default function ResultCard({ result }) {
   const { emotion_dist, valence, arousal, recommendation, primary } = result;
-  const score = Math.max(...emotion_dist || [0]);
+  const score = Math.max(...emotion_dist);
   const confidence = Math.round(score * 100);
 
   // Human-friendly recommendation rendering
@@ -19,7 +23,7 @@ export default function ResultCard({ result }) {
       <div className="flex items-center justify-between">
         <div>
           <h3 className="text-lg font-semibold">Inferred mood: <span className="text-purple-600">{primary}</span></h3>
-          <p className="text-sm text-gray-500">Confidence {confidence}% — Valence: {valence.toFixed(2)} · Arousal: {arousal.toFixed(2)}</p>
+          <p className="text-sm text-gray-500">Confidence {confidence}% — Valence: {fixed(valence)} · Arousal: {fixed(arousal)}</p>
         </div>
         <div>
           {confidence > 60 ? <Check className="text-green-500" /> : <AlertTriangle className="text-yellow-500" />}
@@ -34,12 +38,12 @@ export default function ResultCard({ result }) {
 
         <div className="p-4 rounded-lg bg-gray-50">
           <div className="text-sm text-gray-500">Valence</div>
-          <div className="text-xl font-semibold">{(valence*100).toFixed(0)}%</div>
+          <div className="text-xl font-semibold">{pct(valence)}</div>
         </div>
 
         <div className="p-4 rounded-lg bg-gray-50">
           <div className="text-sm text-gray-500">Arousal</div>
-          <div className="text-xl font-semibold">{(arousal*100).toFixed(0)}%</div>
+          <div className="text-xl font-semibold">{pct(arousal)}</div>
         </div>
       </div>
 
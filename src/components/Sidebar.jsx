@@ -17,10 +17,13 @@ import {
   X,
   Menu,
   Video,
+  ShieldCheck,
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useAuth } from "../contexts/AuthContext";
 import { useToasts } from "../contexts/ToastContext";
+import { PERMISSIONS } from "../lib/roles";
+import syncEngine from "../lib/syncEngine";
 
 const STORAGE_KEY = "mindecho_sidebar_collapsed_v1";
 const VideoCallDock = lazy(() => import("./VideoCallDock").catch(() => ({ default: () => null })));
@@ -79,7 +82,7 @@ function MobileBottomNav({ nav, currentPath, onOpenDrawer }) {
 }
 
 export default function Sidebar() {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const { addToast } = useToasts();
   const location = useLocation();
   const navigate = useNavigate();
@@ -145,7 +148,8 @@ export default function Sidebar() {
     { to: "/history", label: "History", icon: Repeat },
     { to: `/profile/${user?.profile?.id || ""}`, label: "Profile", icon: Book, showForGuest: !!user?.profile },
     { to: "/settings", label: "Settings", icon: Settings },
-  ];
+    { to: "/admin", label: "Admin", icon: ShieldCheck, permission: PERMISSIONS.ADMIN_ACCESS },
+  ].filter((item) => !item.permission || can(item.permission));
 
   const isActive = (to) => {
     if (!to) return false;
@@ -154,7 +158,12 @@ export default function Sidebar() {
 
   const handleLogout = async () => {
     try {
-      await logout();
+      // what can't be synced now would be lost with the device's local copy
+      const unsent = await syncEngine.flush().catch(() => null);
+      const plural = unsent === 1 ? "" : "s";
+      if (unsent && !window.confirm(`${unsent} change${plural} couldn't be synced yet and will be removed from this device when you sign out. Sign out anyway?`)) return;
+      // if the count is unknown, the changes stay parked for the next sign-in
+      await logout({ discardUnsent: unsent !== null });
       addToast({ title: "Signed out", description: "You have been logged out.", tone: "success" });
       navigate("/login");
     } catch (err) {
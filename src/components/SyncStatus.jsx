@@ -0,0 +1,57 @@
+// src/components/SyncStatus.jsx
+import React from "react";
+import { motion } from "framer-motion";
+import { Cloud, CloudOff, RefreshCw, AlertTriangle, GitMerge } from "lucide-react";
+import { useSyncStatus } from "../hooks/useSync";
+
+function timeAgo(iso) {
+  if (!iso) return "never";
+  const min = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  return new Date(iso).toLocaleString();
+}
+
+// what the icon and tooltip say for each engine state
+function describe({ state, pending, conflicts, lastSyncedAt, error }) {
+  const queued = pending ? ` — ${pending} change${pending === 1 ? "" : "s"} waiting` : "";
+  if (state === "syncing") return { Icon: RefreshCw, color: "text-purple-300", spin: true, label: "Syncing…" };
+  if (state === "offline") return { Icon: CloudOff, color: "text-amber-300", label: `Offline${queued}` };
+  if (state === "error") return { Icon: AlertTriangle, color: "text-red-400", label: `Sync failed: ${error}${queued}` };
+  if (conflicts) return { Icon: GitMerge, color: "text-purple-300", label: `${conflicts} journal entr${conflicts === 1 ? "y" : "ies"} to review` };
+  return { Icon: Cloud, color: "text-emerald-300", label: `Synced ${timeAgo(lastSyncedAt)}${queued}` };
+}
+
+/**
+ * SyncStatus — Header indicator for the journal / mood / meditation sync.
+ * Hidden while signed out; click to sync now.
+ */
+export default function SyncStatus() {
+  const status = useSyncStatus();
+  if (status.state === "disabled") return null;
+
+  const { Icon, color, spin, label } = describe(status);
+  const badge = status.conflicts || status.pending;
+
+  return (
+    <motion.button
+      whileTap={{ scale: 0.96 }}
+      onClick={() => status.syncNow()}
+      disabled={status.state === "syncing"}
+      title={`${label}. Click to sync now.`}
+      aria-label={label}
+      className="p-2 rounded-full hover:bg-gray-800 relative"
+    >
+      <Icon className={`w-5 h-5 ${color} ${spin ? "animate-spin" : ""}`} />
+      {badge > 0 && (
+        <span
+          className={`absolute -top-0.5 -right-0.5 text-white text-xs px-1.5 rounded-full ${
+            status.conflicts ? "bg-purple-600" : "bg-gray-600"
+          }`}
+        >
+          {badge}
+        </span>
+      )}
+    </motion.button>
+  );
+}
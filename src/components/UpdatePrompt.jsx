@@ -0,0 +1,43 @@
+// src/components/UpdatePrompt.jsx
+import React, { useState, useSyncExternalStore } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { applyUpdate, getUpdateState, subscribeUpdate } from '../lib/serviceWorker';
+
+/**
+ * UpdatePrompt — "a new version is available" card, shown once a newly
+ * deployed build has been downloaded by the service worker. Reloading
+ * switches to it; "Later" waits until the next app start.
+ */
+export default function UpdatePrompt() {
+  const { updateAvailable } = useSyncExternalStore(subscribeUpdate, getUpdateState);
+  const [dismissed, setDismissed] = useState(false);
+  const [updating, setUpdating] = useState(false);
+
+  if (!updateAvailable || dismissed) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[80] w-[calc(100%-2rem)] max-w-md flex items-center gap-3 bg-gray-900 border border-gray-700 rounded-xl shadow-2xl px-4 py-3 text-gray-100"
+    >
+      <RefreshCw className={`w-5 h-5 text-purple-300 shrink-0 ${updating ? 'animate-spin' : ''}`} />
+      <div className="flex-1 min-w-0">
+        <div className="text-sm font-semibold">Update available</div>
+        <div className="text-xs text-gray-400">A new version of MindEcho is ready. Reload to use it.</div>
+      </div>
+      <button
+        onClick={() => {
+          setUpdating(true);
+          applyUpdate();
+        }}
+        disabled={updating}
+        className="px-3 py-1.5 rounded-lg bg-purple-600 text-white text-sm font-medium hover:bg-purple-700 disabled:opacity-60"
+      >
+        Reload
+      </button>
+      <button onClick={() => setDismissed(true)} className="p-1 rounded hover:bg-gray-800" aria-label="Later">
+        <X className="w-4 h-4 text-gray-400" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// src/components/VaultUnlock.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import { useVault } from '../hooks/useVault';
+
+/**
+ * VaultUnlock — asks for the encryption passphrase so journal entries and
+ * mood notes can be read. Shown on app start while the vault is locked and
+ * from the locked placeholders; "Not now" keeps the rest of the app usable.
+ * Props: onClose()
+ */
+export default function VaultUnlock({ onClose }) {
+  const { unlock } = useVault();
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!secret || busy) return;
+    setBusy(true);
+    setError('');
+    try {
+      await unlock(secret);
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Unlock failed');
+      setSecret('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="vault-title"
+      className="fixed inset-0 z-[90] flex items-center justify-center bg-black/60 p-6"
+    >
+      <div className="w-full max-w-sm bg-gray-900 border border-gray-800 rounded-2xl shadow-2xl p-8 text-center text-gray-100">
+        <div className="inline-flex items-center justify-center w-12 h-12 rounded-full bg-purple-600/20 mb-4">
+          <KeyRound className="w-6 h-6 text-purple-300" />
+        </div>
+        <h2 id="vault-title" className="text-xl font-bold">Your journal is encrypted</h2>
+        <p className="text-sm text-gray-400 mt-1">Enter your encryption passphrase to read and write entries on this device.</p>
+
+        <form onSubmit={handleSubmit} className="mt-6 space-y-3">
+          <input
+            ref={inputRef}
+            type="password"
+            autoComplete="current-password"
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+            placeholder="Passphrase"
+            aria-label="Encryption passphrase"
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-center focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          {error && <div className="text-sm text-red-300">{error}</div>}
+          <button
+            type="submit"
+            disabled={busy || !secret}
+            className="w-full bg-purple-600 text-white font-semibold py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {busy ? 'Unlocking…' : 'Unlock'}
+          </button>
+        </form>
+
+        <button type="button" onClick={onClose} className="mt-4 text-xs text-gray-400 hover:text-gray-200">
+          Not now
+        </button>
+
+        <p className="text-[11px] text-gray-500 mt-6">
+          The passphrase can't be reset. Without it, encrypted entries can't be recovered.
+        </p>
+      </div>
+    </div>
+  );
+}
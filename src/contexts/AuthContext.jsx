@@ -1,6 +1,18 @@
 // src/contexts/AuthContext.jsx
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { httpClient, setToken, getToken } from '../api/httpClient';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { httpClient, getToken, setSession, refreshSession, tokenExpiresAt } from '../api/httpClient';
+import queryCache from '../lib/queryCache';
+import { hasRole, hasPermission } from '../lib/roles';
+import { verifyMfaLogin } from '../services/mfaService';
+import { exchangeOAuthCode, confirmOAuthLink } from '../services/oauthService';
+import { beginOAuth } from '../lib/oauth';
+import { revokeAllSessions } from '../services/sessionService';
+import { validate } from '../lib/schema';
+import { userSchema } from '../api/schemas';
+import syncEngine from '../lib/syncEngine';
+import vault from '../lib/vault';
+import reminders from '../lib/reminders';
+import { clearApiCache } from '../lib/serviceWorker';
 
 const AuthContext = createContext(null);
 
@@ -8,12 +20,20 @@ const AuthContext = createContext(null);
  * AuthProvider
  * - reads token from localStorage via getToken()
  * - fetches /me only if token exists to populate user on start
- * - exposes login, register, logout, refreshUser
+ * - exposes login (+ completeMfaLogin), social sign-in (loginWithProvider,
+ *   completeOAuthLogin, confirmProviderLink), reauthenticate, register, logout,
+ *   refreshUser, and hasRole / can for the roles carried on the /me user
+ * - keeps the session alive: expired access tokens are refreshed by httpClient
+ *   (and proactively shortly before a JWT expires), so the user is only
+ *   signed out when the refresh token itself is rejected
+ * - follows sign-in, sign-out and token refreshes made in other tabs
  */
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   // loading indicates whether we're confirming current session on mount
   const [loading, setLoading] = useState(true);
+  // bumped whenever the access token is renewed (here or in another tab)
+  const [renewedAt, setRenewedAt] = useState(0);
 
   // Refresh/hydrate user from backend (only if token exists)
   const refreshUser = useCallback(async () => {
@@ -27,14 +47,17 @@ export function AuthProvider({ children }) {
       }
 
       // /me must be implemented on backend and return user+profile
-      const data = await httpClient.get('/me');
+      const data = await httpClient.get('/me', { schema: userSchema });
       setUser(data);
       return data;
     } catch (err) {
-      // Invalid/expired token or other error
       console.warn('refreshUser failed:', err?.message || err);
-      setUser(null);
-      setToken(null); // clear any invalid token
+      // only a rejected session (httpClient already tried a refresh) signs the
+      // user out; being offline or a server error keeps the session for next time
+      if (err?.status === 401) {
+        setUser(null);
+        setSession({ token: null, refreshToken: null });
+      }
       return null;
     } finally {
       setLoading(false);
@@ -45,38 +68,90 @@ export function AuthProvider({ children }) {
     // On mount, try to hydrate only if token exists
     refreshUser();
 
-    // Listen for global auth-logout event dispatched by httpClient on 401
+    // auth-logout: session rejected by the server, or signed out in another tab
     const onAuthLogout = () => {
       setUser(null);
-      setToken(null);
+      setSession({ token: null, refreshToken: null });
+      queryCache.clear();
+      clearApiCache();
+    };
+    // auth-login: another tab signed in (possibly as someone else) — hydrate from /me
+    const onAuthLogin = () => {
+      queryCache.clear();
+      clearApiCache();
+      refreshUser();
     };
+    // auth-token: another tab refreshed the access token — reschedule renewal
+    const onAuthToken = () => setRenewedAt(Date.now());
+
     window.addEventListener('auth-logout', onAuthLogout);
+    window.addEventListener('auth-login', onAuthLogin);
+    window.addEventListener('auth-token', onAuthToken);
 
     return () => {
       window.removeEventListener('auth-logout', onAuthLogout);
+      window.removeEventListener('auth-login', onAuthLogin);
+      window.removeEventListener('auth-token', onAuthToken);
     };
   }, [refreshUser]);
 
-  /**
-   * login(email, password)
-   * expects backend: POST /auth/login -> { token, user }
-   */
-  const login = async (email, password, opts = {}) => {
-    const payload = { email, password };
-    if (opts.remember) payload.remember = true;
+  // silent renewal: refresh a JWT a minute before it expires so long
+  // journaling / meditation sessions never hit a 401 at all
+  useEffect(() => {
+    if (!user) return;
+    const expiresAt = tokenExpiresAt(getToken());
+    if (!expiresAt) return;
+    const t = setTimeout(() => {
+      // reschedule against the new token's expiry
+      refreshSession().then((fresh) => fresh && setRenewedAt(Date.now()));
+    }, Math.max(0, expiresAt - Date.now() - 60 * 1000));
+    return () => clearTimeout(t);
+  }, [user, renewedAt]);
 
-    const data = await httpClient.post('/auth/login', payload, { auth: false });
-    if (!data) throw new Error('Empty login response');
+  // journal / mood / meditation sync and reminders run while someone is
+  // signed in; signing out also forgets the encryption passphrase and removes
+  // the account's local copy from this device. Unsent changes are parked for
+  // the account's next sign-in here, unless the user confirmed discarding them
+  // (logout({ discardUnsent: true })).
+  const userId = user?.id;
+  const signedInRef = useRef(false);
+  const discardUnsentRef = useRef(false);
+  useEffect(() => {
+    if (userId) {
+      signedInRef.current = true;
+      syncEngine.start(userId);
+      vault.start(userId);
+      reminders.start(userId);
+    } else {
+      syncEngine.stop();
+      vault.stop();
+      reminders.stop();
+      // only after a sign-out — not while a reload is still hydrating the user
+      if (signedInRef.current) {
+        if (discardUnsentRef.current) syncEngine.clearLocalData();
+        else syncEngine.park();
+      }
+      signedInRef.current = false;
+      discardUnsentRef.current = false;
+    }
+  }, [userId]);
+
+  // the second-step challenge returned instead of a user (see completeMfaLogin)
+  const mfaChallenge = (data) => ({ mfaRequired: true, mfaToken: data.mfaToken, methods: data.methods || ['totp', 'recovery'] });
 
+  // store the tokens of a successful sign-in and resolve the user
+  const acceptSession = async (data) => {
+    // { token, refreshToken? }
     if (data.token) {
-      setToken(data.token);
+      setSession(data);
     }
 
     // If backend returned user directly, use it, otherwise refresh
     if (data.user) {
-      setUser(data.user);
+      const signedIn = validate(userSchema, data.user, { source: 'auth response' });
+      setUser(signedIn);
       setLoading(false);
-      return data.user;
+      return signedIn;
     }
 
     // If token only, hydrate
@@ -84,10 +159,103 @@ export function AuthProvider({ children }) {
     return me;
   };
 
+  /**
+   * login(email, password)
+   * expects backend: POST /auth/login -> { token, refreshToken?, user }
+   * or, for accounts with two-factor enabled,
+   *   { mfaRequired: true, mfaToken, methods: ['totp', 'recovery'] }
+   * in which case nothing is stored and that challenge is returned instead of
+   * the user; finish with completeMfaLogin().
+   */
+  const login = async (email, password, opts = {}) => {
+    const payload = { email, password };
+    if (opts.remember) payload.remember = true;
+
+    let data;
+    try {
+      data = await httpClient.post('/auth/login', payload, { auth: false });
+    } catch (err) {
+      // some backends answer the challenge with 401 instead of 200
+      if (!err?.body?.mfaRequired) throw err;
+      data = err.body;
+    }
+    if (!data) throw new Error('Empty login response');
+
+    if (data.mfaRequired) return mfaChallenge(data);
+
+    return acceptSession(data);
+  };
+
+  /**
+   * loginWithProvider(provider, { next, mode })
+   * leaves the app for the provider's consent screen (OAuth code + PKCE, see
+   * lib/oauth); /auth/callback finishes with completeOAuthLogin. mode 'link'
+   * attaches the provider to the signed-in account instead.
+   */
+  const loginWithProvider = (provider, opts = {}) =>
+    beginOAuth({ provider, mode: opts.mode || 'login', next: opts.next || null });
+
+  /**
+   * completeOAuthLogin({ provider, code, codeVerifier, redirectUri })
+   * Resolves the user, an MFA challenge (as login), or
+   *   { linkRequired: true, email, linkToken, provider }
+   * when an email/password account already owns that address; finish that
+   * with confirmProviderLink.
+   */
+  const completeOAuthLogin = async (callback) => {
+    let data;
+    try {
+      data = await exchangeOAuthCode(callback);
+    } catch (err) {
+      if (!err?.body?.linkRequired) throw err;
+      data = err.body;
+    }
+    if (!data) throw new Error('Empty sign-in response');
+    if (data.mfaRequired) return mfaChallenge(data);
+    if (data.linkRequired) {
+      return { linkRequired: true, email: data.email, linkToken: data.linkToken, provider: callback.provider };
+    }
+    return acceptSession(data);
+  };
+
+  /**
+   * confirmProviderLink({ linkToken, password })
+   * links the provider to the existing account and signs in
+   */
+  const confirmProviderLink = async (params) => {
+    const data = await confirmOAuthLink(params);
+    if (!data) throw new Error('Empty sign-in response');
+    if (data.mfaRequired) return mfaChallenge(data);
+    return acceptSession(data);
+  };
+
+  /**
+   * completeMfaLogin({ mfaToken, code } | { mfaToken, recoveryCode })
+   * second login step after login() returned an MFA challenge
+   */
+  const completeMfaLogin = async (params) => {
+    const data = await verifyMfaLogin(params);
+    if (!data?.token) throw new Error('Empty verification response');
+    return acceptSession(data);
+  };
+
+  /**
+   * reauthenticate(password)
+   * Confirms the signed-in user's password for the current session (used by
+   * the lock screen). Backend: POST /auth/password/verify -> { verified: true },
+   * which issues no tokens — no new session is started and the current one is
+   * kept as is. Resolves true, or rejects with the ApiError (400 when wrong).
+   */
+  const reauthenticate = async (password) => {
+    if (!user) throw new Error('No signed-in user');
+    await httpClient.post('/auth/password/verify', { password });
+    return true;
+  };
+
   /**
    * register(payload)
    * Accepts either (name, email, password, consent) signature OR object
-   * Backend: POST /auth/register -> { token, user }
+   * Backend: POST /auth/register -> { token, refreshToken?, user }
    */
   const register = async (...args) => {
     let payload;
@@ -101,39 +269,52 @@ export function AuthProvider({ children }) {
     const data = await httpClient.post('/auth/register', payload, { auth: false });
     if (!data) throw new Error('Empty register response');
 
-    if (data.token) setToken(data.token);
-    if (data.user) {
-      setUser(data.user);
-      setLoading(false);
-      return data.user;
-    }
-
-    const me = await refreshUser();
-    return me;
+    return acceptSession(data);
   };
 
   /**
-   * logout()
+   * logout({ everywhere, server })
    * Clear token locally and attempt server-side logout (best-effort)
+   * - everywhere: revoke every session of this account, on all devices
+   * - server: false when the server already revoked this session (e.g. it
+   *   was revoked from the Devices & sessions panel) — only clean up locally
+   * - discardUnsent: the user confirmed losing changes that could not be
+   *   synced; otherwise they are kept on the device for their next sign-in
    */
-  const logout = async () => {
+  const logout = async (opts = {}) => {
     try {
-      // optional server logout
-      try {
-        await httpClient.post('/auth/logout', null);
-      } catch (e) {
-        // ignore server logout failures
+      if (opts.server !== false) {
+        // queued journal / mood changes go out while the session still works
+        await syncEngine.flush().catch(() => {});
+        try {
+          if (opts.everywhere) await revokeAllSessions();
+          else await httpClient.post('/auth/logout', null);
+        } catch (e) {
+          // ignore server logout failures
+        }
       }
     } finally {
-      setToken(null);
+      discardUnsentRef.current = opts.discardUnsent === true;
+      setSession({ token: null, refreshToken: null });
       setUser(null);
+      // cached queries (and API responses kept for offline use) belong to the signed-out user
+      queryCache.clear();
+      clearApiCache();
     }
   };
 
   const value = {
     user,
     loading,
+    // role / permission checks for the current user (see lib/roles)
+    hasRole: (roles) => hasRole(user, roles),
+    can: (permissions) => hasPermission(user, permissions),
     login,
+    completeMfaLogin,
+    loginWithProvider,
+    completeOAuthLogin,
+    confirmProviderLink,
+    reauthenticate,
     register,
     logout,
     refreshUser,
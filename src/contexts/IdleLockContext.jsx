@@ -0,0 +1,192 @@
+// src/contexts/IdleLockContext.jsx
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { useToasts } from './ToastContext';
+import LockScreen from '../components/LockScreen';
+import {
+  STORAGE_KEYS,
+  MAX_PIN_ATTEMPTS,
+  loadIdlePrefs,
+  saveIdlePrefs,
+  readLastActivity,
+  writeLastActivity,
+  readLock,
+  writeLock,
+  clearIdleState,
+  hasPin,
+  verifyPin,
+} from '../lib/idleLock';
+
+const IdleLockContext = createContext({ locked: false });
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+const CHECK_EVERY_MS = 5 * 1000;
+// don't hit localStorage on every mouse move
+const ACTIVITY_WRITE_MS = 5 * 1000;
+
+/**
+ * IdleLockProvider
+ * - tracks user input across the app (and across tabs, via localStorage)
+ * - after `lockAfterMin` of inactivity the app is blurred behind a lock
+ *   screen that needs the account password or the device PIN
+ * - after `logoutAfterMin` on the lock screen the session is ended
+ * - `locked` is exposed so camera / mic capture can pause while locked
+ * Only signed-in users are ever locked, and accounts without a password
+ * (provider sign-in only) only once a PIN is set on this device.
+ */
+export function IdleLockProvider({ children }) {
+  const { user, logout, reauthenticate } = useAuth();
+  const { addToast } = useToasts();
+  const [prefs, setPrefs] = useState(loadIdlePrefs);
+  const [lock, setLock] = useState(readLock);
+  const lastWriteRef = useRef(0);
+  const wasSignedInRef = useRef(false);
+  const signingOutRef = useRef(false);
+
+  const locked = !!user && !!lock && prefs.enabled;
+  const userId = user?.id ?? user?._id;
+  const passwordless = user?.hasPassword === false;
+  // without a password the PIN is the only way back in
+  const canLock = useCallback(() => !passwordless || hasPin(userId), [passwordless, userId]);
+
+  const updateLock = useCallback((next) => {
+    writeLock(next);
+    setLock(next);
+  }, []);
+
+  const lockNow = useCallback(() => {
+    if (!canLock()) return;
+    const current = readLock();
+    if (!current) updateLock({ lockedAt: Date.now(), pinAttempts: 0 });
+  }, [canLock, updateLock]);
+
+  // record activity (always — typing the password on /login counts, so a fresh
+  // sign-in never starts out idle)
+  useEffect(() => {
+    const onActivity = () => {
+      if (readLock()) return; // input on the lock screen itself is not activity
+      const now = Date.now();
+      if (now - lastWriteRef.current < ACTIVITY_WRITE_MS) return;
+      lastWriteRef.current = now;
+      writeLastActivity(now);
+    };
+    ACTIVITY_EVENTS.forEach((ev) => window.addEventListener(ev, onActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach((ev) => window.removeEventListener(ev, onActivity));
+  }, []);
+
+  // follow lock / unlock / settings changes made in other tabs
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEYS.LOCK_KEY) setLock(readLock());
+      if (e.key === STORAGE_KEYS.PREFS_KEY) setPrefs(loadIdlePrefs());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  // idle check: interval-based so a laptop waking from sleep locks immediately
+  useEffect(() => {
+    if (!user || !prefs.enabled) return;
+
+    const check = () => {
+      const now = Date.now();
+      const current = readLock();
+      if (current) {
+        if (now - current.lockedAt >= prefs.logoutAfterMin * 60 * 1000 && !signingOutRef.current) {
+          signingOutRef.current = true;
+          logout().finally(() => {
+            signingOutRef.current = false;
+          });
+          addToast({ title: 'Signed out', description: 'You were signed out after a period of inactivity.', tone: 'info' });
+        }
+        return;
+      }
+      const last = readLastActivity();
+      if (!last) {
+        writeLastActivity(now);
+        return;
+      }
+      if (now - last >= prefs.lockAfterMin * 60 * 1000) lockNow();
+    };
+
+    check();
+    const t = setInterval(check, CHECK_EVERY_MS);
+    return () => clearInterval(t);
+    // logout / addToast are recreated every render; restarting the timer for them is pointless
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, prefs, lockNow]);
+
+  // signing out (here, in another tab or by the grace period) drops the lock
+  useEffect(() => {
+    if (user) {
+      wasSignedInRef.current = true;
+      return;
+    }
+    if (wasSignedInRef.current) {
+      wasSignedInRef.current = false;
+      clearIdleState();
+      setLock(null);
+    }
+  }, [user]);
+
+  const unlocked = useCallback(() => {
+    writeLastActivity();
+    updateLock(null);
+  }, [updateLock]);
+
+  /** unlockWithPassword(password) — throws with a readable message on failure */
+  const unlockWithPassword = useCallback(
+    async (password) => {
+      try {
+        await reauthenticate(password);
+      } catch (err) {
+        if (err?.status === 401 || err?.status === 400) throw new Error('Incorrect password');
+        if (err?.status === 409) throw new Error('This account has no password — unlock with your PIN, or sign out and sign in again');
+        throw err;
+      }
+      unlocked();
+    },
+    [reauthenticate, unlocked]
+  );
+
+  /** unlockWithPin(pin) — counts failures; too many disables the PIN until the password is used */
+  const unlockWithPin = useCallback(
+    async (pin) => {
+      const current = readLock() || { lockedAt: Date.now(), pinAttempts: 0 };
+      if (current.pinAttempts >= MAX_PIN_ATTEMPTS) throw new Error('Too many attempts — use your password');
+      if (await verifyPin(userId, pin)) {
+        unlocked();
+        return;
+      }
+      const pinAttempts = (current.pinAttempts || 0) + 1;
+      updateLock({ ...current, pinAttempts });
+      throw new Error(pinAttempts >= MAX_PIN_ATTEMPTS ? 'Too many attempts — use your password' : 'Incorrect PIN');
+    },
+    [userId, unlocked, updateLock]
+  );
+
+  const updatePrefs = useCallback((patch) => setPrefs(saveIdlePrefs(patch)), []);
+
+  const value = {
+    locked,
+    prefs,
+    updatePrefs,
+    lockNow,
+    passwordless,
+    unlockWithPassword,
+    unlockWithPin,
+    pinAvailable: !!userId && hasPin(userId) && (lock?.pinAttempts || 0) < MAX_PIN_ATTEMPTS,
+  };
+
+  return (
+    <IdleLockContext.Provider value={value}>
+      {/* inert keeps keyboard focus and screen readers out of the blurred app */}
+      <div inert={locked} aria-hidden={locked || undefined} className={locked ? 'blur-md pointer-events-none select-none' : undefined}>
+        {children}
+      </div>
+      {locked && <LockScreen user={user} onSignOut={logout} />}
+    </IdleLockContext.Provider>
+  );
+}
+
+export const useIdleLock = () => useContext(IdleLockContext);
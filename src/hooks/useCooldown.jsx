@@ -0,0 +1,56 @@
+// src/hooks/useCooldown.jsx
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * useCooldown(key, defaultSeconds)
+ * Client-side rate limit for "resend" style buttons. The end time is kept in
+ * localStorage under `key`, so reloading the page doesn't reset it.
+ *
+ * Returns { remaining, active, start(seconds?) } — `remaining` in whole seconds.
+ */
+export function useCooldown(key, defaultSeconds = 60) {
+  const storageKey = `mindecho_cooldown_${key}`;
+  const read = useCallback(() => {
+    try {
+      return Number(localStorage.getItem(storageKey)) || 0;
+    } catch {
+      return 0;
+    }
+  }, [storageKey]);
+
+  const [until, setUntil] = useState(read);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setUntil(read());
+  }, [read]);
+
+  useEffect(() => {
+    if (until <= Date.now()) return;
+    const t = setInterval(() => {
+      const n = Date.now();
+      setNow(n);
+      if (n >= until) clearInterval(t);
+    }, 1000);
+    return () => clearInterval(t);
+  }, [until]);
+
+  const start = useCallback(
+    (seconds = defaultSeconds) => {
+      const next = Date.now() + seconds * 1000;
+      try {
+        localStorage.setItem(storageKey, String(next));
+      } catch {
+        // not persisted — the cooldown still holds for this page
+      }
+      setNow(Date.now());
+      setUntil(next);
+    },
+    [storageKey, defaultSeconds]
+  );
+
+  const remaining = Math.max(0, Math.ceil((until - now) / 1000));
+  return { remaining, active: remaining > 0, start };
+}
+
+export default useCooldown;
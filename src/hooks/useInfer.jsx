@@ -18,7 +18,7 @@ export default function useInfer() {
       setResult(data);
       return data;
     } catch (err) {
-      setError(err?.response?.data || { message: err.message || 'Inference failed' });
+      setError(err?.body || { message: err.message || 'Inference failed' });
       throw err;
     } finally {
       setLoading(false);
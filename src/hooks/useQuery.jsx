@@ -0,0 +1,91 @@
+// src/hooks/useQuery.jsx
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import queryCache, { hashKey } from '../lib/queryCache';
+
+/**
+ * useQuery(key, fetcher, opts)
+ * - key: array such as ['profile', id]; a change of key switches entries
+ * - fetcher({ signal }): returns a promise with the data
+ * - opts: { enabled = true, staleTime, cacheTime }
+ *
+ * Returns { data, error, isLoading, isFetching, refetch }.
+ * Cached data is returned immediately; when it is stale a background
+ * revalidation runs and the component re-renders once it lands.
+ */
+export function useQuery(key, fetcher, opts = {}) {
+  const { enabled = true, staleTime, cacheTime } = opts;
+  const hash = hashKey(key);
+
+  // the latest fetcher/options without making them effect dependencies
+  const latest = useRef({ key, fetcher, staleTime, cacheTime });
+  latest.current = { key, fetcher, staleTime, cacheTime };
+
+  const subscribe = useCallback(
+    (listener) => queryCache.subscribe(latest.current.key, listener),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [hash]
+  );
+  const getSnapshot = useCallback(
+    () => queryCache.getState(latest.current.key),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [hash]
+  );
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  const run = useCallback((force) => {
+    const { key: k, fetcher: f, staleTime: st, cacheTime: ct } = latest.current;
+    return queryCache.fetch(k, f, { staleTime: st, cacheTime: ct, force });
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    // errors are exposed through state.error
+    run(false).catch(() => {});
+  }, [hash, enabled, run]);
+
+  const refetch = useCallback(() => run(true), [run]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+}
+
+/**
+ * useMutation(mutationFn, opts)
+ * - opts.invalidates: array of key prefixes to revalidate after success
+ * - opts.onSuccess(data, variables): e.g. queryCache.setQueryData for an
+ *   instant update before the revalidation lands
+ *
+ * Returns { mutate, isLoading, error, data, reset }; mutate resolves with
+ * the mutation result and rethrows its error.
+ */
+export function useMutation(mutationFn, opts = {}) {
+  const [state, setState] = useState({ isLoading: false, error: null, data: undefined });
+  const latest = useRef({ mutationFn, opts });
+  latest.current = { mutationFn, opts };
+
+  const mutate = useCallback(async (...variables) => {
+    const { mutationFn: fn, opts: o } = latest.current;
+    setState({ isLoading: true, error: null, data: undefined });
+    try {
+      const data = await fn(...variables);
+      if (o.onSuccess) o.onSuccess(data, ...variables);
+      (o.invalidates || []).forEach((prefix) => queryCache.invalidate(prefix));
+      setState({ isLoading: false, error: null, data });
+      return data;
+    } catch (error) {
+      setState({ isLoading: false, error, data: undefined });
+      throw error;
+    }
+  }, []);
+
+  const reset = useCallback(() => setState({ isLoading: false, error: null, data: undefined }), []);
+
+  return { ...state, mutate, reset };
+}
+
+export default useQuery;
@@ -0,0 +1,28 @@
+// src/hooks/useReminders.jsx
+import { useSyncExternalStore } from 'react';
+import reminders, { getReminderState, subscribeReminders } from '../lib/reminders';
+import push, { getPushState, subscribePushState } from '../lib/push';
+
+/**
+ * useReminders()
+ * -> { loaded, settings, due, permission, push, saveSettings, dismiss, requestPermission,
+ *      sendTestNotification, enablePush, disablePush }
+ * due: reminders whose time has come today and whose habit isn't done yet.
+ * push: lib/push state ('unsupported' | 'no-worker' | 'unavailable' | 'denied' | 'off' | 'on').
+ */
+export function useReminders() {
+  const state = useSyncExternalStore(subscribeReminders, getReminderState);
+  const pushState = useSyncExternalStore(subscribePushState, getPushState);
+  return {
+    ...state,
+    push: pushState.state,
+    saveSettings: reminders.saveSettings,
+    dismiss: reminders.dismiss,
+    requestPermission: reminders.requestPermission,
+    sendTestNotification: reminders.sendTestNotification,
+    enablePush: push.enablePush,
+    disablePush: push.disablePush,
+  };
+}
+
+export default useReminders;
@@ -0,0 +1,47 @@
+// src/hooks/useResendVerification.jsx
+import { useState } from 'react';
+import { resendVerification } from '../services/accountService';
+import { useCooldown } from './useCooldown';
+
+const RESEND_SECONDS = 60;
+
+/**
+ * useResendVerification(email)
+ * "Resend confirmation email" with a 60s cooldown (or the server's
+ * Retry-After when it answers 429). Shared by the banner and /verify-email.
+ *
+ * Returns { send, canSend, sending, label, message }.
+ */
+export function useResendVerification(email) {
+  const cooldown = useCooldown('verify_email', RESEND_SECONDS);
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const send = async () => {
+    if (sending || cooldown.active) return;
+    setSending(true);
+    setMessage('');
+    try {
+      await resendVerification(email);
+      cooldown.start();
+      setMessage('Sent — check your inbox (and spam folder).');
+    } catch (err) {
+      if (err?.status === 429) {
+        cooldown.start(Math.ceil((err.retryAfterMs ?? RESEND_SECONDS * 1000) / 1000));
+        setMessage('Too many requests. Please wait before trying again.');
+      } else {
+        setMessage(err?.message || 'Could not resend the email.');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  let label = 'Resend email';
+  if (sending) label = 'Sending…';
+  else if (cooldown.active) label = `Resend in ${cooldown.remaining}s`;
+
+  return { send, canSend: !sending && !cooldown.active, sending, label, message };
+}
+
+export default useResendVerification;
@@ -0,0 +1,54 @@
+// src/hooks/useSensor.jsx
+import { useEffect, useRef, useState } from 'react';
+import { createAdapter } from '../lib/sensors';
+
+/**
+ * useSensor(sourceId, { consent, enabled, options, onSignals, on })
+ * Runs the sensor source `sourceId` (lib/sensors registry) while `enabled`
+ * and hands each `signals` envelope to onSignals. `on` maps other adapter
+ * events to handlers (e.g. { face, rewind, ended } for a replay); its events
+ * are subscribed when the source starts. A new id, consent or options object
+ * (memoize it) restarts the source.
+ *
+ * Returns { status, error, info } — status: 'idle' | 'starting' | 'running' | 'stopped' | 'error';
+ * info: the adapter's latest 'info' details (e.g. EEG battery and contact quality), or null.
+ */
+export function useSensor(sourceId, { consent, enabled = true, options, onSignals, on } = {}) {
+  const [state, setState] = useState({ status: 'idle', error: null });
+  const [info, setInfo] = useState(null);
+  const onSignalsRef = useRef(onSignals);
+  onSignalsRef.current = onSignals;
+  const onRef = useRef(on);
+  onRef.current = on;
+
+  useEffect(() => {
+    setInfo(null);
+    if (!enabled || !consent) {
+      setState({ status: 'idle', error: null });
+      return;
+    }
+    let adapter;
+    try {
+      adapter = createAdapter(sourceId, options);
+    } catch (err) {
+      setState({ status: 'error', error: err });
+      return;
+    }
+    const offStatus = adapter.on('status', setState);
+    const offSignals = adapter.on('signals', (signals) => onSignalsRef.current?.(signals));
+    const offInfo = adapter.on('info', setInfo);
+    const offExtra = Object.keys(onRef.current || {}).map((event) => adapter.on(event, (data) => onRef.current?.[event]?.(data)));
+    adapter.start(consent).catch(() => {}); // reported through 'status'
+    return () => {
+      offStatus();
+      offSignals();
+      offInfo();
+      offExtra.forEach((off) => off());
+      adapter.stop();
+    };
+  }, [sourceId, consent, enabled, options]);
+
+  return { ...state, info };
+}
+
+export default useSensor;
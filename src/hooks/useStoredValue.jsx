@@ -0,0 +1,49 @@
+// src/hooks/useStoredValue.jsx
+import { useCallback, useEffect, useRef, useState } from 'react';
+import storage from '../lib/storage';
+
+/**
+ * useStoredValue(key, fallback)
+ * A small setting kept in lib/storage (IndexedDB key/value store) and shared
+ * with other tabs. Reads are async, so `fallback` is returned until the stored
+ * value has loaded.
+ *
+ * Returns [value, setValue(next | fn), { loaded }]; setting null/undefined removes it.
+ */
+export function useStoredValue(key, fallback = null) {
+  const fallbackRef = useRef(fallback);
+  const [state, setState] = useState({ value: fallback, loaded: false });
+
+  useEffect(() => {
+    let alive = true;
+    const load = () =>
+      storage
+        .getItem(key, fallbackRef.current)
+        .then((value) => alive && setState({ value, loaded: true }))
+        .catch(() => alive && setState((s) => ({ ...s, loaded: true })));
+    load();
+    const unsubscribe = storage.subscribe('kv', (keys) => keys.includes(key) && load());
+    return () => {
+      alive = false;
+      unsubscribe();
+    };
+  }, [key]);
+
+  // the latest value, so functional updates chain without a re-render in between
+  const valueRef = useRef(state.value);
+  valueRef.current = state.value;
+
+  const setValue = useCallback(
+    (next) => {
+      const value = typeof next === 'function' ? next(valueRef.current) : next;
+      valueRef.current = value ?? fallbackRef.current;
+      setState({ value: valueRef.current, loaded: true });
+      storage.setItem(key, value).catch((err) => console.warn(`[storage] could not save "${key}":`, err));
+    },
+    [key]
+  );
+
+  return [state.value, setValue, { loaded: state.loaded }];
+}
+
+export default useStoredValue;
@@ -0,0 +1,92 @@
+// src/hooks/useSync.jsx
+import { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+import {
+  getRecords,
+  putRecord,
+  removeRecord,
+  subscribe,
+  getConflicts,
+  resolveConflict,
+  getSyncStatus,
+  subscribeStatus,
+  syncNow,
+} from '../lib/syncEngine';
+import { getVaultState, openRecord, sealRecord, subscribeVault } from '../lib/vault';
+import { isEnvelope } from '../lib/crypto';
+
+// `items` with every encrypted record opened (lib/vault). Until that has
+// finished the previous result is returned, so lists don't flicker.
+function useOpened(name, items, open) {
+  const { keyVersion } = useSyncExternalStore(subscribeVault, getVaultState);
+  const sealed = useMemo(() => items.some((item) => isEnvelope(item.enc) || isEnvelope(item.mine?.enc) || isEnvelope(item.theirs?.enc)), [items]);
+  const [opened, setOpened] = useState([]);
+
+  useEffect(() => {
+    if (!sealed) return undefined;
+    let cancelled = false;
+    Promise.all(items.map((item) => open(name, item))).then((result) => {
+      if (!cancelled) setOpened(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [name, items, sealed, open, keyVersion]);
+
+  return sealed ? opened : items;
+}
+
+async function openConflict(name, conflict) {
+  const [mine, theirs] = await Promise.all([openRecord(name, conflict.mine), openRecord(name, conflict.theirs)]);
+  return { ...conflict, mine, theirs };
+}
+
+/**
+ * useSyncedCollection(name)
+ * Local-first records of a synced collection ('journal' | 'mood' | 'meditation').
+ *
+ * Returns { records, put(record), remove(id), conflicts, resolveConflict(id, merged?) }.
+ * Writes are saved on the device (lib/storage) at once and reach the server on the next
+ * sync; `records` also updates when a sync brings in changes from elsewhere.
+ * With encryption on, records come back decrypted (or `locked: true` while the
+ * vault is locked) and put() encrypts before anything is stored.
+ */
+export function useSyncedCollection(name) {
+  const records = useSyncExternalStore(
+    useCallback((listener) => subscribe(name, listener), [name]),
+    useCallback(() => getRecords(name), [name])
+  );
+  const allConflicts = useSyncExternalStore(subscribeStatus, getConflicts);
+  const sealedConflicts = useMemo(() => allConflicts.filter((c) => c.collection === name), [allConflicts, name]);
+  const opened = useOpened(name, records, openRecord);
+  const conflicts = useOpened(name, sealedConflicts, openConflict);
+
+  const put = useCallback((record) => sealRecord(name, record).then((sealed) => putRecord(name, sealed)), [name]);
+  const remove = useCallback((id) => removeRecord(name, id), [name]);
+  const resolve = useCallback(
+    async (id, merged) => resolveConflict(name, id, merged && (await sealRecord(name, merged))),
+    [name]
+  );
+
+  // sealed copies of the same text differ anyway (fresh IV, or re-keyed on
+  // another device): once opened, those aren't real conflicts
+  useEffect(() => {
+    conflicts
+      .filter((c) => !c.mine.locked && !c.theirs.locked)
+      .filter((c) => c.mine.body === c.theirs.body && c.mine.title === c.theirs.title)
+      .forEach((c) => resolveConflict(name, c.id));
+  }, [conflicts, name]);
+
+  return { records: opened, put, remove, conflicts, resolveConflict: resolve };
+}
+
+/**
+ * useSyncStatus()
+ * -> { state, pending, conflicts, lastSyncedAt, error, syncNow }
+ * state: 'disabled' | 'idle' | 'syncing' | 'offline' | 'error'
+ */
+export function useSyncStatus() {
+  const status = useSyncExternalStore(subscribeStatus, getSyncStatus);
+  return { ...status, syncNow };
+}
+
+export default useSyncedCollection;
@@ -0,0 +1,23 @@
+// src/hooks/useVault.jsx
+import { useSyncExternalStore } from 'react';
+import vault, { getVaultState, subscribeVault } from '../lib/vault';
+
+/**
+ * useVault()
+ * -> { state, enabled, keyVersion, unlock, lock, enableEncryption, changePassphrase, disableEncryption, exportFile }
+ * state: 'off' | 'locked' | 'unlocked' (see lib/vault)
+ */
+export function useVault() {
+  const state = useSyncExternalStore(subscribeVault, getVaultState);
+  return {
+    ...state,
+    unlock: vault.unlock,
+    lock: vault.lock,
+    enableEncryption: vault.enableEncryption,
+    changePassphrase: vault.changePassphrase,
+    disableEncryption: vault.disableEncryption,
+    exportFile: vault.exportFile,
+  };
+}
+
+export default useVault;
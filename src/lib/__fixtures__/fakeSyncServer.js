@@ -0,0 +1,42 @@
+// src/lib/__fixtures__/fakeSyncServer.js
+// Test doubles for the sync tests: an in-memory sync server behind the
+// services/syncService API, and a localStorage stand-in.
+
+/**
+ * fakeSyncServer() -> { table(name), push, pull }
+ * push/pull answer like pushChanges/pullChanges: versions per record, and a
+ * conflict (with the server copy) for a change built on a stale baseVersion.
+ */
+export function fakeSyncServer() {
+  const tables = {};
+  const table = (name) => (tables[name] ||= new Map());
+  return {
+    table,
+    async push(name, changes) {
+      return changes.map((c) => {
+        const current = table(name).get(c.id);
+        const version = current?.version ?? 0;
+        if (c.baseVersion !== version) return { id: String(c.id), status: 'conflict', current };
+        const next = c.op === 'delete'
+          ? { id: c.id, version: version + 1, updatedAt: c.updatedAt, deleted: true }
+          : { ...c.record, id: c.id, version: version + 1, updatedAt: c.updatedAt };
+        table(name).set(c.id, next);
+        return { id: String(c.id), status: 'ok', version: next.version };
+      });
+    },
+    async pull(name) {
+      return { records: [...table(name).values()], cursor: null };
+    },
+  };
+}
+
+/** memoryStorage() — the subset of localStorage the app uses */
+export function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+    clear: () => items.clear(),
+  };
+}
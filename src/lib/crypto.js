@@ -0,0 +1,82 @@
+// src/lib/crypto.js
+// WebCrypto primitives for client-side encryption (see lib/vault).
+//
+// Keys are derived from a passphrase with PBKDF2-SHA-256. Argon2 would be
+// the stronger choice but browsers don't ship it, so the iteration count is
+// set high instead (OWASP's 2023 figure for PBKDF2-SHA-256). Data is sealed
+// with AES-256-GCM; every envelope names the salt and iteration count its key
+// came from, so any device that knows the passphrase can open it.
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const KDF_ITERATIONS = 600000;
+const ENVELOPE_VERSION = 1;
+
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+export function toBase64(bytes) {
+  let binary = '';
+  for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/** newSalt() — base64 of 16 random bytes */
+export function newSalt() {
+  return toBase64(randomBytes(16));
+}
+
+/** DecryptError — wrong key, or the data was changed after it was sealed */
+export class DecryptError extends Error {
+  constructor(message = 'Could not decrypt — wrong passphrase or damaged data') {
+    super(message);
+    this.name = 'DecryptError';
+  }
+}
+
+/**
+ * deriveKey(passphrase, salt, iterations) -> non-extractable AES-GCM key.
+ * Slow on purpose (hundreds of ms); callers cache the result per salt.
+ */
+export async function deriveKey(passphrase, salt, iterations = KDF_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase.normalize('NFKC')), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * isEnvelope(value) — true for the objects encryptJson produces
+ * { v, alg, salt, iter, iv, ct }
+ */
+export function isEnvelope(value) {
+  return !!value && typeof value === 'object' && value.alg === 'AES-GCM' && typeof value.ct === 'string';
+}
+
+/** encryptJson(key, value, { salt, iterations }) -> envelope */
+export async function encryptJson(key, value, { salt, iterations = KDF_ITERATIONS }) {
+  const iv = randomBytes(12);
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { v: ENVELOPE_VERSION, alg: 'AES-GCM', kdf: 'PBKDF2-SHA256', salt, iter: iterations, iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+/** decryptJson(key, envelope) -> value; throws DecryptError */
+export async function decryptJson(key, envelope) {
+  if (!isEnvelope(envelope)) throw new DecryptError('Not an encrypted payload');
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.ct));
+    return JSON.parse(decoder.decode(plain));
+  } catch {
+    throw new DecryptError();
+  }
+}
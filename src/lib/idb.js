@@ -0,0 +1,67 @@
+// src/lib/idb.js
+// Minimal promise wrapper around IndexedDB — just enough to open a versioned
+// database and run a transaction, without pulling in a dependency.
+
+/** promisify(request) — resolves with request.result, rejects with request.error */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function idbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * openDatabase(name, version, upgrade)
+ * `upgrade(db, oldVersion, tx)` runs inside the versionchange transaction and
+ * should step through every version above oldVersion.
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion, req.transaction);
+    req.onsuccess = () => {
+      const db = req.result;
+      // another tab upgraded the schema: let it proceed. Callers that cache the
+      // handle replace this to also drop their cache, so the next use reopens.
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error(`IndexedDB "${name}" is open in another tab with an older version`));
+  });
+}
+
+/**
+ * transact(db, stores, mode, fn)
+ * Runs `fn(tx)` and resolves with its result once the transaction commits.
+ */
+export function transact(db, stores, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    Promise.resolve(fn(tx)).then(
+      (value) => {
+        result = value;
+      },
+      (err) => {
+        try {
+          tx.abort();
+        } catch {
+          // already finished
+        }
+        reject(err);
+      }
+    );
+  });
+}
+
+export function deleteDatabase(name) {
+  return promisify(indexedDB.deleteDatabase(name));
+}
@@ -0,0 +1,119 @@
+// src/lib/idleLock.js
+// Storage helpers for the inactivity lock (see contexts/IdleLockContext).
+// Everything lives in localStorage so the lock survives a reload and all
+// tabs of the app lock / unlock together (they listen for `storage` events).
+
+const PREFS_KEY = 'mindecho_idle_prefs';
+const ACTIVITY_KEY = 'mindecho_last_activity';
+const LOCK_KEY = 'mindecho_lock';
+const PIN_KEY = 'mindecho_lock_pin';
+
+export const STORAGE_KEYS = { PREFS_KEY, ACTIVITY_KEY, LOCK_KEY, PIN_KEY };
+
+export const IDLE_DEFAULTS = {
+  enabled: true,
+  lockAfterMin: 5, // inactivity before the lock screen appears
+  logoutAfterMin: 30, // time spent locked before the session is ended
+};
+
+// a PIN is a convenience for this device only; after this many wrong
+// guesses the password is required
+export const MAX_PIN_ATTEMPTS = 5;
+
+function readJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage blocked (private mode) — the lock then only lasts for this page load
+  }
+}
+
+export function loadIdlePrefs() {
+  return { ...IDLE_DEFAULTS, ...(readJson(PREFS_KEY) || {}) };
+}
+
+export function saveIdlePrefs(prefs) {
+  const next = { ...loadIdlePrefs(), ...prefs };
+  next.lockAfterMin = Math.max(1, Number(next.lockAfterMin) || IDLE_DEFAULTS.lockAfterMin);
+  // counted from the moment the screen locked, not from the last activity
+  next.logoutAfterMin = Math.max(1, Number(next.logoutAfterMin) || IDLE_DEFAULTS.logoutAfterMin);
+  writeJson(PREFS_KEY, next);
+  return next;
+}
+
+/* ---------- activity + lock state ---------- */
+
+export function readLastActivity() {
+  return Number(readJson(ACTIVITY_KEY)) || 0;
+}
+
+export function writeLastActivity(ts = Date.now()) {
+  writeJson(ACTIVITY_KEY, ts);
+}
+
+/** readLock() -> { lockedAt, pinAttempts } | null */
+export function readLock() {
+  const lock = readJson(LOCK_KEY);
+  return lock && lock.lockedAt ? lock : null;
+}
+
+export function writeLock(lock) {
+  writeJson(LOCK_KEY, lock);
+}
+
+/** clearIdleState() — forget lock + activity (on sign-out) */
+export function clearIdleState() {
+  writeJson(LOCK_KEY, null);
+  writeJson(ACTIVITY_KEY, null);
+}
+
+/* ---------- device PIN ---------- */
+
+function toHex(buf) {
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function derivePin(pin, salt, userId) {
+  const enc = new TextEncoder();
+  const material = await crypto.subtle.importKey('raw', enc.encode(`${userId}:${pin}`), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: enc.encode(salt), iterations: 100000, hash: 'SHA-256' },
+    material,
+    256
+  );
+  return toHex(bits);
+}
+
+/** hasPin(userId) — a PIN was set on this device for this user */
+export function hasPin(userId) {
+  const stored = readJson(PIN_KEY);
+  return !!stored && stored.userId === String(userId);
+}
+
+/** setPin(userId, pin) — store a salted PBKDF2 hash, never the PIN itself */
+export async function setPin(userId, pin) {
+  if (!/^\d{4,8}$/.test(String(pin))) throw new Error('PIN must be 4–8 digits');
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await derivePin(pin, salt, userId);
+  writeJson(PIN_KEY, { userId: String(userId), salt, hash });
+}
+
+export function clearPin() {
+  writeJson(PIN_KEY, null);
+}
+
+export async function verifyPin(userId, pin) {
+  const stored = readJson(PIN_KEY);
+  if (!stored || stored.userId !== String(userId)) return false;
+  return (await derivePin(pin, stored.salt, userId)) === stored.hash;
+}
@@ -7,6 +7,7 @@ export const inferenceService = {
   /**
    * Infer a high-level emotion from raw signals.
    * - newSignals: object possibly containing { neuro: {alpha, beta}, emotion: {smile, frown}, acoustic: {pitch, variance} }
+   *   (a sensors/ adapter envelope; microphone readings also carry energy, speechRate, jitter and voiced)
    * - consent: object { neurofeedback: bool, camera: bool, audio: bool }
    *
    * Returns:
@@ -0,0 +1,45 @@
+// src/lib/inferenceService.test.js
+// Regression tests: every recorded session in ./__fixtures__ (Dashboard
+// "Record", lib/sensors/recorder) is replayed through inferEmotion, which must
+// still infer exactly what it did when the session was recorded. Add a
+// recording there to pin down a case.
+import { beforeEach, describe, expect, it } from 'vitest';
+import { inferenceService } from './inferenceService';
+import { parseRecording, ReplayAdapter } from './sensors/replay';
+
+const recordings = import.meta.glob('./__fixtures__/*.jsonl', { query: '?raw', import: 'default', eager: true });
+
+describe.each(Object.entries(recordings))('inferenceService on %s', (_file, text) => {
+  const { header, frames } = parseRecording(text);
+  const readings = frames.filter((f) => f.kind === 'signals');
+
+  beforeEach(() => inferenceService.clearBuffer());
+
+  it('is a recording with inferred results to compare against', () => {
+    expect(header?.consent).toBeTruthy();
+    expect(readings.length).toBeGreaterThan(0);
+    expect(readings.every((f) => f.expected)).toBe(true);
+  });
+
+  it('infers the recorded emotion for every reading', () => {
+    readings.forEach((frame, i) => {
+      expect(inferenceService.inferEmotion(frame.signals, header.consent), `reading ${i} (t=${frame.t}ms)`).toEqual(frame.expected);
+    });
+  });
+
+  it('gives the same results replayed at instant speed through the sensor pipeline', async () => {
+    const adapter = new ReplayAdapter({ frames, consent: header.consent, speed: Infinity });
+    const results = [];
+    adapter.on('rewind', () => inferenceService.clearBuffer());
+    adapter.on('signals', ({ expected, consent, ...envelope }) => {
+      results.push([inferenceService.inferEmotion(envelope, consent), expected]);
+    });
+    const ended = new Promise((resolve) => adapter.on('ended', resolve));
+    // the recorded consent stands in for the current one
+    await adapter.start({ neurofeedback: true, camera: false, audio: false });
+    await ended;
+
+    expect(results).toHaveLength(readings.length);
+    results.forEach(([actual, expected], i) => expect(actual, `reading ${i}`).toEqual(expected));
+  });
+});
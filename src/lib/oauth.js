@@ -0,0 +1,148 @@
+// src/lib/oauth.js
+// OAuth 2.0 authorization-code + PKCE redirect flow for social sign-in.
+// The browser only obtains the authorization code; the backend exchanges it
+// (with our code_verifier) for the provider tokens and returns a MindEcho
+// session, so no client secret ever reaches the app.
+//
+// Configuration (Vite env):
+//   VITE_OAUTH_GOOGLE_CLIENT_ID, VITE_OAUTH_GITHUB_CLIENT_ID   enable a provider
+//   VITE_OAUTH_<PROVIDER>_AUTHORIZE_URL                         override its authorize endpoint
+//   VITE_OAUTH_MOCK_URL   point every provider at a local mock server instead:
+//                         `${VITE_OAUTH_MOCK_URL}/<provider>/authorize` (client id defaults to "mindecho-dev").
+//                         With VITE_MOCK_API=true it defaults to MOCK_AUTHORIZE_PATH, the mock
+//                         backend's own authorize page (src/api/mock/AuthorizePage.jsx).
+
+const PENDING_KEY = 'mindecho_oauth_pending';
+// an authorization round-trip that takes longer than this is abandoned
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+export const CALLBACK_PATH = '/auth/callback';
+// in-app stand-in for the providers' consent screens (mock backend only)
+export const MOCK_AUTHORIZE_PATH = '/mock-oauth';
+
+export const OAUTH_PROVIDERS = {
+  google: {
+    label: 'Google',
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    scope: 'openid email profile',
+    extraParams: { prompt: 'select_account' },
+  },
+  github: {
+    label: 'GitHub',
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    scope: 'read:user user:email',
+    extraParams: {},
+  },
+};
+
+function env(name) {
+  return import.meta.env[name] || '';
+}
+
+/** providerConfig(id) — static config merged with env; null when not configured */
+export function providerConfig(id) {
+  const base = OAUTH_PROVIDERS[id];
+  if (!base) return null;
+  const upper = id.toUpperCase();
+  const mock = (env('VITE_OAUTH_MOCK_URL') || (env('VITE_MOCK_API') === 'true' ? MOCK_AUTHORIZE_PATH : '')).replace(/\/+$/, '');
+  const clientId = env(`VITE_OAUTH_${upper}_CLIENT_ID`) || (mock ? 'mindecho-dev' : '');
+  if (!clientId) return null;
+  const authorizeUrl = mock ? `${mock}/${id}/authorize` : env(`VITE_OAUTH_${upper}_AUTHORIZE_URL`) || base.authorizeUrl;
+  return { id, ...base, clientId, authorizeUrl };
+}
+
+/** enabledProviders() — [{ id, label, ... }] for the buttons */
+export function enabledProviders() {
+  return Object.keys(OAUTH_PROVIDERS).map(providerConfig).filter(Boolean);
+}
+
+export function redirectUri() {
+  return `${window.location.origin}${CALLBACK_PATH}`;
+}
+
+/* ---------- PKCE ---------- */
+
+function base64Url(bytes) {
+  let bin = '';
+  bytes.forEach((b) => {
+    bin += String.fromCharCode(b);
+  });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomString(byteLength = 32) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/** RFC 7636 S256 challenge for a verifier */
+export async function codeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64Url(new Uint8Array(digest));
+}
+
+/* ---------- redirect round-trip ---------- */
+
+/**
+ * beginOAuth({ provider, mode, next })
+ * - mode: 'login' (sign in / sign up) or 'link' (attach to the signed-in account)
+ * - next: where to go afterwards (validated again on the way back)
+ * Stores state + verifier in sessionStorage and leaves the app.
+ */
+export async function beginOAuth({ provider, mode = 'login', next = null }) {
+  const config = providerConfig(provider);
+  if (!config) throw new Error(`Sign-in with ${OAUTH_PROVIDERS[provider]?.label || provider} is not configured`);
+
+  const verifier = randomString(48);
+  const state = randomString(16);
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({ provider, mode, next, state, verifier, createdAt: Date.now() }));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: redirectUri(),
+    scope: config.scope,
+    state,
+    code_challenge: await codeChallenge(verifier),
+    code_challenge_method: 'S256',
+    ...config.extraParams,
+  });
+  window.location.assign(`${config.authorizeUrl}?${params}`);
+}
+
+/**
+ * takeOAuthCallback(search) -> { provider, mode, next, code, codeVerifier, redirectUri }
+ * Reads and clears the pending request; throws with a user-facing message
+ * when the provider reported an error or the state does not match (CSRF).
+ */
+export function takeOAuthCallback(search) {
+  const params = new URLSearchParams(search);
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null');
+  } catch {
+    pending = null;
+  }
+  sessionStorage.removeItem(PENDING_KEY);
+
+  const providerError = params.get('error');
+  if (providerError) {
+    throw new Error(providerError === 'access_denied' ? 'Sign-in was cancelled.' : params.get('error_description') || providerError);
+  }
+  if (!pending || !params.get('state') || params.get('state') !== pending.state) {
+    throw new Error('This sign-in link is not valid any more. Please start again.');
+  }
+  if (Date.now() - pending.createdAt > PENDING_TTL_MS) {
+    throw new Error('Sign-in took too long. Please start again.');
+  }
+  const code = params.get('code');
+  if (!code) throw new Error('The provider did not return an authorization code.');
+
+  return {
+    provider: pending.provider,
+    mode: pending.mode,
+    next: pending.next,
+    code,
+    codeVerifier: pending.verifier,
+    redirectUri: redirectUri(),
+  };
+}
@@ -0,0 +1,111 @@
+// src/lib/push.js
+// Web Push subscription of this browser. With a subscription the server sends
+// reminders while the app is closed; without one lib/reminders shows them
+// itself while the app is open. Needs the service worker (production builds).
+
+import { getPushConfig, subscribePush, unsubscribePush } from '../services/reminderService';
+
+/**
+ * state:
+ *  - 'unsupported': the browser has no Push API
+ *  - 'no-worker': the service worker isn't running (dev server, first visit)
+ *  - 'unavailable': the server has no push keys configured
+ *  - 'denied': notifications are blocked for this site
+ *  - 'off' | 'on': whether this browser is subscribed
+ */
+let snapshot = { state: 'unsupported', checked: false };
+const listeners = new Set();
+
+function emit(state) {
+  if (state === snapshot.state && snapshot.checked) return;
+  snapshot = { state, checked: true };
+  listeners.forEach((fn) => fn(snapshot));
+}
+
+export function getPushState() {
+  return snapshot;
+}
+
+export function subscribePushState(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function pushSupported() {
+  return typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// the VAPID key as the Uint8Array PushManager.subscribe expects
+function keyBytes(base64url) {
+  const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function registration() {
+  return (await navigator.serviceWorker.getRegistration()) || null;
+}
+
+/** refreshPushState() — re-read permission, worker and subscription */
+export async function refreshPushState() {
+  if (!pushSupported()) return emit('unsupported');
+  const reg = await registration();
+  if (!reg) return emit('no-worker');
+  if (Notification.permission === 'denied') return emit('denied');
+  if (await reg.pushManager.getSubscription()) return emit('on');
+  try {
+    const { publicKey } = await getPushConfig();
+    emit(publicKey ? 'off' : 'unavailable');
+  } catch {
+    emit('off'); // offline: find out when they try
+  }
+}
+
+/** enablePush() — ask for permission and subscribe this browser */
+export async function enablePush() {
+  if (!pushSupported()) throw new Error('This browser does not support push notifications');
+  const reg = await registration();
+  if (!reg) throw new Error('Push needs the installed app — reload once online and try again');
+  const { publicKey } = await getPushConfig();
+  if (!publicKey) {
+    emit('unavailable');
+    throw new Error('Push notifications are not set up on the server');
+  }
+  if ((await Notification.requestPermission()) !== 'granted') {
+    await refreshPushState();
+    throw new Error('Notifications are blocked — allow them in the browser settings');
+  }
+  const subscription = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+  try {
+    await subscribePush(subscription.toJSON(), Intl.DateTimeFormat().resolvedOptions().timeZone);
+  } catch (err) {
+    await subscription.unsubscribe().catch(() => {});
+    throw err;
+  }
+  emit('on');
+}
+
+/** disablePush() — unsubscribe here and tell the server */
+export async function disablePush() {
+  const reg = pushSupported() ? await registration() : null;
+  const subscription = reg && (await reg.pushManager.getSubscription());
+  if (subscription) {
+    const { endpoint } = subscription;
+    await subscription.unsubscribe();
+    await unsubscribePush(endpoint).catch(() => {}); // the server also drops dead endpoints on its own
+  }
+  await refreshPushState();
+}
+
+/**
+ * forgetSubscription() — on sign-out: the next account on this browser must
+ * not get this one's reminders. Local only; the server drops the dead endpoint.
+ */
+export async function forgetSubscription() {
+  if (!pushSupported()) return;
+  const reg = await registration();
+  const subscription = reg && (await reg.pushManager.getSubscription());
+  if (subscription) await subscription.unsubscribe().catch(() => {});
+  await refreshPushState();
+}
+
+export default { getPushState, subscribePushState, refreshPushState, enablePush, disablePush, forgetSubscription };
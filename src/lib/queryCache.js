@@ -0,0 +1,207 @@
+// src/lib/queryCache.js
+// Small keyed query cache with stale-while-revalidate semantics.
+// Used through the useQuery / useMutation hooks; exported so non-React code
+// (services, auth) can invalidate or seed entries after mutations.
+
+const DEFAULTS = {
+  staleTime: 30 * 1000, // data younger than this is served without refetching
+  cacheTime: 5 * 60 * 1000, // unused entries are dropped after this long
+};
+
+/**
+ * queryKey arrays are serialised so ['profile', 'p1'] and ['profile', 'p1']
+ * hit the same entry. Prefix matching (invalidate ['profile']) compares the
+ * leading elements.
+ */
+export function hashKey(key) {
+  return JSON.stringify(Array.isArray(key) ? key : [key]);
+}
+
+function matchesPrefix(entryKey, prefix) {
+  const p = Array.isArray(prefix) ? prefix : [prefix];
+  return p.every((part, i) => JSON.stringify(entryKey[i]) === JSON.stringify(part));
+}
+
+class QueryCache {
+  constructor() {
+    this.entries = new Map();
+
+    // revalidate what's on screen when the user comes back to the tab
+    if (typeof window !== 'undefined') {
+      window.addEventListener('focus', () => this.revalidateActive());
+    }
+  }
+
+  /** entry(key) — get or create the record for a key */
+  entry(key) {
+    const hash = hashKey(key);
+    let e = this.entries.get(hash);
+    if (!e) {
+      e = {
+        key: Array.isArray(key) ? key : [key],
+        hash,
+        state: { data: undefined, error: null, updatedAt: 0, isFetching: false },
+        fetcher: null,
+        staleTime: DEFAULTS.staleTime,
+        cacheTime: DEFAULTS.cacheTime,
+        promise: null,
+        controller: null,
+        listeners: new Set(),
+        gcTimer: null,
+        invalidated: false,
+      };
+      this.entries.set(hash, e);
+    }
+    return e;
+  }
+
+  getState(key) {
+    return this.entry(key).state;
+  }
+
+  setState(e, patch) {
+    e.state = { ...e.state, ...patch };
+    e.listeners.forEach((l) => l());
+  }
+
+  isStale(e) {
+    return e.invalidated || !e.state.updatedAt || Date.now() - e.state.updatedAt > e.staleTime;
+  }
+
+  /**
+   * subscribe(key, listener) — returns an unsubscribe function. When the last
+   * subscriber leaves, an unfinished fetch is aborted and the entry is
+   * scheduled for garbage collection.
+   */
+  subscribe(key, listener) {
+    const e = this.entry(key);
+    e.listeners.add(listener);
+    clearTimeout(e.gcTimer);
+    return () => {
+      e.listeners.delete(listener);
+      if (e.listeners.size > 0) return;
+      if (e.controller) {
+        // nobody is waiting for this response any more
+        e.controller.abort();
+        e.promise = null;
+        e.controller = null;
+        e.state = { ...e.state, isFetching: false };
+      }
+      e.gcTimer = setTimeout(() => {
+        if (e.listeners.size === 0) this.entries.delete(e.hash);
+      }, e.cacheTime);
+    };
+  }
+
+  /**
+   * fetch(key, fetcher, opts) — returns cached data when fresh, otherwise
+   * runs fetcher({ signal }) once (concurrent callers share the promise).
+   * With `force` the entry is refetched even if fresh.
+   */
+  fetch(key, fetcher, { staleTime, cacheTime, force = false } = {}) {
+    const e = this.entry(key);
+    if (fetcher) e.fetcher = fetcher;
+    if (staleTime != null) e.staleTime = staleTime;
+    if (cacheTime != null) e.cacheTime = cacheTime;
+
+    if (e.promise) {
+      if (!force) return e.promise;
+      // a forced refetch (after a mutation) must not reuse a request that started before it
+      e.controller.abort();
+    }
+    if (!force && !this.isStale(e)) return Promise.resolve(e.state.data);
+    if (!e.fetcher) return Promise.resolve(e.state.data);
+
+    const controller = new AbortController();
+    e.controller = controller;
+    this.setState(e, { isFetching: true });
+
+    const promise = Promise.resolve()
+      .then(() => e.fetcher({ signal: controller.signal }))
+      .then(
+        (data) => {
+          if (controller.signal.aborted) return e.state.data;
+          e.invalidated = false;
+          this.setState(e, { data, error: null, updatedAt: Date.now(), isFetching: false });
+          return data;
+        },
+        (error) => {
+          if (controller.signal.aborted) return e.state.data;
+          // keep the last good data on screen; surface the error alongside it
+          this.setState(e, { error, isFetching: false });
+          throw error;
+        }
+      )
+      .finally(() => {
+        if (e.promise === promise) {
+          e.promise = null;
+          e.controller = null;
+        }
+      });
+
+    e.promise = promise;
+    return promise;
+  }
+
+  /** setQueryData(key, dataOrUpdater) — write-through after a mutation */
+  setQueryData(key, updater) {
+    const e = this.entry(key);
+    const data = typeof updater === 'function' ? updater(e.state.data) : updater;
+    e.invalidated = false;
+    this.setState(e, { data, error: null, updatedAt: Date.now() });
+    return data;
+  }
+
+  /**
+   * invalidate(prefix) — mark every entry whose key starts with `prefix` as
+   * stale; entries currently on screen are refetched in the background.
+   */
+  invalidate(prefix) {
+    const jobs = [];
+    this.entries.forEach((e) => {
+      if (!matchesPrefix(e.key, prefix)) return;
+      e.invalidated = true;
+      if (e.listeners.size > 0 && e.fetcher) {
+        jobs.push(this.fetch(e.key, null, { force: true }).catch(() => {}));
+      }
+    });
+    return Promise.all(jobs);
+  }
+
+  revalidateActive() {
+    this.entries.forEach((e) => {
+      if (e.listeners.size > 0 && e.fetcher && this.isStale(e)) {
+        this.fetch(e.key).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * clear() — forget all cached data (e.g. on logout so the next user sees
+   * nothing cached). Entries on screen are reset rather than dropped: their
+   * subscribers re-render without data and they refetch in the background.
+   */
+  clear() {
+    const active = [];
+    this.entries.forEach((e) => {
+      clearTimeout(e.gcTimer);
+      if (e.controller) e.controller.abort();
+      e.promise = null;
+      e.controller = null;
+      if (e.listeners.size === 0) {
+        this.entries.delete(e.hash);
+        return;
+      }
+      e.invalidated = true;
+      active.push(e);
+    });
+    active.forEach((e) => {
+      this.setState(e, { data: undefined, error: null, updatedAt: 0, isFetching: false });
+      if (e.fetcher) this.fetch(e.key).catch(() => {});
+    });
+  }
+}
+
+export const queryCache = new QueryCache();
+
+export default queryCache;
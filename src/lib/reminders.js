@@ -0,0 +1,389 @@
+// src/lib/reminders.js
+// Reminders for the daily habits: mood check-in, evening journal and keeping
+// the meditation streak. The user's schedules and quiet hours are saved on the
+// server, which sends them as Web Push (lib/push) while the app is closed.
+// While the app is open this module also keeps them:
+//
+// - a timer fires at the next scheduled time; a reminder whose habit is
+//   already done today is skipped
+// - without a push subscription it shows the notification itself, through
+//   the service worker when there is one, else with `new Notification`
+// - due reminders that aren't done yet feed the header bell (getReminderState)
+//
+// Times are the device's local time. Quiet hours hold a reminder back until
+// they end, or drop it when they last past midnight (see silencedByQuietHours).
+
+import storage from './storage';
+import { getRecords, subscribe as subscribeRecords } from './syncEngine';
+import { getPushState, refreshPushState, forgetSubscription } from './push';
+import { getReminderSettings, saveReminderSettings } from '../services/reminderService';
+
+export const REMINDER_KINDS = {
+  mood: {
+    label: 'Daily mood check-in',
+    title: 'How are you feeling today?',
+    body: 'Take ten seconds to log your mood.',
+    url: '/mood',
+    defaultTime: '09:00',
+  },
+  journal: {
+    label: 'Evening journal',
+    title: 'Time to reflect',
+    body: 'Write a few lines about your day.',
+    url: '/journal',
+    defaultTime: '21:00',
+  },
+  meditation: {
+    label: 'Meditation streak',
+    title: 'Keep your streak going',
+    body: 'A few minutes of meditation keeps it alive.',
+    url: '/meditation',
+    defaultTime: '19:00',
+  },
+};
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+export const DEFAULT_REMINDERS = {
+  schedules: {
+    mood: { enabled: true, time: REMINDER_KINDS.mood.defaultTime, days: EVERY_DAY },
+    journal: { enabled: false, time: REMINDER_KINDS.journal.defaultTime, days: EVERY_DAY },
+    meditation: { enabled: false, time: REMINDER_KINDS.meditation.defaultTime, days: EVERY_DAY },
+  },
+  quietHours: { enabled: true, start: '22:00', end: '07:00' },
+};
+
+/** withDefaults(settings) — saved settings (or null) completed with the defaults */
+export function withDefaults(settings) {
+  return {
+    ...settings,
+    schedules: { ...DEFAULT_REMINDERS.schedules, ...settings?.schedules },
+    quietHours: settings?.quietHours || DEFAULT_REMINDERS.quietHours,
+  };
+}
+
+const STORE_KEY = 'reminders'; // storage key/value: { owner, settings, day, fired, dismissed }
+const MAX_WAIT_MS = 30 * 60 * 1000; // re-plan at least this often (sleep, clock changes)
+const LATE_MS = 15 * 60 * 1000; // a reminder found later than this goes to the bell only
+
+/* ---------- time ---------- */
+
+/** minutesOf('21:30') -> 1290 */
+export function minutesOf(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/** inQuietHours(minutes, quietHours) — handles ranges across midnight */
+export function inQuietHours(minutes, quiet) {
+  if (!quiet?.enabled) return false;
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+  if (start === end) return false;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * silencedByQuietHours(schedule, quietHours) — true when the reminder's time
+ * falls in quiet hours that only end after midnight, so it never fires
+ * (holding it until the next morning would be a day late).
+ */
+export function silencedByQuietHours(schedule, quiet) {
+  const minutes = minutesOf(schedule.time);
+  return inQuietHours(minutes, quiet) && minutesOf(quiet.end) < minutes;
+}
+
+/**
+ * fireTimeOn(day, schedule, quietHours) -> Date | null
+ * When `schedule` fires on the calendar day of `day`, after quiet hours.
+ */
+export function fireTimeOn(day, schedule, quiet) {
+  if (!schedule?.enabled || !(schedule.days || EVERY_DAY).includes(day.getDay())) return null;
+  if (silencedByQuietHours(schedule, quiet)) return null;
+  let minutes = minutesOf(schedule.time);
+  if (inQuietHours(minutes, quiet)) minutes = minutesOf(quiet.end);
+  const at = new Date(day);
+  at.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return at;
+}
+
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/* ---------- habits ---------- */
+
+const doneOn = {
+  mood: (day) => getRecords('mood').some((r) => r.createdAt && dayKey(r.createdAt) === day),
+  journal: (day) => getRecords('journal').some((r) => r.createdAt && dayKey(r.createdAt) === day),
+  meditation: (day) => getRecords('meditation').some((r) => r.timestamp && dayKey(r.timestamp) === day),
+};
+
+/** meditationStreak(now) — consecutive days with a session, up to yesterday */
+export function meditationStreak(now = new Date()) {
+  const days = new Set(getRecords('meditation').map((r) => r.timestamp && dayKey(r.timestamp)));
+  let streak = 0;
+  const d = new Date(now);
+  for (d.setDate(d.getDate() - 1); days.has(dayKey(d)); d.setDate(d.getDate() - 1)) streak += 1;
+  return streak;
+}
+
+function message(kind, now) {
+  const def = REMINDER_KINDS[kind];
+  if (kind !== 'meditation') return { title: def.title, body: def.body };
+  const streak = meditationStreak(now);
+  return streak > 0
+    ? { title: def.title, body: `You've meditated ${streak} day${streak === 1 ? '' : 's'} in a row — a few minutes keeps it alive.` }
+    : { title: 'Time to meditate', body: 'A few minutes today starts a new streak.' };
+}
+
+/* ---------- state ---------- */
+
+let owner = null;
+let stored = null; // { owner, settings, day, fired: { kind: iso }, dismissed: [kind] }
+let timer = null;
+let unsubscribers = [];
+let snapshot = { loaded: false, settings: DEFAULT_REMINDERS, due: [], permission: 'default' };
+const listeners = new Set();
+const openers = new Set();
+
+function permission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+// reminders whose time has come today, whose habit isn't done and that weren't dismissed
+function dueNow(now) {
+  const settings = withDefaults(stored?.settings);
+  const day = dayKey(now);
+  const dismissed = stored?.day === day ? stored.dismissed : [];
+  return Object.keys(REMINDER_KINDS)
+    .map((kind) => ({ kind, at: fireTimeOn(now, settings.schedules[kind], settings.quietHours) }))
+    .filter(({ kind, at }) => at && at <= now && !doneOn[kind](day) && !dismissed.includes(kind))
+    .map(({ kind, at }) => ({ kind, at: at.toISOString(), url: REMINDER_KINDS[kind].url, ...message(kind, now) }));
+}
+
+function emit() {
+  const now = new Date();
+  snapshot = {
+    loaded: !!stored,
+    settings: withDefaults(stored?.settings),
+    due: owner ? dueNow(now) : [],
+    permission: permission(),
+  };
+  listeners.forEach((fn) => fn(snapshot));
+}
+
+/** getReminderState() -> { loaded, settings, due: [{ kind, at, title, body, url }], permission } */
+export function getReminderState() {
+  return snapshot;
+}
+
+export function subscribeReminders(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// a new day starts with nothing fired or dismissed
+function rollDay(now) {
+  const day = dayKey(now);
+  if (stored && stored.day !== day) stored = { ...stored, day, fired: {}, dismissed: [] };
+}
+
+function persist() {
+  return storage.setItem(STORE_KEY, stored).catch((err) => console.warn('[reminders] could not save:', err));
+}
+
+/* ---------- opening deep links ---------- */
+
+/** subscribeOpen(fn) — fn(url) when a reminder notification is clicked */
+export function subscribeOpen(fn) {
+  openers.add(fn);
+  return () => openers.delete(fn);
+}
+
+function open(url) {
+  window.focus();
+  openers.forEach((fn) => fn(url));
+}
+
+// clicks on notifications shown through the service worker (see src/sw.js)
+if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type === 'open-url' && typeof e.data.url === 'string') open(e.data.url);
+  });
+}
+
+/* ---------- notifications ---------- */
+
+async function show({ title, body, url, tag }) {
+  if (permission() !== 'granted') return false;
+  const options = { body, tag, icon: '/icons/icon-192.png', badge: '/icons/icon-192.png', data: { url } };
+  const reg = await navigator.serviceWorker?.getRegistration?.();
+  if (reg) {
+    await reg.showNotification(title, options);
+    return true;
+  }
+  const n = new Notification(title, options);
+  n.onclick = () => {
+    n.close();
+    open(url);
+  };
+  return true;
+}
+
+/** requestPermission() -> 'granted' | 'denied' | 'default' | 'unsupported' */
+export async function requestPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  const result = await Notification.requestPermission();
+  emit();
+  return result;
+}
+
+/** sendTestNotification() — shows one now, ignoring schedules and quiet hours */
+export function sendTestNotification() {
+  return show({ title: 'MindEcho reminders are on', body: 'This is how your reminders will look.', url: '/settings', tag: 'reminder-test' });
+}
+
+/* ---------- scheduling ---------- */
+
+function nextFireTime(now) {
+  const settings = withDefaults(stored?.settings);
+  let next = null;
+  for (let offset = 0; offset < 8 && !next; offset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    for (const kind of Object.keys(REMINDER_KINDS)) {
+      const at = fireTimeOn(day, settings.schedules[kind], settings.quietHours);
+      if (at && at > now && (!next || at < next)) next = at;
+    }
+  }
+  return next;
+}
+
+function plan() {
+  clearTimeout(timer);
+  timer = null;
+  if (!owner || !stored) return;
+  const now = new Date();
+  const next = nextFireTime(now);
+  const wait = next ? Math.min(next - now, MAX_WAIT_MS) : MAX_WAIT_MS;
+  timer = setTimeout(tick, Math.max(1000, wait));
+}
+
+// one tab fires; the others see the updated log
+function exclusive(fn) {
+  if (navigator.locks?.request) return navigator.locks.request('mindecho-reminders', { ifAvailable: true }, (lock) => lock && fn());
+  return fn();
+}
+
+async function tick() {
+  const forOwner = owner;
+  await exclusive(async () => {
+    const saved = await storage.getItem(STORE_KEY, null);
+    if (owner !== forOwner) return;
+    if (saved?.owner === owner) stored = saved;
+    const now = new Date();
+    rollDay(now);
+    // with a push subscription the server sends them instead
+    const pushed = getPushState().state === 'on';
+    const fresh = dueNow(now).filter((r) => !stored.fired[r.kind]);
+    if (!fresh.length) return;
+    stored = { ...stored, fired: { ...stored.fired, ...Object.fromEntries(fresh.map((r) => [r.kind, now.toISOString()])) } };
+    await persist();
+    for (const reminder of fresh) {
+      if (pushed || now - new Date(reminder.at) > LATE_MS) continue;
+      await show({ ...reminder, tag: `reminder-${reminder.kind}` }).catch((err) => console.warn('[reminders] could not notify:', err));
+    }
+  });
+  emit();
+  plan();
+}
+
+function onVisible() {
+  if (document.visibilityState !== 'visible' || !owner) return;
+  refreshPushState().catch(() => {});
+  tick();
+}
+
+/** start(userId) — load the user's schedules and begin; called on sign-in (AuthContext) */
+export async function start(userId) {
+  if (owner === userId) return;
+  stop({ signedOut: false });
+  owner = userId;
+
+  const saved = await storage.getItem(STORE_KEY, null);
+  if (owner !== userId) return;
+  const now = new Date();
+  stored = saved?.owner === userId ? saved : { owner: userId, settings: null, day: dayKey(now), fired: {}, dismissed: [] };
+  rollDay(now);
+  emit();
+
+  unsubscribers = [
+    ...['mood', 'journal', 'meditation'].map((name) => subscribeRecords(name, emit)),
+    storage.subscribe('kv', (keys) => keys.includes(STORE_KEY) && owner && tick()),
+  ];
+  document.addEventListener('visibilitychange', onVisible);
+  refreshPushState().catch(() => {});
+
+  try {
+    const settings = await getReminderSettings();
+    if (owner !== userId) return;
+    stored = { ...stored, settings };
+    persist();
+  } catch (err) {
+    // offline: the copy saved on this device keeps working
+    console.warn('[reminders] settings not refreshed:', err);
+  }
+  tick();
+}
+
+/** stop() — no more reminders on this device (sign-out) */
+export function stop({ signedOut = true } = {}) {
+  clearTimeout(timer);
+  timer = null;
+  unsubscribers.forEach((fn) => fn());
+  unsubscribers = [];
+  document.removeEventListener('visibilitychange', onVisible);
+  if (signedOut && owner) forgetSubscription().catch(() => {});
+  owner = null;
+  stored = null;
+  emit();
+}
+
+/* ---------- editing ---------- */
+
+/** saveSettings(settings) — saves on the server, then reschedules */
+export async function saveSettings(settings) {
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const saved = await saveReminderSettings({ ...settings, timezone });
+  if (!owner) return saved;
+  stored = { ...stored, settings: saved || settings };
+  await persist();
+  emit();
+  plan();
+  return saved;
+}
+
+/** dismiss(kind) — clear a due reminder from the bell until tomorrow */
+export function dismiss(kind) {
+  if (!stored || stored.dismissed.includes(kind)) return;
+  stored = { ...stored, dismissed: [...stored.dismissed, kind] };
+  persist();
+  emit();
+}
+
+export default {
+  REMINDER_KINDS,
+  DEFAULT_REMINDERS,
+  withDefaults,
+  getReminderState,
+  subscribeReminders,
+  subscribeOpen,
+  requestPermission,
+  sendTestNotification,
+  saveSettings,
+  dismiss,
+  start,
+  stop,
+};
@@ -0,0 +1,63 @@
+// src/lib/roles.js
+// Roles and permissions carried on the user returned by /me.
+// The backend may send either `role: 'admin'` or `roles: ['member', 'clinician']`;
+// everything here accepts both. Server-side checks remain the real gate — these
+// only decide what the UI shows.
+
+export const ROLES = {
+  MEMBER: 'member',
+  CLINICIAN: 'clinician',
+  ADMIN: 'admin',
+};
+
+// backend / legacy spellings mapped onto the canonical role names
+const ROLE_ALIASES = {
+  therapist: ROLES.CLINICIAN,
+  clinician: ROLES.CLINICIAN,
+  admin: ROLES.ADMIN,
+  administrator: ROLES.ADMIN,
+  member: ROLES.MEMBER,
+  user: ROLES.MEMBER,
+};
+
+export const PERMISSIONS = {
+  ADMIN_ACCESS: 'admin:access',
+  COMMUNITY_MODERATE: 'community:moderate',
+  FEEDBACK_REVIEW: 'feedback:review',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.MEMBER]: [],
+  [ROLES.CLINICIAN]: [PERMISSIONS.ADMIN_ACCESS, PERMISSIONS.FEEDBACK_REVIEW],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/** getRoles(user) — canonical role names; every signed-in user is at least a member */
+export function getRoles(user) {
+  if (!user) return [];
+  const raw = [].concat(user.roles || [], user.role || []);
+  const roles = raw.map((r) => ROLE_ALIASES[String(r).toLowerCase()]).filter(Boolean);
+  return [...new Set([ROLES.MEMBER, ...roles])];
+}
+
+/** getPermissions(user) — role permissions plus any explicit `user.permissions` */
+export function getPermissions(user) {
+  const fromRoles = getRoles(user).flatMap((r) => ROLE_PERMISSIONS[r] || []);
+  return new Set([...fromRoles, ...(Array.isArray(user?.permissions) ? user.permissions : [])]);
+}
+
+/** hasRole(user, roles) — true when the user has any of `roles` */
+export function hasRole(user, roles) {
+  const wanted = [].concat(roles || []);
+  if (wanted.length === 0) return !!user;
+  const mine = getRoles(user);
+  return wanted.some((r) => mine.includes(ROLE_ALIASES[String(r).toLowerCase()] || r));
+}
+
+/** hasPermission(user, permissions) — true when the user has all of `permissions` */
+export function hasPermission(user, permissions) {
+  const wanted = [].concat(permissions || []);
+  if (!user) return false;
+  const mine = getPermissions(user);
+  return wanted.every((p) => mine.has(p));
+}
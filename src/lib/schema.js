@@ -0,0 +1,209 @@
+// src/lib/schema.js
+// Tiny declarative schema validator for backend payloads (no dependency).
+//
+//   const point = s.object({ x: s.number(), label: s.string().default('') });
+//   const { ok, value, issues, warnings } = parse(point, data);
+//
+// Objects keep keys the schema does not mention, so backends can add fields
+// freely. Fallbacks come in two strengths:
+//   .default(v)  used when the value is missing (undefined / null)
+//   .catch(v)    used when the value is present but invalid; the problem is
+//                reported as a warning instead of failing the whole payload
+// array(item, { dropInvalid: true }) likewise drops bad items with a warning.
+
+const INVALID = Symbol('invalid');
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+  return typeof value;
+}
+
+function issue(ctx, path, message) {
+  ctx.issues.push({ path: path.join('.') || '(root)', message });
+  return INVALID;
+}
+
+// functions so a fallback object is never shared between parsed payloads
+function fallbackValue(fallback) {
+  return typeof fallback === 'function' ? fallback() : structuredClone(fallback);
+}
+
+export class Schema {
+  constructor(check, label) {
+    this.check = check;
+    this.label = label;
+  }
+
+  run(value, path, ctx) {
+    return this.check(value, path, ctx);
+  }
+
+  /** named(label) — what error messages call this payload */
+  named(label) {
+    return new Schema(this.check, label);
+  }
+
+  optional() {
+    return new Schema((v, p, c) => (v === undefined ? undefined : this.run(v, p, c)), `${this.label}?`);
+  }
+
+  nullable() {
+    return new Schema((v, p, c) => (v === null ? null : this.run(v, p, c)), `${this.label} | null`);
+  }
+
+  default(fallback) {
+    return new Schema((v, p, c) => (v === undefined || v === null ? fallbackValue(fallback) : this.run(v, p, c)), this.label);
+  }
+
+  catch(fallback) {
+    return new Schema((v, p, c) => {
+      const sub = { issues: [], warnings: c.warnings };
+      const out = this.run(v, p, sub);
+      if (out !== INVALID && sub.issues.length === 0) return out;
+      c.warnings.push(...sub.issues);
+      return fallbackValue(fallback);
+    }, this.label);
+  }
+
+  refine(predicate, message) {
+    return new Schema((v, p, c) => {
+      const out = this.run(v, p, c);
+      if (out === INVALID) return out;
+      return predicate(out) ? out : issue(c, p, message);
+    }, this.label);
+  }
+
+  transform(fn) {
+    return new Schema((v, p, c) => {
+      const out = this.run(v, p, c);
+      return out === INVALID ? out : fn(out);
+    }, this.label);
+  }
+}
+
+function primitive(label, test, coerce) {
+  return new Schema((v, p, c) => {
+    const value = coerce ? coerce(v) : v;
+    return test(value) ? value : issue(c, p, `expected ${label}, got ${describe(v)}`);
+  }, label);
+}
+
+export const s = {
+  any: () => new Schema((v) => v, 'any'),
+
+  string: ({ min = 0 } = {}) =>
+    primitive('string', (v) => typeof v === 'string').refine((v) => v.trim().length >= min, `must be at least ${min} characters`),
+
+  /** number({ coerce, min, max }) — coerce accepts numeric strings ("0.42") */
+  number: ({ coerce = false, min = -Infinity, max = Infinity } = {}) =>
+    primitive(
+      'number',
+      (v) => typeof v === 'number' && Number.isFinite(v),
+      coerce ? (v) => (typeof v === 'string' && v.trim() !== '' ? Number(v) : v) : null
+    ).refine((v) => v >= min && v <= max, `must be between ${min} and ${max}`),
+
+  boolean: () => primitive('boolean', (v) => typeof v === 'boolean'),
+
+  /** id() — string or number, always returned as a string */
+  id: () =>
+    primitive('id', (v) => (typeof v === 'string' && v !== '') || (typeof v === 'number' && Number.isFinite(v))).transform(String),
+
+  /** isoDate() — anything Date can parse; returned unchanged */
+  isoDate: () =>
+    primitive('date', (v) => (typeof v === 'string' || typeof v === 'number') && !Number.isNaN(new Date(v).getTime())),
+
+  enum: (values) => primitive(values.map((v) => JSON.stringify(v)).join(' | '), (v) => values.includes(v)),
+
+  array: (item, { dropInvalid = false } = {}) =>
+    new Schema((v, p, c) => {
+      if (!Array.isArray(v)) return issue(c, p, `expected array, got ${describe(v)}`);
+      const out = [];
+      let failed = false;
+      v.forEach((entry, i) => {
+        const sub = { issues: [], warnings: c.warnings };
+        const parsed = item.run(entry, [...p, i], sub);
+        if (parsed !== INVALID && sub.issues.length === 0) out.push(parsed);
+        else if (dropInvalid) c.warnings.push(...sub.issues.map((x) => ({ ...x, message: `${x.message} (item dropped)` })));
+        else {
+          c.issues.push(...sub.issues);
+          failed = true;
+        }
+      });
+      return failed ? INVALID : out;
+    }, `${item.label}[]`),
+
+  object: (shape) =>
+    new Schema((v, p, c) => {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return issue(c, p, `expected object, got ${describe(v)}`);
+      const out = { ...v };
+      let failed = false;
+      for (const [key, schema] of Object.entries(shape)) {
+        const parsed = schema.run(v[key], [...p, key], c);
+        if (parsed === INVALID) failed = true;
+        else if (parsed === undefined) delete out[key];
+        else out[key] = parsed;
+      }
+      return failed ? INVALID : out;
+    }, 'object'),
+
+  /** union(...schemas) — the first schema that accepts the value */
+  union: (...schemas) =>
+    new Schema((v, p, c) => {
+      for (const schema of schemas) {
+        const sub = { issues: [], warnings: [] };
+        const out = schema.run(v, p, sub);
+        if (out !== INVALID && sub.issues.length === 0) {
+          c.warnings.push(...sub.warnings);
+          return out;
+        }
+      }
+      return issue(c, p, `expected ${schemas.map((x) => x.label).join(' | ')}, got ${describe(v)}`);
+    }, schemas.map((x) => x.label).join(' | ')),
+
+  /** preprocess(fn, schema) — reshape the raw value first (e.g. unwrap `{ items: [...] }`) */
+  preprocess: (fn, schema) => new Schema((v, p, c) => schema.run(fn(v), p, c), schema.label),
+};
+
+/**
+ * parse(schema, value) -> { ok, value, issues, warnings }
+ * issues / warnings: [{ path: 'profile.tags.2', message }]
+ */
+export function parse(schema, value) {
+  const ctx = { issues: [], warnings: [] };
+  const out = schema.run(value, [], ctx);
+  const ok = out !== INVALID && ctx.issues.length === 0;
+  return { ok, value: ok ? out : undefined, issues: ctx.issues, warnings: ctx.warnings };
+}
+
+export function formatIssues(list) {
+  return list.map((i) => `${i.path}: ${i.message}`).join('; ');
+}
+
+/** SchemaError — a payload that failed validation; `issues` lists every problem */
+export class SchemaError extends Error {
+  constructor(name, issues) {
+    super(`Invalid ${name} payload — ${formatIssues(issues)}`);
+    this.name = 'SchemaError';
+    this.payloadName = name;
+    this.issues = issues;
+  }
+}
+
+/**
+ * validate(schema, value, { name, source })
+ * Returns the parsed value or throws SchemaError. In development every
+ * problem — including ones a fallback recovered from — is logged with its
+ * path, so a backend contract drift is visible without breaking the screen.
+ */
+export function validate(schema, value, { name = schema.label, source = '' } = {}) {
+  const result = parse(schema, value);
+  const where = source ? ` from ${source}` : '';
+  if (import.meta.env.DEV) {
+    if (!result.ok) console.error(`[schema] ${name}${where} rejected: ${formatIssues(result.issues)}`, value);
+    else if (result.warnings.length) console.warn(`[schema] ${name}${where} repaired: ${formatIssues(result.warnings)}`, value);
+  }
+  if (!result.ok) throw new SchemaError(name, result.issues);
+  return result.value;
+}
@@ -0,0 +1,157 @@
+// src/lib/sensors/acoustics.js
+// Voice features for the audio modality, computed in the browser. Per frame
+// (in the AudioWorklet, ./acousticsWorklet.js): loudness and a YIN pitch
+// estimate. Over the last few seconds (AcousticWindow, on the page): pitch,
+// pitch spread, energy, speech rate and jitter. Only these numbers ever leave
+// the audio thread — raw audio is neither kept nor sent anywhere.
+
+export const FRAME_SIZE = 2048;
+export const HOP_SIZE = 1024;
+
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 400;
+const ANALYSIS_RATE = 12000; // plenty for voice pitch; decimating keeps YIN cheap
+const YIN_THRESHOLD = 0.15;
+const SILENCE_DB = -50; // frames quieter than this are pauses
+
+/** decimate(samples, factor) — box-filter and keep every factor-th sample */
+export function decimate(samples, factor) {
+  if (factor <= 1) return samples;
+  const out = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    out[i] = sum / factor;
+  }
+  return out;
+}
+
+/** rmsDb(samples) -> loudness in dBFS (-100 for silence) */
+export function rmsDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+}
+
+/**
+ * yin(samples, sampleRate) -> { pitch: Hz, period: samples, confidence } | null
+ * de Cheveigné & Kawahara's YIN: cumulative-mean-normalised difference, first
+ * dip under the threshold, refined by parabolic interpolation. null = unvoiced.
+ */
+export function yin(samples, sampleRate) {
+  const tauMin = Math.max(2, Math.floor(sampleRate / MAX_PITCH_HZ));
+  const tauMax = Math.min(Math.floor(sampleRate / MIN_PITCH_HZ), Math.floor(samples.length / 2));
+  const width = samples.length - tauMax;
+  const d = new Float32Array(tauMax + 2);
+  for (let tau = 1; tau <= tauMax + 1; tau++) {
+    let sum = 0;
+    for (let i = 0; i < width; i++) {
+      const delta = samples[i] - samples[i + tau];
+      sum += delta * delta;
+    }
+    d[tau] = sum;
+  }
+  // cumulative mean normalised difference
+  d[0] = 1;
+  let running = 0;
+  for (let tau = 1; tau <= tauMax + 1; tau++) {
+    running += d[tau];
+    d[tau] = running ? (d[tau] * tau) / running : 1;
+  }
+
+  let tau = tauMin;
+  while (tau <= tauMax && d[tau] >= YIN_THRESHOLD) tau++;
+  if (tau > tauMax) return null;
+  while (tau < tauMax && d[tau + 1] < d[tau]) tau++;
+
+  const [a, b, c] = [d[tau - 1], d[tau], d[tau + 1]];
+  const shift = a + c - 2 * b ? (a - c) / (2 * (a + c - 2 * b)) : 0;
+  const period = tau + Math.max(-1, Math.min(1, shift));
+  return { pitch: sampleRate / period, period: period / sampleRate, confidence: 1 - b };
+}
+
+/**
+ * frameFeatures(samples, sampleRate) -> { db, pitch, period }
+ * pitch / period (seconds) are null for unvoiced or silent frames.
+ */
+export function frameFeatures(samples, sampleRate) {
+  const db = rmsDb(samples);
+  if (db < SILENCE_DB) return { db, pitch: null, period: null };
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  const voiced = yin(decimate(samples, factor), sampleRate / factor);
+  return { db, pitch: voiced?.pitch ?? null, period: voiced?.period ?? null };
+}
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const semitones = (hz) => 12 * Math.log2(hz / 100);
+
+/**
+ * AcousticWindow — the last `seconds` of frames, summarised for inferenceService:
+ *   { pitch: Hz, variance: pitch spread in semitones (sd), energy: dBFS,
+ *     speechRate: syllables / s, jitter: %, voiced: share of frames 0..1 }
+ */
+export class AcousticWindow {
+  constructor(seconds = 4) {
+    this.seconds = seconds;
+    this.frames = [];
+  }
+
+  /** push({ t: seconds, db, pitch, period }) */
+  push(frame) {
+    this.frames.push(frame);
+    const oldest = frame.t - this.seconds;
+    while (this.frames.length && this.frames[0].t < oldest) this.frames.shift();
+  }
+
+  /** summary() -> features, or null while there's no voice in the window */
+  summary() {
+    const frames = this.frames;
+    const voiced = frames.filter((f) => f.pitch);
+    if (voiced.length < 3) return null;
+
+    const tones = voiced.map((f) => semitones(f.pitch));
+    const toneMean = mean(tones);
+    const spread = Math.sqrt(mean(tones.map((s) => (s - toneMean) ** 2)));
+
+    // jitter: period change between consecutive voiced frames, relative to the mean
+    // period (a frame-level approximation of cycle-to-cycle jitter)
+    let diffs = 0;
+    let pairs = 0;
+    for (let i = 1; i < frames.length; i++) {
+      if (frames[i].period && frames[i - 1].period) {
+        diffs += Math.abs(frames[i].period - frames[i - 1].period);
+        pairs += 1;
+      }
+    }
+    const meanPeriod = mean(voiced.map((f) => f.period));
+    const jitter = pairs ? (diffs / pairs / meanPeriod) * 100 : 0;
+
+    // speech rate: syllable nuclei ≈ voiced loudness peaks standing 3 dB above
+    // the dips around them, at least 100 ms apart
+    let syllables = 0;
+    let lastPeak = -Infinity;
+    let dip = Infinity;
+    for (let i = 1; i < frames.length - 1; i++) {
+      const f = frames[i];
+      dip = Math.min(dip, f.db);
+      const peak = f.pitch && f.db >= frames[i - 1].db && f.db > frames[i + 1].db;
+      if (peak && f.db - dip >= 3 && f.t - lastPeak >= 0.1) {
+        syllables += 1;
+        lastPeak = f.t;
+        dip = Infinity;
+      }
+    }
+    const span = Math.max(1, frames.at(-1).t - frames[0].t);
+
+    const round = (n, digits = 2) => Number(n.toFixed(digits));
+    return {
+      pitch: round(2 ** (toneMean / 12) * 100),
+      variance: round(spread),
+      energy: round(mean(frames.map((f) => f.db)), 1),
+      speechRate: round(syllables / span),
+      jitter: round(jitter),
+      voiced: round(voiced.length / frames.length),
+    };
+  }
+}
@@ -0,0 +1,32 @@
+// src/lib/sensors/acousticsWorklet.js
+// AudioWorklet processor 'acoustic-features' (loaded by ./microphone.js):
+// collects the microphone input into overlapping frames and posts each
+// frame's features { t, db, pitch, period } to the page. The samples
+// themselves never leave the audio thread.
+
+import { FRAME_SIZE, HOP_SIZE, frameFeatures } from './acoustics';
+
+class AcousticFeaturesProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.frame = new Float32Array(FRAME_SIZE);
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0]?.[0]; // first channel is enough for voice
+    if (!input) return true;
+    for (let i = 0; i < input.length; i++) {
+      this.frame[this.filled++] = input[i];
+      if (this.filled === FRAME_SIZE) {
+        this.port.postMessage({ t: currentTime, ...frameFeatures(this.frame, sampleRate) });
+        // keep the second half: frames overlap by FRAME_SIZE - HOP_SIZE
+        this.frame.copyWithin(0, HOP_SIZE);
+        this.filled = FRAME_SIZE - HOP_SIZE;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('acoustic-features', AcousticFeaturesProcessor);
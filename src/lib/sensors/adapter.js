@@ -0,0 +1,114 @@
+// src/lib/sensors/adapter.js
+// Base class of the sensor adapters (the registry is ./index.js). An adapter
+// turns one source — the simulator, a recording, the webcam, the microphone,
+// a headset — into `signals` envelopes in the shape lib/inferenceService reads:
+//
+//   { ts, source, neuro?: { alpha, beta }, emotion?: { smile, frown }, acoustic?: { pitch, variance } }
+//
+// Modalities the user hasn't consented to are dropped here, whatever the
+// source produces, so an adapter never has to check consent itself.
+
+// which consent flag (user.consent) covers each modality
+export const CONSENT_FOR = { neuro: 'neurofeedback', emotion: 'camera', acoustic: 'audio' };
+
+export class SensorError extends Error {
+  constructor(message, code = 'sensor_error') {
+    super(message);
+    this.name = 'SensorError';
+    this.code = code;
+  }
+}
+
+/**
+ * Events:
+ *  - 'signals' (envelope)
+ *  - 'status' ({ status, error }) — status: 'idle' | 'starting' | 'running' | 'stopped' | 'error'
+ *  - 'error' (err) — a problem the adapter recovers from (one bad frame, a dropped packet)
+ *  - 'info' (details) — source-specific state worth showing, e.g. a headset's battery
+ *
+ * Subclasses set `id` and `capabilities` ({ neuro, emotion, acoustic }: what
+ * the source can produce) and implement open() / close().
+ */
+export class SensorAdapter {
+  constructor() {
+    this.id = 'sensor';
+    this.capabilities = { neuro: false, emotion: false, acoustic: false };
+    this.status = 'idle';
+    this.error = null;
+    this.consent = {};
+    this.callbacks = {};
+    this.run = 0;
+  }
+
+  /** on(event, fn) -> unsubscribe */
+  on(event, fn) {
+    if (!this.callbacks[event]) this.callbacks[event] = [];
+    this.callbacks[event].push(fn);
+    return () => {
+      this.callbacks[event] = (this.callbacks[event] || []).filter((cb) => cb !== fn);
+    };
+  }
+
+  emit(event, data) {
+    (this.callbacks[event] || []).forEach((cb) => cb(data));
+  }
+
+  setStatus(status, error = null) {
+    this.status = status;
+    this.error = error;
+    this.emit('status', { status, error });
+  }
+
+  /** modalities this adapter can produce that `consent` allows */
+  allowed(consent = this.consent) {
+    return Object.keys(CONSENT_FOR).filter((m) => this.capabilities[m] && consent?.[CONSENT_FOR[m]]);
+  }
+
+  /** start(consent) — opens the source; rejects (and sets 'error') when it can't */
+  async start(consent = {}) {
+    if (this.status === 'starting' || this.status === 'running') this.stop();
+    const run = ++this.run;
+    this.consent = consent;
+    this.setStatus('starting');
+    try {
+      if (!this.allowed().length) {
+        throw new SensorError('No consent for what this source measures — turn it on in Settings', 'no_consent');
+      }
+      await this.open();
+    } catch (err) {
+      if (run !== this.run) return; // stopped meanwhile
+      this.close();
+      this.setStatus('error', err);
+      throw err;
+    }
+    // stopped while opening: close what was opened
+    if (run !== this.run) return this.close();
+    this.setStatus('running');
+  }
+
+  stop() {
+    this.run += 1;
+    if (this.status === 'idle' || this.status === 'stopped') return;
+    this.close();
+    this.setStatus('stopped');
+  }
+
+  /**
+   * emitSignals(signals, meta) — for subclasses: stamps and consent-filters an
+   * envelope; `meta` adds fields other than modalities (e.g. a replay's expected result)
+   */
+  emitSignals(signals, meta = {}) {
+    if (this.status !== 'running') return;
+    const modalities = this.allowed().filter((m) => signals[m]);
+    if (!modalities.length) return;
+    const envelope = { ts: Date.now(), source: this.id, ...meta };
+    for (const m of modalities) envelope[m] = signals[m];
+    this.emit('signals', envelope);
+  }
+
+  /* implemented by subclasses */
+  async open() {}
+  close() {}
+}
+
+export default SensorAdapter;
@@ -0,0 +1,148 @@
+// src/lib/sensors/camera.js
+// Webcam facial expressions: samples a frame every `intervalMs`, reads it
+// and emits the expression breakdown. Frames are read either by the `emotion`
+// service (POST /emotion) or, with inference 'device', by face-api on this
+// device (./faceReader.js) — then no frame ever leaves the browser. Used
+// headless by the Dashboard and, with its own preview, by
+// components/FaceEmotionTracker.
+
+import { api } from '../../api/httpClient';
+import { emotionFrameSchema } from '../../api/schemas';
+import { SensorAdapter, SensorError } from './adapter';
+import { createFaceReader } from './faceReader';
+
+// where frames are read, chosen per device (lib/storage key)
+export const INFERENCE_PREF_KEY = 'cameraInference';
+export const INFERENCE_MODES = ['server', 'device'];
+
+export const EXPRESSIONS = ['happiness', 'neutral', 'sadness', 'anger', 'fear'];
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+/**
+ * affectOf(emotions) -> { calm, anxious, focus } (0..1)
+ * emotions: { happiness, neutral, sadness, anger, fear, surprised? } (0..1)
+ */
+export function affectOf(emotions) {
+  const { happiness = 0, neutral = 0, anger = 0, fear = 0, surprised = 0 } = emotions;
+  return {
+    calm: clamp01(happiness * 0.7 + neutral * 0.6 - fear * 0.3),
+    anxious: clamp01(fear * 0.7 + surprised * 0.5 + anger * 0.4),
+    focus: clamp01(neutral * 0.6 + (1 - surprised) * 0.3 + happiness * 0.1),
+  };
+}
+
+/* the `emotion` signal inferenceService reads: smile (calm) vs frown (tension) */
+function toSignal({ happiness = 0, sadness = 0, anger = 0, fear = 0 }) {
+  return { smile: Number(clamp01(happiness).toFixed(3)), frown: Number(clamp01(Math.max(sadness, anger, fear)).toFixed(3)) };
+}
+
+export class CameraAdapter extends SensorAdapter {
+  /**
+   * options:
+   *  - intervalMs: time between frames (default 900)
+   *  - video: a <video> element to show the stream in (otherwise a detached one is used)
+   *  - inference: 'server' (default) or 'device' — on-device only, frames never uploaded
+   *
+   * Extra event: 'expressions' ({ timestamp, emotions, raw }) for each frame read.
+   */
+  constructor({ intervalMs = 900, video = null, inference = 'server' } = {}) {
+    super();
+    this.id = 'camera';
+    this.capabilities = { neuro: false, emotion: true, acoustic: false };
+    this.intervalMs = intervalMs;
+    this.video = video;
+    this.inference = inference === 'device' ? 'device' : 'server';
+    this.reader = null;
+    this.canvas = null;
+    this.stream = null;
+    this.interval = null;
+    this.inFlight = false;
+  }
+
+  async open() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new SensorError('This browser has no camera access — use HTTPS or localhost', 'unsupported');
+    }
+    // models first: on-device mode never falls back to uploading frames
+    if (this.inference === 'device') this.reader = await createFaceReader();
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user', width: 640, height: 480 }, audio: false });
+    } catch (err) {
+      throw new SensorError('Unable to access camera. Allow camera permission and use HTTPS or localhost.', err?.name || 'camera_denied');
+    }
+    if (!this.video) {
+      this.video = document.createElement('video');
+      this.video.muted = true;
+      this.video.playsInline = true;
+    }
+    this.video.srcObject = this.stream;
+    await this.video.play();
+    // interval-based so frames never overlap (see inFlight)
+    this.interval = setInterval(() => this.sample(), this.intervalMs);
+  }
+
+  close() {
+    clearInterval(this.interval);
+    this.interval = null;
+    this.reader?.close();
+    this.reader = null;
+    this.stream?.getTracks().forEach((t) => t.stop());
+    this.stream = null;
+    if (this.video) {
+      try {
+        this.video.pause();
+        this.video.srcObject = null;
+      } catch {
+        // element already gone
+      }
+    }
+  }
+
+  capture() {
+    const video = this.video;
+    const w = video.videoWidth || 320;
+    const h = video.videoHeight || 240;
+    if (!this.canvas) this.canvas = document.createElement('canvas');
+    this.canvas.width = w;
+    this.canvas.height = h;
+    this.canvas.getContext('2d').drawImage(video, 0, 0, w, h);
+    return this.canvas.toDataURL('image/jpeg', 0.7).split(',')[1];
+  }
+
+  /* -> { emotions, raw } | null when no face could be read */
+  async read() {
+    if (this.reader) {
+      const emotions = await this.reader.read(this.video);
+      return emotions && { emotions, raw: emotions };
+    }
+    try {
+      const data = await api.emotion.post('/emotion', { imageBase64: this.capture() }, { schema: emotionFrameSchema });
+      return { emotions: data.emotions, raw: data.raw ?? data };
+    } catch (err) {
+      // no face found / unreadable frame: the schema already logged it in dev
+      if (err?.code === 'bad_response') return null;
+      throw err;
+    }
+  }
+
+  async sample() {
+    if (this.inFlight || !this.stream) return;
+    this.inFlight = true;
+    const run = this.run;
+    try {
+      const frame = await this.read();
+      if (!frame || run !== this.run) return; // no face (try the next one) / stopped meanwhile
+      const emotions = Object.fromEntries(EXPRESSIONS.map((k) => [k, frame.emotions[k] ?? 0]));
+      if (frame.emotions.surprised != null) emotions.surprised = frame.emotions.surprised;
+      this.emit('expressions', { timestamp: Date.now(), emotions, raw: frame.raw });
+      this.emitSignals({ emotion: toSignal(emotions) });
+    } catch (err) {
+      if (run === this.run) this.emit('error', err);
+    } finally {
+      this.inFlight = false;
+    }
+  }
+}
+
+export default CameraAdapter;
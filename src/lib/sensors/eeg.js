@@ -0,0 +1,200 @@
+// src/lib/sensors/eeg.js
+// EEG headbands over Web Bluetooth. Raw samples are decoded per channel into
+// a sliding window; every `hopMs` the window is run through an FFT and the
+// relative alpha (8–13 Hz) and beta (13–30 Hz) power become the `neuro`
+// signal. Per-channel contact quality and the battery level come as 'info'.
+//
+// Supported: the Muse protocol (./muse.js — Muse 2 / Muse S). ./mockEegDevice.js
+// speaks the same GATT protocol in-page, for trying and testing without a headset.
+
+import { SensorAdapter, SensorError } from './adapter';
+import { MUSE, museCommand, decodeMuseEeg, decodeMuseTelemetry } from './muse';
+import { createMockEegDevice } from './mockEegDevice';
+
+/* ---------- signal processing ---------- */
+
+/** fft(re, im) — in-place radix-2 FFT; length must be a power of two */
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * bandPowers(samples, sampleRate, bands) -> { [band]: power }
+ * Hann-windowed power spectrum, summed over each band [lowHz, highHz).
+ */
+export function bandPowers(samples, sampleRate, bands) {
+  const n = samples.length;
+  const mean = samples.reduce((a, b) => a + b, 0) / n;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let i = 0; i < n; i++) re[i] = (samples[i] - mean) * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+  fft(re, im);
+  const binHz = sampleRate / n;
+  const out = {};
+  for (const [name, [lo, hi]] of Object.entries(bands)) {
+    let power = 0;
+    for (let k = Math.ceil(lo / binHz); k < Math.min(n / 2, hi / binHz); k++) power += re[k] * re[k] + im[k] * im[k];
+    out[name] = power;
+  }
+  return out;
+}
+
+export const BANDS = { alpha: [8, 13], beta: [13, 30], total: [1, 40] };
+
+/**
+ * contactQuality(samples) -> 'good' | 'fair' | 'poor'
+ * By the spread of the window in µV: a sensor off the skin is flat or swings wildly.
+ */
+export function contactQuality(samples) {
+  const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+  const sd = Math.sqrt(samples.reduce((a, b) => a + (b - mean) ** 2, 0) / samples.length);
+  if (sd >= 2 && sd <= 50) return 'good';
+  if (sd >= 1 && sd <= 100) return 'fair';
+  return 'poor';
+}
+
+/* ---------- adapter ---------- */
+
+export class EegAdapter extends SensorAdapter {
+  /**
+   * options:
+   *  - mock: use the in-page demo headset instead of Web Bluetooth; true, or
+   *    createMockEegDevice options (e.g. { anxiety: 0.8, poorContact: ['TP10'] })
+   *  - windowSec: FFT window (default 2 s)
+   *  - hopMs: time between readings (default 500)
+   *
+   * 'info' event: { name, battery: 0..100 | null, quality: { [channel]: 'good' | 'fair' | 'poor' } }
+   */
+  constructor({ mock = false, windowSec = 2, hopMs = 500 } = {}) {
+    super();
+    this.id = mock ? 'eeg-demo' : 'eeg';
+    this.capabilities = { neuro: true, emotion: false, acoustic: false };
+    this.mock = mock;
+    this.hopMs = hopMs;
+    // a power of two for the FFT
+    this.windowSize = 2 ** Math.round(Math.log2(MUSE.sampleRate * windowSec));
+    this.device = null;
+    this.control = null;
+    this.cleanups = [];
+    this.buffers = {};
+    this.interval = null;
+    this.info = { name: null, battery: null, quality: {} };
+  }
+
+  async requestDevice() {
+    if (this.mock) return createMockEegDevice(this.mock === true ? {} : this.mock);
+    if (!navigator.bluetooth) throw new SensorError('Web Bluetooth is not available — use Chrome or Edge over HTTPS', 'unsupported');
+    try {
+      return await navigator.bluetooth.requestDevice({ filters: [{ services: [MUSE.service] }] });
+    } catch (err) {
+      // NotFoundError: the chooser was closed without picking a headset
+      throw new SensorError(err?.name === 'NotFoundError' ? 'No headset was chosen' : err?.message || 'Bluetooth request failed', 'bluetooth');
+    }
+  }
+
+  listen(target, event, fn) {
+    target.addEventListener(event, fn);
+    this.cleanups.push(() => target.removeEventListener(event, fn));
+  }
+
+  async open() {
+    this.device = await this.requestDevice();
+    this.listen(this.device, 'gattserverdisconnected', () => {
+      if (this.status !== 'running') return;
+      this.close();
+      this.setStatus('error', new SensorError('The headset disconnected', 'disconnected'));
+    });
+    const server = await this.device.gatt.connect();
+    const service = await server.getPrimaryService(MUSE.service);
+    this.control = await service.getCharacteristic(MUSE.control);
+
+    this.buffers = {};
+    for (const [name, uuid] of Object.entries(MUSE.channels)) {
+      this.buffers[name] = [];
+      const characteristic = await service.getCharacteristic(uuid);
+      this.listen(characteristic, 'characteristicvaluechanged', (e) => this.onSamples(name, e.target.value));
+      await characteristic.startNotifications();
+    }
+    const telemetry = await service.getCharacteristic(MUSE.telemetry);
+    this.listen(telemetry, 'characteristicvaluechanged', (e) => this.updateInfo(decodeMuseTelemetry(e.target.value)));
+    await telemetry.startNotifications();
+
+    for (const cmd of MUSE.startCommands) await this.control.writeValue(museCommand(cmd));
+    this.updateInfo({ name: this.device.name || 'EEG headset' });
+    this.interval = setInterval(() => this.analyse(), this.hopMs);
+  }
+
+  close() {
+    clearInterval(this.interval);
+    this.interval = null;
+    this.cleanups.forEach((fn) => fn());
+    this.cleanups = [];
+    if (this.device?.gatt?.connected) {
+      // best effort: stop streaming, then drop the connection
+      Promise.resolve(this.control?.writeValue(museCommand(MUSE.stopCommand)))
+        .catch(() => {})
+        .finally(() => this.device?.gatt?.disconnect());
+    }
+    this.control = null;
+  }
+
+  onSamples(channel, view) {
+    const buffer = this.buffers[channel];
+    if (!buffer) return;
+    buffer.push(...decodeMuseEeg(view).samples);
+    if (buffer.length > this.windowSize) buffer.splice(0, buffer.length - this.windowSize);
+  }
+
+  updateInfo(patch) {
+    this.info = { ...this.info, ...patch };
+    this.emit('info', this.info);
+  }
+
+  analyse() {
+    const full = Object.entries(this.buffers).filter(([, b]) => b.length === this.windowSize);
+    if (!full.length) return;
+    const quality = {};
+    const usable = [];
+    for (const [name, samples] of full) {
+      quality[name] = contactQuality(samples);
+      if (quality[name] !== 'poor') usable.push(bandPowers(samples, MUSE.sampleRate, BANDS));
+    }
+    this.updateInfo({ quality });
+    if (!usable.length) return; // nothing on the skin: no reading rather than noise
+
+    // relative power (% of 1–40 Hz), averaged over the channels with contact
+    const share = (band) => usable.reduce((sum, p) => sum + (p.total ? p[band] / p.total : 0), 0) / usable.length;
+    const overall = Object.values(quality).includes('good') ? 'good' : 'fair';
+    this.emitSignals({
+      neuro: { alpha: Number((share('alpha') * 100).toFixed(2)), beta: Number((share('beta') * 100).toFixed(2)), quality: overall },
+    });
+  }
+}
+
+export default EegAdapter;
@@ -0,0 +1,130 @@
+// src/lib/sensors/eeg.test.js
+// The EEG pipeline without hardware: signal processing on synthetic tones,
+// the Muse packet format, and EegAdapter driving the mock headband.
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { BANDS, EegAdapter, bandPowers, contactQuality, fft } from './eeg';
+import { MUSE, decodeMuseEeg } from './muse';
+import { encodeEeg } from './mockEegDevice';
+
+const RATE = MUSE.sampleRate;
+const tone = (hz, n = 512, amplitude = 10) => Array.from({ length: n }, (_, i) => amplitude * Math.sin((2 * Math.PI * hz * i) / RATE));
+
+describe('fft', () => {
+  it('puts a sinusoid in its frequency bin', () => {
+    const n = 256;
+    const re = Float64Array.from(tone(16, n));
+    const im = new Float64Array(n);
+    fft(re, im);
+    const magnitude = Array.from(re, (r, k) => Math.hypot(r, im[k])).slice(0, n / 2);
+    expect(magnitude.indexOf(Math.max(...magnitude))).toBe(16); // 1 Hz per bin
+  });
+
+  it('turns an impulse into a flat spectrum', () => {
+    const re = new Float64Array(64);
+    const im = new Float64Array(64);
+    re[0] = 1;
+    fft(re, im);
+    re.forEach((r, k) => {
+      expect(r).toBeCloseTo(1, 10);
+      expect(im[k]).toBeCloseTo(0, 10);
+    });
+  });
+});
+
+describe('bandPowers', () => {
+  it('puts a pure 10 Hz tone in alpha', () => {
+    const p = bandPowers(tone(10), RATE, BANDS);
+    expect(p.alpha / p.total).toBeGreaterThan(0.95);
+    expect(p.beta / p.total).toBeLessThan(0.02);
+  });
+
+  it('puts a pure 21 Hz tone in beta', () => {
+    const p = bandPowers(tone(21), RATE, BANDS);
+    expect(p.beta / p.total).toBeGreaterThan(0.95);
+    expect(p.alpha / p.total).toBeLessThan(0.02);
+  });
+});
+
+describe('contactQuality', () => {
+  it('is good for an EEG-sized signal', () => {
+    expect(contactQuality(tone(10, 512, 20))).toBe('good');
+  });
+
+  it('is poor for a flat or a wildly swinging sensor', () => {
+    expect(contactQuality(new Array(512).fill(3))).toBe('poor');
+    expect(contactQuality(tone(3, 512, 400))).toBe('poor');
+  });
+});
+
+describe('Muse EEG packets', () => {
+  it('decode what was encoded, to the 12-bit resolution', () => {
+    const samples = [-500, -120.5, -1, 0, 0.4, 1, 7.25, 33, 99.9, 250, 480, 999];
+    const { index, samples: decoded } = decodeMuseEeg(encodeEeg(0x1234, samples));
+    expect(index).toBe(0x1234);
+    expect(decoded).toHaveLength(12);
+    decoded.forEach((uv, i) => expect(Math.abs(uv - samples[i])).toBeLessThanOrEqual(0.48828125 / 2));
+  });
+
+  it('clip to the 12-bit range', () => {
+    const { samples } = decodeMuseEeg(encodeEeg(1, [-5000, 5000, ...new Array(10).fill(0)]));
+    expect(samples[0]).toBeCloseTo(-1000, 5);
+    expect(samples[1]).toBeCloseTo(999.51171875, 5);
+  });
+});
+
+describe('EegAdapter with the mock headband', () => {
+  const consent = { neurofeedback: true, camera: false, audio: false };
+
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  // run the adapter for `ms` and collect what it reported
+  async function run(mock, ms = 3000) {
+    const adapter = new EegAdapter({ mock });
+    const signals = [];
+    let info = null;
+    adapter.on('signals', (s) => signals.push(s));
+    adapter.on('info', (i) => (info = i));
+    await adapter.start(consent);
+    await vi.advanceTimersByTimeAsync(ms);
+    adapter.stop();
+    return { adapter, signals, info };
+  }
+
+  it('emits neuro envelopes with relative alpha and beta power', async () => {
+    const { signals, info } = await run({ anxiety: 0.2 });
+    expect(signals.length).toBeGreaterThan(0);
+    const { neuro, source } = signals.at(-1);
+    expect(source).toBe('eeg-demo');
+    expect(neuro.quality).toBe('good');
+    expect(neuro.alpha).toBeGreaterThan(neuro.beta);
+    expect(neuro.alpha + neuro.beta).toBeLessThanOrEqual(100);
+    expect(info.name).toBe('MindEcho demo headband');
+    expect(info.battery).toBeGreaterThan(0);
+  });
+
+  it('follows the anxiety level from alpha towards beta', async () => {
+    const calm = (await run({ anxiety: 0.05 })).signals.at(-1).neuro;
+    const anxious = (await run({ anxiety: 0.95 })).signals.at(-1).neuro;
+    expect(anxious.beta).toBeGreaterThan(calm.beta);
+    expect(anxious.alpha).toBeLessThan(calm.alpha);
+  });
+
+  it('reports poor contact for sensors off the skin and leaves them out', async () => {
+    const { signals, info } = await run({ anxiety: 0.2, poorContact: ['TP9', 'TP10'] });
+    expect(info.quality).toEqual({ TP9: 'poor', AF7: 'good', AF8: 'good', TP10: 'poor' });
+    expect(signals.at(-1).neuro.alpha).toBeGreaterThan(50);
+  });
+
+  it('emits nothing while every sensor is off the skin', async () => {
+    const { signals, info } = await run({ poorContact: Object.keys(MUSE.channels) });
+    expect(Object.values(info.quality).every((q) => q === 'poor')).toBe(true);
+    expect(signals).toHaveLength(0);
+  });
+
+  it('honours consent', async () => {
+    const adapter = new EegAdapter({ mock: true });
+    await expect(adapter.start({ neurofeedback: false })).rejects.toMatchObject({ code: 'no_consent' });
+    expect(adapter.status).toBe('error');
+  });
+});
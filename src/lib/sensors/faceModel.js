@@ -0,0 +1,34 @@
+// src/lib/sensors/faceModel.js
+// On-device facial expressions with @vladmandic/face-api: the tiny face
+// detector plus the expression net, loaded from the app's own static files
+// (public/models/face-api) — nothing is fetched from elsewhere and no frame
+// leaves the device. Shared by the worker (./faceWorker.js) and the on-page
+// fallback (./faceReader.js).
+
+export const MODEL_URL = `${import.meta.env.BASE_URL}models/face-api`;
+
+/** loadModels(faceapi, modelUrl) — the detector and expression nets */
+export async function loadModels(faceapi, modelUrl = MODEL_URL) {
+  await faceapi.tf.ready();
+  await Promise.all([faceapi.nets.tinyFaceDetector.loadFromUri(modelUrl), faceapi.nets.faceExpressionNet.loadFromUri(modelUrl)]);
+}
+
+/**
+ * readExpressions(faceapi, input) -> { happiness, neutral, sadness, anger, fear, surprised } | null
+ * input: a video element, canvas or image tensor. null when no face is found.
+ */
+export async function readExpressions(faceapi, input) {
+  const options = new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: 0.5 });
+  const result = await faceapi.detectSingleFace(input, options).withFaceExpressions();
+  if (!result) return null;
+  const e = result.expressions;
+  // the same breakdown the emotion service returns
+  return {
+    happiness: e.happy,
+    neutral: e.neutral,
+    sadness: e.sad,
+    anger: Math.min(1, e.angry + e.disgusted),
+    fear: e.fearful,
+    surprised: e.surprised,
+  };
+}
@@ -0,0 +1,80 @@
+// src/lib/sensors/faceReader.js
+// Reads facial expressions from the camera on this device (./faceModel.js):
+// in a worker (./faceWorker.js) on an OffscreenCanvas where the browser
+// allows, otherwise on the page.
+
+import FaceWorker from './faceWorker.js?worker';
+import { SensorError } from './adapter';
+import { MODEL_URL, loadModels, readExpressions } from './faceModel';
+
+const workerSupported = () => typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+/* face-api on the page, reading the <video> directly */
+async function pageReader(modelUrl) {
+  const faceapi = await import('@vladmandic/face-api');
+  await loadModels(faceapi, modelUrl);
+  return { where: 'page', read: (video) => readExpressions(faceapi, video), close() {} };
+}
+
+/* face-api in ./faceWorker.js, fed ImageBitmaps */
+function workerReader(modelUrl) {
+  const worker = new FaceWorker();
+  const pending = new Map();
+  let nextId = 0;
+  let onReady;
+
+  const ready = new Promise((resolve, reject) => {
+    onReady = { resolve, reject };
+  });
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'ready') return onReady.resolve();
+    if (data.type === 'load-error') return onReady.reject(new SensorError(data.message, 'model_load'));
+    const call = pending.get(data.id);
+    if (!call) return;
+    pending.delete(data.id);
+    if (data.type === 'result') call.resolve(data.emotions);
+    else call.reject(new Error(data.message));
+  };
+  worker.onerror = (e) => onReady.reject(new SensorError(e.message || 'The face model worker failed', 'model_load'));
+  worker.postMessage({ type: 'init', modelUrl: new URL(modelUrl, location.href).href });
+
+  const reader = {
+    where: 'worker',
+    async read(video) {
+      const bitmap = await createImageBitmap(video);
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: 'frame', id, bitmap }, [bitmap]);
+      });
+    },
+    close() {
+      worker.terminate();
+      pending.forEach((call) => call.reject(new Error('closed')));
+      pending.clear();
+    },
+  };
+  return ready.then(() => reader, (err) => {
+    reader.close();
+    throw err;
+  });
+}
+
+/**
+ * createFaceReader(modelUrl) -> { where: 'worker' | 'page', read(video) -> expressions | null, close() }
+ * Loads the models first; rejects with a SensorError when they can't be loaded.
+ */
+export async function createFaceReader(modelUrl = MODEL_URL) {
+  if (workerSupported()) {
+    try {
+      return await workerReader(modelUrl);
+    } catch (err) {
+      console.warn('[faceModel] worker unavailable, running on the page:', err);
+    }
+  }
+  try {
+    return await pageReader(modelUrl);
+  } catch (err) {
+    throw new SensorError(`The on-device face model could not be loaded: ${err?.message || err}`, 'model_load');
+  }
+}
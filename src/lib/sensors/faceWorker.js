@@ -0,0 +1,63 @@
+// src/lib/sensors/faceWorker.js
+// Web worker running face-api for ./faceReader.js, off the page's main thread.
+// Messages in:  { type: 'init', modelUrl } · { type: 'frame', id, bitmap }
+// Messages out: { type: 'ready' | 'load-error', message? } · { type: 'result', id, emotions } · { type: 'error', id, message }
+
+import * as faceapi from '@vladmandic/face-api';
+import { loadModels, readExpressions } from './faceModel';
+
+// face-api only knows pages and Node: describe the worker with OffscreenCanvas
+function describeWorker() {
+  const unavailable = (what) => () => {
+    throw new Error(`${what} is not available in a worker`);
+  };
+  faceapi.env.setEnv({
+    Canvas: OffscreenCanvas,
+    CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+    Image: ImageBitmap,
+    ImageData,
+    Video: class {},
+    createCanvasElement: () => new OffscreenCanvas(1, 1),
+    createImageElement: unavailable('createImageElement'),
+    createVideoElement: unavailable('createVideoElement'),
+    fetch: (...args) => fetch(...args),
+    readFile: unavailable('readFile'),
+  });
+}
+
+async function init(modelUrl) {
+  describeWorker();
+  // WebGL on the OffscreenCanvas when the browser has it, plain JS otherwise
+  if (!(await faceapi.tf.setBackend('webgl').catch(() => false))) await faceapi.tf.setBackend('cpu');
+  await loadModels(faceapi, modelUrl);
+}
+
+let ready = null;
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    ready = init(data.modelUrl);
+    try {
+      await ready;
+      self.postMessage({ type: 'ready' });
+    } catch (err) {
+      self.postMessage({ type: 'load-error', message: err?.message || String(err) });
+    }
+    return;
+  }
+
+  if (data.type === 'frame') {
+    const { id, bitmap } = data;
+    let tensor = null;
+    try {
+      await ready;
+      tensor = faceapi.tf.browser.fromPixels(bitmap);
+      self.postMessage({ type: 'result', id, emotions: await readExpressions(faceapi, tensor) });
+    } catch (err) {
+      self.postMessage({ type: 'error', id, message: err?.message || String(err) });
+    } finally {
+      tensor?.dispose();
+      bitmap.close();
+    }
+  }
+};
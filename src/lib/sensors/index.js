@@ -0,0 +1,107 @@
+// src/lib/sensors/index.js
+// Registry of the sensor sources the Dashboard can choose from. Supporting
+// new hardware means writing an adapter (see ./adapter.js) and registering it
+// here; pages only deal with source ids (hooks/useSensor).
+
+import { SensorError } from './adapter';
+import { SensorSimulator } from './simulator';
+import { ReplayAdapter } from './replay';
+import { CameraAdapter } from './camera';
+import { MicrophoneAdapter } from './microphone';
+import { EegAdapter } from './eeg';
+
+export { SensorAdapter, SensorError, CONSENT_FOR } from './adapter';
+
+export const DEFAULT_SOURCE = 'simulator';
+
+const registry = new Map();
+
+/**
+ * registerAdapter(def)
+ * def: {
+ *   id, label, description,
+ *   modalities: ['neuro' | 'emotion' | 'acoustic'] — what it can measure,
+ *   accept?: file types when the source plays a file chosen by the user (options.file),
+ *   isSupported(): whether this browser can run it,
+ *   create(options): a new SensorAdapter
+ * }
+ */
+export function registerAdapter(def) {
+  registry.set(def.id, def);
+}
+
+/** listAdapters() -> registered defs, in registration order */
+export function listAdapters() {
+  return [...registry.values()];
+}
+
+export function getAdapterDef(id) {
+  return registry.get(id) || null;
+}
+
+/** createAdapter(id, options) -> SensorAdapter; throws SensorError for an unknown or unsupported id */
+export function createAdapter(id, options = {}) {
+  const def = registry.get(id);
+  if (!def) throw new SensorError(`Unknown sensor source "${id}"`, 'unknown_source');
+  if (!def.isSupported()) throw new SensorError(`${def.label} isn't supported in this browser`, 'unsupported');
+  return def.create(options);
+}
+
+const hasMedia = (kind) => typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia && (kind !== 'audio' || typeof AudioContext !== 'undefined');
+
+registerAdapter({
+  id: 'simulator',
+  label: 'Simulator',
+  description: 'Simulated signals for trying the dashboard without a sensor',
+  modalities: ['neuro', 'emotion', 'acoustic'],
+  isSupported: () => true,
+  create: (options) => new SensorSimulator(options),
+});
+
+registerAdapter({
+  id: 'replay',
+  label: 'Recorded session',
+  description: 'Plays back a recorded session (.jsonl) at its original pace, 4x or all at once',
+  modalities: ['neuro', 'emotion', 'acoustic'],
+  accept: '.jsonl,.json,application/json',
+  isSupported: () => true,
+  create: (options) => new ReplayAdapter(options),
+});
+
+registerAdapter({
+  id: 'camera',
+  label: 'Webcam expressions',
+  description: 'Facial expressions read from camera frames — on this device or by the server (see Settings)',
+  modalities: ['emotion'],
+  isSupported: () => hasMedia('video'),
+  create: (options) => new CameraAdapter(options),
+});
+
+registerAdapter({
+  id: 'microphone',
+  label: 'Microphone',
+  description: 'Voice pitch, energy, speech rate and jitter, analysed on this device — audio is never uploaded',
+  modalities: ['acoustic'],
+  isSupported: () => hasMedia('audio'),
+  create: (options) => new MicrophoneAdapter(options),
+});
+
+registerAdapter({
+  id: 'eeg',
+  label: 'EEG headband (Bluetooth)',
+  description: 'Alpha and beta activity from a Muse headband over Web Bluetooth',
+  modalities: ['neuro'],
+  isSupported: () => typeof navigator !== 'undefined' && !!navigator.bluetooth,
+  create: (options) => new EegAdapter(options),
+});
+
+registerAdapter({
+  id: 'eeg-demo',
+  label: 'EEG headband (demo device)',
+  description: 'A simulated headband speaking the same Bluetooth protocol, for trying EEG without hardware',
+  modalities: ['neuro'],
+  isSupported: () => true,
+  create: (options) => new EegAdapter({ ...options, mock: true }),
+});
+
+export default { registerAdapter, listAdapters, getAdapterDef, createAdapter, DEFAULT_SOURCE };
@@ -0,0 +1,86 @@
+// src/lib/sensors/microphone.js
+// Voice features from the microphone (./acoustics.js): pitch, pitch spread,
+// energy, speech rate and jitter, analysed on this device. Frames are read in
+// an AudioWorklet; browsers without one fall back to polling an AnalyserNode.
+// Only the summary numbers leave the adapter — never the audio.
+
+import workletUrl from './acousticsWorklet.js?worker&url';
+import { SensorAdapter, SensorError } from './adapter';
+import { AcousticWindow, FRAME_SIZE, HOP_SIZE, frameFeatures } from './acoustics';
+
+export class MicrophoneAdapter extends SensorAdapter {
+  /**
+   * options:
+   *  - intervalMs: time between emitted readings (default 1000)
+   *  - windowSec: how much speech each reading summarises (default 4)
+   */
+  constructor({ intervalMs = 1000, windowSec = 4 } = {}) {
+    super();
+    this.id = 'microphone';
+    this.capabilities = { neuro: false, emotion: false, acoustic: true };
+    this.intervalMs = intervalMs;
+    this.window = new AcousticWindow(windowSec);
+    this.stream = null;
+    this.context = null;
+    this.node = null;
+    this.interval = null;
+    this.poll = null;
+  }
+
+  async open() {
+    if (!navigator.mediaDevices?.getUserMedia || typeof AudioContext === 'undefined') {
+      throw new SensorError('This browser has no microphone access — use HTTPS or localhost', 'unsupported');
+    }
+    try {
+      // no noise suppression: it flattens the very pitch movement we measure
+      this.stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }, video: false });
+    } catch (err) {
+      throw new SensorError('Unable to access the microphone. Allow microphone permission and use HTTPS or localhost.', err?.name || 'mic_denied');
+    }
+    this.context = new AudioContext();
+    await this.context.resume().catch(() => {}); // created outside a click it may start suspended
+    const source = this.context.createMediaStreamSource(this.stream);
+    this.window = new AcousticWindow(this.window.seconds);
+
+    if (this.context.audioWorklet) {
+      await this.context.audioWorklet.addModule(workletUrl);
+      this.node = new AudioWorkletNode(this.context, 'acoustic-features');
+      this.node.port.onmessage = (e) => this.window.push(e.data);
+      // the node outputs silence; wiring it to the destination keeps every browser running it
+      source.connect(this.node).connect(this.context.destination);
+    } else {
+      const analyser = this.context.createAnalyser();
+      analyser.fftSize = FRAME_SIZE;
+      source.connect(analyser);
+      this.node = analyser;
+      const samples = new Float32Array(FRAME_SIZE);
+      this.poll = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        this.window.push({ t: this.context.currentTime, ...frameFeatures(samples, this.context.sampleRate) });
+      }, (HOP_SIZE / this.context.sampleRate) * 1000);
+    }
+    this.interval = setInterval(() => this.report(), this.intervalMs);
+  }
+
+  close() {
+    clearInterval(this.interval);
+    clearInterval(this.poll);
+    this.interval = null;
+    this.poll = null;
+    if (this.node?.port) this.node.port.onmessage = null;
+    this.node?.disconnect();
+    this.node = null;
+    this.stream?.getTracks().forEach((t) => t.stop());
+    this.stream = null;
+    this.context?.close().catch(() => {});
+    this.context = null;
+  }
+
+  report() {
+    const features = this.window.summary();
+    // silence: nothing to say about the voice
+    if (features) this.emitSignals({ acoustic: features });
+  }
+}
+
+export default MicrophoneAdapter;
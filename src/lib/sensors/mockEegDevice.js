@@ -0,0 +1,166 @@
+// src/lib/sensors/mockEegDevice.js
+// A stand-in for a Muse headband that lives in the page: the same GATT
+// service, characteristics and packet format as the real device (./muse.js),
+// fed with synthetic EEG — alpha and beta rhythms whose balance drifts the way
+// the simulator's anxiety level does, plus noise. Lets the EEG adapter run
+// (and be tested) without hardware or Web Bluetooth.
+
+import { MUSE } from './muse';
+
+const PACKET_SAMPLES = 12;
+const TELEMETRY_MS = 5000;
+const UV_PER_UNIT = 0.48828125;
+
+/** encodeEeg(index, samples µV[12]) -> DataView — a Muse EEG packet, the inverse of decodeMuseEeg */
+export function encodeEeg(index, samples) {
+  const bytes = new Uint8Array(2 + (samples.length * 3) / 2);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, index & 0xffff);
+  const raw = samples.map((uv) => Math.max(0, Math.min(0xfff, Math.round(uv / UV_PER_UNIT) + 0x800)));
+  for (let i = 0, o = 2; i < raw.length; i += 2, o += 3) {
+    bytes[o] = raw[i] >> 4;
+    bytes[o + 1] = ((raw[i] & 0xf) << 4) | (raw[i + 1] >> 8);
+    bytes[o + 2] = raw[i + 1] & 0xff;
+  }
+  return view;
+}
+
+function encodeTelemetry(index, battery) {
+  const view = new DataView(new ArrayBuffer(10));
+  view.setUint16(0, index & 0xffff);
+  view.setUint16(2, Math.round(battery * 512));
+  return view;
+}
+
+class MockCharacteristic extends EventTarget {
+  constructor(uuid, onWrite) {
+    super();
+    this.uuid = uuid;
+    this.value = null;
+    this.onWrite = onWrite;
+  }
+
+  async startNotifications() {
+    return this;
+  }
+
+  async stopNotifications() {
+    return this;
+  }
+
+  async writeValue(bytes) {
+    this.onWrite?.(new Uint8Array(bytes.buffer || bytes));
+  }
+
+  notify(view) {
+    this.value = view;
+    this.dispatchEvent(new Event('characteristicvaluechanged'));
+  }
+}
+
+/**
+ * createMockEegDevice(options) -> a BluetoothDevice look-alike
+ * options:
+ *  - name (default 'MindEcho demo headband')
+ *  - poorContact: channel names whose sensor is off the skin (e.g. ['TP10'])
+ *  - anxiety: fixed 0..1 level instead of a drifting one (for tests)
+ */
+export function createMockEegDevice({ name = 'MindEcho demo headband', poorContact = [], anxiety = null } = {}) {
+  const device = new EventTarget();
+  let streaming = false;
+  let timer = null;
+  let telemetryTimer = null;
+  let packet = 0;
+  let sample = 0;
+  let startedAt = 0;
+  let level = anxiety ?? 0.5;
+  let battery = 87;
+
+  const channels = Object.fromEntries(Object.entries(MUSE.channels).map(([ch, uuid]) => [ch, new MockCharacteristic(uuid)]));
+  const telemetry = new MockCharacteristic(MUSE.telemetry);
+
+  // one channel's µV value at sample n
+  const eegAt = (channel, n) => {
+    const t = n / MUSE.sampleRate;
+    if (poorContact.includes(channel)) return (Math.random() - 0.5) * 800; // floating electrode
+    const alpha = (8 + (1 - level) * 22) * Math.sin(2 * Math.PI * 10 * t);
+    const beta = (3 + level * 12) * Math.sin(2 * Math.PI * 21 * t + 1);
+    return alpha + beta + (Math.random() - 0.5) * 6;
+  };
+
+  // emit every packet that is due since streaming started (keeps 256 Hz despite timer jitter)
+  const pump = () => {
+    const due = Math.floor(((Date.now() - startedAt) / 1000) * MUSE.sampleRate);
+    while (sample + PACKET_SAMPLES <= due) {
+      if (anxiety == null) level = Math.max(0, Math.min(1, level + (Math.random() - 0.5) * 0.01));
+      for (const [ch, characteristic] of Object.entries(channels)) {
+        const samples = Array.from({ length: PACKET_SAMPLES }, (_, i) => eegAt(ch, sample + i));
+        characteristic.notify(encodeEeg(packet, samples));
+      }
+      packet += 1;
+      sample += PACKET_SAMPLES;
+    }
+  };
+
+  const sendTelemetry = () => {
+    battery = Math.max(5, battery - 0.1);
+    telemetry.notify(encodeTelemetry(packet, battery));
+  };
+
+  const setStreaming = (on) => {
+    if (on === streaming) return;
+    streaming = on;
+    clearInterval(timer);
+    clearInterval(telemetryTimer);
+    if (!on) return;
+    startedAt = Date.now();
+    sample = 0;
+    timer = setInterval(pump, (PACKET_SAMPLES / MUSE.sampleRate) * 1000);
+    telemetryTimer = setInterval(sendTelemetry, TELEMETRY_MS);
+    setTimeout(sendTelemetry, 0);
+  };
+
+  // control commands: length byte, then e.g. "d\n"
+  const control = new MockCharacteristic(MUSE.control, (bytes) => {
+    const cmd = new TextDecoder().decode(bytes.slice(1)).trim();
+    if (cmd === 'd' || cmd === 's') setStreaming(true);
+    if (cmd === 'h') setStreaming(false);
+  });
+
+  const byUuid = new Map([[MUSE.control, control], [MUSE.telemetry, telemetry], ...Object.values(channels).map((c) => [c.uuid, c])]);
+
+  const service = {
+    uuid: MUSE.service,
+    async getCharacteristic(uuid) {
+      const characteristic = byUuid.get(uuid);
+      if (!characteristic) throw new Error(`No characteristic ${uuid}`);
+      return characteristic;
+    },
+  };
+
+  const gatt = {
+    device,
+    connected: false,
+    async connect() {
+      gatt.connected = true;
+      return gatt;
+    },
+    disconnect() {
+      if (!gatt.connected) return;
+      setStreaming(false);
+      gatt.connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+    },
+    async getPrimaryService(uuid) {
+      if (uuid !== MUSE.service) throw new Error(`No service ${uuid}`);
+      return service;
+    },
+  };
+
+  device.id = 'mock-eeg';
+  device.name = name;
+  device.gatt = gatt;
+  return device;
+}
+
+export default createMockEegDevice;
@@ -0,0 +1,42 @@
+// src/lib/sensors/muse.js
+// GATT protocol of Muse headbands (Muse 2 / Muse S): one notifying
+// characteristic per EEG channel, a telemetry characteristic with the battery
+// level, and a control characteristic taking short text commands.
+
+const museUuid = (short) => `273e${short}-4c4d-454d-96be-f03bac821358`;
+
+export const MUSE = {
+  service: 0xfe8d,
+  sampleRate: 256,
+  control: museUuid('0001'),
+  telemetry: museUuid('000b'),
+  channels: { TP9: museUuid('0003'), AF7: museUuid('0004'), AF8: museUuid('0005'), TP10: museUuid('0006') },
+  // halt, preset 21 (EEG only), start, resume
+  startCommands: ['h', 'p21', 's', 'd'],
+  stopCommand: 'h',
+};
+
+/** museCommand('d') -> bytes for the control characteristic: length-prefixed, newline-terminated */
+export function museCommand(cmd) {
+  const bytes = new TextEncoder().encode(`X${cmd}\n`);
+  bytes[0] = bytes.length - 1;
+  return bytes;
+}
+
+/** decodeMuseEeg(DataView) -> { index, samples: µV[12] } — 12-bit samples after a 16-bit packet index */
+export function decodeMuseEeg(view) {
+  const index = view.getUint16(0);
+  const samples = [];
+  for (let i = 2; i + 2 < view.byteLength; i += 3) {
+    const b0 = view.getUint8(i);
+    const b1 = view.getUint8(i + 1);
+    const b2 = view.getUint8(i + 2);
+    samples.push((b0 << 4) | (b1 >> 4), ((b1 & 0xf) << 8) | b2);
+  }
+  return { index, samples: samples.map((n) => 0.48828125 * (n - 0x800)) };
+}
+
+/** decodeMuseTelemetry(DataView) -> { battery: 0..100 } */
+export function decodeMuseTelemetry(view) {
+  return { battery: Math.round(view.getUint16(2) / 512) };
+}
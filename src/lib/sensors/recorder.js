@@ -0,0 +1,48 @@
+// src/lib/sensors/recorder.js
+// Records a Dashboard sensor session — every `signals` envelope, face signal
+// and inferred emotion, timed from the start — as a JSON Lines file that
+// ./replay.js plays back. The file stays on the device unless the user shares it.
+
+import { RECORDING_FORMAT, RECORDING_VERSION } from './replay';
+
+export const RECORDING_KINDS = ['signals', 'face', 'emotion'];
+
+export class SessionRecorder {
+  /**
+   * meta: { source, consent } — written to the header line, so a replay can be
+   * read against the same consent it was recorded with
+   */
+  constructor({ source = null, consent = null } = {}) {
+    this.startedAt = Date.now();
+    this.lines = [JSON.stringify({ format: RECORDING_FORMAT, version: RECORDING_VERSION, startedAt: new Date(this.startedAt).toISOString(), source, consent })];
+  }
+
+  /** record(kind, data) — kind: 'signals' | 'face' | 'emotion' */
+  record(kind, data) {
+    if (!RECORDING_KINDS.includes(kind) || !data) return;
+    this.lines.push(JSON.stringify({ t: Date.now() - this.startedAt, kind, [kind]: data }));
+  }
+
+  /** events recorded so far (the header not counted) */
+  get count() {
+    return this.lines.length - 1;
+  }
+
+  toText() {
+    return `${this.lines.join('\n')}\n`;
+  }
+
+  /** download(filename) — saves the recording through the browser */
+  download(filename = `mindecho-session-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.jsonl`) {
+    const url = URL.createObjectURL(new Blob([this.toText()], { type: 'application/x-ndjson' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,154 @@
+// src/lib/sensors/replay.js
+// Plays a recorded sensor session (./recorder.js) back through the same
+// pipeline, at its original timing, faster, or all at once — so a session can
+// be looked at again, a bug shown, or inferenceService checked against what it
+// inferred at the time, without the hardware.
+//
+// Recording file: JSON Lines, a header line then one event per line
+//   { "format": "mindecho-sensor-recording", "version": 2, "startedAt", "source", "consent" }
+//   { "t": <ms since the recording started>, "kind": "signals", "signals": { neuro?, emotion?, acoustic? } }
+//   { "t", "kind": "face", "face": { calm, anxious, focus, rawExpressions? } }
+//   { "t", "kind": "emotion", "emotion": { primary, scores } }   inferred from the signals line before it
+// Version 1 lines ({ "t", "signals" }, no kind) and a plain JSON array of them are read too.
+
+import { SensorAdapter, SensorError } from './adapter';
+
+export const RECORDING_FORMAT = 'mindecho-sensor-recording';
+export const RECORDING_VERSION = 2;
+
+// replay speeds: multiples of the original pace; Infinity plays everything at once
+export const REPLAY_SPEEDS = [1, 4, Infinity];
+
+// instant replay: frames played per task, so the page keeps responding
+const INSTANT_BATCH = 200;
+
+function readRows(source) {
+  if (source.startsWith('[')) {
+    try {
+      return JSON.parse(source);
+    } catch {
+      throw new SensorError('The recording is not valid JSON', 'bad_recording');
+    }
+  }
+  return source.split(/\r?\n/).filter((line) => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new SensorError(`Line ${i + 1} of the recording is not valid JSON`, 'bad_recording');
+    }
+  });
+}
+
+/**
+ * parseRecording(text) -> { header, frames }
+ * frames: [{ t, kind: 'signals', signals, expected? } | { t, kind: 'face', face }] sorted by t,
+ * where `expected` is the emotion recorded for those signals. header is null for
+ * files without one. Throws SensorError on a bad file.
+ */
+export function parseRecording(text) {
+  const rows = readRows(String(text || '').trim()).filter((row) => row && typeof row === 'object');
+  const header = rows.find((row) => row.format === RECORDING_FORMAT) || null;
+  const frames = [];
+  let last = null; // the latest signals frame, which an emotion line belongs to
+  for (const row of rows) {
+    const kind = row.kind || (row.signals ? 'signals' : null);
+    const t = Math.max(0, Number(row.t) || 0);
+    if (kind === 'signals' && row.signals && typeof row.signals === 'object') {
+      last = { t, kind, signals: row.signals };
+      frames.push(last);
+    } else if (kind === 'face' && row.face && typeof row.face === 'object') {
+      frames.push({ t, kind, face: row.face });
+    } else if (kind === 'emotion' && row.emotion && last && !last.expected) {
+      last.expected = row.emotion;
+    }
+  }
+  // stable: events recorded in the same millisecond keep their order
+  frames.sort((a, b) => a.t - b.t);
+  if (!frames.length) throw new SensorError('The recording has no signal frames', 'bad_recording');
+  return { header, frames };
+}
+
+export class ReplayAdapter extends SensorAdapter {
+  /**
+   * options:
+   *  - file: a File / Blob holding a recording, or
+   *  - frames: already parsed frames (parseRecording(...).frames)
+   *  - consent: the consent the frames were recorded with (a file's header has it)
+   *  - speed: 1 (default), 4, … times the original pace, or Infinity for all at once
+   *  - loop: start over at the end (default true; never at instant speed); otherwise stops and emits 'ended'
+   *
+   * The recorded consent, when known, stands in for the current one: it decides
+   * which modalities are played, and `signals` envelopes carry it as `consent`
+   * (with `expected`, the emotion inferred when recorded, when the file has it)
+   * so inference can run exactly as it did then. Extra events: 'face' (a recorded face signal, camera consent
+   * only) and 'rewind' before the first frame of each pass.
+   */
+  constructor({ file = null, frames = null, consent = null, speed = 1, loop = true } = {}) {
+    super();
+    this.id = 'replay';
+    // a recording can hold any modality; consent still filters what's played
+    this.capabilities = { neuro: true, emotion: true, acoustic: true };
+    this.file = file;
+    this.frames = frames;
+    this.recordedConsent = consent;
+    this.speed = Number(speed) > 0 ? Number(speed) : 1;
+    this.loop = loop && Number.isFinite(this.speed);
+    this.timer = null;
+  }
+
+  async open() {
+    if (!this.frames) {
+      if (!this.file) throw new SensorError('Choose a recording to replay', 'no_recording');
+      const { header, frames } = parseRecording(await this.file.text());
+      this.frames = frames;
+      this.recordedConsent ||= header?.consent || null;
+    }
+    if (this.recordedConsent) this.consent = this.recordedConsent;
+    // first frame once start() has finished
+    this.timer = setTimeout(() => this.play(0), 0);
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  playFrame(frame) {
+    if (frame.kind === 'face') {
+      if (this.status === 'running' && this.allowed().includes('emotion')) this.emit('face', frame.face);
+      return;
+    }
+    const meta = {};
+    if (frame.expected) meta.expected = frame.expected;
+    if (this.recordedConsent) meta.consent = this.recordedConsent;
+    this.emitSignals(frame.signals, meta);
+  }
+
+  play(index) {
+    const frames = this.frames;
+    if (index >= frames.length) {
+      if (!this.loop) {
+        this.emit('ended');
+        this.stop();
+        return;
+      }
+      index = 0;
+    }
+    if (index === 0) this.emit('rewind');
+
+    if (!Number.isFinite(this.speed)) {
+      const end = Math.min(frames.length, index + INSTANT_BATCH);
+      for (let i = index; i < end && this.status === 'running'; i++) this.playFrame(frames[i]);
+      this.timer = setTimeout(() => this.play(end), 0);
+      return;
+    }
+
+    this.playFrame(frames[index]);
+    const next = frames[index + 1];
+    // at the end of a loop, pause for one average gap before starting over
+    const gap = next ? next.t - frames[index].t : Math.max(100, frames.length > 1 ? frames.at(-1).t / (frames.length - 1) : 1000);
+    this.timer = setTimeout(() => this.play(index + 1), Math.max(0, gap) / this.speed);
+  }
+}
+
+export default ReplayAdapter;
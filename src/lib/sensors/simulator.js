@@ -0,0 +1,39 @@
+// src/lib/sensors/simulator.js
+// Random neuro / emotion / acoustic values drifting around a slowly changing
+// anxiety level — the default source while no real sensor is connected.
+
+import { SensorAdapter } from './adapter';
+
+const round = (n, digits) => Number(n.toFixed(digits));
+
+export class SensorSimulator extends SensorAdapter {
+  constructor({ intervalMs = 1500 } = {}) {
+    super();
+    this.id = 'simulator';
+    this.capabilities = { neuro: true, emotion: true, acoustic: true };
+    this.intervalMs = intervalMs;
+    this.interval = null;
+    this.baseAnxiety = 0.5;
+  }
+
+  async open() {
+    this.interval = setInterval(() => this.emitSignals(this.sample()), this.intervalMs);
+  }
+
+  close() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  sample() {
+    this.baseAnxiety = Math.max(0, Math.min(1, this.baseAnxiety + (Math.random() - 0.5) * 0.08));
+    const a = this.baseAnxiety;
+    return {
+      neuro: { alpha: round((1 - a) * 70 + Math.random() * 30, 2), beta: round(a * 70 + Math.random() * 30, 2) },
+      emotion: { smile: round((1 - a) * 0.6 + Math.random() * 0.4, 3), frown: round(a * 0.6 + Math.random() * 0.4, 3) },
+      acoustic: { pitch: round(100 + a * 100 + (Math.random() - 0.5) * 20, 2), variance: round(a * 5 + Math.random(), 2) },
+    };
+  }
+}
+
+export default SensorSimulator;
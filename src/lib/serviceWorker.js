@@ -0,0 +1,83 @@
+// src/lib/serviceWorker.js
+// Registers the service worker (src/sw.js, production builds only) and tracks
+// whether a newer build is waiting to take over, for the "update available"
+// prompt. The new build only activates when the user accepts (applyUpdate),
+// then every open tab reloads onto it.
+
+const API_CACHE = 'mindecho-api'; // see src/sw.js
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+let registration = null;
+let waiting = null;
+let reloading = false;
+let snapshot = { supported: false, updateAvailable: false };
+const listeners = new Set();
+
+function emit(patch) {
+  snapshot = { ...snapshot, ...patch };
+  listeners.forEach((fn) => fn(snapshot));
+}
+
+/** getUpdateState() -> { supported, updateAvailable } */
+export function getUpdateState() {
+  return snapshot;
+}
+
+export function subscribeUpdate(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function track(worker) {
+  // without a controller this is the first install, not an update
+  if (!worker || !navigator.serviceWorker.controller) return;
+  waiting = worker;
+  emit({ updateAvailable: true });
+}
+
+/** registerServiceWorker() — once, after the app has rendered */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator) || registration) return;
+  emit({ supported: true });
+
+  // a new worker took over: this tab still runs the old build
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register('/sw.js')
+    .then((reg) => {
+      registration = reg;
+      track(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed') track(worker);
+        });
+      });
+
+      // deploys happen while the app stays open: look for them now and then
+      const check = () => reg.update().catch(() => {});
+      setInterval(check, UPDATE_CHECK_MS);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') check();
+      });
+    })
+    .catch((err) => console.warn('[sw] registration failed:', err));
+}
+
+/** applyUpdate() — activate the waiting build and reload onto it */
+export function applyUpdate() {
+  if (!waiting) return;
+  reloading = true;
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/** clearApiCache() — drop cached API responses (they belong to the signed-out user) */
+export function clearApiCache() {
+  if (typeof caches === 'undefined') return Promise.resolve();
+  return caches.delete(API_CACHE).catch(() => {});
+}
+
+export default { registerServiceWorker, getUpdateState, subscribeUpdate, applyUpdate, clearApiCache };
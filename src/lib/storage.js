@@ -0,0 +1,355 @@
+// src/lib/storage.js
+// Local persistence for the user's own data (journal, mood, meditation and
+// small settings). One IndexedDB database, so each change writes only the
+// records it touches and lists can be queried through indexes instead of
+// parsing one big JSON blob.
+//
+// The schema is versioned: MIGRATIONS lists every step, and opening the
+// database runs the ones above the version already on disk. Version 1 imports
+// the old `_v1` localStorage keys, which are removed once it has committed.
+//
+// Without IndexedDB (some private windows, old WebViews) the same API is
+// served from those localStorage keys, i.e. the format used before.
+
+import { idbAvailable, openDatabase, promisify, transact } from './idb';
+import { hashtags } from '../utils/hashtags';
+
+const DB_NAME = 'mindecho';
+
+/**
+ * Object stores. `legacyKey` is where the data lived in localStorage;
+ * indexes: [name, keyPath, options].
+ */
+export const STORES = {
+  journal: {
+    keyPath: 'id',
+    legacyKey: 'mindecho_journal_v1',
+    indexes: [
+      ['byDate', 'createdAt'],
+      ['byTag', 'tags', { multiEntry: true }],
+    ],
+  },
+  mood: { keyPath: 'id', legacyKey: 'mindecho_mood_entries_v1', indexes: [['byDate', 'date']] },
+  meditation: { keyPath: 'id', legacyKey: 'mindecho_meditation_sessions_v1', indexes: [['byDate', 'timestamp']] },
+  // small values addressed by key: getItem / setItem
+  kv: { keyPath: 'key', indexes: [] },
+};
+
+// kv keys and the localStorage keys they replace
+export const KV_LEGACY_KEYS = {
+  following: 'mindecho_following_v1',
+  sleepTiming: 'mindcare_sleep_timing',
+  sync: 'mindecho_sync_v1',
+};
+
+function readLegacy(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (raw == null) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw; // stored as a plain string (sleep timing)
+    }
+  } catch {
+    return undefined;
+  }
+}
+
+// journal entries written before the tag index existed get their #tags derived
+function legacyRows(name) {
+  const rows = readLegacy(STORES[name].legacyKey);
+  if (!Array.isArray(rows)) return [];
+  return rows
+    .filter((r) => r && r[STORES[name].keyPath] != null)
+    .map((r) => (name === 'journal' && !Array.isArray(r.tags) ? { ...r, tags: hashtags(r.body) } : r));
+}
+
+/* ---------- migrations ---------- */
+
+// localStorage keys copied into the database by the upgrade now running
+let imported = [];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    // stores + indexes, then everything from the _v1 localStorage keys
+    upgrade(db, tx) {
+      for (const [name, def] of Object.entries(STORES)) {
+        const store = db.createObjectStore(name, { keyPath: def.keyPath });
+        for (const [index, keyPath, options] of def.indexes) store.createIndex(index, keyPath, options);
+      }
+      for (const name of ['journal', 'mood', 'meditation']) {
+        const store = tx.objectStore(name);
+        for (const row of legacyRows(name)) store.put(row);
+        imported.push(STORES[name].legacyKey);
+      }
+      for (const [key, legacyKey] of Object.entries(KV_LEGACY_KEYS)) {
+        const value = readLegacy(legacyKey);
+        if (value !== undefined) tx.objectStore('kv').put({ key, value });
+        imported.push(legacyKey);
+      }
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function upgrade(db, oldVersion, tx) {
+  for (const m of MIGRATIONS) {
+    if (oldVersion < m.version) m.upgrade(db, tx);
+  }
+}
+
+/* ---------- quota ---------- */
+
+/** StorageQuotaError — the browser refused a write because the disk quota is used up */
+export class StorageQuotaError extends Error {
+  constructor(cause) {
+    super('Storage is full — free up space or export and delete old entries');
+    this.name = 'StorageQuotaError';
+    this.cause = cause;
+  }
+}
+
+const quotaListeners = new Set();
+
+/** onQuotaExceeded(fn) — fn(error) whenever a write fails for lack of space */
+export function onQuotaExceeded(fn) {
+  quotaListeners.add(fn);
+  return () => quotaListeners.delete(fn);
+}
+
+function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err?.code === 22;
+}
+
+// every write goes through here so a full disk surfaces the same way
+async function guardWrite(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (!isQuotaError(err)) throw err;
+    const error = new StorageQuotaError(err);
+    quotaListeners.forEach((listener) => listener(error));
+    throw error;
+  }
+}
+
+/** estimate() -> { usage, quota } in bytes, or null when the browser can't tell */
+export async function estimate() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- backends ---------- */
+
+let dbPromise = null;
+let useLegacy = !idbAvailable();
+
+async function open() {
+  if (useLegacy) return null;
+  if (!dbPromise) {
+    imported = [];
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, upgrade)
+      .then((db) => {
+        // committed: the copies in localStorage are no longer read
+        for (const key of imported) {
+          try {
+            localStorage.removeItem(key);
+          } catch {
+            // blocked storage — harmless, the database wins
+          }
+        }
+        imported = [];
+        // ask the browser not to evict the database under storage pressure
+        navigator.storage?.persist?.().catch(() => {});
+        // another tab is upgrading the schema: let it, and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        return db;
+      })
+      .catch((err) => {
+        console.warn('[storage] IndexedDB unavailable, using localStorage:', err);
+        useLegacy = true;
+        dbPromise = null;
+        return null;
+      });
+  }
+  return dbPromise;
+}
+
+// localStorage fallback: collections are JSON arrays, kv values sit under their old keys
+const legacyKvKey = (key) => KV_LEGACY_KEYS[key] || `mindecho_kv_${key}`;
+
+const legacy = {
+  getAll(name) {
+    if (name === 'kv') {
+      return Object.keys(KV_LEGACY_KEYS)
+        .map((key) => legacy.get('kv', key))
+        .filter(Boolean);
+    }
+    return legacyRows(name);
+  },
+  get(name, key) {
+    if (name !== 'kv') return legacyRows(name).find((r) => r[STORES[name].keyPath] === key) ?? null;
+    const value = readLegacy(legacyKvKey(key));
+    return value === undefined ? null : { key, value };
+  },
+  write(name, puts, deletes) {
+    if (name === 'kv') {
+      for (const row of puts) {
+        localStorage.setItem(legacyKvKey(row.key), typeof row.value === 'string' ? row.value : JSON.stringify(row.value));
+      }
+      for (const key of deletes) localStorage.removeItem(legacyKvKey(key));
+      return;
+    }
+    const { keyPath, legacyKey } = STORES[name];
+    const byKey = new Map(legacyRows(name).map((r) => [r[keyPath], r]));
+    for (const row of puts) byKey.set(row[keyPath], row);
+    for (const key of deletes) byKey.delete(key);
+    localStorage.setItem(legacyKey, JSON.stringify([...byKey.values()]));
+  },
+};
+
+/* ---------- change notifications (other tabs) ---------- */
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('mindecho-storage') : null;
+const changeListeners = {}; // store -> Set
+
+function announce(name, keys) {
+  try {
+    channel?.postMessage({ store: name, keys });
+  } catch {
+    /* channel closed */
+  }
+}
+
+if (channel) {
+  channel.onmessage = (e) => changeListeners[e.data?.store]?.forEach((fn) => fn(e.data.keys));
+}
+
+/** subscribe(store, fn) — fn(keys) when another tab wrote to `store` */
+export function subscribe(name, fn) {
+  (changeListeners[name] ||= new Set()).add(fn);
+  return () => changeListeners[name].delete(fn);
+}
+
+/* ---------- API ---------- */
+
+function assertStore(name) {
+  if (!STORES[name]) throw new Error(`Unknown store "${name}"`);
+}
+
+export async function getAll(name) {
+  assertStore(name);
+  const db = await open();
+  if (!db) return legacy.getAll(name);
+  return transact(db, name, 'readonly', (tx) => promisify(tx.objectStore(name).getAll()));
+}
+
+export async function get(name, key) {
+  assertStore(name);
+  const db = await open();
+  if (!db) return legacy.get(name, key);
+  const row = await transact(db, name, 'readonly', (tx) => promisify(tx.objectStore(name).get(key)));
+  return row ?? null;
+}
+
+/**
+ * write(store, { put, delete }) — put rows and delete keys in one transaction.
+ * Rejects with StorageQuotaError when the browser is out of space.
+ */
+export async function write(name, { put: puts = [], delete: deletes = [] }) {
+  assertStore(name);
+  if (!puts.length && !deletes.length) return;
+  const db = await open();
+  await guardWrite(() => {
+    if (!db) return legacy.write(name, puts, deletes);
+    return transact(db, name, 'readwrite', (tx) => {
+      const store = tx.objectStore(name);
+      for (const row of puts) store.put(row);
+      for (const key of deletes) store.delete(key);
+    });
+  });
+  announce(name, [...puts.map((r) => r[STORES[name].keyPath]), ...deletes]);
+}
+
+export function put(name, rows) {
+  return write(name, { put: Array.isArray(rows) ? rows : [rows] });
+}
+
+export function remove(name, keys) {
+  return write(name, { delete: Array.isArray(keys) ? keys : [keys] });
+}
+
+export async function clear(name) {
+  const rows = await getAll(name);
+  return remove(name, rows.map((r) => r[STORES[name].keyPath]));
+}
+
+/**
+ * query(store, index, { only, from, to, direction, limit })
+ *   query('mood', 'byDate', { from: '2024-05-01', to: '2024-05-31' })
+ *   query('journal', 'byTag', { only: 'sleep' })
+ * direction: 'prev' (newest first, the default) or 'next'.
+ */
+export async function query(name, index, { only, from, to, direction = 'prev', limit = Infinity } = {}) {
+  assertStore(name);
+  const def = STORES[name].indexes.find(([n]) => n === index);
+  if (!def) throw new Error(`Store "${name}" has no index "${index}"`);
+  const db = await open();
+
+  if (!db) {
+    const [, keyPath] = def;
+    const values = (row) => [].concat(row[keyPath] ?? []);
+    const inRange = (v) => (only !== undefined ? v === only : (from === undefined || v >= from) && (to === undefined || v <= to));
+    const rows = legacy.getAll(name).filter((row) => values(row).some(inRange));
+    rows.sort((a, b) => String(a[keyPath]).localeCompare(String(b[keyPath])) * (direction === 'prev' ? -1 : 1));
+    return rows.slice(0, limit);
+  }
+
+  let range = null;
+  if (only !== undefined) range = IDBKeyRange.only(only);
+  else if (from !== undefined && to !== undefined) range = IDBKeyRange.bound(from, to);
+  else if (from !== undefined) range = IDBKeyRange.lowerBound(from);
+  else if (to !== undefined) range = IDBKeyRange.upperBound(to);
+
+  return transact(db, name, 'readonly', (tx) => {
+    const rows = [];
+    const request = tx.objectStore(name).index(index).openCursor(range, direction);
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || rows.length >= limit) return resolve(rows);
+        rows.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+/* ---------- key / value ---------- */
+
+/** getItem(key, fallback) — a small JSON value (settings, flags) */
+export async function getItem(key, fallback = null) {
+  const row = await get('kv', key);
+  return row ? row.value : fallback;
+}
+
+export function setItem(key, value) {
+  return value == null ? remove('kv', key) : put('kv', { key, value });
+}
+
+export function removeItem(key) {
+  return remove('kv', key);
+}
+
+export default { STORES, getAll, get, write, put, remove, clear, query, getItem, setItem, removeItem, subscribe, onQuotaExceeded, estimate };
@@ -0,0 +1,103 @@
+// src/lib/storage.test.js
+// The version 1 migration: what a device kept in the `_v1` localStorage keys
+// ends up in IndexedDB (fake-indexeddb) once, and is served from those keys
+// when IndexedDB is missing.
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { memoryStorage } from './__fixtures__/fakeSyncServer';
+
+const LEGACY = {
+  mindecho_journal_v1: JSON.stringify([
+    { id: 'j1', title: 'Before tags', body: 'Slept badly #sleep #Work', createdAt: '2024-05-02T08:00:00Z' },
+    { id: 'j2', title: 'Tagged', body: 'Fine #ignored', tags: ['walk'], createdAt: '2024-05-03T08:00:00Z' },
+    { title: 'No id — unreadable, skipped', body: 'x' },
+    null,
+  ]),
+  mindecho_mood_entries_v1: JSON.stringify([{ id: 'm1', date: '2024-05-02', mood: 4, note: 'ok' }]),
+  mindecho_meditation_sessions_v1: '{ not json',
+  mindecho_following_v1: JSON.stringify(['u7', 'u9']),
+  mindcare_sleep_timing: '22:30',
+  mindecho_unrelated: 'kept',
+};
+
+let storage;
+
+async function load() {
+  vi.resetModules();
+  storage = await import('./storage');
+  return storage;
+}
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage(LEGACY));
+  vi.stubGlobal('BroadcastChannel', undefined);
+  vi.stubGlobal('navigator', {});
+});
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('migration to IndexedDB', () => {
+  beforeEach(() => {
+    vi.stubGlobal('indexedDB', new IDBFactory());
+    vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+  });
+
+  it('imports the _v1 collections, deriving #tags for journal entries written before them', async () => {
+    await load();
+    const journal = await storage.getAll('journal');
+    expect(journal.map((r) => r.id).sort()).toEqual(['j1', 'j2']);
+    expect(journal.find((r) => r.id === 'j1').tags).toEqual(['sleep', 'work']);
+    expect(journal.find((r) => r.id === 'j2').tags).toEqual(['walk']);
+    expect(await storage.getAll('mood')).toEqual([{ id: 'm1', date: '2024-05-02', mood: 4, note: 'ok' }]);
+    // an unreadable key imports nothing rather than failing the upgrade
+    expect(await storage.getAll('meditation')).toEqual([]);
+  });
+
+  it('builds the indexes over the imported rows', async () => {
+    await load();
+    expect((await storage.query('journal', 'byTag', { only: 'sleep' })).map((r) => r.id)).toEqual(['j1']);
+    expect((await storage.query('journal', 'byDate', { from: '2024-05-03' })).map((r) => r.id)).toEqual(['j2']);
+  });
+
+  it('imports the settings kept under their own keys', async () => {
+    await load();
+    expect(await storage.getItem('following')).toEqual(['u7', 'u9']);
+    expect(await storage.getItem('sleepTiming')).toBe('22:30');
+    expect(await storage.getItem('sync', 'none')).toBe('none');
+  });
+
+  it('removes the imported keys once committed, and only those', async () => {
+    await load();
+    await storage.getAll('journal');
+    for (const key of Object.keys(LEGACY).filter((k) => k !== 'mindecho_unrelated')) {
+      expect(localStorage.getItem(key)).toBeNull();
+    }
+    expect(localStorage.getItem('mindecho_unrelated')).toBe('kept');
+  });
+
+  it('runs once: a database already at the current version imports nothing again', async () => {
+    await load();
+    await storage.put('journal', { id: 'j3', body: 'after the move', tags: [], createdAt: '2024-06-01T08:00:00Z' });
+    localStorage.setItem('mindecho_journal_v1', JSON.stringify([{ id: 'old', body: 'stale copy' }]));
+
+    await load();
+    expect((await storage.getAll('journal')).map((r) => r.id).sort()).toEqual(['j1', 'j2', 'j3']);
+    expect(storage.DB_VERSION).toBe(1);
+  });
+});
+
+describe('without IndexedDB', () => {
+  beforeEach(() => vi.stubGlobal('indexedDB', undefined));
+
+  it('reads and writes the _v1 keys in the old format', async () => {
+    await load();
+    expect((await storage.getAll('journal')).map((r) => r.id)).toEqual(['j1', 'j2']);
+    expect(await storage.getItem('sleepTiming')).toBe('22:30');
+
+    await storage.put('mood', { id: 'm2', date: '2024-05-03', mood: 2 });
+    await storage.setItem('following', ['u1']);
+    expect(JSON.parse(localStorage.getItem('mindecho_mood_entries_v1')).map((r) => r.id)).toEqual(['m1', 'm2']);
+    expect(localStorage.getItem('mindecho_following_v1')).toBe('["u1"]');
+    expect((await storage.query('journal', 'byTag', { only: 'work' })).map((r) => r.id)).toEqual(['j1']);
+  });
+});
@@ -0,0 +1,544 @@
+// src/lib/syncEngine.js
+// Offline-first sync for the personal collections (journal, mood, meditation).
+//
+// Pages read and write the local copy only (useSyncedCollection), so they
+// behave the same with or without a network. The copy is held in memory and
+// persisted record by record through lib/storage. Each write is also queued in
+// an outbox; while a user is signed in and the browser is online the engine
+// pushes the outbox and pulls what other devices changed (services/syncService).
+//
+// Records carry two stamps: `version`, the server's counter for the record
+// (0 = never synced), and `updatedAt`, when it was last edited. A change built
+// on an outdated version is a conflict, resolved last-writer-wins on
+// updatedAt. For collections with a `mergeField` (journal bodies) the losing
+// text is kept as a conflict the user can merge by hand (resolveConflict).
+
+import { ApiError } from '../api/httpClient';
+import { pushChanges, pullChanges } from '../services/syncService';
+import storage from './storage';
+
+// each collection is the storage object store of the same name
+export const COLLECTIONS = {
+  journal: { sortBy: 'createdAt', mergeField: 'body' },
+  mood: { sortBy: 'date' },
+  meditation: { limit: 50, sortBy: 'timestamp' },
+};
+
+const META_KEY = 'sync'; // storage key/value entry
+const PUSH_BATCH = 100;
+const PUSH_ROUNDS = 3; // a change rebased after a conflict is pushed again in the same run
+const SYNC_INTERVAL_MS = 60 * 1000;
+const WRITE_DEBOUNCE_MS = 2000;
+
+/* ---------- local copy ---------- */
+
+/**
+ * meta: {
+ *   owner,        user id the local data belongs to
+ *   cursors,      { [collection]: pull cursor }
+ *   outbox,       [{ mid, collection, op, id, baseVersion, updatedAt, record? }]
+ *   conflicts,    [{ collection, id, mine, theirs, kept: 'mine' | 'theirs', detectedAt }]
+ *   parked,       { [userId]: { outbox, conflicts } } — unsent changes of accounts
+ *                 signed out here, pushed when they sign in again (park)
+ *   lastSyncedAt
+ * }
+ */
+const EMPTY_META = { owner: null, cursors: {}, outbox: [], conflicts: [], parked: {}, lastSyncedAt: null };
+
+let meta = { ...EMPTY_META };
+const NO_RECORDS = Object.freeze([]);
+const cache = {};
+const listeners = {}; // collection -> Set
+const statusListeners = new Set();
+
+// a failed write keeps the in-memory copy for this page load; a full disk is
+// also reported through storage.onQuotaExceeded
+function persistFailed(err) {
+  console.warn('[sync] could not save locally:', err);
+}
+
+function saveMeta() {
+  storage.setItem(META_KEY, meta).catch(persistFailed);
+  emitStatus();
+}
+
+function newestFirst(field) {
+  return (a, b) => String(b[field] ?? '').localeCompare(String(a[field] ?? ''));
+}
+
+function assertCollection(name) {
+  if (!COLLECTIONS[name]) throw new Error(`Unknown sync collection "${name}"`);
+}
+
+let initPromise = null;
+let loaded = false;
+
+/** init() — load the local copy and sync state; every entry point waits for it */
+function init() {
+  if (!initPromise) {
+    const names = Object.keys(COLLECTIONS);
+    initPromise = Promise.all([storage.getItem(META_KEY, {}), ...names.map((n) => storage.getAll(n))])
+      .then(([saved, ...lists]) => {
+        meta = { ...EMPTY_META, ...saved };
+        // older versions parked the outbox alone
+        meta.parked = Object.fromEntries(
+          Object.entries(meta.parked || {}).map(([id, p]) => [id, Array.isArray(p) ? { outbox: p, conflicts: [] } : p])
+        );
+        names.forEach((n, i) => {
+          cache[n] = sortRecords(n, lists[i]);
+        });
+      })
+      .catch((err) => console.error('[sync] local data could not be loaded:', err))
+      .finally(() => {
+        loaded = true;
+        names.forEach(notify);
+        emitStatus();
+      });
+  }
+  return initPromise;
+}
+
+/** getRecords(name) — the local records, newest first (empty until loaded) */
+export function getRecords(name) {
+  assertCollection(name);
+  if (!loaded) init();
+  return cache[name] || NO_RECORDS;
+}
+
+function sortRecords(name, list) {
+  return [...list].sort(newestFirst(COLLECTIONS[name].sortBy));
+}
+
+function notify(name) {
+  listeners[name]?.forEach((fn) => fn(getRecords(name)));
+}
+
+// replace the local copy; only records that changed (by identity) are written
+function setRecords(name, list) {
+  const { limit = Infinity } = COLLECTIONS[name];
+  const before = new Map(getRecords(name).map((r) => [r.id, r]));
+  const next = sortRecords(name, list).slice(0, limit);
+  const ids = new Set(next.map((r) => r.id));
+  cache[name] = next;
+  storage
+    .write(name, {
+      put: next.filter((r) => before.get(r.id) !== r),
+      delete: [...before.keys()].filter((id) => !ids.has(id)),
+    })
+    .catch(persistFailed);
+  notify(name);
+}
+
+function upsert(list, record) {
+  return list.some((r) => r.id === record.id) ? list.map((r) => (r.id === record.id ? record : r)) : [record, ...list];
+}
+
+/** subscribe(name, fn) — fn(records) after every local or synced change */
+export function subscribe(name, fn) {
+  assertCollection(name);
+  (listeners[name] ||= new Set()).add(fn);
+  return () => listeners[name].delete(fn);
+}
+
+/* ---------- outbox ---------- */
+
+let mid = 0;
+const nextMid = () => `${Date.now().toString(36)}-${(mid++).toString(36)}`;
+
+// one pending change per record: a newer edit replaces the queued one
+function enqueue(change) {
+  meta.outbox = [...meta.outbox.filter((c) => !(c.collection === change.collection && c.id === change.id)), { mid: nextMid(), ...change }];
+}
+
+function pendingFor(name, id) {
+  return meta.outbox.find((c) => c.collection === name && c.id === id) || null;
+}
+
+/* ---------- local writes ---------- */
+
+/**
+ * putRecord(name, record) — create or update; stamps updatedAt and queues the
+ * change. Resolves with the stored record.
+ */
+export async function putRecord(name, record) {
+  await init();
+  const list = getRecords(name);
+  const existing = list.find((r) => r.id === record.id);
+  const stored = { ...record, version: existing?.version ?? record.version ?? 0, updatedAt: new Date().toISOString() };
+  setRecords(name, upsert(list, stored));
+  const { version, ...fields } = stored;
+  enqueue({ collection: name, op: 'put', id: stored.id, baseVersion: version, updatedAt: stored.updatedAt, record: fields });
+  saveMeta();
+  scheduleSync();
+  return stored;
+}
+
+/** removeRecord(name, id) — delete locally and queue the deletion */
+export async function removeRecord(name, id) {
+  await init();
+  const list = getRecords(name);
+  const existing = list.find((r) => r.id === id);
+  setRecords(name, list.filter((r) => r.id !== id));
+  if (existing && existing.version > 0) {
+    enqueue({ collection: name, op: 'delete', id, baseVersion: existing.version, updatedAt: new Date().toISOString() });
+  } else {
+    // never reached the server: nothing to delete there
+    meta.outbox = meta.outbox.filter((c) => !(c.collection === name && c.id === id));
+  }
+  meta.conflicts = meta.conflicts.filter((c) => !(c.collection === name && c.id === id));
+  saveMeta();
+  scheduleSync();
+}
+
+/* ---------- conflicts ---------- */
+
+/** getConflicts() — every unresolved conflict; a new array after each change */
+export function getConflicts() {
+  return meta.conflicts;
+}
+
+// mine: the local edit, theirs: the server copy, kept: which one sync applied
+function keepConflict(name, mine, theirs, kept) {
+  const field = COLLECTIONS[name].mergeField;
+  if (!field || !mine || !theirs || theirs.deleted) return;
+  // encrypted records (lib/vault) can only be compared by ciphertext here
+  if ((mine[field] ?? '') === (theirs[field] ?? '') && mine.enc?.ct === theirs.enc?.ct) return;
+  meta.conflicts = [
+    ...meta.conflicts.filter((c) => !(c.collection === name && c.id === mine.id)),
+    { collection: name, id: mine.id, mine, theirs, kept, detectedAt: new Date().toISOString() },
+  ];
+}
+
+/**
+ * resolveConflict(name, id, merged?) — merged: the record to keep (e.g. with
+ * both bodies combined); omit to accept the version sync already picked.
+ */
+export async function resolveConflict(name, id, merged) {
+  await init();
+  meta.conflicts = meta.conflicts.filter((c) => !(c.collection === name && c.id === id));
+  if (merged) await putRecord(name, merged);
+  else saveMeta();
+}
+
+/* ---------- status ---------- */
+
+let status = { state: 'disabled', error: null };
+
+let snapshot = null;
+
+/**
+ * getSyncStatus() -> { state, pending, conflicts, lastSyncedAt, error }
+ * state: 'disabled' (signed out) | 'idle' | 'syncing' | 'offline' | 'error'
+ * The same object is returned until something changes.
+ */
+export function getSyncStatus() {
+  const next = { ...status, pending: meta.outbox.length, conflicts: meta.conflicts.length, lastSyncedAt: meta.lastSyncedAt };
+  if (!snapshot || JSON.stringify(snapshot) !== JSON.stringify(next)) snapshot = next;
+  return snapshot;
+}
+
+// listeners compare snapshots themselves (conflict edits keep the same count)
+function emitStatus() {
+  const next = getSyncStatus();
+  statusListeners.forEach((fn) => fn(next));
+}
+
+function setStatus(patch) {
+  status = { ...status, ...patch };
+  emitStatus();
+}
+
+export function subscribeStatus(fn) {
+  statusListeners.add(fn);
+  return () => statusListeners.delete(fn);
+}
+
+/* ---------- push / pull ---------- */
+
+function applyServer(name, record) {
+  const list = getRecords(name);
+  if (record.deleted) setRecords(name, list.filter((r) => r.id !== record.id));
+  else {
+    const fields = { ...record };
+    delete fields.deleted;
+    setRecords(name, upsert(list, fields));
+  }
+}
+
+function dropChange(change) {
+  meta.outbox = meta.outbox.filter((c) => c.mid !== change.mid);
+}
+
+function onAccepted(name, change, version) {
+  const latest = pendingFor(name, change.id);
+  // edited again while the push was in flight: that edit now builds on `version`
+  if (latest && latest.mid !== change.mid) latest.baseVersion = version;
+  else dropChange(change);
+  if (change.op === 'put') {
+    const list = getRecords(name);
+    if (list.some((r) => r.id === change.id)) setRecords(name, list.map((r) => (r.id === change.id ? { ...r, version } : r)));
+  }
+}
+
+/**
+ * Last writer wins; a tie goes to the server so every device converges.
+ * Returns true when a local change was rebased and needs pushing again.
+ */
+function onConflict(name, change, current) {
+  const mine = change.op === 'put' ? { ...change.record, updatedAt: change.updatedAt } : null;
+  const localWins = new Date(change.updatedAt) > new Date(current.updatedAt);
+  if (!localWins) dropChange(change);
+  keepConflict(name, mine, current, localWins ? 'mine' : 'theirs');
+
+  // the losing change may already have been superseded by a newer local edit
+  const latest = pendingFor(name, change.id);
+  if (latest) {
+    latest.baseVersion = current.version;
+    return true;
+  }
+  applyServer(name, current);
+  return false;
+}
+
+async function pushCollection(name) {
+  for (let round = 0; round < PUSH_ROUNDS; round++) {
+    const batch = meta.outbox.filter((c) => c.collection === name).slice(0, PUSH_BATCH);
+    if (!batch.length) return;
+    const results = await pushChanges(
+      name,
+      batch.map(({ op, id, baseVersion, updatedAt, record }) => ({ op, id, baseVersion, updatedAt, record }))
+    );
+    let rebased = false;
+    for (const change of batch) {
+      const result = results.find((r) => r.id === String(change.id));
+      if (!result) continue;
+      if (result.status === 'ok') onAccepted(name, change, result.version ?? change.baseVersion + 1);
+      else if (result.current) rebased = onConflict(name, change, result.current) || rebased;
+    }
+    saveMeta();
+    if (!rebased && batch.length < PUSH_BATCH) return;
+  }
+}
+
+async function pullCollection(name) {
+  const { records, cursor } = await pullChanges(name, meta.cursors[name]);
+  for (const record of records) {
+    // a local edit is still queued: the next push settles it against this copy
+    if (pendingFor(name, record.id)) continue;
+    applyServer(name, record);
+  }
+  if (cursor != null) meta.cursors = { ...meta.cursors, [name]: cursor };
+  saveMeta();
+}
+
+let running = null;
+let rerun = false;
+
+/** syncNow() — push then pull every collection; resolves when done */
+export function syncNow() {
+  if (!meta.owner || status.state === 'disabled') return Promise.resolve(getSyncStatus());
+  if (running) {
+    rerun = true;
+    return running;
+  }
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    setStatus({ state: 'offline' });
+    return Promise.resolve(getSyncStatus());
+  }
+  running = (async () => {
+    setStatus({ state: 'syncing', error: null });
+    try {
+      for (const name of Object.keys(COLLECTIONS)) {
+        await pushCollection(name);
+        await pullCollection(name);
+      }
+      meta.lastSyncedAt = new Date().toISOString();
+      saveMeta();
+      if (status.state !== 'disabled') setStatus({ state: 'idle' });
+    } catch (err) {
+      const offline = err instanceof ApiError && (err.code === 'network' || err.code === 'timeout');
+      if (!offline) console.warn('[sync] failed:', err);
+      // signed out mid-run: stop() already reported 'disabled'
+      if (status.state !== 'disabled') setStatus({ state: offline ? 'offline' : 'error', error: err?.message || 'Sync failed' });
+    } finally {
+      running = null;
+    }
+    if (rerun) {
+      rerun = false;
+      return syncNow();
+    }
+    return getSyncStatus();
+  })();
+  return running;
+}
+
+let writeTimer = null;
+function scheduleSync() {
+  if (!meta.owner || status.state === 'disabled') return;
+  clearTimeout(writeTimer);
+  writeTimer = setTimeout(syncNow, WRITE_DEBOUNCE_MS);
+}
+
+/* ---------- lifecycle ---------- */
+
+// the unsent changes and conflicts of the current owner, if there are any
+function unsent() {
+  return meta.outbox.length || meta.conflicts.length ? { outbox: meta.outbox, conflicts: meta.conflicts } : null;
+}
+
+// the local copy follows the signed-in account; sign-out clears it (park or
+// clearLocalData), and an account's parked changes come back when it signs in
+function adopt(userId) {
+  if (meta.owner === userId) return;
+  const parked = { ...meta.parked };
+  if (meta.owner === null) {
+    // first sign-in on this device: upload what was recorded before sync existed
+    for (const name of Object.keys(COLLECTIONS)) {
+      for (const r of getRecords(name)) {
+        if (!r.version && !pendingFor(name, r.id)) {
+          const { version, ...record } = r;
+          const updatedAt = r.updatedAt || new Date().toISOString();
+          enqueue({ collection: name, op: 'put', id: r.id, baseVersion: version || 0, updatedAt, record: { ...record, updatedAt } });
+        }
+      }
+    }
+  } else {
+    // another account's copy is still here: keep what it never sent
+    const left = unsent();
+    if (left) parked[meta.owner] = left;
+    meta = { ...EMPTY_META };
+    for (const name of Object.keys(COLLECTIONS)) setRecords(name, []);
+  }
+  const mine = parked[userId];
+  delete parked[userId];
+  meta.parked = parked;
+  if (mine) {
+    const queued = (c) => mine.outbox.some((p) => p.collection === c.collection && p.id === c.id);
+    meta.outbox = [...meta.outbox.filter((c) => !queued(c)), ...mine.outbox];
+    meta.conflicts = [...meta.conflicts, ...mine.conflicts];
+    // show the unsent edits again; the pull skips records with a queued change
+    for (const change of mine.outbox) {
+      const list = getRecords(change.collection);
+      if (change.op === 'put') setRecords(change.collection, upsert(list, { ...change.record, version: change.baseVersion }));
+      else setRecords(change.collection, list.filter((r) => r.id !== change.id));
+    }
+  }
+  meta.owner = userId;
+  saveMeta();
+}
+
+let timer = null;
+const onOnline = () => syncNow();
+const onOffline = () => setStatus({ state: 'offline' });
+const onVisible = () => document.visibilityState === 'visible' && syncNow();
+
+let wanted = null; // account start() was last called for
+
+/** start(userId) — begin syncing for the signed-in account (idempotent) */
+export async function start(userId) {
+  if (!userId) return;
+  wanted = String(userId);
+  await init();
+  // signed out (or switched again) while the local data was loading
+  if (wanted !== String(userId)) return;
+  adopt(wanted);
+  if (status.state !== 'disabled') {
+    syncNow();
+    return;
+  }
+  setStatus({ state: 'idle', error: null });
+  window.addEventListener('online', onOnline);
+  window.addEventListener('offline', onOffline);
+  document.addEventListener('visibilitychange', onVisible);
+  timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+  syncNow();
+}
+
+/**
+ * flush() — push queued changes now (before signing out, while the session
+ * still works); resolves with how many are still unsent
+ */
+export async function flush() {
+  await init();
+  if (meta.outbox.length) await syncNow();
+  return meta.outbox.length;
+}
+
+// remove the signed-out account's records from this device, parking its
+// unsent changes and conflicts unless `keepUnsent` is false
+async function release(keepUnsent) {
+  await init();
+  // a sync still in flight would write pulled records back afterwards
+  rerun = false;
+  await running?.catch(() => {});
+  const parked = { ...meta.parked };
+  const left = keepUnsent && meta.owner !== null ? unsent() : null;
+  if (left) parked[meta.owner] = left;
+  else delete parked[meta.owner];
+  meta = { ...EMPTY_META, parked };
+  for (const name of Object.keys(COLLECTIONS)) setRecords(name, []);
+  saveMeta();
+}
+
+/**
+ * park() — on any sign-out the user did not confirm (session expired, idle
+ * sign-out, another tab): removes the account's synced records from this
+ * device but keeps what was never sent, until that account signs in here again
+ */
+export function park() {
+  return release(true);
+}
+
+/**
+ * clearLocalData() — on a confirmed sign-out: also discards the account's
+ * unsent changes and conflicts. flush() first to keep what can still be sent.
+ */
+export function clearLocalData() {
+  return release(false);
+}
+
+/** stop() — on sign-out (then park or clearLocalData); stops syncing */
+export function stop() {
+  wanted = null;
+  if (status.state === 'disabled') return;
+  window.removeEventListener('online', onOnline);
+  window.removeEventListener('offline', onOffline);
+  document.removeEventListener('visibilitychange', onVisible);
+  clearInterval(timer);
+  clearTimeout(writeTimer);
+  setStatus({ state: 'disabled', error: null });
+}
+
+// other tabs write to the same stores: pick their changes up
+for (const name of Object.keys(COLLECTIONS)) {
+  storage.subscribe(name, async (ids) => {
+    if (!loaded) return;
+    const rows = await Promise.all(ids.map((id) => storage.get(name, id)));
+    let list = getRecords(name).filter((r) => !ids.includes(r.id));
+    list = [...list, ...rows.filter(Boolean)];
+    cache[name] = sortRecords(name, list);
+    notify(name);
+  });
+}
+storage.subscribe('kv', async (keys) => {
+  if (!loaded || !keys.includes(META_KEY)) return;
+  meta = { ...EMPTY_META, ...(await storage.getItem(META_KEY, {})) };
+  emitStatus();
+});
+
+export default {
+  getRecords,
+  putRecord,
+  removeRecord,
+  subscribe,
+  getConflicts,
+  resolveConflict,
+  getSyncStatus,
+  subscribeStatus,
+  syncNow,
+  flush,
+  start,
+  stop,
+  park,
+  clearLocalData,
+};
@@ -0,0 +1,220 @@
+// src/lib/syncEngine.test.js
+// The sync engine against a fake server (services/syncService mocked) over
+// the real storage module on fake-indexeddb: pushes, edits made while a push
+// is in flight, conflicts and the unsent changes kept across sign-out.
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { fakeSyncServer, memoryStorage } from './__fixtures__/fakeSyncServer';
+
+vi.mock('../services/syncService', () => ({ pushChanges: vi.fn(), pullChanges: vi.fn() }));
+
+const T0 = '2026-01-01T10:00:00.000Z';
+
+let engine;
+let service;
+let server;
+let ApiError;
+
+beforeEach(async () => {
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  vi.stubGlobal('localStorage', memoryStorage());
+  vi.stubGlobal('BroadcastChannel', undefined);
+  vi.stubGlobal('navigator', { onLine: true });
+  vi.stubGlobal('window', { addEventListener() {}, removeEventListener() {}, dispatchEvent() {} });
+  vi.stubGlobal('document', { addEventListener() {}, removeEventListener() {}, visibilityState: 'visible' });
+  vi.resetModules();
+  engine = await import('./syncEngine');
+  service = await import('../services/syncService');
+  ({ ApiError } = await import('../api/httpClient'));
+  server = fakeSyncServer();
+  service.pushChanges.mockImplementation(server.push);
+  service.pullChanges.mockImplementation(server.pull);
+});
+
+afterEach(() => {
+  engine.stop();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+async function signIn(userId = 'u1') {
+  await engine.start(userId);
+  await engine.syncNow();
+}
+
+const offline = () => Promise.reject(new ApiError('offline', { code: 'network' }));
+const record = (name, id) => engine.getRecords(name).find((r) => r.id === id);
+const pending = () => engine.getSyncStatus().pending;
+
+describe('pushing local changes', () => {
+  it('sends a new record and takes the version the server gave it', async () => {
+    await signIn();
+    await engine.putRecord('journal', { id: 'j1', title: 'Day', body: 'Fine', createdAt: T0 });
+    await engine.syncNow();
+
+    expect(server.table('journal').get('j1')).toMatchObject({ body: 'Fine', version: 1 });
+    expect(record('journal', 'j1').version).toBe(1);
+    expect(pending()).toBe(0);
+  });
+
+  it('sends an edit made while the push was in flight on top of the accepted version', async () => {
+    await signIn();
+    await engine.putRecord('journal', { id: 'j1', body: 'first', createdAt: T0 });
+    service.pushChanges.mockImplementationOnce(async (name, changes) => {
+      await engine.putRecord('journal', { id: 'j1', body: 'second', createdAt: T0 });
+      return server.push(name, changes);
+    });
+    await engine.syncNow();
+
+    // the first edit was accepted; the second is still queued, now based on version 1
+    expect(server.table('journal').get('j1')).toMatchObject({ body: 'first', version: 1 });
+    expect(record('journal', 'j1')).toMatchObject({ body: 'second', version: 1 });
+    expect(pending()).toBe(1);
+
+    await engine.syncNow();
+    expect(server.table('journal').get('j1')).toMatchObject({ body: 'second', version: 2 });
+    expect(engine.getConflicts()).toEqual([]);
+    expect(pending()).toBe(0);
+  });
+});
+
+describe('conflicts', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(T0));
+  });
+
+  const serverCopy = (updatedAt, fields = {}) => ({ id: 'j1', version: 3, updatedAt, body: 'from the server', createdAt: T0, ...fields });
+
+  it('rebases a newer local edit on the server version and pushes it again in the same run', async () => {
+    await engine.start('u1');
+    server.table('journal').set('j1', serverCopy('2025-12-31T09:00:00.000Z'));
+    await engine.putRecord('journal', { id: 'j1', body: 'from this device', createdAt: T0 });
+    await engine.syncNow();
+
+    expect(server.table('journal').get('j1')).toMatchObject({ body: 'from this device', version: 4 });
+    expect(record('journal', 'j1')).toMatchObject({ body: 'from this device', version: 4 });
+    // the losing server text is kept for a manual merge
+    expect(engine.getConflicts()).toEqual([
+      expect.objectContaining({ collection: 'journal', id: 'j1', kept: 'mine', theirs: expect.objectContaining({ body: 'from the server' }) }),
+    ]);
+    expect(pending()).toBe(0);
+  });
+
+  it('takes a newer server copy and keeps the local text as the conflict', async () => {
+    await engine.start('u1');
+    server.table('journal').set('j1', serverCopy('2026-01-01T11:00:00.000Z'));
+    await engine.putRecord('journal', { id: 'j1', body: 'from this device', createdAt: T0 });
+    await engine.syncNow();
+
+    expect(server.table('journal').get('j1')).toMatchObject({ body: 'from the server', version: 3 });
+    expect(record('journal', 'j1')).toMatchObject({ body: 'from the server', version: 3 });
+    expect(engine.getConflicts()).toEqual([
+      expect.objectContaining({ kept: 'theirs', mine: expect.objectContaining({ body: 'from this device' }) }),
+    ]);
+    expect(pending()).toBe(0);
+  });
+
+  it('gives a tie to the server so every device converges', async () => {
+    await engine.start('u1');
+    server.table('journal').set('j1', serverCopy(T0));
+    await engine.putRecord('journal', { id: 'j1', body: 'from this device', createdAt: T0 });
+    await engine.syncNow();
+
+    expect(record('journal', 'j1').body).toBe('from the server');
+    expect(engine.getConflicts()[0].kept).toBe('theirs');
+  });
+
+  it('keeps no conflict when the text is the same or the collection has no merge field', async () => {
+    await engine.start('u1');
+    server.table('journal').set('j1', serverCopy('2026-01-01T11:00:00.000Z', { body: 'same' }));
+    server.table('mood').set('m1', { id: 'm1', version: 1, updatedAt: '2026-01-01T11:00:00.000Z', date: T0, mood: 2 });
+    await engine.putRecord('journal', { id: 'j1', body: 'same', createdAt: T0 });
+    await engine.putRecord('mood', { id: 'm1', date: T0, mood: 5 });
+    await engine.syncNow();
+
+    expect(record('mood', 'm1').mood).toBe(2);
+    expect(engine.getConflicts()).toEqual([]);
+  });
+
+  it('pushes an edit made during a lost push on top of the server version', async () => {
+    await engine.start('u1');
+    server.table('journal').set('j1', serverCopy('2026-01-01T11:00:00.000Z'));
+    await engine.putRecord('journal', { id: 'j1', body: 'first', createdAt: T0 });
+    service.pushChanges.mockImplementationOnce(async (name, changes) => {
+      vi.setSystemTime(new Date('2026-01-01T12:00:00.000Z'));
+      await engine.putRecord('journal', { id: 'j1', body: 'second', createdAt: T0 });
+      return server.push(name, changes);
+    });
+    await engine.syncNow();
+
+    expect(server.table('journal').get('j1')).toMatchObject({ body: 'second', version: 4 });
+    expect(record('journal', 'j1')).toMatchObject({ body: 'second', version: 4 });
+    expect(pending()).toBe(0);
+  });
+
+  it('settles a deletion that lost to a newer server edit by restoring the record', async () => {
+    await engine.start('u1');
+    server.table('journal').set('j1', serverCopy('2026-01-01T11:00:00.000Z'));
+    await engine.syncNow();
+    server.table('journal').set('j1', serverCopy('2026-01-01T11:30:00.000Z', { version: 4, body: 'edited elsewhere' }));
+    await engine.removeRecord('journal', 'j1');
+    await engine.syncNow();
+
+    expect(record('journal', 'j1')).toMatchObject({ body: 'edited elsewhere', version: 4 });
+    expect(pending()).toBe(0);
+  });
+});
+
+describe('signing out with unsent changes', () => {
+  async function unsentEdit(userId) {
+    await signIn(userId);
+    service.pushChanges.mockImplementation(offline);
+    await engine.putRecord('mood', { id: `m-${userId}`, date: T0, mood: 4, note: `${userId} offline` });
+    await engine.syncNow();
+    expect(pending()).toBe(1);
+    service.pushChanges.mockImplementation(server.push);
+  }
+
+  it('parks them until the same account signs in again, then pushes them', async () => {
+    await unsentEdit('u1');
+    engine.stop();
+    await engine.park();
+    expect(engine.getRecords('mood')).toEqual([]);
+    expect(pending()).toBe(0);
+
+    // another account on this device neither sees nor sends them
+    await signIn('u2');
+    expect(engine.getRecords('mood')).toEqual([]);
+    expect(server.table('mood').size).toBe(0);
+    engine.stop();
+    await engine.park();
+
+    await engine.start('u1');
+    expect(record('mood', 'm-u1').note).toBe('u1 offline');
+    await engine.syncNow();
+    expect(server.table('mood').get('m-u1')).toMatchObject({ note: 'u1 offline', version: 1 });
+    expect(pending()).toBe(0);
+  });
+
+  it('parks them when another account signs in without a sign-out first', async () => {
+    await unsentEdit('u1');
+    await signIn('u2');
+    expect(engine.getRecords('mood')).toEqual([]);
+    engine.stop();
+    await engine.park();
+
+    await signIn('u1');
+    expect(server.table('mood').get('m-u1')).toMatchObject({ note: 'u1 offline' });
+  });
+
+  it('discards them after a confirmed sign-out', async () => {
+    await unsentEdit('u1');
+    engine.stop();
+    await engine.clearLocalData();
+
+    await signIn('u1');
+    expect(engine.getRecords('mood')).toEqual([]);
+    expect(server.table('mood').size).toBe(0);
+  });
+});
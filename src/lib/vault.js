@@ -0,0 +1,356 @@
+// src/lib/vault.js
+// Optional end-to-end encryption of journal entries and mood notes.
+//
+// With encryption on, the secret fields of a record (SECRET_FIELDS) are
+// replaced by an AES-GCM envelope in `enc` before the record reaches local
+// storage or the sync engine, so neither the disk nor the server ever sees
+// them in clear. Ids, dates and ratings stay readable for sorting and sync.
+//
+// The passphrase never leaves the device and cannot be recovered: forgetting
+// it makes the encrypted entries unreadable. It is held in memory only while
+// unlocked; lock() (and sign-out) forgets it.
+
+import { KDF_ITERATIONS, DecryptError, decryptJson, deriveKey, encryptJson, isEnvelope, newSalt } from './crypto';
+import storage from './storage';
+import { getRecords, putRecord, subscribe as subscribeRecords } from './syncEngine';
+
+export const SECRET_FIELDS = {
+  journal: ['title', 'body', 'tags'],
+  mood: ['note'],
+};
+
+export const MIN_PASSPHRASE_LENGTH = 10;
+// settings per account in storage key/value: { salt, iterations, verifier, enabledAt }
+const configKey = (userId) => `vault_${userId}`;
+const VERIFIER = 'mindecho-vault';
+
+export class VaultLockedError extends Error {
+  constructor() {
+    super('Encrypted data is locked — enter your passphrase first');
+    this.name = 'VaultLockedError';
+  }
+}
+
+export class WrongPassphraseError extends Error {
+  constructor(message = 'That passphrase is not correct') {
+    super(message);
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+let owner = null;
+let config = null;
+let configLoaded = null; // Promise while the owner's settings load
+let passphrase = null;
+let keys = new Map(); // salt -> Promise<CryptoKey> for the current passphrase
+let opened = new WeakMap(); // sealed record -> Promise<opened record>
+const listeners = new Set();
+
+/* ---------- state ---------- */
+
+function hasSealed() {
+  return Object.keys(SECRET_FIELDS).some((name) => getRecords(name).some((r) => isEnvelope(r.enc)));
+}
+
+let snapshot = { state: 'off', enabled: false, keyVersion: 0 };
+
+/**
+ * getVaultState() -> { state, enabled, keyVersion }
+ * state: 'off' (nothing encrypted) | 'locked' | 'unlocked'
+ * keyVersion changes whenever previously opened records must be re-read.
+ */
+export function getVaultState() {
+  return snapshot;
+}
+
+function emit({ rekeyed = false } = {}) {
+  const enabled = !!config;
+  const state = !owner ? 'off' : passphrase ? 'unlocked' : enabled || hasSealed() ? 'locked' : 'off';
+  const keyVersion = snapshot.keyVersion + (rekeyed ? 1 : 0);
+  if (state !== snapshot.state || enabled !== snapshot.enabled || keyVersion !== snapshot.keyVersion) {
+    snapshot = { state, enabled, keyVersion };
+    listeners.forEach((fn) => fn(snapshot));
+  }
+}
+
+export function subscribeVault(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// entries encrypted on another device make this one 'locked' once they sync in
+for (const name of Object.keys(SECRET_FIELDS)) subscribeRecords(name, () => emit());
+
+function loadConfig() {
+  if (!owner) return Promise.reject(new Error('Sign in to use encryption'));
+  if (!configLoaded) {
+    const forOwner = owner;
+    configLoaded = storage.getItem(configKey(forOwner), null).then((saved) => {
+      if (owner === forOwner) config = saved;
+      emit();
+      return config;
+    });
+    configLoaded.catch(() => {
+      configLoaded = null; // retried on next use
+    });
+  }
+  return configLoaded;
+}
+
+/** start(userId) — load the account's settings; called on sign-in (AuthContext) */
+export function start(userId) {
+  if (owner === userId) return;
+  stop();
+  owner = userId;
+  loadConfig().catch((err) => console.warn('[vault] settings could not be loaded:', err));
+}
+
+/** stop() — forget the passphrase and settings; called on sign-out */
+export function stop() {
+  lock();
+  owner = null;
+  config = null;
+  configLoaded = null;
+  emit();
+}
+
+/* ---------- keys ---------- */
+
+function keyFor(salt, iterations, secret = passphrase) {
+  if (secret !== passphrase) return deriveKey(secret, salt, iterations);
+  if (!keys.has(salt)) keys.set(salt, deriveKey(secret, salt, iterations));
+  return keys.get(salt);
+}
+
+// the most recently written encrypted record, from this or another device
+function newestSealed() {
+  return Object.keys(SECRET_FIELDS)
+    .flatMap((name) => getRecords(name))
+    .filter((r) => isEnvelope(r.enc))
+    .sort((a, b) => String(b.updatedAt ?? '').localeCompare(String(a.updatedAt ?? '')))[0];
+}
+
+/**
+ * verify(secret) -> { salt, iterations, key }
+ * Checks a passphrase against the local settings. The settings stay on this
+ * device, so when the newest encrypted record was sealed with another salt
+ * (encryption turned on, or the passphrase changed, on another device) the
+ * passphrase is checked against that record instead and its settings are
+ * adopted here.
+ */
+async function verify(secret) {
+  await loadConfig();
+  const sample = newestSealed();
+  if (config && (!sample || sample.enc.salt === config.salt)) {
+    const key = await keyFor(config.salt, config.iterations, secret);
+    try {
+      await decryptJson(key, config.verifier);
+      return { salt: config.salt, iterations: config.iterations, key };
+    } catch {
+      throw new WrongPassphraseError();
+    }
+  }
+  if (!sample) throw new Error('Encryption is not turned on');
+  const key = await keyFor(sample.enc.salt, sample.enc.iter, secret);
+  try {
+    await decryptJson(key, sample.enc);
+  } catch {
+    throw new WrongPassphraseError(
+      config ? 'The passphrase was changed on another device — enter the new one' : 'That passphrase is not correct'
+    );
+  }
+  await writeConfig(sample.enc.salt, sample.enc.iter, key);
+  return { salt: sample.enc.salt, iterations: sample.enc.iter, key };
+}
+
+async function makeConfig(salt, iterations, key) {
+  return { salt, iterations, verifier: await encryptJson(key, VERIFIER, { salt, iterations }), enabledAt: config?.enabledAt || new Date().toISOString() };
+}
+
+async function writeConfig(salt, iterations, key) {
+  const next = await makeConfig(salt, iterations, key);
+  await storage.setItem(configKey(owner), next);
+  config = next;
+}
+
+function rememberSecret(secret, salt, key) {
+  passphrase = secret;
+  keys = new Map([[salt, Promise.resolve(key)]]);
+  opened = new WeakMap();
+}
+
+/* ---------- records ---------- */
+
+/**
+ * openRecord(name, record) — the record with its secret fields decrypted.
+ * While locked (or for a record this passphrase can't open) the secret
+ * fields are missing and `locked: true` is set instead.
+ */
+export function openRecord(name, record) {
+  if (!SECRET_FIELDS[name] || !isEnvelope(record?.enc)) return Promise.resolve(record);
+  if (!passphrase) return Promise.resolve({ ...record, locked: true });
+  if (!opened.has(record)) {
+    const { enc, ...rest } = record;
+    const promise = keyFor(enc.salt, enc.iter)
+      .then((key) => decryptJson(key, enc))
+      .then((fields) => ({ ...rest, ...fields }))
+      .catch((err) => {
+        if (!(err instanceof DecryptError)) console.warn('[vault] could not open record', record.id, err);
+        return { ...record, locked: true };
+      });
+    opened.set(record, promise);
+  }
+  return opened.get(record);
+}
+
+// move the secret fields of `record` into an envelope sealed with `key`
+async function sealWith(name, record, key, { salt, iterations }) {
+  const clean = { ...record };
+  const secret = {};
+  for (const f of SECRET_FIELDS[name]) {
+    if (clean[f] !== undefined) secret[f] = clean[f];
+    delete clean[f];
+  }
+  return { ...clean, enc: await encryptJson(key, secret, { salt, iterations }) };
+}
+
+/** sealRecord(name, record) — encrypt the secret fields when encryption is on */
+export async function sealRecord(name, record) {
+  const clean = { ...record };
+  delete clean.locked;
+  if (!SECRET_FIELDS[name] || !config) return clean;
+  if (!passphrase) throw new VaultLockedError();
+  return sealWith(name, clean, await keyFor(config.salt, config.iterations), config);
+}
+
+// rewrite every record of the secret collections through `transform`;
+// everything is prepared first so a failure leaves the data untouched
+async function rewriteAll(transform) {
+  const updates = [];
+  for (const name of Object.keys(SECRET_FIELDS)) {
+    for (const record of getRecords(name)) {
+      const next = await transform(name, record);
+      if (next) updates.push([name, next]);
+    }
+  }
+  for (const [name, record] of updates) await putRecord(name, record);
+  return updates.length;
+}
+
+/* ---------- passphrase lifecycle ---------- */
+
+/** unlock(passphrase) — rejects with WrongPassphraseError */
+export async function unlock(secret) {
+  const { salt, key } = await verify(secret);
+  rememberSecret(secret, salt, key);
+  emit({ rekeyed: true });
+}
+
+export function lock() {
+  if (!passphrase) return;
+  passphrase = null;
+  keys = new Map();
+  opened = new WeakMap();
+  emit({ rekeyed: true });
+}
+
+/** enableEncryption(passphrase) — encrypts every existing entry and note */
+export async function enableEncryption(secret) {
+  await loadConfig();
+  if (config || hasSealed()) throw new Error('Encryption is already on — unlock or change the passphrase instead');
+  if (secret.length < MIN_PASSPHRASE_LENGTH) throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  const salt = newSalt();
+  const key = await deriveKey(secret, salt, KDF_ITERATIONS);
+  await writeConfig(salt, KDF_ITERATIONS, key);
+  rememberSecret(secret, salt, key);
+  await rewriteAll((name, record) => (isEnvelope(record.enc) ? null : sealRecord(name, record)));
+  emit({ rekeyed: true });
+}
+
+/**
+ * changePassphrase(current, next) — re-keys: a new salt and key, and every
+ * encrypted record re-sealed with it (then re-synced). The records are
+ * written before the new settings; if any write fails the ones already
+ * written are put back, so the old passphrase keeps opening everything.
+ */
+export async function changePassphrase(current, next) {
+  if (next.length < MIN_PASSPHRASE_LENGTH) throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  const old = await verify(current);
+  rememberSecret(current, old.salt, old.key);
+  const staged = []; // [name, original, re-sealed]
+  const salt = newSalt();
+  const key = await deriveKey(next, salt, KDF_ITERATIONS);
+  for (const name of Object.keys(SECRET_FIELDS)) {
+    for (const record of getRecords(name)) {
+      const open = await openRecord(name, record);
+      if (open.locked) throw new Error(`An entry could not be decrypted with the current passphrase (${record.id}) — nothing was changed`);
+      staged.push([name, record, await sealWith(name, open, key, { salt, iterations: KDF_ITERATIONS })]);
+    }
+  }
+  const nextConfig = await makeConfig(salt, KDF_ITERATIONS, key);
+
+  const written = [];
+  try {
+    for (const [name, original, sealed] of staged) {
+      await putRecord(name, sealed);
+      written.push([name, original]);
+    }
+    await storage.setItem(configKey(owner), nextConfig);
+  } catch (err) {
+    for (const [name, original] of written) {
+      await putRecord(name, original).catch((e) => console.warn('[vault] could not restore record', original.id, e));
+    }
+    throw new Error(`The passphrase could not be changed — nothing was changed (${err?.message || err})`);
+  }
+  config = nextConfig;
+  rememberSecret(next, salt, key);
+  emit({ rekeyed: true });
+}
+
+/** disableEncryption(passphrase) — stores every entry in clear again */
+export async function disableEncryption(secret) {
+  const { salt, key } = await verify(secret);
+  rememberSecret(secret, salt, key);
+  const plain = [];
+  for (const name of Object.keys(SECRET_FIELDS)) {
+    for (const record of getRecords(name)) {
+      if (!isEnvelope(record.enc)) continue;
+      const open = await openRecord(name, record);
+      if (open.locked) throw new Error(`An entry could not be decrypted with this passphrase (${record.id}) — nothing was changed`);
+      plain.push([name, open]);
+    }
+  }
+  config = null;
+  await storage.removeItem(configKey(owner));
+  for (const [name, record] of plain) await putRecord(name, record);
+  lock();
+}
+
+/* ---------- export files ---------- */
+
+/**
+ * exportFile(payload) — what a download should contain: the payload as is
+ * while encryption is off, otherwise one envelope
+ * { format: 'mindecho-encrypted-export', ...envelope } that opens with the passphrase.
+ */
+export async function exportFile(payload) {
+  if (!config) return payload;
+  if (!passphrase) throw new VaultLockedError();
+  const key = await keyFor(config.salt, config.iterations);
+  return { format: 'mindecho-encrypted-export', ...(await encryptJson(key, payload, { salt: config.salt, iterations: config.iterations })) };
+}
+
+export default {
+  start,
+  stop,
+  getVaultState,
+  subscribeVault,
+  openRecord,
+  sealRecord,
+  unlock,
+  lock,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  exportFile,
+};
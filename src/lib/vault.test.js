@@ -0,0 +1,160 @@
+// src/lib/vault.test.js
+// Passphrase changes of the encryption vault: the rollback when re-keying
+// fails, and re-keying seen from a second device through a fake sync server
+// (services/syncService mocked), over the real storage module on fake-indexeddb.
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { fakeSyncServer, memoryStorage } from './__fixtures__/fakeSyncServer';
+
+vi.mock('../services/syncService', () => ({ pushChanges: vi.fn(), pullChanges: vi.fn() }));
+// the real iteration count takes seconds per key on a test machine
+vi.mock('./crypto', async (importOriginal) => ({ ...(await importOriginal()), KDF_ITERATIONS: 1000 }));
+
+const OLD = 'old passphrase 1';
+const NEW = 'new passphrase 2';
+const T0 = '2026-01-01T10:00:00.000Z';
+
+let server;
+const devices = [];
+
+/** device() — a fresh app instance (own database) signed in as u1 */
+async function device() {
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  vi.stubGlobal('localStorage', memoryStorage());
+  vi.resetModules();
+  const engine = await import('./syncEngine');
+  const vault = await import('./vault');
+  const storage = (await import('./storage')).default;
+  const service = await import('../services/syncService');
+  service.pushChanges.mockImplementation(server.push);
+  service.pullChanges.mockImplementation(server.pull);
+  await engine.start('u1');
+  await engine.syncNow();
+  vault.start('u1');
+  const d = { engine, vault, storage };
+  devices.push(d);
+  return d;
+}
+
+beforeEach(() => {
+  vi.stubGlobal('BroadcastChannel', undefined);
+  vi.stubGlobal('navigator', { onLine: true });
+  vi.stubGlobal('window', { addEventListener() {}, removeEventListener() {}, dispatchEvent() {} });
+  vi.stubGlobal('document', { addEventListener() {}, removeEventListener() {}, visibilityState: 'visible' });
+  server = fakeSyncServer();
+});
+
+afterEach(() => {
+  for (const d of devices.splice(0)) {
+    d.engine.stop();
+    d.vault.stop();
+  }
+  vi.unstubAllGlobals();
+});
+
+/** a device with two journal entries and a mood note, encrypted with OLD */
+async function encryptedDevice() {
+  const d = await device();
+  await d.engine.putRecord('journal', { id: 'j1', title: 'Monday', body: 'first secret', createdAt: T0 });
+  await d.engine.putRecord('journal', { id: 'j2', title: 'Tuesday', body: 'second secret', createdAt: T0 });
+  await d.engine.putRecord('mood', { id: 'm1', date: T0, mood: 3, note: 'tired' });
+  await d.vault.enableEncryption(OLD);
+  await d.engine.syncNow();
+  return d;
+}
+
+const opened = (d, name, id) => d.vault.openRecord(name, d.engine.getRecords(name).find((r) => r.id === id));
+const salts = (d) => new Set(['journal', 'mood'].flatMap((n) => d.engine.getRecords(n).map((r) => r.enc?.salt)));
+
+describe('changing the passphrase on another device', () => {
+  it('lets this device unlock with the new passphrase and adopt its settings', async () => {
+    const a = await encryptedDevice();
+    const b = await device();
+    await b.vault.unlock(OLD);
+    expect((await opened(b, 'journal', 'j1')).body).toBe('first secret');
+
+    await a.vault.changePassphrase(OLD, NEW);
+    await a.engine.syncNow();
+    await b.engine.syncNow();
+    b.vault.lock();
+
+    await expect(b.vault.unlock(OLD)).rejects.toThrow('changed on another device');
+    await b.vault.unlock(NEW);
+    expect((await opened(b, 'journal', 'j2')).body).toBe('second secret');
+    expect((await opened(b, 'mood', 'm1')).note).toBe('tired');
+
+    // the adopted settings are this device's own from now on
+    b.vault.lock();
+    await b.vault.unlock(NEW);
+    await b.vault.disableEncryption(NEW);
+    expect(b.engine.getRecords('journal').find((r) => r.id === 'j1')).toMatchObject({ body: 'first secret' });
+  });
+
+  it('still rejects a wrong passphrase', async () => {
+    await encryptedDevice();
+    const b = await device();
+    await expect(b.vault.unlock('not the passphrase')).rejects.toThrow('not correct');
+    await b.vault.unlock(OLD);
+    b.vault.lock();
+    await expect(b.vault.unlock('not the passphrase')).rejects.toThrow('not correct');
+  });
+});
+
+describe('changePassphrase', () => {
+  it('re-seals every record with a new salt', async () => {
+    const a = await encryptedDevice();
+    const [before] = salts(a);
+    await a.vault.changePassphrase(OLD, NEW);
+
+    const after = salts(a);
+    expect(after.size).toBe(1);
+    expect(after.has(before)).toBe(false);
+    a.vault.lock();
+    await expect(a.vault.unlock(OLD)).rejects.toThrow('not correct');
+    await a.vault.unlock(NEW);
+    expect((await opened(a, 'journal', 'j1')).body).toBe('first secret');
+  });
+
+  it('puts the records back when the new settings cannot be stored', async () => {
+    const a = await encryptedDevice();
+    const [before] = salts(a);
+    const setItem = a.storage.setItem;
+    vi.spyOn(a.storage, 'setItem').mockImplementation((key, value) =>
+      key.startsWith('vault_') ? Promise.reject(new Error('disk full')) : setItem(key, value)
+    );
+
+    await expect(a.vault.changePassphrase(OLD, NEW)).rejects.toThrow('nothing was changed (disk full)');
+    vi.mocked(a.storage.setItem).mockRestore();
+
+    expect(salts(a)).toEqual(new Set([before]));
+    expect((await opened(a, 'mood', 'm1')).note).toBe('tired');
+    a.vault.lock();
+    await expect(a.vault.unlock(NEW)).rejects.toThrow('not correct');
+    await a.vault.unlock(OLD);
+    expect((await opened(a, 'journal', 'j2')).body).toBe('second secret');
+
+    // what reaches the server is the original sealing, not the abandoned one
+    await a.engine.syncNow();
+    expect(server.table('journal').get('j1').enc.salt).toBe(before);
+  });
+
+  it('changes nothing when a record does not open with the current passphrase', async () => {
+    const a = await encryptedDevice();
+    const j1 = a.engine.getRecords('journal').find((r) => r.id === 'j1');
+    const j2 = a.engine.getRecords('journal').find((r) => r.id === 'j2');
+    // sealed with the same salt but not readable with this key
+    await a.engine.putRecord('journal', { ...j2, enc: { ...j2.enc, ct: j1.enc.ct } });
+    const records = a.engine.getRecords('journal');
+
+    await expect(a.vault.changePassphrase(OLD, NEW)).rejects.toThrow('could not be decrypted');
+    expect(a.engine.getRecords('journal')).toBe(records);
+    a.vault.lock();
+    await a.vault.unlock(OLD);
+  });
+
+  it('rejects a wrong current passphrase or a short new one', async () => {
+    const a = await encryptedDevice();
+    await expect(a.vault.changePassphrase('not the passphrase', NEW)).rejects.toThrow('not correct');
+    await expect(a.vault.changePassphrase(OLD, 'short')).rejects.toThrow('at least');
+  });
+});
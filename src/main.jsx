@@ -3,12 +3,26 @@ import React from 'react';
 import { createRoot } from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { registerServiceWorker } from './lib/serviceWorker';
 import './index.css';
 
-createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <App />
-    </BrowserRouter>
-  </React.StrictMode>
-);
+// VITE_MOCK_API=true answers every API call from the in-browser mock backend
+// (src/api/mock); the import is compiled out of builds without the flag.
+const backendReady =
+  import.meta.env.VITE_MOCK_API === 'true'
+    ? import('./api/mock/server').then((m) => m.installMockBackend())
+    : Promise.resolve();
+
+backendReady
+  .catch((err) => console.error('Mock backend failed to start', err))
+  .then(() => {
+    createRoot(document.getElementById('root')).render(
+      <React.StrictMode>
+        <BrowserRouter>
+          <App />
+        </BrowserRouter>
+      </React.StrictMode>
+    );
+    // installable PWA + offline shell (production builds only)
+    registerServiceWorker();
+  });
@@ -0,0 +1,282 @@
+// src/pages/Admin.jsx
+import React, { useMemo, useState } from "react";
+import { ShieldCheck, EyeOff, Eye, BadgeCheck, MessageSquare, Star, CheckCircle2 } from "lucide-react";
+import Sidebar from "../components/Sidebar";
+import Header from "../components/Header";
+import LoadingSpinner from "../components/LoadingSpinner";
+import { useAuth } from "../contexts/AuthContext";
+import { useToasts } from "../contexts/ToastContext";
+import { httpClient, api } from "../api/httpClient";
+import { useQuery, useMutation } from "../hooks/useQuery";
+import { PERMISSIONS } from "../lib/roles";
+
+/**
+ * Admin / clinician area
+ * - Community moderation (admins): verify, hide and restore community profiles
+ *     GET   /admin/profiles            -> [{ id, displayName, bio, avatarUrl, verified, hidden, reports }]
+ *     PATCH /admin/profiles/:id        <- { verified?, hidden? }
+ * - Feedback review (admins + clinicians): exercise feedback sent via sendFeedback
+ *     GET   /feedback        (inference service) -> [{ id, user_id, exercise_id, rating, comment, created_at, reviewed }]
+ *     PATCH /feedback/:id    (inference service) <- { reviewed: true }
+ */
+
+const TABS = [
+  { id: "moderation", label: "Community moderation", icon: ShieldCheck, permission: PERMISSIONS.COMMUNITY_MODERATE },
+  { id: "feedback", label: "Feedback review", icon: MessageSquare, permission: PERMISSIONS.FEEDBACK_REVIEW },
+];
+
+function listFrom(data, key) {
+  if (Array.isArray(data)) return data;
+  return Array.isArray(data?.[key]) ? data[key] : [];
+}
+
+function ModerationPanel() {
+  const { addToast } = useToasts();
+  const [filter, setFilter] = useState("all"); // all | reported | hidden | unverified
+
+  const profilesQuery = useQuery(["admin", "profiles"], ({ signal }) => httpClient.get("/admin/profiles", { signal }));
+  const moderate = useMutation(({ id, patch }) => httpClient.patch(`/admin/profiles/${id}`, patch), {
+    // the public community list and profile pages must reflect the change too
+    invalidates: [["admin", "profiles"], ["profiles"], ["profile"]],
+  });
+
+  const profiles = useMemo(() => {
+    const list = listFrom(profilesQuery.data, "profiles");
+    if (filter === "reported") return list.filter((p) => (p.reports || 0) > 0);
+    if (filter === "hidden") return list.filter((p) => p.hidden);
+    if (filter === "unverified") return list.filter((p) => !p.verified);
+    return list;
+  }, [profilesQuery.data, filter]);
+
+  const act = async (p, patch, done) => {
+    try {
+      await moderate.mutate({ id: p.id, patch });
+      addToast({ title: "Profile updated", description: `${p.displayName}: ${done}`, tone: "success" });
+    } catch (err) {
+      addToast({ title: "Moderation failed", description: err?.message || "Try again", tone: "error" });
+    }
+  };
+
+  if (profilesQuery.isLoading) {
+    return (
+      <div className="py-12 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+  if (profilesQuery.error) {
+    return <div className="bg-red-900/40 p-4 rounded-lg text-sm text-red-200">Failed to load profiles: {profilesQuery.error.message}</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm"
+          aria-label="Filter profiles"
+        >
+          <option value="all">All profiles</option>
+          <option value="reported">Reported</option>
+          <option value="hidden">Hidden</option>
+          <option value="unverified">Unverified</option>
+        </select>
+        {profilesQuery.isFetching && <span className="text-xs text-gray-400">Refreshing…</span>}
+      </div>
+
+      {profiles.length === 0 ? (
+        <div className="p-6 bg-gray-800/60 rounded-lg border border-gray-700 text-gray-300 text-sm">No profiles match this filter.</div>
+      ) : (
+        <ul className="divide-y divide-gray-800 border border-gray-800 rounded-2xl overflow-hidden">
+          {profiles.map((p) => (
+            <li key={p.id} className={`flex items-center gap-4 p-4 ${p.hidden ? "bg-gray-900/60 opacity-70" : "bg-gray-900"}`}>
+              <img src={p.avatarUrl} alt="" className="w-10 h-10 rounded-full object-cover ring-1 ring-gray-700" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold text-white truncate">{p.displayName}</span>
+                  {p.verified && <BadgeCheck className="w-4 h-4 text-green-400" aria-label="Verified" />}
+                  {p.hidden && <span className="text-xs bg-gray-800 px-2 py-0.5 rounded-full text-gray-400">hidden</span>}
+                  {(p.reports || 0) > 0 && (
+                    <span className="text-xs bg-red-900/50 px-2 py-0.5 rounded-full text-red-200">{p.reports} reports</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-400 truncate">{p.bio}</div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                {!p.verified && (
+                  <button
+                    disabled={moderate.isLoading}
+                    onClick={() => act(p, { verified: true }, "verified")}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-800 border border-gray-700 text-xs hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <BadgeCheck className="w-4 h-4" /> Verify
+                  </button>
+                )}
+                {p.hidden ? (
+                  <button
+                    disabled={moderate.isLoading}
+                    onClick={() => act(p, { hidden: false }, "restored")}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-800 border border-gray-700 text-xs hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <Eye className="w-4 h-4" /> Restore
+                  </button>
+                ) : (
+                  <button
+                    disabled={moderate.isLoading}
+                    onClick={() => act(p, { hidden: true }, "hidden from Community")}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-red-600/20 text-red-300 text-xs hover:bg-red-600/30 disabled:opacity-50"
+                  >
+                    <EyeOff className="w-4 h-4" /> Hide
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function FeedbackPanel() {
+  const { addToast } = useToasts();
+  const [showReviewed, setShowReviewed] = useState(false);
+  const [maxRating, setMaxRating] = useState(5);
+
+  const feedbackQuery = useQuery(["admin", "feedback"], ({ signal }) => api.inference.get("/feedback", { signal }));
+  const review = useMutation((id) => api.inference.patch(`/feedback/${id}`, { reviewed: true }), {
+    invalidates: [["admin", "feedback"]],
+  });
+
+  const items = useMemo(() => {
+    return listFrom(feedbackQuery.data, "feedback")
+      .filter((f) => showReviewed || !f.reviewed)
+      .filter((f) => Number(f.rating) <= maxRating)
+      .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+  }, [feedbackQuery.data, showReviewed, maxRating]);
+
+  const markReviewed = async (f) => {
+    try {
+      await review.mutate(f.id);
+    } catch (err) {
+      addToast({ title: "Could not mark as reviewed", description: err?.message || "Try again", tone: "error" });
+    }
+  };
+
+  if (feedbackQuery.isLoading) {
+    return (
+      <div className="py-12 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+  if (feedbackQuery.error) {
+    return <div className="bg-red-900/40 p-4 rounded-lg text-sm text-red-200">Failed to load feedback: {feedbackQuery.error.message}</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={showReviewed} onChange={(e) => setShowReviewed(e.target.checked)} className="w-4 h-4" />
+          <span className="text-gray-300">Show reviewed</span>
+        </label>
+        <select
+          value={maxRating}
+          onChange={(e) => setMaxRating(Number(e.target.value))}
+          className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm"
+          aria-label="Maximum rating"
+        >
+          <option value={5}>All ratings</option>
+          <option value={3}>3 stars or less</option>
+          <option value={2}>2 stars or less</option>
+          <option value={1}>1 star</option>
+        </select>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="p-6 bg-gray-800/60 rounded-lg border border-gray-700 text-gray-300 text-sm">Nothing left to review.</div>
+      ) : (
+        <ul className="space-y-3">
+          {items.map((f) => (
+            <li key={f.id} className="p-4 rounded-2xl bg-gray-900 border border-gray-800">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-1 text-yellow-400" aria-label={`${f.rating} of 5 stars`}>
+                    {Array.from({ length: 5 }, (_, i) => (
+                      <Star key={i} className={`w-4 h-4 ${i < f.rating ? "fill-current" : "opacity-30"}`} />
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">
+                    {f.exercise_id} · user {f.user_id}
+                    {f.created_at ? ` · ${new Date(f.created_at).toLocaleString()}` : ""}
+                  </div>
+                  {f.comment && <p className="text-sm text-gray-200 mt-2 whitespace-pre-wrap">{f.comment}</p>}
+                </div>
+                {f.reviewed ? (
+                  <span className="inline-flex items-center gap-1 text-xs text-green-300">
+                    <CheckCircle2 className="w-4 h-4" /> Reviewed
+                  </span>
+                ) : (
+                  <button
+                    disabled={review.isLoading}
+                    onClick={() => markReviewed(f)}
+                    className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    Mark reviewed
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function Admin() {
+  const { can } = useAuth();
+  const tabs = TABS.filter((t) => can(t.permission));
+  const [active, setActive] = useState(tabs[0]?.id);
+
+  return (
+    <div className="flex min-h-screen bg-gradient-to-b from-gray-900 via-gray-800 to-black text-gray-100">
+      <Sidebar />
+      <main className="flex-1 p-4 md:p-8">
+        <Header />
+
+        <div className="max-w-6xl mx-auto space-y-6">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-extrabold">Admin</h1>
+            <p className="text-sm text-gray-400 mt-1">Moderate the community and review exercise feedback.</p>
+          </div>
+
+          <div className="flex gap-2 border-b border-gray-800" role="tablist">
+            {tabs.map((t) => {
+              const Icon = t.icon;
+              return (
+                <button
+                  key={t.id}
+                  role="tab"
+                  aria-selected={active === t.id}
+                  onClick={() => setActive(t.id)}
+                  className={`inline-flex items-center gap-2 px-4 py-2 text-sm border-b-2 -mb-px ${
+                    active === t.id ? "border-purple-500 text-white" : "border-transparent text-gray-400 hover:text-gray-200"
+                  }`}
+                >
+                  <Icon className="w-4 h-4" /> {t.label}
+                </button>
+              );
+            })}
+          </div>
+
+          {active === "moderation" && <ModerationPanel />}
+          {active === "feedback" && <FeedbackPanel />}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,44 +1,27 @@
 // src/pages/Community.jsx
 import React, { useEffect, useMemo, useState } from "react";
+import { useQuery } from "../hooks/useQuery";
+import { useStoredValue } from "../hooks/useStoredValue";
 import Sidebar from "../components/Sidebar";
 import Header from "../components/Header";
 import { useNavigate } from "react-router-dom";
-import mockApi from "../api/mockApi";
+import { httpClient } from "../api/httpClient";
+import { profileListSchema } from "../api/schemas";
 import LoadingSpinner from "../components/LoadingSpinner";
 import { motion, AnimatePresence } from "framer-motion";
-import { Search, Filter, Users, UserPlus, UserMinus, Eye } from "lucide-react";
+import { Search, Filter, Users, UserPlus, UserMinus, Eye, MailWarning } from "lucide-react";
 import { useAuth } from "../contexts/AuthContext";
-
-const FOLLOW_KEY = "mindecho_following_v1";
-
-function loadFollowing() {
-  try {
-    const raw = localStorage.getItem(FOLLOW_KEY);
-    return raw ? new Set(JSON.parse(raw)) : new Set();
-  } catch {
-    return new Set();
-  }
-}
-function saveFollowing(set) {
-  try {
-    localStorage.setItem(FOLLOW_KEY, JSON.stringify([...set]));
-  } catch {}
-}
+import { needsEmailVerification } from "../services/accountService";
 
 /**
  * Heuristic check for "real / original" profile.
- * Adjust the rules to match your backend schema (verified flag, source, etc.).
+ * The shape (id, displayName, tags…) is already guaranteed by profileSchema;
+ * these rules only weed out stub/test accounts.
  *
  * This is intentionally conservative: if a profile looks like a stub/test,
  * it will be excluded on the client. For production, enforce on the server.
  */
 function isRealProfile(p) {
-  if (!p || typeof p !== "object") return false;
-
-  // basic presence checks
-  if (!p.id || typeof p.id !== "string") return false;
-  if (!p.displayName || typeof p.displayName !== "string" || p.displayName.trim().length < 2) return false;
-
   // prefer explicit server-provided flags
   if (p.verified === true) return true; // explicitly verified by backend
   if (p.source && (p.source === "db" || p.source === "users" || p.source === "original")) return true;
@@ -61,7 +44,7 @@ function isRealProfile(p) {
   if (!avatar || looksPlaceholder) return false;
 
   // bio/tags — prefer some content (not required)
-  const hasBioOrTags = (p.bio && p.bio.trim().length > 10) || (Array.isArray(p.tags) && p.tags.length > 0);
+  const hasBioOrTags = p.bio.trim().length > 10 || p.tags.length > 0;
   if (!hasBioOrTags) {
     // still allow if other signals strong (verified or source above)
     // but because we already returned on verified/source and verified isn't set,
@@ -81,58 +64,55 @@ export default function Community() {
   const { user } = useAuth();
   const navigate = useNavigate();
 
-  const [profiles, setProfiles] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [query, setQuery] = useState("");
   const [sortBy, setSortBy] = useState("relevance"); // relevance | calm | recent
   const [viewModal, setViewModal] = useState(null);
-  const [following, setFollowing] = useState(() => loadFollowing());
+  // ids of followed profiles (lib/storage "following")
+  const [followingIds, setFollowingIds] = useStoredValue("following", []);
+  const following = useMemo(() => new Set(followingIds), [followingIds]);
   const [page, setPage] = useState(1);
   const PAGE_SIZE = 12;
 
-  useEffect(() => {
-    let mounted = true;
-    setLoading(true);
-    setError("");
-    mockApi
-      .getProfiles()
-      .then((p) => {
-        if (!mounted) return;
-        const list = Array.isArray(p) ? p : [];
-        // Filter client-side for "real" profiles only
-        const realProfiles = list.filter((prof) => {
-          const ok = isRealProfile(prof);
-          if (!ok) {
-            console.debug("[Community] filtered fake/stub profile:", prof?.id, prof?.displayName);
-          }
-          return ok;
-        });
-        if (realProfiles.length === 0 && list.length > 0) {
-          // if server returned profiles but none passed the client filter,
-          // provide a helpful message (server enforcement recommended)
-          setError(
-            "No valid community profiles found. If you expect profiles, enable 'verified' on real accounts or ensure server returns original profiles."
-          );
-        }
-        setProfiles(realProfiles);
-      })
-      .catch((err) => {
-        console.error("Community load error:", err);
-        setError("Failed to load community profiles. Try again later.");
-        setProfiles([]);
-      })
-      .finally(() => {
-        if (mounted) setLoading(false);
-      });
-    return () => {
-      mounted = false;
-    };
-  }, []);
+  // unverified accounts can neither browse nor be listed until they confirm their email
+  const unverified = needsEmailVerification(user);
+
+  // cached across visits; stale data is shown while it revalidates
+  const profilesQuery = useQuery(
+    ["profiles"],
+    ({ signal }) => httpClient.get("/profiles", { signal, schema: profileListSchema }),
+    { enabled: !unverified }
+  );
+  const loading = profilesQuery.isLoading;
+
+  const profiles = useMemo(() => {
+    const list = profilesQuery.data || [];
+    // Filter client-side for "real" profiles only
+    return list.filter((prof) => {
+      // members who haven't confirmed their email aren't listed yet
+      if (prof.emailVerified === false) return false;
+      const ok = isRealProfile(prof);
+      if (!ok) {
+        console.debug("[Community] filtered fake/stub profile:", prof.id, prof.displayName);
+      }
+      return ok;
+    });
+  }, [profilesQuery.data]);
 
   useEffect(() => {
-    saveFollowing(following);
-  }, [following]);
+    if (profilesQuery.error) {
+      console.error("Community load error:", profilesQuery.error);
+      setError("Failed to load community profiles. Try again later.");
+    } else if (profiles.length === 0 && profilesQuery.data?.length > 0) {
+      // if server returned profiles but none passed the client filter,
+      // provide a helpful message (server enforcement recommended)
+      setError(
+        "No valid community profiles found. If you expect profiles, enable 'verified' on real accounts or ensure server returns original profiles."
+      );
+    } else {
+      setError("");
+    }
+  }, [profilesQuery.error, profilesQuery.data, profiles]);
 
   // filter + sort + paginate
   const filtered = useMemo(() => {
@@ -160,13 +140,7 @@ export default function Community() {
   const visible = useMemo(() => filtered.slice(0, page * PAGE_SIZE), [filtered, page]);
 
   const toggleFollow = (id) => {
-    setFollowing((prev) => {
-      const next = new Set(prev);
-      if (next.has(id)) next.delete(id);
-      else next.add(id);
-      saveFollowing(next);
-      return next;
-    });
+    setFollowingIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
   };
 
   const openProfile = (p) => {
@@ -180,6 +154,25 @@ export default function Community() {
     setError("");
   };
 
+  if (unverified) {
+    return (
+      <div className="flex min-h-screen bg-gradient-to-b from-gray-900 via-gray-800 to-black text-gray-100">
+        <Sidebar />
+        <main className="flex-1 p-4 md:p-8">
+          <Header />
+          <div className="max-w-xl mx-auto mt-12 p-8 rounded-2xl bg-gray-900 border border-gray-800 text-center">
+            <MailWarning className="w-10 h-10 text-yellow-400 mx-auto mb-4" />
+            <h2 className="text-xl font-bold">Confirm your email to join Community</h2>
+            <p className="text-sm text-gray-400 mt-2">
+              Community profiles are only visible to — and include — members with a confirmed email address.
+              Use the link we sent you, or resend it from the banner above.
+            </p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="flex min-h-screen bg-gradient-to-b from-gray-900 via-gray-800 to-black text-gray-100">
       <Sidebar />
@@ -6,7 +6,13 @@ import EmotionMeter from "../components/EmotionMeter";
 import LiveAreaChart from "../components/LiveAreaChart";
 import MetricCard from "../components/MetricCard";
 import { useAuth } from "../contexts/AuthContext";
-import { sensorSimulator } from "../lib/sensorSimulator";
+import { useStoredValue } from "../hooks/useStoredValue";
+import { useSensor } from "../hooks/useSensor";
+import { listAdapters, getAdapterDef, DEFAULT_SOURCE } from "../lib/sensors";
+import { useIdleLock } from "../contexts/IdleLockContext";
+import { INFERENCE_PREF_KEY } from "../lib/sensors/camera";
+import { REPLAY_SPEEDS } from "../lib/sensors/replay";
+import { SessionRecorder } from "../lib/sensors/recorder";
 import { inferenceService } from "../lib/inferenceService";
 import { simulatePush } from "../services/emotionService";
 import FaceEmotionTracker from "../components/FaceEmotionTracker";
@@ -18,27 +24,32 @@ import { motion, AnimatePresence, useSpring, useMotionValue, useTransform } from
 const clamp = (v, a = -10, b = 10) => Math.max(a, Math.min(b, v));
 const fmt = (n, f = 2) => (Number.isFinite(n) ? Number(n).toFixed(f) : "—");
 
+const SENSOR_STATUS = { idle: "Off", starting: "Connecting…", running: "Live", stopped: "Stopped" };
+const CONTACT_COLOR = { good: "bg-green-400", fair: "bg-yellow-400", poor: "bg-red-400" };
+const speedLabel = (speed) => (Number.isFinite(speed) ? `${speed}x` : "Instant");
+
+// same inferred state as in the recording (scores survive the JSON round trip exactly)
+function sameEmotion(a, b) {
+  if (!a || !b || a.primary !== b.primary) return false;
+  return ["anxiety", "calm", "focus"].every((k) => Math.abs((a.scores?.[k] ?? 0) - (b.scores?.[k] ?? 0)) < 1e-9);
+}
+
+// sources this browser can run
+const sensorSources = listAdapters().filter((def) => def.isSupported());
+
 function mapAffectToValue({ calm = 0, focus = 0 }) {
   const raw = focus * 1.25 + calm * 0.9;
   return clamp(raw, -3, 3);
 }
 
-const SLEEP_KEY = "mindcare_sleep_timing";
-
 export default function Dashboard() {
   const { user } = useAuth();
 
   // Chat panel state
   const [chatOpen, setChatOpen] = useState(false);
 
-  // Sleep timing (persisted)
-  const [sleepTiming, setSleepTiming] = useState(() => {
-    try {
-      return localStorage.getItem(SLEEP_KEY) || "";
-    } catch {
-      return "";
-    }
-  });
+  // Sleep timing (persisted in lib/storage)
+  const [sleepTiming, setSleepTiming] = useStoredValue("sleepTiming", "");
 
   // Core UI state — anxious removed
   const [emotion, setEmotion] = useState({ primary: "neutral", scores: { calm: 0, focus: 0 } });
@@ -47,12 +58,30 @@ export default function Dashboard() {
   const [boosting, setBoosting] = useState(false);
   const [tip, setTip] = useState("Waiting for signals...");
   const [showFacePanel, setShowFacePanel] = useState(false);
+  const { locked } = useIdleLock();
+
+  // sensor source (lib/sensors); a recorded session also needs its file
+  const [source, setSource] = useStoredValue("sensorSource", DEFAULT_SOURCE);
+  const [replayFile, setReplayFile] = useState(null);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  // replayed readings whose inferred state differs from the recorded one
+  const [replayCheck, setReplayCheck] = useState({ compared: 0, differing: 0 });
+  const [cameraInference] = useStoredValue(INFERENCE_PREF_KEY, "server");
 
   // Buffer & signals
   const rawBuffer = useRef([]);
   const rafRef = useRef(null);
   const [signals, setSignals] = useState([]);
 
+  // session recording (lib/sensors/recorder); null when not recording
+  const recorderRef = useRef(null);
+  const [recordedEvents, setRecordedEvents] = useState(null);
+  const record = useCallback((kind, data) => {
+    if (!recorderRef.current) return;
+    recorderRef.current.record(kind, data);
+    setRecordedEvents(recorderRef.current.count);
+  }, []);
+
   // spring for smooth numeric display
   const latestVal = useMotionValue(0);
   const spring = useSpring(latestVal, { stiffness: 250, damping: 30 });
@@ -66,56 +95,60 @@ export default function Dashboard() {
     return "Stable — hydrate and blink.";
   }, []);
 
-  // sensorSimulator feed
-  useEffect(() => {
-    if (!user) return;
-    let unsub = () => {};
-    try {
-      unsub = sensorSimulator.on("signals", (s) => {
-        if (!running || paused) return;
-
-        // normalize inference
-        try {
-          const emRaw = inferenceService.inferEmotion(s, user.consent);
-          if (emRaw) {
-            const normalized = {
-              primary: emRaw.primary || "neutral",
-              scores: {
-                calm: emRaw.scores?.calm ?? 0,
-                focus: emRaw.scores?.focus ?? 0,
-              },
-            };
-            setEmotion((prev) => normalized || prev);
-            setTip(getTip(normalized.primary));
-          }
-        } catch (e) {}
-
-        const neuro = s?.neuro;
-        const val = neuro && neuro.alpha != null && neuro.beta != null ? parseFloat(neuro.alpha) - parseFloat(neuro.beta) : 0;
-        rawBuffer.current.push({ ts: Date.now(), value: Number(val), time: new Date().toLocaleTimeString() });
-
-        try {
-          simulatePush(user.id, { v: val, ts: Date.now() });
-        } catch {}
-      });
-
-      sensorSimulator.start(user.consent);
-    } catch (err) {
-      console.warn("sensor start error", err);
-    }
+  // sensor feed — the source is chosen on the page (lib/sensors registry);
+  // sensors stay off while the screen is locked for inactivity
+  const handleSensorSignals = useCallback(
+    (s) => {
+      if (paused) return;
+      // a replay brings the consent and result it was recorded with
+      const { expected, consent, ...envelope } = s;
+      record("signals", envelope);
+
+      // normalize inference
+      let scores = null;
+      try {
+        const emRaw = inferenceService.inferEmotion(envelope, consent || user.consent);
+        record("emotion", emRaw);
+        if (expected) {
+          const differs = !sameEmotion(emRaw, expected);
+          setReplayCheck((c) => ({ compared: c.compared + 1, differing: c.differing + (differs ? 1 : 0) }));
+        }
+        if (emRaw) {
+          const normalized = {
+            primary: emRaw.primary || "neutral",
+            scores: {
+              calm: emRaw.scores?.calm ?? 0,
+              focus: emRaw.scores?.focus ?? 0,
+            },
+          };
+          scores = normalized.scores;
+          setEmotion((prev) => normalized || prev);
+          setTip(getTip(normalized.primary));
+        }
+      } catch (e) {}
+
+      // EEG when the source has it, otherwise the inferred state
+      const neuro = s?.neuro;
+      const val =
+        neuro && neuro.alpha != null && neuro.beta != null
+          ? parseFloat(neuro.alpha) - parseFloat(neuro.beta)
+          : scores
+            ? mapAffectToValue(scores)
+            : 0;
+      rawBuffer.current.push({ ts: Date.now(), value: Number(val), time: new Date().toLocaleTimeString(), source: s?.source });
 
-    return () => {
       try {
-        unsub();
-        sensorSimulator.stop();
+        simulatePush(user.id, { v: val, ts: Date.now() });
       } catch {}
-    };
-  }, [user, running, paused, getTip]);
+    },
+    [user, paused, getTip, record]
+  );
 
   // FaceEmotionTracker -> onSignal handler
   const handleFaceSignal = useCallback(
     (sig) => {
       if (!sig) return;
+      record("face", sig);
       const { calm = 0, focus = 0 } = sig;
       let primary = "neutral";
       if (calm > 0.6 && calm > focus) primary = "calm";
@@ -132,9 +165,29 @@ export default function Dashboard() {
         simulatePush(user?.id, { faceSignal: true, ts: Date.now(), calm, focus });
       } catch {}
     },
-    [getTip, user?.id]
+    [getTip, user?.id, record]
   );
 
+  // a replay starts each pass from a clean inference buffer, like the recording did
+  const handleReplayRewind = useCallback(() => {
+    inferenceService.clearBuffer();
+    setReplayCheck({ compared: 0, differing: 0 });
+  }, []);
+
+  const sourceDef = getAdapterDef(source) || getAdapterDef(DEFAULT_SOURCE);
+  const sensorOptions = useMemo(() => {
+    if (sourceDef.accept) return { file: replayFile, speed: replaySpeed };
+    if (sourceDef.id === "camera") return { inference: cameraInference };
+    return undefined;
+  }, [sourceDef, replayFile, replaySpeed, cameraInference]);
+  const sensor = useSensor(sourceDef.id, {
+    consent: user?.consent,
+    enabled: !!user && running && !locked && (!sourceDef.accept || !!replayFile),
+    options: sensorOptions,
+    onSignals: handleSensorSignals,
+    on: { face: handleFaceSignal, rewind: handleReplayRewind },
+  });
+
   // RAF draining
   useEffect(() => {
     const tick = () => {
@@ -174,6 +227,19 @@ export default function Dashboard() {
   const toggleRunning = () => setRunning((r) => !r);
   const togglePause = () => setPaused((p) => !p);
 
+  const toggleRecording = () => {
+    if (recorderRef.current) {
+      recorderRef.current.download();
+      recorderRef.current = null;
+      setRecordedEvents(null);
+      return;
+    }
+    // inference restarts with the recording, so replaying it gives the same results
+    inferenceService.clearBuffer();
+    recorderRef.current = new SessionRecorder({ source: sourceDef.id, consent: user?.consent ?? null });
+    setRecordedEvents(0);
+  };
+
   // metrics
   const metrics = useMemo(
     () => [
@@ -207,19 +273,7 @@ export default function Dashboard() {
   }, []);
 
   // --- Sleep timing helpers ---
-  const saveSleepTiming = (val) => {
-    try {
-      if (!val) {
-        localStorage.removeItem(SLEEP_KEY);
-        setSleepTiming("");
-      } else {
-        localStorage.setItem(SLEEP_KEY, val);
-        setSleepTiming(val);
-      }
-    } catch {
-      // ignore storage errors
-    }
-  };
+  const saveSleepTiming = (val) => setSleepTiming(val || null);
 
   const onSetSleepTiming = () => {
     const examples = "Examples: `23:00-07:00`, `11pm-7am`, `23:30-06:30`";
@@ -311,9 +365,83 @@ export default function Dashboard() {
                 <div className="flex items-center gap-3">
                   <div className="text-xs text-gray-400">Points: <span className="font-medium text-gray-100">{signals.length}</span></div>
 
+                  {/* sensor source */}
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={sourceDef.id}
+                      onChange={(e) => {
+                        setSource(e.target.value);
+                        setReplayFile(null);
+                        setReplayCheck({ compared: 0, differing: 0 });
+                      }}
+                      className="px-2 py-2 rounded-md bg-gray-800 border border-gray-700 text-sm"
+                      aria-label="Sensor source"
+                      title={sourceDef.description}
+                    >
+                      {sensorSources.map((def) => (
+                        <option key={def.id} value={def.id}>
+                          {def.label}
+                        </option>
+                      ))}
+                    </select>
+                    {sourceDef.accept && (
+                      <label className="px-3 py-2 rounded-md bg-gray-800 border border-gray-700 text-sm cursor-pointer">
+                        {replayFile ? replayFile.name : "Choose file"}
+                        <input type="file" accept={sourceDef.accept} className="hidden" onChange={(e) => setReplayFile(e.target.files?.[0] || null)} />
+                      </label>
+                    )}
+                    {sourceDef.accept && (
+                      <select
+                        value={String(replaySpeed)}
+                        onChange={(e) => setReplaySpeed(Number(e.target.value))}
+                        className="px-2 py-2 rounded-md bg-gray-800 border border-gray-700 text-sm"
+                        aria-label="Replay speed"
+                      >
+                        {REPLAY_SPEEDS.map((speed) => (
+                          <option key={speed} value={String(speed)}>
+                            {speedLabel(speed)}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    <span
+                      className={`text-xs ${sensor.status === "running" ? "text-green-400" : sensor.status === "error" ? "text-red-400" : "text-gray-400"}`}
+                      title={sensor.error?.message || ""}
+                    >
+                      {sensor.status === "error" ? sensor.error?.message || "Sensor error" : SENSOR_STATUS[sensor.status]}
+                    </span>
+                    {/* headset details (EEG): battery and contact per sensor */}
+                    {sensor.info?.battery != null && <span className="text-xs text-gray-400">Battery {sensor.info.battery}%</span>}
+                    {sensor.info?.quality && (
+                      <span className="flex items-center gap-1" title="Sensor contact">
+                        {Object.entries(sensor.info.quality).map(([channel, q]) => (
+                          <span key={channel} title={`${channel}: ${q}`} className={`w-2 h-2 rounded-full ${CONTACT_COLOR[q]}`} />
+                        ))}
+                      </span>
+                    )}
+                    {/* replay against the recording: does inference still agree? */}
+                    {sourceDef.accept && replayCheck.compared > 0 && (
+                      <span
+                        className={`text-xs ${replayCheck.differing ? "text-yellow-400" : "text-green-400"}`}
+                        title="Inferred states compared with the ones in the recording"
+                      >
+                        {replayCheck.differing
+                          ? `${replayCheck.differing} of ${replayCheck.compared} inferred states differ`
+                          : `Matches recording (${replayCheck.compared})`}
+                      </span>
+                    )}
+                  </div>
+
                   <div className="flex items-center gap-2">
                     <button onClick={toggleRunning} className="px-3 py-2 rounded-md bg-gray-800 border border-gray-700 text-sm">{running ? "Stop" : "Start"}</button>
                     <button onClick={togglePause} className="px-3 py-2 rounded-md bg-gray-800 border border-gray-700 text-sm">{paused ? "Resume" : "Pause"}</button>
+                    <button
+                      onClick={toggleRecording}
+                      className={`px-3 py-2 rounded-md border text-sm ${recordedEvents != null ? "bg-red-600/20 border-red-500 text-red-300" : "bg-gray-800 border-gray-700"}`}
+                      title={recordedEvents != null ? "Stop recording and save the session file" : "Record signals, face readings and inferred states to a session file"}
+                    >
+                      {recordedEvents != null ? `Save recording (${recordedEvents})` : "Record"}
+                    </button>
                   </div>
                 </div>
               </div>
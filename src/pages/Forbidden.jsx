@@ -0,0 +1,40 @@
+// src/pages/Forbidden.jsx
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ShieldOff } from 'lucide-react';
+
+/**
+ * Forbidden — shown in place of a page the signed-in user may not open (403).
+ */
+export default function Forbidden({ message }) {
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-6">
+      <div className="bg-white shadow-lg rounded-2xl p-8 text-center max-w-lg">
+        <div className="inline-flex items-center justify-center w-12 h-12 rounded-full bg-red-50 mb-4">
+          <ShieldOff className="w-6 h-6 text-red-500" />
+        </div>
+        <p className="text-xs font-semibold tracking-widest text-gray-400 mb-1">ERROR 403</p>
+        <h2 className="text-xl font-bold text-gray-800 mb-3">You don't have access to this page</h2>
+        <p className="text-gray-600 text-sm mb-6">
+          {message || 'Your account does not have the role required to view it. If you think this is a mistake, contact an administrator.'}
+        </p>
+        <div className="flex justify-center gap-3">
+          <button
+            onClick={() => navigate(-1)}
+            className="py-2 px-4 rounded-lg border border-gray-300 text-gray-700 font-semibold hover:bg-gray-50"
+          >
+            Go back
+          </button>
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="bg-purple-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-purple-700"
+          >
+            Dashboard
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
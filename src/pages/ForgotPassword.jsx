@@ -0,0 +1,129 @@
+// src/pages/ForgotPassword.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Zap, MailCheck } from 'lucide-react';
+import { requestPasswordReset } from '../services/accountService';
+import { useCooldown } from '../hooks/useCooldown';
+
+const RESEND_SECONDS = 60;
+
+/**
+ * ForgotPassword — `/forgot-password`
+ * Asks for the account email and sends a reset link. The confirmation is the
+ * same whether or not the address is registered.
+ */
+export default function ForgotPassword() {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const cooldown = useCooldown('password_reset', RESEND_SECONDS);
+  const emailRef = useRef(null);
+
+  useEffect(() => {
+    emailRef.current?.focus();
+  }, []);
+
+  const send = async (address) => {
+    setError('');
+    setLoading(true);
+    try {
+      await requestPasswordReset(address);
+      setSentTo(address);
+      cooldown.start();
+    } catch (err) {
+      if (err?.status === 429) {
+        cooldown.start(Math.ceil((err.retryAfterMs ?? RESEND_SECONDS * 1000) / 1000));
+        setError('Too many requests. Please wait before trying again.');
+      } else if (err?.code === 'network') {
+        setError('Network error — check your connection.');
+      } else {
+        setError(err?.message || 'Could not send the reset email.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const address = email.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(address)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    send(address);
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-6">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center items-center mb-6">
+          <div className="inline-flex items-center justify-center w-12 h-12 bg-white rounded-lg shadow-md mr-3">
+            <Zap className="w-6 h-6 text-purple-500" />
+          </div>
+          <span className="text-2xl font-bold text-gray-800">MindEcho</span>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h2 className="text-2xl font-semibold text-center mb-2">Reset your password</h2>
+
+          {error && (
+            <div role="alert" className="text-red-600 text-sm text-center my-4">
+              {error}
+            </div>
+          )}
+
+          {sentTo ? (
+            <div className="text-center">
+              <MailCheck className="w-10 h-10 text-purple-500 mx-auto my-4" />
+              <p className="text-sm text-gray-600">
+                If an account exists for <span className="font-medium">{sentTo}</span>, we've sent a link to reset its password.
+                The link expires soon, so use it shortly.
+              </p>
+              <button
+                onClick={() => send(sentTo)}
+                disabled={loading || cooldown.active}
+                className="mt-6 text-sm font-medium text-purple-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                {cooldown.active ? `Resend available in ${cooldown.remaining}s` : "Didn't get it? Resend"}
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={onSubmit} noValidate className="mt-4">
+              <p className="text-sm text-gray-600 text-center mb-6">Enter the email you signed up with and we'll send you a reset link.</p>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                Email
+              </label>
+              <input
+                id="email"
+                ref={emailRef}
+                type="email"
+                value={email}
+                onChange={(ev) => setEmail(ev.target.value)}
+                autoComplete="email"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 mb-6"
+                required
+              />
+              <button
+                type="submit"
+                disabled={loading || cooldown.active}
+                className="w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-300 disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Sending…' : cooldown.active ? `Try again in ${cooldown.remaining}s` : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <p className="text-sm text-center text-gray-600 mt-6">
+            Remembered it?{' '}
+            <button onClick={() => navigate('/login')} className="font-medium text-purple-600 hover:underline">
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
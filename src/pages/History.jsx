@@ -3,7 +3,9 @@ import React, { useEffect, useMemo, useState } from 'react';
 import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import { useAuth } from '../contexts/AuthContext';
-import mockApi from '../api/mockApi';
+import { httpClient } from '../api/httpClient';
+import { historyListSchema } from '../api/schemas';
+import { useQuery } from '../hooks/useQuery';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Search, FileDown, Filter, Calendar, X, ArrowLeft, ArrowRight } from 'lucide-react';
 
@@ -34,10 +36,7 @@ function SkeletonItem() {
 
 export default function History() {
   const { user } = useAuth();
-  const [sessions, setSessions] = useState([]);
   const [visibleSessions, setVisibleSessions] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
   // controls
   const [query, setQuery] = useState('');
   const [typeFilter, setTypeFilter] = useState('all'); // all | breathing | meditation | mindful | other
@@ -47,34 +46,36 @@ export default function History() {
   const [selectedSession, setSelectedSession] = useState(null);
   const [exporting, setExporting] = useState(false);
 
+  // cached per user; revisiting /history renders instantly and revalidates in the background
+  const historyQuery = useQuery(
+    ['history', user?.id],
+    ({ signal }) => httpClient.get(`/sessions/user/${user.id}`, { signal, schema: historyListSchema }),
+    { enabled: !!user }
+  );
+  const loading = historyQuery.isLoading;
+  const error = historyQuery.error ? 'Failed to load history. Try again later.' : '';
+
+  const sessions = useMemo(() => {
+    const res = historyQuery.data;
+    // ensure consistent shape
+    const normalized = Array.isArray(res) ? res.map((s) => ({
+      id: s.id || s._id || `${s.type}-${s.timestamp || Date.now()}`,
+      type: s.type || 'session',
+      timestamp: s.timestamp || s.createdAt || Date.now(),
+      duration: s.duration || (s.seconds ? s.seconds : 0),
+      startEmotion: s.startEmotion || s.from || 'unknown',
+      endEmotion: s.endEmotion || s.to || 'unknown',
+      summary: s.summary || s.note || '',
+      meta: s.meta || {},
+    })) : [];
+    // sort descending
+    normalized.sort((a,b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return normalized;
+  }, [historyQuery.data]);
+
   useEffect(() => {
-    if (!user) return;
-    setLoading(true);
-    setError('');
-    mockApi.getHistory(user.id)
-      .then((res) => {
-        // ensure consistent shape
-        const normalized = Array.isArray(res) ? res.map((s) => ({
-          id: s.id || s._id || `${s.type}-${s.timestamp || Date.now()}`,
-          type: s.type || 'session',
-          timestamp: s.timestamp || s.createdAt || Date.now(),
-          duration: s.duration || (s.seconds ? s.seconds : 0),
-          startEmotion: s.startEmotion || s.from || 'unknown',
-          endEmotion: s.endEmotion || s.to || 'unknown',
-          summary: s.summary || s.note || '',
-          meta: s.meta || {},
-        })) : [];
-        // sort descending
-        normalized.sort((a,b) => new Date(b.timestamp) - new Date(a.timestamp));
-        setSessions(normalized);
-      })
-      .catch((err) => {
-        console.error('getHistory failed', err);
-        setError('Failed to load history. Try again later.');
-        setSessions([]);
-      })
-      .finally(() => setLoading(false));
-  }, [user]);
+    if (historyQuery.error) console.error('getHistory failed', historyQuery.error);
+  }, [historyQuery.error]);
 
   // Filtering logic
   const filtered = useMemo(() => {
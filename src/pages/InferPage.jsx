@@ -3,7 +3,8 @@ import React, { useState } from "react";
 import Sidebar from "../components/Sidebar";
 import Header from "../components/Header";
 import { useAuth } from "../contexts/AuthContext";
-import { httpClient } from "../api/httpClient";
+import { api } from "../api/httpClient";
+import { inferResultSchema, EMOTION_LABELS } from "../api/schemas";
 import ResultCard from "../components/ResultCard";
 
 export default function InferPage() {
@@ -28,22 +29,10 @@ export default function InferPage() {
       if (eeg) fd.append("eeg", eeg);
       fd.append("user_id", user?.id || "guest");
 
-      // use fetch because httpClient expects JSON; we need multipart/form-data
-      const res = await fetch(`${import.meta.env.VITE_FASTAPI_URL || "http://127.0.0.1:8000"}/infer`, {
-        method: "POST",
-        body: fd
-      });
-
-      if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(txt || res.statusText);
-      }
-
-      const data = await res.json();
+      const data = await api.inference.upload("/infer", fd, { schema: inferResultSchema });
       // convert raw emotion_dist to readable label + confidence
-      const labels = ["Anger","Disgust","Fear","Sad","Neutral","Happy","Surprise"];
       const topIndex = data.emotion_dist.indexOf(Math.max(...data.emotion_dist));
-      const primary = labels[topIndex] || "Unknown";
+      const primary = EMOTION_LABELS[topIndex] || "Unknown";
       setResult({...data, primary});
     } catch (err) {
       setError(err.message || "Inference failed");
@@ -1,5 +1,5 @@
 // src/pages/Journal.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import Sidebar from "../components/Sidebar";
 import Header from "../components/Header";
 import { useAuth } from "../contexts/AuthContext";
@@ -14,25 +14,19 @@ import {
   BookOpen,
   Save,
   Edit3,
+  GitMerge,
+  Lock,
 } from "lucide-react";
+import { useSyncedCollection } from "../hooks/useSync";
+import JournalMergeDialog from "../components/JournalMergeDialog";
+import VaultUnlock from "../components/VaultUnlock";
+import { useVault } from "../hooks/useVault";
+import { VaultLockedError } from "../lib/vault";
+import storage from "../lib/storage";
+import { hashtags } from "../utils/hashtags";
 
-const STORAGE_KEY = "mindecho_journal_v1";
 const DRAFT_KEY = "mindecho_journal_draft_v1";
 
-function load() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : [];
-  } catch {
-    return [];
-  }
-}
-function save(data) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-  } catch {}
-}
-
 function loadDraft() {
   try {
     const raw = localStorage.getItem(DRAFT_KEY);
@@ -46,31 +40,50 @@ function saveDraft(draft) {
     localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
   } catch {}
 }
+function clearDraft() {
+  try {
+    localStorage.removeItem(DRAFT_KEY);
+  } catch {}
+}
 
 export default function Journal() {
   const { user } = useAuth();
-  const [entries, setEntries] = useState(() => load());
+  // stored locally, synced when signed in (lib/syncEngine)
+  const { records: entries, put, remove: removeEntry, conflicts, resolveConflict } = useSyncedCollection("journal");
   const [draft, setDraft] = useState(() => loadDraft());
   const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
   const [query, setQuery] = useState("");
   const [selected, setSelected] = useState(null); // view modal
   const [showEditor, setShowEditor] = useState(false);
   const [sortNewest, setSortNewest] = useState(true);
-  const mountedRef = useRef(false);
-
-  // sync entries to localStorage
+  const [merging, setMerging] = useState(null); // conflict being merged
+  // with encryption on, entries are sealed with the user's passphrase (lib/vault)
+  const { state: vaultState, exportFile } = useVault();
+  const encrypted = vaultState !== "off";
+  const [unlocking, setUnlocking] = useState(false);
+
+  // "#tag" searches go through the journal's tag index — unless the tags are
+  // encrypted, then the decrypted entries are searched in memory
+  const searchTag = query.trim().startsWith("#") ? query.trim().slice(1).toLowerCase() : "";
+  const [tagged, setTagged] = useState(null); // ids of entries carrying searchTag
   useEffect(() => {
-    if (!mountedRef.current) {
-      mountedRef.current = true;
-      return;
-    }
-    save(entries);
-  }, [entries]);
+    if (!searchTag || encrypted) return;
+    let alive = true;
+    storage
+      .query("journal", "byTag", { only: searchTag })
+      .then((rows) => alive && setTagged(new Set(rows.map((r) => r.id))))
+      .catch(() => alive && setTagged(new Set()));
+    return () => {
+      alive = false;
+    };
+  }, [searchTag, entries, encrypted]);
 
-  // autosave draft (debounced)
+  // autosave draft — never in clear text while entries are encrypted
   useEffect(() => {
-    saveDraft(draft);
-  }, [draft]);
+    if (encrypted) clearDraft();
+    else saveDraft(draft);
+  }, [draft, encrypted]);
 
   if (!user)
     return (
@@ -79,22 +92,30 @@ export default function Journal() {
       </div>
     );
 
-  const addEntry = (e) => {
+  const addEntry = async (e) => {
     e?.preventDefault?.();
     if (!draft.body?.trim() && !draft.title?.trim()) return;
 
     setSaving(true);
-    const newEntry = {
-      id: `j${Date.now()}`,
-      userId: user.id,
-      title: draft.title?.trim() || new Date().toLocaleString(),
-      body: draft.body,
-      createdAt: new Date().toISOString(),
-    };
-    setEntries((p) => [newEntry, ...p].slice(0, 2000));
-    setDraft({ title: "", body: "" });
-    setShowEditor(false);
-    setSaving(false);
+    setSaveError("");
+    // draft.id is set while editing an existing entry
+    const existing = draft.id && entries.find((x) => x.id === draft.id);
+    try {
+      await put({
+        ...(existing || { id: `j${Date.now()}`, userId: user.id, createdAt: new Date().toISOString() }),
+        title: draft.title?.trim() || new Date().toLocaleString(),
+        body: draft.body,
+        tags: hashtags(draft.body),
+      });
+      // the draft is only let go once the entry is stored
+      setDraft({ title: "", body: "" });
+      setShowEditor(false);
+    } catch (err) {
+      if (err instanceof VaultLockedError) setUnlocking(true);
+      setSaveError(err instanceof VaultLockedError ? "Unlock your journal to save this entry." : `Couldn't save the entry: ${err?.message || err}`);
+    } finally {
+      setSaving(false);
+    }
   };
 
   const updateDraftField = (field, value) => {
@@ -103,24 +124,29 @@ export default function Journal() {
 
   const remove = (id) => {
     if (!window.confirm("Delete this entry?")) return;
-    setEntries((p) => p.filter((x) => x.id !== id));
+    removeEntry(id);
     if (selected?.id === id) setSelected(null);
   };
 
-  const exportAll = () => {
-    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: "application/json" });
+  // with encryption on, export files are encrypted with the passphrase too
+  const download = async (data, filename) => {
+    if (vaultState === "locked") return setUnlocking(true);
+    const blob = new Blob([JSON.stringify(await exportFile(data), null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `mindecho_journal_${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  const exportAll = () => download(entries, `mindecho_journal_${new Date().toISOString().slice(0, 10)}.json`);
+
   const filtered = useMemo(() => {
     const q = query.trim().toLowerCase();
     let list = entries.filter((en) => {
       if (!q) return true;
+      if (searchTag) return encrypted ? (en.tags || []).includes(searchTag) : !!tagged?.has(en.id);
       return (
         (en.title || "").toLowerCase().includes(q) ||
         (en.body || "").toLowerCase().includes(q)
@@ -130,7 +156,7 @@ export default function Journal() {
       sortNewest ? new Date(b.createdAt) - new Date(a.createdAt) : new Date(a.createdAt) - new Date(b.createdAt)
     );
     return list;
-  }, [entries, query, sortNewest]);
+  }, [entries, query, sortNewest, searchTag, tagged, encrypted]);
 
   return (
     <div className="flex min-h-screen bg-gray-900 text-gray-100">
@@ -143,7 +169,7 @@ export default function Journal() {
           <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-4 mb-6">
             <div>
               <h2 className="text-2xl font-extrabold">Journal</h2>
-              <p className="text-sm text-gray-400 mt-1">Capture thoughts, gratitude, and reflections. Private to your browser.</p>
+              <p className="text-sm text-gray-400 mt-1">Capture thoughts, gratitude, and reflections. Private to your account.</p>
             </div>
 
             <div className="flex items-center gap-3 w-full md:w-auto">
@@ -152,7 +178,7 @@ export default function Journal() {
                 <input
                   value={query}
                   onChange={(e) => setQuery(e.target.value)}
-                  placeholder="Search entries..."
+                  placeholder="Search entries or #tag..."
                   className="bg-transparent outline-none placeholder:text-gray-500 flex-1 text-sm text-gray-200"
                 />
                 {query && (
@@ -218,51 +244,66 @@ export default function Journal() {
                       Clear
                     </button>
                     <button
-                      onClick={() => { save(entries); saveDraft(draft); }}
-                      className="px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm hover:bg-gray-700 flex items-center gap-2"
-                      title="Save draft"
+                      onClick={() => saveDraft(draft)}
+                      disabled={encrypted}
+                      className="px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm hover:bg-gray-700 flex items-center gap-2 disabled:opacity-50"
+                      title={encrypted ? "Drafts aren't stored while the journal is encrypted" : "Save draft"}
                     >
                       <Save className="w-4 h-4" /> Draft
                     </button>
                   </div>
                 </div>
 
-                <form onSubmit={addEntry} className="mt-4">
-                  <input
-                    value={draft.title}
-                    onChange={(e) => updateDraftField("title", e.target.value)}
-                    placeholder="Title (optional)"
-                    className="w-full bg-gray-900 border border-gray-700 rounded-lg px-4 py-2 text-gray-100 placeholder:text-gray-500"
-                  />
-                  <textarea
-                    value={draft.body}
-                    onChange={(e) => updateDraftField("body", e.target.value)}
-                    placeholder="Write your thoughts, gratitude, or observations..."
-                    rows={8}
-                    className="w-full mt-3 bg-gray-900 border border-gray-700 rounded-lg px-4 py-3 text-gray-100 placeholder:text-gray-500 resize-none"
-                  />
-
-                  <div className="flex items-center gap-3 mt-3">
+                {vaultState === "locked" ? (
+                  <div className="mt-4 flex flex-col items-center text-center gap-3 bg-gray-900 border border-gray-700 rounded-lg px-4 py-8">
+                    <Lock className="w-6 h-6 text-purple-300" />
+                    <p className="text-sm text-gray-300">Your journal is encrypted. Unlock it to write and read entries.</p>
                     <button
-                      type="submit"
-                      disabled={saving}
+                      onClick={() => setUnlocking(true)}
                       className="inline-flex items-center gap-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white px-4 py-2 rounded-xl shadow-md hover:brightness-105"
                     >
-                      <BookOpen className="w-4 h-4" />
-                      {saving ? "Saving..." : "Add Entry"}
+                      Unlock
                     </button>
-
-                    <button
-                      type="button"
-                      onClick={() => { setShowEditor(false); setDraft(loadDraft()); }}
-                      className="px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm hover:bg-gray-700"
-                    >
-                      Close
-                    </button>
-
-                    <div className="ml-auto text-sm text-gray-400">Autosaves locally</div>
                   </div>
-                </form>
+                ) : (
+                  <form onSubmit={addEntry} className="mt-4">
+                    <input
+                      value={draft.title}
+                      onChange={(e) => updateDraftField("title", e.target.value)}
+                      placeholder="Title (optional)"
+                      className="w-full bg-gray-900 border border-gray-700 rounded-lg px-4 py-2 text-gray-100 placeholder:text-gray-500"
+                    />
+                    <textarea
+                      value={draft.body}
+                      onChange={(e) => updateDraftField("body", e.target.value)}
+                      placeholder="Write your thoughts, gratitude, or observations..."
+                      rows={8}
+                      className="w-full mt-3 bg-gray-900 border border-gray-700 rounded-lg px-4 py-3 text-gray-100 placeholder:text-gray-500 resize-none"
+                    />
+
+                    <div className="flex items-center gap-3 mt-3">
+                      <button
+                        type="submit"
+                        disabled={saving}
+                        className="inline-flex items-center gap-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white px-4 py-2 rounded-xl shadow-md hover:brightness-105"
+                      >
+                        <BookOpen className="w-4 h-4" />
+                        {saving ? "Saving..." : draft.id ? "Save Changes" : "Add Entry"}
+                      </button>
+
+                      <button
+                        type="button"
+                        onClick={() => { setShowEditor(false); setDraft(loadDraft()); }}
+                        className="px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 text-sm hover:bg-gray-700"
+                      >
+                        Close
+                      </button>
+
+                      <div className="ml-auto text-sm text-gray-400">{encrypted ? "Encrypted when saved" : "Autosaves locally"}</div>
+                    </div>
+                    {saveError && <p className="mt-2 text-sm text-red-400" role="alert">{saveError}</p>}
+                  </form>
+                )}
               </div>
             </motion.section>
 
@@ -288,6 +329,16 @@ export default function Journal() {
                 </div>
               </div>
 
+              {conflicts.length > 0 && vaultState !== "locked" && (
+                <button
+                  onClick={() => setMerging(conflicts[0])}
+                  className="w-full mb-3 flex items-center gap-2 text-left text-xs bg-purple-900/30 border border-purple-700/50 text-purple-200 rounded-lg px-3 py-2 hover:bg-purple-900/50"
+                >
+                  <GitMerge className="w-4 h-4 shrink-0" />
+                  {conflicts.length === 1 ? "1 entry was" : `${conflicts.length} entries were`} also edited on another device — review
+                </button>
+              )}
+
               <div className="space-y-2 max-h-[70vh] overflow-auto pr-1">
                 {filtered.length === 0 && (
                   <div className="text-xs text-gray-400">No entries match your search.</div>
@@ -303,32 +354,37 @@ export default function Journal() {
                     <div className="flex items-start justify-between gap-3">
                       <div className="min-w-0">
                         <button
-                          onClick={() => setSelected(en)}
+                          onClick={() => (en.locked ? setUnlocking(true) : setSelected(en))}
                           className="text-left w-full"
-                          title="Open entry"
+                          title={en.locked ? "Unlock to read" : "Open entry"}
                         >
                           <div className="flex items-center gap-2">
-                            <div className="text-sm font-medium text-gray-100 truncate">{en.title}</div>
+                            <div className="text-sm font-medium text-gray-100 truncate">
+                              {en.locked ? <Lock className="inline w-3 h-3 mr-1 text-gray-400" /> : null}
+                              {en.locked ? "Encrypted entry" : en.title}
+                            </div>
                             <div className="text-xs text-gray-500">{new Date(en.createdAt).toLocaleString()}</div>
                           </div>
-                          <div className="mt-2 text-xs text-gray-300 line-clamp-3 whitespace-pre-wrap">{en.body}</div>
+                          <div className="mt-2 text-xs text-gray-300 line-clamp-3 whitespace-pre-wrap">
+                            {en.locked ? "Unlock your journal to read this entry." : en.body}
+                          </div>
                         </button>
                       </div>
 
                       <div className="flex flex-col items-end gap-2">
-                        <button
-                          onClick={() => {
-                            // quick edit: load into draft and open editor
-                            setDraft({ title: en.title, body: en.body });
-                            setShowEditor(true);
-                            // remove old entry (will be re-added on save)
-                            setEntries((p) => p.filter((x) => x.id !== en.id));
-                          }}
-                          className="p-1 rounded hover:bg-gray-800"
-                          title="Edit"
-                        >
-                          <Edit3 className="w-4 h-4 text-gray-300" />
-                        </button>
+                        {!en.locked && (
+                          <button
+                            onClick={() => {
+                              // quick edit: load into draft and open editor
+                              setDraft({ id: en.id, title: en.title, body: en.body });
+                              setShowEditor(true);
+                            }}
+                            className="p-1 rounded hover:bg-gray-800"
+                            title="Edit"
+                          >
+                            <Edit3 className="w-4 h-4 text-gray-300" />
+                          </button>
+                        )}
 
                         <button
                           onClick={() => remove(en.id)}
@@ -383,19 +439,11 @@ export default function Journal() {
                 <div className="mt-4 text-sm text-gray-200 whitespace-pre-wrap">{selected.body}</div>
 
                 <div className="mt-6 flex items-center justify-between">
-                  <div className="text-xs text-gray-400">Private — saved only in this browser</div>
+                  <div className="text-xs text-gray-400">Private — synced only to your account</div>
                   <div className="flex items-center gap-2">
                     <button
-                      onClick={() => {
-                        // quick export single entry
-                        const blob = new Blob([JSON.stringify(selected, null, 2)], { type: "application/json" });
-                        const url = URL.createObjectURL(blob);
-                        const a = document.createElement("a");
-                        a.href = url;
-                        a.download = `journal_entry_${selected.id}.json`;
-                        a.click();
-                        URL.revokeObjectURL(url);
-                      }}
+                      // quick export single entry
+                      onClick={() => download(selected, `journal_entry_${selected.id}.json`)}
                       className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-md text-sm hover:bg-gray-700 flex items-center gap-2"
                     >
                       <Download className="w-4 h-4" /> Export
@@ -403,11 +451,9 @@ export default function Journal() {
 
                     <button
                       onClick={() => {
-                        setDraft({ title: selected.title, body: selected.body });
+                        setDraft({ id: selected.id, title: selected.title, body: selected.body });
                         setSelected(null);
                         setShowEditor(true);
-                        // remove existing (we'll save as new)
-                        setEntries((p) => p.filter((x) => x.id !== selected.id));
                       }}
                       className="px-3 py-2 bg-gradient-to-r from-purple-600 to-indigo-600 rounded-md text-sm text-white flex items-center gap-2"
                     >
@@ -419,6 +465,27 @@ export default function Journal() {
             </motion.div>
           )}
         </AnimatePresence>
+
+        <AnimatePresence>
+          {merging && (
+            <JournalMergeDialog
+              key={merging.id}
+              conflict={merging}
+              onSave={(body) => {
+                const current = entries.find((x) => x.id === merging.id);
+                resolveConflict(merging.id, current && { ...current, body, tags: hashtags(body) });
+                setMerging(null);
+              }}
+              onDismiss={() => {
+                resolveConflict(merging.id);
+                setMerging(null);
+              }}
+              onClose={() => setMerging(null)}
+            />
+          )}
+        </AnimatePresence>
+
+        {unlocking && <VaultUnlock onClose={() => setUnlocking(false)} />}
       </main>
     </div>
   );
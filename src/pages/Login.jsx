@@ -1,11 +1,16 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Zap, Eye, EyeOff } from 'lucide-react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Zap, Eye, EyeOff, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { safeRedirect, readNext } from '../utils/redirect';
+import OAuthButtons from '../components/OAuthButtons';
 
 export default function Login() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const { login, completeMfaLogin } = useAuth();
+  // page the user was sent here from (validated against open redirects)
+  const next = readNext(location.search);
 
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('password');
@@ -14,14 +19,24 @@ export default function Login() {
   const [error, setError] = useState('');
   const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // second step: { mfaToken, methods } once the password was accepted
+  // (or handed over by /auth/callback after a social sign-in)
+  const [mfa, setMfa] = useState(() => location.state?.mfa || null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
 
   const emailRef = useRef(null);
+  const codeRef = useRef(null);
 
   useEffect(() => {
     // autofocus email on mount
     emailRef.current?.focus();
   }, []);
 
+  useEffect(() => {
+    if (mfa) codeRef.current?.focus();
+  }, [mfa, useRecovery]);
+
   const validate = () => {
     const e = {};
     if (!email || !/^\S+@\S+\.\S+$/.test(email.trim())) {
@@ -42,8 +57,14 @@ export default function Login() {
     setLoading(true);
     try {
       // login is expected to handle token persistence; pass "remember" if your auth supports it
-      await login(email.trim(), password, { remember });
-      navigate('/dashboard');
+      const result = await login(email.trim(), password, { remember });
+      if (result?.mfaRequired) {
+        setMfa(result);
+        setMfaCode('');
+        setUseRecovery(false);
+        return;
+      }
+      navigate(safeRedirect(next), { replace: true });
     } catch (err) {
       // friendly mapping
       const msg = err?.message || err?.toString() || 'Login failed';
@@ -59,6 +80,38 @@ export default function Login() {
     }
   };
 
+  const onSubmitMfa = async (e) => {
+    e.preventDefault();
+    setError('');
+    const code = mfaCode.trim();
+    if (!code) return;
+
+    setLoading(true);
+    try {
+      await completeMfaLogin(useRecovery ? { mfaToken: mfa.mfaToken, recoveryCode: code } : { mfaToken: mfa.mfaToken, code });
+      navigate(safeRedirect(next), { replace: true });
+    } catch (err) {
+      if (err?.status === 400 || err?.status === 401) {
+        setError(useRecovery ? 'That recovery code is not valid.' : 'That code is not valid. Check your authenticator app and try again.');
+      } else if (err?.status === 410) {
+        // the challenge ticket expired — start over from the password
+        setMfa(null);
+        setError('Verification timed out. Please sign in again.');
+      } else {
+        setError(err?.message || 'Verification failed');
+      }
+      setMfaCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelMfa = () => {
+    setMfa(null);
+    setMfaCode('');
+    setError('');
+  };
+
   return (
     <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-6">
       <div className="w-full max-w-md">
@@ -70,7 +123,7 @@ export default function Login() {
         </div>
 
         <div className="bg-white rounded-2xl shadow-xl p-8">
-          <h2 className="text-2xl font-semibold text-center mb-6">Welcome Back</h2>
+          <h2 className="text-2xl font-semibold text-center mb-6">{mfa ? 'Two-factor verification' : 'Welcome Back'}</h2>
 
           {error && (
             <div role="alert" className="text-red-600 text-sm text-center mb-4">
@@ -78,105 +131,157 @@ export default function Login() {
             </div>
           )}
 
-          <form onSubmit={onSubmit} noValidate>
-            <div className="mb-4">
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                Email
+          {mfa ? (
+            <form onSubmit={onSubmitMfa} noValidate>
+              <div className="flex justify-center mb-4">
+                <ShieldCheck className="w-10 h-10 text-purple-500" />
+              </div>
+              <label htmlFor="mfa-code" className="block text-sm text-gray-600 text-center mb-3">
+                {useRecovery
+                  ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
               </label>
               <input
-                id="email"
-                ref={emailRef}
-                type="email"
-                value={email}
-                onChange={(ev) => setEmail(ev.target.value)}
-                autoComplete="email"
-                aria-invalid={!!fieldErrors.email}
-                aria-describedby={fieldErrors.email ? 'email-error' : undefined}
-                className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 ${
-                  fieldErrors.email ? 'border-red-300' : 'border-gray-300'
-                }`}
-                required
+                id="mfa-code"
+                ref={codeRef}
+                value={mfaCode}
+                onChange={(ev) => setMfaCode(useRecovery ? ev.target.value : ev.target.value.replace(/\D/g, '').slice(0, 6))}
+                inputMode={useRecovery ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                placeholder={useRecovery ? 'xxxx-xxxx' : '123456'}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg text-center tracking-widest text-lg focus:outline-none focus:ring-2 focus:ring-purple-500 mb-4"
               />
-              {fieldErrors.email && (
-                <p id="email-error" className="text-xs text-red-500 mt-1">
-                  {fieldErrors.email}
-                </p>
-              )}
-            </div>
 
-            <div className="mb-4">
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <div className="relative">
+              <button
+                type="submit"
+                disabled={loading || !mfaCode.trim()}
+                className="w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-300 disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying…' : 'Verify'}
+              </button>
+
+              <div className="flex items-center justify-between mt-4 text-sm">
+                <button type="button" onClick={cancelMfa} className="text-gray-500 hover:underline">
+                  Back
+                </button>
+                {mfa.methods.includes('recovery') && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecovery((r) => !r);
+                      setMfaCode('');
+                      setError('');
+                    }}
+                    className="text-purple-600 hover:underline"
+                  >
+                    {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+                  </button>
+                )}
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={onSubmit} noValidate>
+              <div className="mb-4">
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email
+                </label>
                 <input
-                  id="password"
-                  type={showPassword ? 'text' : 'password'}
-                  value={password}
-                  onChange={(ev) => setPassword(ev.target.value)}
-                  autoComplete="current-password"
-                  aria-invalid={!!fieldErrors.password}
-                  aria-describedby={fieldErrors.password ? 'password-error' : undefined}
+                  id="email"
+                  ref={emailRef}
+                  type="email"
+                  value={email}
+                  onChange={(ev) => setEmail(ev.target.value)}
+                  autoComplete="email"
+                  aria-invalid={!!fieldErrors.email}
+                  aria-describedby={fieldErrors.email ? 'email-error' : undefined}
                   className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 ${
-                    fieldErrors.password ? 'border-red-300' : 'border-gray-300'
+                    fieldErrors.email ? 'border-red-300' : 'border-gray-300'
                   }`}
                   required
                 />
+                {fieldErrors.email && (
+                  <p id="email-error" className="text-xs text-red-500 mt-1">
+                    {fieldErrors.email}
+                  </p>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <div className="relative">
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={password}
+                    onChange={(ev) => setPassword(ev.target.value)}
+                    autoComplete="current-password"
+                    aria-invalid={!!fieldErrors.password}
+                    aria-describedby={fieldErrors.password ? 'password-error' : undefined}
+                    className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                      fieldErrors.password ? 'border-red-300' : 'border-gray-300'
+                    }`}
+                    required
+                  />
+                  <button
+                    type="button"
+                    aria-label={showPassword ? 'Hide password' : 'Show password'}
+                    onClick={() => setShowPassword((s) => !s)}
+                    className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded text-gray-500 hover:bg-gray-100"
+                  >
+                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                </div>
+                {fieldErrors.password && (
+                  <p id="password-error" className="text-xs text-red-500 mt-1">
+                    {fieldErrors.password}
+                  </p>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between mb-6">
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={remember}
+                    onChange={(e) => setRemember(e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  <span className="text-gray-600">Remember me</span>
+                </label>
+
                 <button
                   type="button"
-                  aria-label={showPassword ? 'Hide password' : 'Show password'}
-                  onClick={() => setShowPassword((s) => !s)}
-                  className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded text-gray-500 hover:bg-gray-100"
+                  onClick={() => navigate('/forgot-password')}
+                  className="text-sm text-purple-600 hover:underline"
                 >
-                  {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  Forgot password?
                 </button>
               </div>
-              {fieldErrors.password && (
-                <p id="password-error" className="text-xs text-red-500 mt-1">
-                  {fieldErrors.password}
-                </p>
-              )}
-            </div>
-
-            <div className="flex items-center justify-between mb-6">
-              <label className="flex items-center gap-2 text-sm">
-                <input
-                  type="checkbox"
-                  checked={remember}
-                  onChange={(e) => setRemember(e.target.checked)}
-                  className="w-4 h-4"
-                />
-                <span className="text-gray-600">Remember me</span>
-              </label>
 
               <button
-                type="button"
-                onClick={() => navigate('/forgot-password')}
-                className="text-sm text-purple-600 hover:underline"
+                type="submit"
+                disabled={loading}
+                className="w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-300 disabled:opacity-60 disabled:cursor-not-allowed flex items-center justify-center"
               >
-                Forgot password?
+                {loading ? (
+                  <svg className="w-5 h-5 animate-spin text-white" viewBox="0 0 24 24" fill="none">
+                    <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" strokeOpacity="0.25" />
+                    <path d="M4 12a8 8 0 018-8" stroke="currentColor" strokeWidth="4" strokeLinecap="round" />
+                  </svg>
+                ) : (
+                  'Login'
+                )}
               </button>
-            </div>
+            </form>
+          )}
 
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-300 disabled:opacity-60 disabled:cursor-not-allowed flex items-center justify-center"
-            >
-              {loading ? (
-                <svg className="w-5 h-5 animate-spin text-white" viewBox="0 0 24 24" fill="none">
-                  <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" strokeOpacity="0.25" />
-                  <path d="M4 12a8 8 0 018-8" stroke="currentColor" strokeWidth="4" strokeLinecap="round" />
-                </svg>
-              ) : (
-                'Login'
-              )}
-            </button>
-          </form>
+          {!mfa && <OAuthButtons next={next} />}
 
           <p className="text-sm text-center text-gray-600 mt-6">
             Don't have an account?{' '}
-            <button onClick={() => navigate('/signup')} className="font-medium text-purple-600 hover:underline">
+            <button onClick={() => navigate(next ? `/signup?next=${encodeURIComponent(next)}` : '/signup')} className="font-medium text-purple-600 hover:underline">
               Sign Up
             </button>
           </p>
@@ -11,8 +11,7 @@ import {
   Clock,
   RefreshCw,
 } from "lucide-react";
-
-const STORAGE_SESSIONS_KEY = "mindecho_meditation_sessions_v1";
+import { useSyncedCollection } from "../hooks/useSync";
 
 const speedPresets = {
   slow: { duration: 8, label: "Slow", inSec: 4, holdSec: 4, outSec: 4 },
@@ -20,21 +19,6 @@ const speedPresets = {
   fast: { duration: 4, label: "Fast", inSec: 2, holdSec: 2, outSec: 2 },
 };
 
-function loadSessions() {
-  try {
-    const raw = localStorage.getItem(STORAGE_SESSIONS_KEY);
-    if (!raw) return [];
-    return JSON.parse(raw);
-  } catch {
-    return [];
-  }
-}
-function saveSessions(sessions) {
-  try {
-    localStorage.setItem(STORAGE_SESSIONS_KEY, JSON.stringify(sessions));
-  } catch {}
-}
-
 export default function Meditation() {
   const [speed, setSpeed] = useState("normal");
   const [playing, setPlaying] = useState(false);
@@ -52,7 +36,8 @@ export default function Meditation() {
   const audioRef = useRef(null);
   const audioSrc = ""; // <-- optional: put a calm loop URL here
 
-  const [sessions, setSessions] = useState(() => loadSessions());
+  // stored locally, synced when signed in (lib/syncEngine)
+  const { records: sessions, put: putSession, remove: removeSession } = useSyncedCollection("meditation");
 
   // SVG breathing ring params
   const R = 64;
@@ -191,30 +176,21 @@ export default function Meditation() {
     const breathsCount = breaths;
     const breathsPerMin = duration > 0 ? Math.round((breathsCount / duration) * 60) : 0;
 
-    const newSession = {
+    putSession({
       id: `s${Date.now()}`,
       timestamp: new Date().toISOString(),
       duration,
       breaths: breathsCount,
       speed,
       breathsPerMin,
-    };
-    const updated = [newSession, ...sessions].slice(0, 50);
-    setSessions(updated);
-    saveSessions(updated);
+    });
 
     // quick micro-feedback
     setTimeout(() => {
       setPlaying(false);
     }, 120);
     resetSession();
-  }, [elapsed, breaths, speed, sessions, resetSession]);
-
-  const removeSession = (id) => {
-    const filtered = sessions.filter((s) => s.id !== id);
-    setSessions(filtered);
-    saveSessions(filtered);
-  };
+  }, [elapsed, breaths, speed, putSession, resetSession]);
 
   // format elapsed into mm:ss
   const formatTime = (sec) => {
@@ -3,27 +3,15 @@ import React, { useEffect, useMemo, useState } from "react";
 import Sidebar from "../components/Sidebar";
 import Header from "../components/Header";
 import MoodLineChart from "../components/charts/MoodLineChart";
-import { SunMedium, HeartPulse, Zap, Moon, Play } from "lucide-react";
+import { SunMedium, HeartPulse, Zap, Moon, Play, Lock } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
+import { useSyncedCollection } from "../hooks/useSync";
+import { useVault } from "../hooks/useVault";
+import VaultUnlock from "../components/VaultUnlock";
+import { VaultLockedError } from "../lib/vault";
 
-const STORAGE_KEY = "mindecho_mood_entries_v1";
 const THEME_KEY = "mindecho_theme";
 
-function loadEntries() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    return JSON.parse(raw);
-  } catch {
-    return [];
-  }
-}
-function saveEntries(entries) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
-  } catch {}
-}
-
 export default function MoodTracker() {
   // theme
   useEffect(() => {
@@ -37,11 +25,16 @@ export default function MoodTracker() {
     }
   }, []);
 
-  const [entries, setEntries] = useState(() => loadEntries());
+  // stored locally, synced when signed in (lib/syncEngine)
+  const { records: entries, put, remove } = useSyncedCollection("mood");
   const [rating, setRating] = useState(8);
   const [note, setNote] = useState("");
   const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
   const [compactView, setCompactView] = useState(false);
+  // notes are encrypted when journal encryption is on; locked = passphrase not entered yet
+  const { state: vaultState } = useVault();
+  const [unlocking, setUnlocking] = useState(false);
 
   // Weekly chart data (Mon..Sun)
   const chartData = useMemo(() => {
@@ -59,28 +52,36 @@ export default function MoodTracker() {
     return days;
   }, [entries]);
 
-  useEffect(() => saveEntries(entries), [entries]);
-
-  const handleSave = (e) => {
+  const handleSave = async (e) => {
     e?.preventDefault();
     setSaving(true);
+    setSaveError("");
     const iso = new Date().toISOString().slice(0, 10);
-    const newEntry = {
-      id: `m${Date.now()}`,
-      date: iso,
-      rating: Number(rating),
-      note: note.trim(),
-      createdAt: new Date().toISOString(),
-    };
-    setEntries((prev) => [newEntry, ...prev.filter((p) => p.date !== iso)].slice(0, 365));
-    setNote("");
-    // smooth UX feel
-    setTimeout(() => setSaving(false), 350);
+    // one check-in per day: saving again updates today's entry
+    const today = entries.find((p) => p.date === iso);
+    try {
+      await put({
+        ...today,
+        id: today?.id || `m${Date.now()}`,
+        date: iso,
+        rating: Number(rating),
+        note: note.trim(),
+        createdAt: new Date().toISOString(),
+      });
+      // the note is only cleared once the check-in is stored
+      setNote("");
+    } catch (err) {
+      if (err instanceof VaultLockedError) setUnlocking(true);
+      setSaveError(err instanceof VaultLockedError ? "Unlock your notes to save this check-in." : `Couldn't save the check-in: ${err?.message || err}`);
+    } finally {
+      // smooth UX feel
+      setTimeout(() => setSaving(false), 350);
+    }
   };
 
   const handleDelete = (id) => {
     if (!window.confirm("Delete this mood entry?")) return;
-    setEntries((prev) => prev.filter((p) => p.id !== id));
+    remove(id);
   };
 
   // Derived metrics
@@ -282,13 +283,22 @@ export default function MoodTracker() {
                 />
 
                 <div className="mt-3 flex gap-2">
-                  <button
-                    onClick={handleSave}
-                    disabled={saving}
-                    className="inline-flex items-center gap-2 bg-gradient-to-r from-indigo-600 to-purple-600 px-4 py-2 rounded-lg text-white shadow hover:brightness-105 disabled:opacity-60"
-                  >
-                    {saving ? "Saving..." : "Save entry"}
-                  </button>
+                  {vaultState === "locked" ? (
+                    <button
+                      onClick={() => setUnlocking(true)}
+                      className="inline-flex items-center gap-2 bg-gradient-to-r from-indigo-600 to-purple-600 px-4 py-2 rounded-lg text-white shadow hover:brightness-105"
+                    >
+                      <Lock className="w-4 h-4" /> Unlock to save
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleSave}
+                      disabled={saving}
+                      className="inline-flex items-center gap-2 bg-gradient-to-r from-indigo-600 to-purple-600 px-4 py-2 rounded-lg text-white shadow hover:brightness-105 disabled:opacity-60"
+                    >
+                      {saving ? "Saving..." : "Save entry"}
+                    </button>
+                  )}
                   <button
                     onClick={() => { setNote(""); setRating(8); }}
                     className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10 text-sm"
@@ -296,6 +306,7 @@ export default function MoodTracker() {
                     Clear
                   </button>
                 </div>
+                {saveError && <p className="mt-2 text-sm text-red-400" role="alert">{saveError}</p>}
               </div>
             </motion.aside>
           </div>
@@ -324,6 +335,11 @@ export default function MoodTracker() {
                         <div className="text-xs text-gray-400">{new Date(e.createdAt).toLocaleString()}</div>
                         <div className="mt-1 font-semibold text-white">{e.rating} / 10</div>
                         {e.note && <div className="text-sm text-gray-300 mt-1 break-words">{e.note}</div>}
+                        {e.locked && (
+                          <button onClick={() => setUnlocking(true)} className="mt-1 inline-flex items-center gap-1 text-xs text-gray-400 hover:text-gray-200">
+                            <Lock className="w-3 h-3" /> Note encrypted — unlock to read
+                          </button>
+                        )}
                       </div>
 
                       <div className="flex flex-col items-end gap-2">
@@ -364,6 +380,8 @@ export default function MoodTracker() {
             </motion.div>
           </AnimatePresence>
         </div>
+
+        {unlocking && <VaultUnlock onClose={() => setUnlocking(false)} />}
       </main>
     </div>
   );
@@ -0,0 +1,180 @@
+// src/pages/OAuthCallback.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Zap, AlertTriangle, Link2 } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+import queryCache from '../lib/queryCache';
+import { takeOAuthCallback, OAUTH_PROVIDERS } from '../lib/oauth';
+import { linkOAuthProvider } from '../services/oauthService';
+import { safeRedirect } from '../utils/redirect';
+
+/**
+ * OAuthCallback — `/auth/callback`, where the provider sends the browser back.
+ * Exchanges the authorization code for a session (or links the provider when
+ * the flow started from Settings). When an email account already owns the
+ * address, asks for its password to link the two.
+ */
+export default function OAuthCallback() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { completeOAuthLogin, confirmProviderLink } = useAuth();
+
+  const [status, setStatus] = useState('exchanging'); // exchanging | link | failed
+  const [error, setError] = useState('');
+  const [link, setLink] = useState(null); // { email, linkToken, provider }
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const startedRef = useRef(false);
+  const nextRef = useRef(null);
+
+  // where a finished sign-in goes: MFA continues on /login, everything else to `next`
+  const finish = (result) => {
+    if (result?.mfaRequired) {
+      const next = nextRef.current;
+      navigate(next ? `/login?next=${encodeURIComponent(next)}` : '/login', { replace: true, state: { mfa: result } });
+      return;
+    }
+    navigate(safeRedirect(nextRef.current), { replace: true });
+  };
+
+  useEffect(() => {
+    // an authorization code is single-use: exchange it exactly once
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    let callback;
+    try {
+      callback = takeOAuthCallback(location.search);
+    } catch (err) {
+      setError(err.message);
+      setStatus('failed');
+      return;
+    }
+    nextRef.current = callback.next;
+
+    if (callback.mode === 'link') {
+      linkOAuthProvider(callback)
+        .then(() => {
+          queryCache.invalidate(['oauth-providers']);
+          navigate('/settings', { replace: true, state: { linkedProvider: callback.provider } });
+        })
+        .catch((err) => {
+          setError(err?.status === 409 ? 'That account is already linked to another MindEcho user.' : err?.message || 'Linking failed');
+          setStatus('failed');
+        });
+      return;
+    }
+
+    completeOAuthLogin(callback)
+      .then((result) => {
+        if (result?.linkRequired) {
+          setLink(result);
+          setStatus('link');
+          return;
+        }
+        finish(result);
+      })
+      .catch((err) => {
+        setError(err?.message || 'Sign-in failed');
+        setStatus('failed');
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const onLink = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+    setBusy(true);
+    setError('');
+    try {
+      finish(await confirmProviderLink({ linkToken: link.linkToken, password }));
+    } catch (err) {
+      setError(err?.status === 400 || err?.status === 401 ? 'Incorrect password.' : err?.message || 'Linking failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const providerLabel = OAUTH_PROVIDERS[link?.provider]?.label || 'this provider';
+
+  let content;
+  if (status === 'exchanging') {
+    content = (
+      <div className="py-8 flex flex-col items-center gap-4">
+        <LoadingSpinner />
+        <p className="text-sm text-gray-600">Signing you in…</p>
+      </div>
+    );
+  } else if (status === 'link') {
+    content = (
+      <form onSubmit={onLink}>
+        <div className="flex justify-center mb-4">
+          <Link2 className="w-10 h-10 text-purple-500" />
+        </div>
+        <p className="text-sm text-gray-600 text-center mb-6">
+          You already have a MindEcho account for <span className="font-medium">{link.email}</span>. Enter its password to
+          link {providerLabel} — after that you can sign in either way.
+        </p>
+        <label htmlFor="link-password" className="block text-sm font-medium text-gray-700 mb-1">
+          Password
+        </label>
+        <input
+          id="link-password"
+          type="password"
+          value={password}
+          onChange={(ev) => setPassword(ev.target.value)}
+          autoComplete="current-password"
+          autoFocus
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+        {error && (
+          <p role="alert" className="text-xs text-red-500 mt-1">
+            {error}
+          </p>
+        )}
+        <button
+          type="submit"
+          disabled={busy || !password}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {busy ? 'Linking…' : `Link ${providerLabel} and sign in`}
+        </button>
+        <button type="button" onClick={() => navigate('/forgot-password')} className="mt-4 w-full text-sm text-purple-600 hover:underline">
+          Forgot password?
+        </button>
+      </form>
+    );
+  } else {
+    content = (
+      <div className="text-center">
+        <AlertTriangle className="w-10 h-10 text-yellow-500 mx-auto my-4" />
+        <p role="alert" className="text-sm text-gray-600">{error}</p>
+        <button
+          onClick={() => navigate('/login', { replace: true })}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700"
+        >
+          Back to login
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-6">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center items-center mb-6">
+          <div className="inline-flex items-center justify-center w-12 h-12 bg-white rounded-lg shadow-md mr-3">
+            <Zap className="w-6 h-6 text-purple-500" />
+          </div>
+          <span className="text-2xl font-bold text-gray-800">MindEcho</span>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h2 className="text-2xl font-semibold text-center mb-2">{status === 'link' ? 'Link your account' : 'Social sign-in'}</h2>
+          {content}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 // src/pages/Profile.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { httpClient } from '../api/httpClient';
+import { httpClient, isAbortError } from '../api/httpClient';
+import { profileResponseSchema, historyListSchema } from '../api/schemas';
+import { useQuery } from '../hooks/useQuery';
 import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import { useAuth } from '../contexts/AuthContext';
@@ -11,53 +13,36 @@ export default function Profile() {
   const navigate = useNavigate();
   const { user } = useAuth();
 
-  const [profile, setProfile] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [sessions, setSessions] = useState([]);
-  const [error, setError] = useState('');
+  const targetId = id || user?.profile?._id || user?.profile?.id;
 
-  // fetch profile data (current user or by id)
-  useEffect(() => {
-    const fetchProfile = async () => {
-      setLoading(true);
-      setError('');
-
-      try {
-        const targetId = id || user?.profile?._id || user?.profile?.id;
-        if (!targetId) {
-          setError('No profile ID found.');
-          setLoading(false);
-          return;
-        }
-
-        const data = await httpClient.get(`/profile/${targetId}`);
-        setProfile(data.profile || data);
-      } catch (err) {
-        console.error('Profile fetch error:', err);
-        setError('Failed to load profile data.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (user) fetchProfile();
-  }, [id, user]);
+  // profile data (current user or by id), cached per id
+  const profileQuery = useQuery(
+    ['profile', targetId],
+    ({ signal }) => httpClient.get(`/profile/${targetId}`, { signal, schema: profileResponseSchema }),
+    { enabled: !!user && !!targetId }
+  );
+  const profile = profileQuery.data || null;
+  const loading = !user || profileQuery.isLoading;
+  let error = '';
+  if (user && !targetId) error = 'No profile ID found.';
+  else if (profileQuery.error) error = 'Failed to load profile data.';
 
-  // fetch session history (if available in backend)
   useEffect(() => {
-    const fetchSessions = async () => {
-      if (!profile?.userId) return;
-      try {
-        const data = await httpClient.get(`/sessions/user/${profile.userId}`);
-        setSessions(data?.sessions || []);
-      } catch (err) {
-        console.warn('No session data found or backend route not ready.');
-        setSessions([]);
-      }
-    };
+    if (profileQuery.error) console.error('Profile fetch error:', profileQuery.error);
+  }, [profileQuery.error]);
 
-    if (profile?.userId) fetchSessions();
-  }, [profile]);
+  // session history (if available in backend)
+  const sessionsQuery = useQuery(
+    ['sessions', profile?.userId],
+    ({ signal }) =>
+      httpClient.get(`/sessions/user/${profile.userId}`, { signal, schema: historyListSchema }).catch((err) => {
+        if (isAbortError(err)) throw err;
+        console.warn('No session data found or backend route not ready.');
+        return [];
+      }),
+    { enabled: !!profile?.userId }
+  );
+  const sessions = sessionsQuery.data || [];
 
   if (loading) {
     return (
@@ -0,0 +1,167 @@
+// src/pages/ResetPassword.jsx
+import React, { useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Zap, Eye, EyeOff, CheckCircle2, AlertTriangle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { useQuery } from '../hooks/useQuery';
+import { MIN_PASSWORD_LENGTH, checkResetToken, passwordProblem, resetPassword, tokenProblem } from '../services/accountService';
+
+/**
+ * ResetPassword — `/reset-password/:token`
+ * Validates the emailed token first, so an expired link says so before the
+ * user types a new password.
+ */
+export default function ResetPassword() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  const tokenQuery = useQuery(['reset-token', token], ({ signal }) => checkResetToken(token, { signal }), {
+    staleTime: Infinity,
+  });
+
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [fieldError, setFieldError] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setFieldError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirm) {
+      setFieldError('Passwords do not match');
+      return;
+    }
+    setFieldError('');
+
+    setLoading(true);
+    try {
+      await resetPassword({ token, password });
+      setDone(true);
+    } catch (err) {
+      const problem = passwordProblem(err);
+      if (problem) setFieldError(problem);
+      else setError(tokenProblem(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  let content;
+  if (tokenQuery.isLoading) {
+    content = (
+      <div className="py-8 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  } else if (tokenQuery.error) {
+    content = (
+      <div className="text-center">
+        <AlertTriangle className="w-10 h-10 text-yellow-500 mx-auto my-4" />
+        <p className="text-sm text-gray-600">{tokenProblem(tokenQuery.error)}</p>
+        <button
+          onClick={() => navigate('/forgot-password')}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700"
+        >
+          Request a new link
+        </button>
+      </div>
+    );
+  } else if (done) {
+    content = (
+      <div className="text-center">
+        <CheckCircle2 className="w-10 h-10 text-green-500 mx-auto my-4" />
+        <p className="text-sm text-gray-600">Your password has been changed. Sign in with your new password.</p>
+        <button
+          onClick={() => navigate('/login', { replace: true })}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700"
+        >
+          Sign in
+        </button>
+      </div>
+    );
+  } else {
+    const email = tokenQuery.data?.email;
+    content = (
+      <form onSubmit={onSubmit} noValidate>
+        {email && <p className="text-sm text-gray-600 text-center mb-6">for {email}</p>}
+
+        <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 mb-1">
+          New password
+        </label>
+        <div className="relative mb-4">
+          <input
+            id="new-password"
+            type={showPassword ? 'text' : 'password'}
+            value={password}
+            onChange={(ev) => setPassword(ev.target.value)}
+            autoComplete="new-password"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+            required
+          />
+          <button
+            type="button"
+            aria-label={showPassword ? 'Hide password' : 'Show password'}
+            onClick={() => setShowPassword((s) => !s)}
+            className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded text-gray-500 hover:bg-gray-100"
+          >
+            {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+          </button>
+        </div>
+
+        <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-1">
+          Confirm new password
+        </label>
+        <input
+          id="confirm-password"
+          type={showPassword ? 'text' : 'password'}
+          value={confirm}
+          onChange={(ev) => setConfirm(ev.target.value)}
+          autoComplete="new-password"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          required
+        />
+        {fieldError && <p className="text-xs text-red-500 mt-1">{fieldError}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-300 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Saving…' : 'Set new password'}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-6">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center items-center mb-6">
+          <div className="inline-flex items-center justify-center w-12 h-12 bg-white rounded-lg shadow-md mr-3">
+            <Zap className="w-6 h-6 text-purple-500" />
+          </div>
+          <span className="text-2xl font-bold text-gray-800">MindEcho</span>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h2 className="text-2xl font-semibold text-center mb-2">Choose a new password</h2>
+
+          {error && (
+            <div role="alert" className="text-red-600 text-sm text-center my-4">
+              {error}
+            </div>
+          )}
+
+          {content}
+        </div>
+      </div>
+    </div>
+  );
+}
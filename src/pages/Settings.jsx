@@ -4,8 +4,19 @@ import { motion, AnimatePresence } from 'framer-motion';
 import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import ConsentToggle from '../components/ConsentToggle';
+import MfaSettings from '../components/MfaSettings';
+import LinkedAccounts from '../components/LinkedAccounts';
+import DeviceSessions from '../components/DeviceSessions';
+import EncryptionSettings from '../components/EncryptionSettings';
+import ReminderSettings from '../components/ReminderSettings';
 import { useAuth } from '../contexts/AuthContext';
-import mockApi from '../api/mockApi';
+import { httpClient } from '../api/httpClient';
+import { useMutation } from '../hooks/useQuery';
+import { useIdleLock } from '../contexts/IdleLockContext';
+import { hasPin, setPin, clearPin } from '../lib/idleLock';
+import { exportFile, VaultLockedError } from '../lib/vault';
+import { useStoredValue } from '../hooks/useStoredValue';
+import { INFERENCE_PREF_KEY } from '../lib/sensors/camera';
 import {
   DownloadCloud,
   Trash2,
@@ -25,6 +36,10 @@ import {
  * - Animated toggles, cards, micro-sparkline
  * - Extra UI bits: preview, quick actions, keyboard hints
  * - Accessible interactive elements
+ * - Screen lock: inactivity timeout, sign-out grace period and device PIN
+ * - Two-factor authentication (TOTP) enrolment and recovery codes
+ * - Linked social sign-in providers
+ * - Devices & sessions: revoke a device or sign out everywhere
  */
 
 // small inline sparkline SVG (stateless)
@@ -90,10 +105,114 @@ function StatusPill({ status }) {
   );
 }
 
+// inactivity lock preferences (stored per device, see lib/idleLock)
+function ScreenLockCard({ user, darkMode, onStatus }) {
+  const { prefs, updatePrefs, lockNow, passwordless } = useIdleLock();
+  const userId = user?.id ?? user?._id;
+  const [pinSet, setPinSet] = useState(() => hasPin(userId));
+  const [pin, setPinValue] = useState('');
+
+  const savePin = async (e) => {
+    e.preventDefault();
+    try {
+      await setPin(userId, pin);
+      setPinSet(true);
+      setPinValue('');
+      onStatus('PIN saved');
+    } catch (err) {
+      onStatus(`Error: ${err.message}`);
+    }
+  };
+
+  const removePin = () => {
+    clearPin();
+    setPinSet(false);
+    onStatus('PIN removed');
+  };
+
+  const selectCls = `rounded-lg px-2 py-1 text-sm border ${darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'}`;
+
+  return (
+    <motion.section initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className={`rounded-2xl p-6 ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow-lg`}>
+      <div className="flex items-start justify-between">
+        <div className="flex items-center gap-3">
+          <Lock className="w-6 h-6 text-purple-400" />
+          <div>
+            <h2 className="text-lg font-semibold">Screen Lock</h2>
+            <p className="text-sm text-gray-400 mt-1">Hide your journal, mood and emotion data when you step away. Camera and mic pause while locked.</p>
+          </div>
+        </div>
+        <button onClick={lockNow} disabled={!prefs.enabled || (passwordless && !pinSet)} className="px-3 py-2 rounded-lg bg-white/6 hover:bg-white/10 text-sm disabled:opacity-50">
+          Lock now
+        </button>
+      </div>
+
+      <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="p-4 rounded-xl border dark:border-gray-800 bg-white/6 space-y-3">
+          <AnimatedToggle id="t-idle-lock" label="Lock when idle" checked={prefs.enabled} onChange={(v) => updatePrefs({ enabled: v })} />
+          <div className="flex items-center justify-between text-sm">
+            <label htmlFor="idle-lock-after">Lock after</label>
+            <select id="idle-lock-after" value={prefs.lockAfterMin} disabled={!prefs.enabled} onChange={(e) => updatePrefs({ lockAfterMin: Number(e.target.value) })} className={selectCls}>
+              {[1, 2, 5, 10, 15, 30].map((m) => (
+                <option key={m} value={m}>{m} min</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="p-4 rounded-xl border dark:border-gray-800 bg-white/6 space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <label htmlFor="idle-logout-after">Sign out after</label>
+            <select id="idle-logout-after" value={prefs.logoutAfterMin} disabled={!prefs.enabled} onChange={(e) => updatePrefs({ logoutAfterMin: Number(e.target.value) })} className={selectCls}>
+              {[5, 15, 30, 60, 120].map((m) => (
+                <option key={m} value={m}>{m} min</option>
+              ))}
+            </select>
+          </div>
+          <div className="text-xs text-gray-400">Counted from when the screen locks.</div>
+        </div>
+
+        <div className="p-4 rounded-xl border dark:border-gray-800 bg-white/6 space-y-2">
+          <div className="text-sm font-medium">Unlock PIN</div>
+          <div className="text-xs text-gray-400">
+            {passwordless
+              ? 'Required for the screen lock, this device only: your account signs in without a password.'
+              : 'Optional, this device only. Your password always works.'}
+          </div>
+          {pinSet ? (
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-green-400">PIN set</span>
+              <button onClick={removePin} className="px-3 py-1 rounded-lg border text-xs">Remove</button>
+            </div>
+          ) : (
+            <form onSubmit={savePin} className="flex gap-2">
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                value={pin}
+                onChange={(e) => setPinValue(e.target.value.replace(/\D/g, '').slice(0, 8))}
+                placeholder="4–8 digits"
+                aria-label="New PIN"
+                className={`flex-1 min-w-0 ${selectCls}`}
+              />
+              <button type="submit" disabled={pin.length < 4} className="px-3 py-1 rounded-lg bg-indigo-600 text-white text-xs disabled:opacity-50">
+                Set
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </motion.section>
+  );
+}
+
 export default function Settings() {
   const { user, updateUser, logout } = useAuth();
   const initialConsent = user?.consent ?? { neurofeedback: true, camera: true, audio: true };
   const [consent, setConsent] = useState(initialConsent);
+  // where camera frames are read — a choice for this device (lib/sensors/camera)
+  const [cameraInference, setCameraInference] = useStoredValue(INFERENCE_PREF_KEY, 'server');
   const [status, setStatus] = useState('');
   const [darkMode, setDarkMode] = useState(() => {
     try {
@@ -129,11 +248,15 @@ export default function Settings() {
     return () => clearTimeout(t);
   }, [status]);
 
+  // consent changes what profile data may be shown, so cached profiles are revalidated
+  const consentMutation = useMutation((next) => httpClient.patch('/me/consent', next), {
+    invalidates: [['profile'], ['profiles']],
+  });
+
   const handleSave = async () => {
     setStatus('Saving settings...');
     try {
-      // call your real API; mockApi used here
-      const updated = await mockApi.updateConsent(user.id, consent);
+      const updated = await consentMutation.mutate(consent);
       updateUser && updateUser(updated);
       setStatus('Settings saved');
     } catch (err) {
@@ -145,7 +268,8 @@ export default function Settings() {
   const handleExport = async () => {
     setStatus('Preparing export...');
     try {
-      const data = await mockApi.exportData(user.id);
+      // with journal encryption on, the whole file is sealed with the passphrase
+      const data = await exportFile(await httpClient.get('/me/export'));
       const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -156,7 +280,7 @@ export default function Settings() {
       setStatus('Exported');
     } catch (err) {
       console.error(err);
-      setStatus('Export failed');
+      setStatus(err instanceof VaultLockedError ? 'Unlock journal encryption to export' : 'Export failed');
     }
   };
 
@@ -164,8 +288,9 @@ export default function Settings() {
     setBusyDelete(true);
     setStatus('Deleting account...');
     try {
-      await mockApi.deleteData(user.id);
-      await logout();
+      await httpClient.delete('/me');
+      // the server already ended every session of the deleted account
+      await logout({ server: false });
     } catch (err) {
       console.error(err);
       setStatus('Delete failed');
@@ -237,15 +362,29 @@ export default function Settings() {
                   <div className="flex items-center justify-between">
                     <div>
                       <div className="text-sm font-medium">Micro-emotion (Camera)</div>
-                      <div className="text-xs text-gray-400 mt-1">On-device face expression analysis</div>
+                      <div className="text-xs text-gray-400 mt-1">Face expression analysis from the webcam</div>
                     </div>
                     <AnimatedToggle id="t-camera" checked={!!consent.camera} onChange={(v) => setConsent((c) => ({ ...c, camera: v }))} />
                   </div>
 
                   <div className="mt-3 flex items-center justify-between">
                     <div className="text-xs text-gray-400">Privacy</div>
-                    <div className="text-xs font-medium text-indigo-300">On-device</div>
+                    <select
+                      value={cameraInference}
+                      onChange={(e) => {
+                        setCameraInference(e.target.value);
+                        setStatus(e.target.value === 'device' ? 'Camera frames stay on this device' : 'Camera frames are analysed by the server');
+                      }}
+                      aria-label="Where camera frames are analysed"
+                      className="text-xs font-medium text-indigo-300 bg-transparent border border-white/10 rounded-md px-2 py-1"
+                    >
+                      <option value="device">On-device only</option>
+                      <option value="server">Server analysis</option>
+                    </select>
                   </div>
+                  {cameraInference === 'device' && (
+                    <div className="mt-2 text-xs text-gray-400">Frames never leave this device. The face model (about 0.5 MB) is downloaded once.</div>
+                  )}
                 </div>
 
                 <div className="p-4 rounded-xl border dark:border-gray-800 bg-white/6">
@@ -360,6 +499,18 @@ export default function Settings() {
             </motion.aside>
           </div>
 
+          <ScreenLockCard user={user} darkMode={darkMode} onStatus={setStatus} />
+
+          <MfaSettings darkMode={darkMode} onStatus={setStatus} />
+
+          <LinkedAccounts darkMode={darkMode} onStatus={setStatus} />
+
+          <DeviceSessions darkMode={darkMode} onStatus={setStatus} />
+
+          <EncryptionSettings darkMode={darkMode} onStatus={setStatus} />
+
+          <ReminderSettings darkMode={darkMode} onStatus={setStatus} />
+
           {/* bottom: larger feature cards */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <motion.div whileHover={{ y: -6 }} className={`p-4 rounded-2xl ${darkMode ? 'bg-gray-850 border border-gray-800' : 'bg-white border border-gray-100'} shadow`}>
@@ -1,9 +1,11 @@
 // src/pages/SignupPage.jsx
 import React, { useState, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Lock, Check, ArrowLeft, ArrowRight } from 'lucide-react';
-import { httpClient, setToken } from '../api/httpClient';
+import { MIN_PASSWORD_LENGTH, needsEmailVerification, passwordProblem } from '../services/accountService';
+import { safeRedirect, readNext } from '../utils/redirect';
+import OAuthButtons from '../components/OAuthButtons';
 
 function validateEmail(email) {
   return /^\S+@\S+\.\S+$/.test(email);
@@ -11,7 +13,8 @@ function validateEmail(email) {
 
 export default function SignupPage() {
   const navigate = useNavigate();
-  const { updateUser } = useAuth(); // update context after register
+  const location = useLocation();
+  const { register } = useAuth();
   const [step, setStep] = useState(1);
 
   // form state
@@ -54,7 +57,7 @@ export default function SignupPage() {
     if (s === 1) {
       if (!form.name.trim()) e.name = 'Full name is required';
       if (!validateEmail(form.email)) e.email = 'Valid email is required';
-      if (!form.password || form.password.length < 6) e.password = 'Password (min 6 chars) is required';
+      if (!form.password || form.password.length < MIN_PASSWORD_LENGTH) e.password = `Password (min ${MIN_PASSWORD_LENGTH} chars) is required`;
     } else if (s === 2) {
       if (!form.displayName.trim()) e.displayName = 'Display name is required';
       if (form.bio === undefined || form.bio.trim() === '') e.bio = 'A short bio is required';
@@ -141,26 +144,29 @@ export default function SignupPage() {
         avatarUrl: form.avatarUrl ? form.avatarUrl.trim() : undefined,
       };
 
-      // call backend via httpClient. auth: false because registering
-      const data = await httpClient.post('/auth/register', payload, { auth: false });
-
-      // expected: { token, user: { id, email, name, profile } }
-      if (!data) throw new Error('Empty response from server');
-
-      if (data.token) {
-        setToken(data.token);
-      } else {
-        // If backend returns user without token, still update context and navigate
-        console.warn('No token returned from register response');
-      }
-
-      if (updateUser && data.user) {
-        try { updateUser(data.user); } catch (e) { /* ignore */ }
+      // stores the session and signs the new user in (AuthContext.user)
+      const user = await register(payload);
+
+      // deep link carried over from /login?next=… (validated against open redirects)
+      const target = readNext(location.search);
+      if (needsEmailVerification(user)) {
+        // "check your inbox" first; it continues to the target from there
+        navigate(target ? `/verify-email?next=${encodeURIComponent(target)}` : '/verify-email', {
+          replace: true,
+          state: { email: payload.email },
+        });
+        return;
       }
-
-      navigate('/dashboard');
+      navigate(safeRedirect(target), { replace: true });
     } catch (err) {
       console.error('Registration error', err);
+      const problem = passwordProblem(err);
+      if (problem) {
+        // back to the step with the password field
+        setErrors({ password: problem });
+        setStep(1);
+        return;
+      }
       // if httpClient throws Error with message, show it; else generic
       setServerError(err?.message || 'Registration failed. Try again.');
     } finally {
@@ -220,7 +226,7 @@ export default function SignupPage() {
                 <label className="block">
                   <div className="flex items-center justify-between">
                     <div className="text-sm font-medium text-gray-700">Password</div>
-                    <div className="text-xs text-gray-400">min 6 characters</div>
+                    <div className="text-xs text-gray-400">min {MIN_PASSWORD_LENGTH} characters</div>
                   </div>
                   <div className="mt-1 relative">
                     <input value={form.password} onChange={e => setField('password', e.target.value)} type="password" className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-400" />
@@ -228,6 +234,9 @@ export default function SignupPage() {
                   </div>
                   {errors.password && <div className="text-xs text-red-500 mt-1">{errors.password}</div>}
                 </label>
+
+                {/* skip the form: the provider supplies name + verified email */}
+                <OAuthButtons next={readNext(location.search)} />
               </div>
             )}
 
@@ -0,0 +1,129 @@
+// src/pages/VerifyEmail.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { Zap, MailCheck, CheckCircle2, AlertTriangle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+import queryCache from '../lib/queryCache';
+import { verifyEmail, tokenProblem } from '../services/accountService';
+import { safeRedirect, readNext } from '../utils/redirect';
+import { useResendVerification } from '../hooks/useResendVerification';
+
+/**
+ * VerifyEmail
+ * - `/verify-email/:token`: confirms the address from the emailed link
+ * - `/verify-email`: "check your inbox" step shown after sign-up, with resend
+ */
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, refreshUser } = useAuth();
+  const next = safeRedirect(readNext(location.search));
+  const email = location.state?.email || user?.email;
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending'); // verifying | verified | failed | pending
+  const [error, setError] = useState(null);
+  const startedRef = useRef(false);
+  const resend = useResendVerification(email);
+
+  useEffect(() => {
+    // tokens are single-use: never send the same one twice (StrictMode re-runs effects)
+    if (!token || startedRef.current) return;
+    startedRef.current = true;
+    verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        // the signed-in user (if any) now has emailVerified: true, and may appear in Community
+        queryCache.invalidate(['profiles']);
+        if (user) refreshUser();
+      })
+      .catch((err) => {
+        // 409: the address was already verified, e.g. the link was opened twice
+        if (err?.status === 409) {
+          setStatus('verified');
+          return;
+        }
+        setError(err);
+        setStatus('failed');
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  let content;
+  if (status === 'verifying') {
+    content = (
+      <div className="py-8 flex flex-col items-center gap-4">
+        <LoadingSpinner />
+        <p className="text-sm text-gray-600">Confirming your email…</p>
+      </div>
+    );
+  } else if (status === 'verified') {
+    content = (
+      <div className="text-center">
+        <CheckCircle2 className="w-10 h-10 text-green-500 mx-auto my-4" />
+        <p className="text-sm text-gray-600">Your email is confirmed. Thanks!</p>
+        <button
+          onClick={() => navigate(user ? next : '/login', { replace: true })}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700"
+        >
+          {user ? 'Continue' : 'Sign in'}
+        </button>
+      </div>
+    );
+  } else {
+    content = (
+      <div className="text-center">
+        {status === 'failed' ? (
+          <>
+            <AlertTriangle className="w-10 h-10 text-yellow-500 mx-auto my-4" />
+            <p className="text-sm text-gray-600">{tokenProblem(error)}</p>
+          </>
+        ) : (
+          <>
+            <MailCheck className="w-10 h-10 text-purple-500 mx-auto my-4" />
+            <p className="text-sm text-gray-600">
+              We sent a confirmation link to {email ? <span className="font-medium">{email}</span> : 'your email address'}.
+              Open it to finish setting up your account.
+            </p>
+          </>
+        )}
+
+        {resend.message && <p className="text-xs text-gray-500 mt-4">{resend.message}</p>}
+
+        <button
+          onClick={resend.send}
+          disabled={!resend.canSend}
+          className="mt-6 w-full bg-purple-600 text-white font-semibold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {resend.label}
+        </button>
+        {user && (
+          <button onClick={() => navigate(next, { replace: true })} className="mt-4 text-sm font-medium text-purple-600 hover:underline">
+            Continue to MindEcho
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-6">
+      <div className="w-full max-w-md">
+        <div className="flex justify-center items-center mb-6">
+          <div className="inline-flex items-center justify-center w-12 h-12 bg-white rounded-lg shadow-md mr-3">
+            <Zap className="w-6 h-6 text-purple-500" />
+          </div>
+          <span className="text-2xl font-bold text-gray-800">MindEcho</span>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h2 className="text-2xl font-semibold text-center mb-2">
+            {status === 'pending' ? 'Check your email' : 'Email verification'}
+          </h2>
+          {content}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -5,9 +5,9 @@ import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import DailyGoalBar from '../components/DailyGoalBar';
 import { Mic, Video, PhoneOff, ScreenShare } from 'lucide-react';
+import { api } from '../api/httpClient';
+import { rtcTokenSchema } from '../api/schemas';
 
-// IMPORTANT: update this to your token-server URL if different
-const TOKEN_SERVER = process.env.REACT_APP_TOKEN_SERVER_URL || 'http://localhost:4000';
 
 function useResponsiveGrid(count) {
   // compute CSS classes for responsive columns
@@ -35,9 +35,8 @@ export default function VideoCall() {
 
   // fetch token from server
   const fetchToken = async (ch, uid = 0) => {
-    const res = await fetch(`${TOKEN_SERVER}/token?channel=${encodeURIComponent(ch)}&uid=${uid}`);
-    if (!res.ok) throw new Error('Failed to fetch token');
-    return await res.json(); // { token, appId, uid }
+    // token server is the `rtc` service of the shared API client (VITE_API_URL)
+    return api.rtc.get(`/token?channel=${encodeURIComponent(ch)}&uid=${uid}`, { schema: rtcTokenSchema }); // { token, appId, uid }
   };
 
   // create DOM container for a user video (uid)
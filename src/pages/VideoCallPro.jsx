@@ -5,19 +5,19 @@ import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
 import { Mic, MicOff, Video, VideoOff, ScreenShare, Star } from 'lucide-react';
 import { motion } from 'framer-motion';
+import { api } from '../api/httpClient';
+import { rtcTokenSchema } from '../api/schemas';
 
 /**
  * VideoCallPro.jsx
  * - Uses backend token endpoint: /api/agora/token?channel=<channel>
- * - BACKEND is auto-detected from VITE_API_URL or defaults to http://localhost:4000
+ * - Requests go through the `rtc` service of the shared API client (VITE_API_URL)
  *
  * Make sure your backend (index.js above) is running on that URL.
  */
 
-const BACKEND = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+// token endpoints on the rtc service, tried in order
 const TOKEN_PATHS = [
-  (channel) => `${BACKEND.replace(/\/$/, '')}/api/agora/token?channel=${encodeURIComponent(channel)}`,
-  (channel) => `${BACKEND.replace(/\/$/, '')}/token?channel=${encodeURIComponent(channel)}`,
   (channel) => `/api/agora/token?channel=${encodeURIComponent(channel)}`,
   (channel) => `/token?channel=${encodeURIComponent(channel)}`,
 ];
@@ -55,30 +55,14 @@ export default function VideoCallPro() {
     }
   };
 
-  // try token endpoints in order until one returns JSON
+  // try token endpoints in order until one returns a usable token
   const fetchToken = async (ch) => {
     let lastErr = null;
     for (const pathFn of TOKEN_PATHS) {
-      const url = pathFn(ch);
+      const path = pathFn(ch);
       try {
-        const res = await fetch(url, { credentials: 'include' });
-        const text = await res.text();
-        // quick guard: if response looks like HTML, continue to next candidate
-        if (!text) {
-          lastErr = new Error(`Empty token response from ${url}`);
-          continue;
-        }
-        if (text.trim().startsWith('<')) {
-          lastErr = new Error(`Token endpoint returned HTML (not JSON). Preview: ${text.slice(0, 200)}`);
-          continue;
-        }
-        // parse JSON
-        const json = JSON.parse(text);
-        if (!json || (!json.token && !json.appId)) {
-          lastErr = new Error(`Token endpoint JSON invalid at ${url} — got ${JSON.stringify(json).slice(0,200)}`);
-          continue;
-        }
-        return json;
+        // a reply without token or appId fails rtcTokenSchema and falls through to the next path
+        return await api.rtc.get(path, { schema: rtcTokenSchema });
       } catch (err) {
         lastErr = err;
         // try next
@@ -0,0 +1,85 @@
+// src/services/accountService.js
+import { httpClient } from '../api/httpClient';
+
+/**
+ * Password reset and email verification (core service).
+ * None of these retry on 429: the pages show the server's cooldown instead.
+ */
+
+/** shortest password the core service accepts, for sign-up and reset alike */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * requestPasswordReset(email)
+ * The server answers the same way whether or not the account exists.
+ */
+export async function requestPasswordReset(email) {
+  return httpClient.post('/auth/password/forgot', { email }, { auth: false, retry: false });
+}
+
+/**
+ * checkResetToken(token) -> { valid: true, email? }
+ * Rejects with 400/404 (unknown) or 410 (expired / already used).
+ */
+export async function checkResetToken(token, opts = {}) {
+  return httpClient.get(`/auth/password/reset/${encodeURIComponent(token)}`, { ...opts, auth: false });
+}
+
+/**
+ * resetPassword({ token, password })
+ */
+export async function resetPassword({ token, password }) {
+  return httpClient.post('/auth/password/reset', { token, password }, { auth: false, retry: false });
+}
+
+/**
+ * verifyEmail(token) -> { user? }
+ */
+export async function verifyEmail(token) {
+  return httpClient.post('/auth/email/verify', { token }, { auth: false, retry: false });
+}
+
+/**
+ * resendVerification(email?)
+ * Uses the session when signed in; `email` covers the signed-out case.
+ */
+export async function resendVerification(email) {
+  return httpClient.post('/auth/email/resend', email ? { email } : null, { retry: false });
+}
+
+/**
+ * needsEmailVerification(user) — only an explicit `emailVerified: false`
+ * counts, so backends that don't track verification are unaffected.
+ */
+export function needsEmailVerification(user) {
+  return !!user && user.emailVerified === false;
+}
+
+/**
+ * tokenProblem(err) — friendly text for a rejected reset / verify token
+ */
+export function tokenProblem(err) {
+  if (err?.status === 410) return 'This link has expired or was already used.';
+  if (err?.status === 400 || err?.status === 404) return 'This link is not valid.';
+  return err?.message || 'Something went wrong. Try again.';
+}
+
+/**
+ * passwordProblem(err) — the server's reason for rejecting a new password
+ * (422, or 400 naming the `password` field), or null for any other failure
+ */
+export function passwordProblem(err) {
+  const rejected = err?.status === 422 || (err?.status === 400 && err?.body?.field === 'password');
+  return rejected ? err.message || `Password must be at least ${MIN_PASSWORD_LENGTH} characters` : null;
+}
+
+export default {
+  requestPasswordReset,
+  checkResetToken,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  needsEmailVerification,
+  tokenProblem,
+  passwordProblem,
+};
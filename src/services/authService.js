@@ -1,15 +1,15 @@
-import mockApi from '../api/mockApi';
+import { httpClient } from '../api/httpClient';
 
 
 export async function login(email, password) {
-return mockApi.login(email, password);
+return httpClient.post('/auth/login', { email, password }, { auth: false });
 }
 export async function register(name, email, password, consent) {
-return mockApi.register(name, email, password, consent);
+return httpClient.post('/auth/register', { name, email, password, consent }, { auth: false });
 }
 export async function logout() {
-return mockApi.logout();
+return httpClient.post('/auth/logout', null);
+}
+export async function getMe() {
+return httpClient.get('/me');
 }
-export async function getMe(userId) {
-return mockApi.getMe(userId);
-}
\ No newline at end of file
@@ -1,8 +1,10 @@
+import { httpClient } from '../api/httpClient';
+import { historyListSchema } from '../api/schemas';
 import mockApi from '../api/mockApi';
 
 
 export async function fetchHistory(userId) {
-return mockApi.getHistory(userId);
+return httpClient.get(`/sessions/user/${userId}`, { schema: historyListSchema });
 }
 
 
@@ -13,5 +15,5 @@ return mockApi.getLiveSignals(userId);
 
 // convenience: subscribe to simulated server pushes
 export function simulatePush(userId, signal) {
-mockApi.pushLiveSignal(userId, signal);
-}
\ No newline at end of file
+mockApi.pushLiveSignal({ userId, ...signal });
+}
@@ -1,9 +1,11 @@
 // src/services/inferService.js
-import axios from '../api/axiosInstance';
+import { api } from '../api/httpClient';
+import { inferResultSchema } from '../api/schemas';
 
 /**
  * infer({ imageFile, audioFile, eegFile, userId, onUploadProgress })
- * - returns server response data (JSON)
+ * - returns the server's result, validated against inferResultSchema
+ * - onUploadProgress(percent) follows the upload of the files
  */
 export async function infer({ imageFile, audioFile, eegFile, userId = 'guest', onUploadProgress }) {
   const fd = new FormData();
@@ -12,17 +14,13 @@ export async function infer({ imageFile, audioFile, eegFile, userId = 'guest', o
   if (eegFile) fd.append('eeg', eegFile);
   fd.append('user_id', userId);
 
-  const res = await axios.post('/infer', fd, {
-    headers: { 'Content-Type': 'multipart/form-data' },
-    onUploadProgress: (ev) => {
-      if (typeof onUploadProgress === 'function' && ev.total) {
-        const pct = Math.round((ev.loaded * 100) / ev.total);
-        onUploadProgress(pct);
-      }
-    },
-  });
-
-  return res.data;
+  const opts = { schema: inferResultSchema };
+  if (typeof onUploadProgress === 'function') {
+    opts.onUploadProgress = ({ loaded, total }) => {
+      if (total) onUploadProgress(Math.round((loaded * 100) / total));
+    };
+  }
+  return api.inference.upload('/infer', fd, opts);
 }
 
 /**
@@ -35,8 +33,7 @@ export async function sendFeedback({ userId = 'guest', exerciseId, rating, comme
   fd.append('rating', String(rating));
   if (comment) fd.append('comment', comment);
 
-  const res = await axios.post('/feedback', fd);
-  return res.data;
+  return api.inference.upload('/feedback', fd);
 }
 
 // default export for convenience (optional)
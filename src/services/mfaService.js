@@ -0,0 +1,59 @@
+// src/services/mfaService.js
+import { httpClient } from '../api/httpClient';
+
+/**
+ * TOTP two-factor authentication (core service).
+ *
+ * The QR code is drawn in the browser from `otpauthUrl` (components/QrCode);
+ * `secret` allows manual entry. A backend `qrCode` data URL is only a fallback.
+ */
+
+/**
+ * getMfaStatus() -> { enabled, recoveryCodesRemaining }
+ */
+export async function getMfaStatus(opts) {
+  return httpClient.get('/auth/mfa', opts);
+}
+
+/**
+ * startMfaSetup() -> { secret, otpauthUrl, qrCode }
+ * Creates a pending secret; nothing changes for login until enableMfa succeeds.
+ */
+export async function startMfaSetup() {
+  return httpClient.post('/auth/mfa/setup', null);
+}
+
+/**
+ * enableMfa(code) -> { recoveryCodes: string[] }
+ * Confirms the pending secret with a code from the authenticator app.
+ */
+export async function enableMfa(code) {
+  return httpClient.post('/auth/mfa/enable', { code });
+}
+
+/**
+ * disableMfa({ password, code })
+ * `code` may be an authenticator code or a recovery code.
+ */
+export async function disableMfa({ password, code }) {
+  return httpClient.post('/auth/mfa/disable', { password, code });
+}
+
+/**
+ * regenerateRecoveryCodes(code) -> { recoveryCodes: string[] }
+ * Invalidates every previous recovery code.
+ */
+export async function regenerateRecoveryCodes(code) {
+  return httpClient.post('/auth/mfa/recovery-codes', { code });
+}
+
+/**
+ * verifyMfaLogin({ mfaToken, code, recoveryCode }) -> { token, refreshToken?, user? }
+ * Second login step; `mfaToken` is the short-lived ticket from /auth/login.
+ */
+export async function verifyMfaLogin({ mfaToken, code, recoveryCode }) {
+  const payload = recoveryCode ? { mfaToken, recoveryCode } : { mfaToken, code };
+  return httpClient.post('/auth/mfa/verify', payload, { auth: false });
+}
+
+export default { getMfaStatus, startMfaSetup, enableMfa, disableMfa, regenerateRecoveryCodes, verifyMfaLogin };
@@ -0,0 +1,54 @@
+// src/services/oauthService.js
+import { httpClient } from '../api/httpClient';
+
+/**
+ * Social sign-in endpoints (core service). See lib/oauth for the browser side.
+ */
+
+/**
+ * exchangeOAuthCode({ provider, code, codeVerifier, redirectUri })
+ * -> { token, refreshToken?, user }               signed in (new or existing link)
+ * -> { mfaRequired: true, mfaToken, methods }     second factor needed
+ * -> { linkRequired: true, email, linkToken }     an email account already exists
+ */
+export async function exchangeOAuthCode({ provider, code, codeVerifier, redirectUri }) {
+  return httpClient.post(
+    `/auth/oauth/${encodeURIComponent(provider)}/callback`,
+    { code, codeVerifier, redirectUri },
+    { auth: false, retry: false }
+  );
+}
+
+/**
+ * confirmOAuthLink({ linkToken, password }) -> { token, refreshToken?, user }
+ * Proves ownership of the existing account before the provider is attached.
+ */
+export async function confirmOAuthLink({ linkToken, password }) {
+  return httpClient.post('/auth/oauth/link/confirm', { linkToken, password }, { auth: false, retry: false });
+}
+
+/**
+ * linkOAuthProvider({ provider, code, codeVerifier, redirectUri })
+ * Attaches a provider to the signed-in account (started from Settings).
+ */
+export async function linkOAuthProvider({ provider, code, codeVerifier, redirectUri }) {
+  return httpClient.post(`/auth/oauth/${encodeURIComponent(provider)}/link`, { code, codeVerifier, redirectUri }, { retry: false });
+}
+
+/**
+ * listLinkedProviders() -> [{ provider, email, linkedAt }]
+ */
+export async function listLinkedProviders(opts) {
+  const data = await httpClient.get('/auth/oauth/providers', opts);
+  return Array.isArray(data) ? data : data?.providers || [];
+}
+
+/**
+ * unlinkProvider(provider)
+ * The server refuses (409) to remove the last way to sign in.
+ */
+export async function unlinkProvider(provider) {
+  return httpClient.delete(`/auth/oauth/providers/${encodeURIComponent(provider)}`);
+}
+
+export default { exchangeOAuthCode, confirmOAuthLink, linkOAuthProvider, listLinkedProviders, unlinkProvider };
@@ -0,0 +1,42 @@
+// src/services/reminderService.js
+import { httpClient } from '../api/httpClient';
+import { pushConfigSchema, reminderSettingsSchema } from '../api/schemas';
+
+/**
+ * Reminder schedules and Web Push subscriptions (core service). The server
+ * keeps the schedules so it can send pushes while the app is closed.
+ */
+
+/**
+ * getReminderSettings()
+ * -> { schedules: { mood, journal, meditation }, quietHours, timezone } | null
+ * schedule: { enabled, time: 'HH:MM', days: [0-6, Sunday = 0] }
+ */
+export async function getReminderSettings(opts) {
+  return httpClient.get('/me/reminders', { ...opts, schema: reminderSettingsSchema });
+}
+
+/** saveReminderSettings(settings) -> the saved settings */
+export async function saveReminderSettings(settings) {
+  return httpClient.put('/me/reminders', settings, { schema: reminderSettingsSchema, retry: false });
+}
+
+/** getPushConfig() -> { publicKey } — the VAPID key, null when push isn't set up */
+export async function getPushConfig(opts) {
+  return httpClient.get('/push/config', { ...opts, schema: pushConfigSchema });
+}
+
+/**
+ * subscribePush(subscription, timezone)
+ * subscription: PushSubscription.toJSON() — { endpoint, keys: { p256dh, auth } }
+ */
+export async function subscribePush(subscription, timezone) {
+  return httpClient.post('/push/subscriptions', { subscription, timezone }, { retry: false });
+}
+
+/** unsubscribePush(endpoint) — this browser stops receiving pushes */
+export async function unsubscribePush(endpoint) {
+  return httpClient.delete(`/push/subscriptions?endpoint=${encodeURIComponent(endpoint)}`, null, { retry: false });
+}
+
+export default { getReminderSettings, saveReminderSettings, getPushConfig, subscribePush, unsubscribePush };
@@ -0,0 +1,42 @@
+// src/services/sessionService.js
+import { httpClient } from '../api/httpClient';
+
+/**
+ * Signed-in devices / refresh sessions of the current account (core service).
+ */
+
+/**
+ * listSessions()
+ * -> [{ id, current, device, browser, os, ip, location, userAgent, lastSeenAt, createdAt }]
+ * `current` marks the session this browser is using.
+ */
+export async function listSessions(opts) {
+  const data = await httpClient.get('/auth/sessions', opts);
+  return Array.isArray(data) ? data : data?.sessions || [];
+}
+
+/**
+ * revokeSession(id)
+ * Ends one session; its refresh token stops working immediately.
+ */
+export async function revokeSession(id) {
+  return httpClient.delete(`/auth/sessions/${encodeURIComponent(id)}`, null, { retry: false });
+}
+
+/**
+ * revokeOtherSessions()
+ * Signs out every device except this one.
+ */
+export async function revokeOtherSessions() {
+  return httpClient.delete('/auth/sessions?scope=others', null, { retry: false });
+}
+
+/**
+ * revokeAllSessions()
+ * Signs out every device, this one included.
+ */
+export async function revokeAllSessions() {
+  return httpClient.delete('/auth/sessions', null, { retry: false });
+}
+
+export default { listSessions, revokeSession, revokeOtherSessions, revokeAllSessions };
@@ -0,0 +1,33 @@
+// src/services/syncService.js
+import { httpClient } from '../api/httpClient';
+import { syncPullSchema, syncPushSchema } from '../api/schemas';
+
+/**
+ * Transport of the offline sync engine (lib/syncEngine) — core service.
+ * Every record carries `version`, the server's stamp, bumped on each write it
+ * accepts, and `updatedAt`, the client time of the edit.
+ */
+
+/**
+ * pushChanges(collection, changes)
+ * changes: [{ op: 'put' | 'delete', id, baseVersion, updatedAt, record? }]
+ * -> [{ id, status: 'ok', version } | { id, status: 'conflict', current }]
+ * A change whose baseVersion is not the server's current version is a
+ * conflict; `current` is the server copy (`deleted: true` when removed).
+ */
+export async function pushChanges(collection, changes) {
+  const data = await httpClient.post(`/sync/${encodeURIComponent(collection)}`, { changes }, { schema: syncPushSchema, retry: false });
+  return data.results;
+}
+
+/**
+ * pullChanges(collection, since)
+ * -> { records: [{ id, version, updatedAt, deleted, ...fields }], cursor }
+ * Everything written since `cursor` (omit for a full download).
+ */
+export async function pullChanges(collection, since, opts) {
+  const query = since == null ? '' : `?since=${encodeURIComponent(since)}`;
+  return httpClient.get(`/sync/${encodeURIComponent(collection)}${query}`, { ...opts, schema: syncPullSchema });
+}
+
+export default { pushChanges, pullChanges };
@@ -0,0 +1,166 @@
+// src/sw.js
+// Service worker. Not part of the app bundle: plugins/serviceWorker.js builds
+// it into dist/sw.js, filling in BUILD below with
+// { version, precache: [urls], api: [base urls] } for the build.
+//
+// - the build (app shell, JS/CSS, icons) is precached on install and served
+//   cache-first; a new build waits until the app asks it to take over
+//   (lib/serviceWorker.applyUpdate) so an open tab never mixes versions
+// - navigations go to the network, then fall back to the cached shell, then
+//   to offline.html
+// - API GETs are network-first with a cached copy for when the network is
+//   down or slow, kept per account; auth, sync and export responses are
+//   never cached
+// - pushes from the server (reminders) become notifications; clicking one
+//   opens its page in an open tab, or in a new window
+
+const BUILD = self.__BUILD__;
+
+const PRECACHE = `mindecho-precache-${BUILD.version}`;
+const API_CACHE = 'mindecho-api'; // also cleared by the app on sign-out
+const API_MAX_ENTRIES = 150;
+const API_TIMEOUT_MS = 4000;
+const API_NO_CACHE = [/\/auth\//, /\/sync\//, /\/me\/export/];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(BUILD.precache)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => n.startsWith('mindecho-precache-') && n !== PRECACHE).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/* ---------- strategies ---------- */
+
+function timeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error('timeout')), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(t));
+  });
+}
+
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+}
+
+async function fromPrecache(request) {
+  const cached = await caches.match(request, { cacheName: PRECACHE });
+  return cached || fetch(request);
+}
+
+async function navigation(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const shell = (await caches.match('/index.html', { cacheName: PRECACHE })) || (await caches.match('/offline.html', { cacheName: PRECACHE }));
+    if (shell) return shell;
+    throw err;
+  }
+}
+
+function cacheable(response) {
+  return response.ok && response.type !== 'opaque' && !/no-store/.test(response.headers.get('Cache-Control') || '');
+}
+
+// the account a request is made for: the JWT subject, a digest of an opaque
+// token, or 'anonymous' — so one user's cached reads are never served to another
+async function accountOf(request) {
+  const token = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token) return 'anonymous';
+  try {
+    const claims = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (claims?.sub) return `sub:${claims.sub}`;
+  } catch {
+    // not a JWT
+  }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return `token:${[...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function apiCacheKey(request) {
+  const url = new URL(request.url);
+  url.searchParams.set('__account', await accountOf(request));
+  return new Request(url.href);
+}
+
+async function apiRead(event) {
+  const { request } = event;
+  const cache = await caches.open(API_CACHE);
+  const key = await apiCacheKey(request);
+  const network = fetch(request).then((response) => {
+    if (cacheable(response)) {
+      const copy = response.clone();
+      event.waitUntil(cache.put(key, copy).then(() => trim(cache, API_MAX_ENTRIES)));
+    }
+    return response;
+  });
+  // keep the worker alive for the cache write even when the copy was served
+  event.waitUntil(network.catch(() => {}));
+  try {
+    return await timeout(network, API_TIMEOUT_MS);
+  } catch {
+    const cached = await cache.match(key, { ignoreVary: true });
+    // nothing cached: wait for the network after all (or surface its error)
+    return cached || network;
+  }
+}
+
+/* ---------- routing ---------- */
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigation(request));
+    return;
+  }
+  if (url.origin === self.location.origin && BUILD.precache.includes(url.pathname)) {
+    event.respondWith(fromPrecache(request));
+    return;
+  }
+  if (BUILD.api.some((base) => request.url.startsWith(base)) && !API_NO_CACHE.some((re) => re.test(url.pathname))) {
+    event.respondWith(apiRead(event));
+  }
+});
+
+/* ---------- push & notifications ---------- */
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+  const { title = 'MindEcho', body = '', url = '/dashboard', tag } = data;
+  event.waitUntil(
+    self.registration.showNotification(title, { body, tag, icon: '/icons/icon-192.png', badge: '/icons/icon-192.png', data: { url } })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/dashboard', self.location.origin);
+  if (url.origin !== self.location.origin) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((w) => w.focused) || windows[0];
+      if (!client) return self.clients.openWindow(url.href);
+      // the app routes it (lib/reminders), keeping its state
+      client.postMessage({ type: 'open-url', url: url.pathname + url.search });
+      return client.focus();
+    })
+  );
+});
@@ -0,0 +1,12 @@
+// src/utils/hashtags.js
+
+/**
+ * hashtags(text) — lower-cased, de-duplicated #tags found in a journal body,
+ * e.g. "Slept badly #sleep #Work" -> ['sleep', 'work']
+ */
+export function hashtags(text = '') {
+  const found = String(text).match(/(?:^|\s)#([\p{L}\p{N}_-]{1,40})/gu) || [];
+  return [...new Set(found.map((t) => t.trim().slice(1).toLowerCase()))];
+}
+
+export default hashtags;
@@ -0,0 +1,49 @@
+// src/utils/redirect.js
+// Post-login redirects. The target travels in the `next` query param of
+// /login and /signup so it survives a reload; it is only ever honoured when
+// it points back into this app.
+
+export const DEFAULT_AFTER_LOGIN = '/dashboard';
+
+// pages that make no sense as a post-login destination
+const AUTH_PAGES = ['/login', '/signup', '/forgot-password', '/auth/callback'];
+// ...including every emailed-token page (single-use links)
+const AUTH_PREFIXES = ['/reset-password/', '/verify-email'];
+
+/**
+ * safeRedirect(raw, fallback)
+ * Returns a same-origin path (pathname + search + hash) or `fallback`.
+ * Rejects absolute URLs to other origins, protocol-relative ("//evil.com")
+ * and backslash tricks ("/\\evil.com"), javascript: URLs and auth pages.
+ */
+export function safeRedirect(raw, fallback = DEFAULT_AFTER_LOGIN) {
+  if (!raw || typeof raw !== 'string') return fallback;
+  const value = raw.trim();
+  // must be a rooted path; "//" and "/\" are protocol-relative in browsers
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) return fallback;
+
+  try {
+    const url = new URL(value, window.location.origin);
+    if (url.origin !== window.location.origin) return fallback;
+    if (AUTH_PAGES.includes(url.pathname)) return fallback;
+    if (AUTH_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))) return fallback;
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * withNext(path, location) — `path` (e.g. '/login') carrying the current
+ * location as its `next` target. `location` is a react-router location.
+ */
+export function withNext(path, location) {
+  const target = `${location.pathname}${location.search || ''}${location.hash || ''}`;
+  if (!target || target === '/') return path;
+  return `${path}?next=${encodeURIComponent(target)}`;
+}
+
+/** readNext(search) — the raw `next` param from a query string */
+export function readNext(search) {
+  return new URLSearchParams(search).get('next');
+}
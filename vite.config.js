@@ -1,10 +1,13 @@
 import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react'
+import serviceWorker from './plugins/serviceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
      tailwindcss(),
-     react()],
+     react(),
+     // offline shell + installable PWA (see src/sw.js)
+     serviceWorker({ apiEnvKeys: ['VITE_API_BASE_URL'] })],
 })